@@ -0,0 +1,213 @@
+/**
+ * Abuse protection for /api/chat and /api/quote (shared by server.js and worker.js)
+ * - Token-bucket rate limits per client IP and per session_id (quotes: per IP): each
+ *   bucket holds `burst` requests and refills at `perMinute`; an empty bucket answers 429
+ * - A maximum message length, and a 32kb cap on the chat request body
+ * - An origin allowlist for CORS (CORS_ORIGINS): browsers on other sites can't
+ *   call the API, so the widget only works on the listed sites
+ * - Prompt-injection detection ("ignore previous instructions", "print the KB"):
+ *   such messages get a canned reply and never reach the LLM, on that turn or
+ *   later: the session history keeps a placeholder instead (lib/core.js)
+ *
+ * Buckets live in memory: per process (server) or per isolate (Worker).
+ * The daily LLM spend cap is in lib/spend-cap.js.
+ */
+
+const DEFAULT_MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_MAX_KEYS = 10000;
+// Chat bodies are small: the message (MAX_MESSAGE_LENGTH), a session_id and the client fields
+const MAX_CHAT_BODY_BYTES = 32 * 1024;
+const PROMPT_INJECTION_PLACEHOLDER = "[message withheld: it tried to change the bot's instructions]";
+
+function intEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * perMinute 0 turns that limit off; no CORS_ORIGINS allows every origin.
+ */
+function abuseConfigFromEnv(env = {}) {
+  const origins = String(env.CORS_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+
+  return {
+    ipLimit: {
+      perMinute: intEnv(env.RATE_LIMIT_IP_PER_MINUTE, 10),
+      burst: intEnv(env.RATE_LIMIT_IP_BURST, 20)
+    },
+    sessionLimit: {
+      perMinute: intEnv(env.RATE_LIMIT_SESSION_PER_MINUTE, 6),
+      burst: intEnv(env.RATE_LIMIT_SESSION_BURST, 10)
+    },
+    maxMessageLength: intEnv(env.MAX_MESSAGE_LENGTH, DEFAULT_MAX_MESSAGE_LENGTH),
+    corsOrigins: origins.length > 0 && !origins.includes("*") ? origins : null
+  };
+}
+
+// -------------------- Rate limits --------------------
+/**
+ * take(key) spends one token from the key's bucket.
+ * Returns { allowed, retry_after } (seconds until a token is back).
+ * The least recently used buckets are dropped past maxKeys.
+ */
+function createTokenBucket({ perMinute, burst, maxKeys = DEFAULT_MAX_KEYS, now = () => Date.now() }) {
+  const capacity = Math.max(1, burst);
+  const perMs = perMinute / 60000;
+  const buckets = new Map(); // key -> { tokens, updatedAt }, oldest first
+
+  function take(key) {
+    const t = now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: t };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (t - bucket.updatedAt) * perMs);
+    bucket.updatedAt = t;
+
+    buckets.delete(key);
+    buckets.set(key, bucket);
+    if (buckets.size > maxKeys) buckets.delete(buckets.keys().next().value);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retry_after: 0 };
+    }
+    return { allowed: false, retry_after: Math.ceil((1 - bucket.tokens) / perMs / 1000) };
+  }
+
+  return { take };
+}
+
+/**
+ * check(request) spends a token from each [field, limit] bucket the request has a
+ * key for. Returns null when allowed, else { status: 429, body, retryAfter }
+ * (retryAfter in seconds, for the Retry-After header).
+ */
+function createRequestLimiter(fieldLimits, error, now) {
+  const limits = fieldLimits
+    .filter(([, limit]) => limit?.perMinute > 0)
+    .map(([field, limit]) => ({ field, bucket: createTokenBucket({ ...limit, now }) }));
+
+  function check(request = {}) {
+    for (const { field, bucket } of limits) {
+      const key = request[field];
+      if (!key || typeof key !== "string") continue;
+
+      const { allowed, retry_after } = bucket.take(key);
+      if (!allowed) {
+        console.warn("[Rate Limit]", field, field === "ip" ? key : "(session)", `retry in ${retry_after}s`);
+        return {
+          status: 429,
+          body: { ok: false, error, retry_after },
+          retryAfter: retry_after
+        };
+      }
+    }
+    return null;
+  }
+
+  return { enabled: limits.length > 0, check };
+}
+
+/**
+ * check({ ip, session_id }) for each /api/chat request
+ */
+function createChatLimiter(config = {}) {
+  return createRequestLimiter(
+    [["ip", config.ipLimit], ["session_id", config.sessionLimit]],
+    "Too many messages. Please wait a moment and try again.",
+    config.now
+  );
+}
+
+/**
+ * check({ ip }) for each /api/quote request: the chat's per-IP limit, in buckets of its own
+ */
+function createQuoteLimiter(config = {}) {
+  return createRequestLimiter([["ip", config.ipLimit]], "Too many quote requests. Please wait a moment and try again.", config.now);
+}
+
+/**
+ * The message is over config.maxMessageLength (0 = no limit). Returns { status, body } or null.
+ */
+function messageLengthResponse(message, config = {}) {
+  const max = config.maxMessageLength || 0;
+  if (max > 0 && typeof message === "string" && message.length > max) return messageTooLongResponse(config);
+  return null;
+}
+
+/**
+ * The 413 for a message over the limit, also sent for a chat body over
+ * MAX_CHAT_BODY_BYTES (the JSON parser refuses it before the message is read)
+ */
+function messageTooLongResponse(config = {}) {
+  const max = config.maxMessageLength || 0;
+  const error = max > 0 ? `message is too long (max ${max} characters)` : "message is too long";
+  return { status: 413, body: { ok: false, error } };
+}
+
+// -------------------- CORS --------------------
+/**
+ * Access-Control-Allow-Origin for a request's Origin header: "*" without an
+ * allowlist, the origin itself if it is listed, else null (no header)
+ */
+function corsAllowOrigin(origin, config = {}) {
+  if (!config.corsOrigins) return "*";
+  return origin && config.corsOrigins.includes(origin) ? origin : null;
+}
+
+/**
+ * A browser request from a site that isn't on the allowlist (requests without an
+ * Origin header, like curl or the webhooks, are allowed). Returns { status, body } or null.
+ */
+function originResponse(origin, config = {}) {
+  if (!origin || corsAllowOrigin(origin, config)) return null;
+  return { status: 403, body: { ok: false, error: "Origin not allowed" } };
+}
+
+// -------------------- Prompt injection --------------------
+const INJECTION_PATTERNS = [
+  // "ignore all previous instructions", "disregard your rules"
+  /\b(ignore|disregard|forget|override|bypass)\b(\s+\w+){0,3}?\s+(previous|prior|above|earlier|original|initial|system|your)\b(\s+\w+)?\s+(instructions?|prompts?|rules|directions|guidelines|guardrails|programming)\b/i,
+  // "print your system prompt", "show me the knowledge base", "dump the KB json"
+  /\b(print|show|reveal|dump|output|display|repeat|give|send|paste|tell|leak|share)\b.{0,20}\b(your (prompt|instructions|knowledge base|kb|json|configuration|config|training data)|the (prompt|knowledge base|kb|json|configuration|config)|(full|entire|whole|raw) (prompt|knowledge base|kb|json))\b/i,
+  /\b(system prompt|developer message|hidden instructions|initial instructions)\b|\bnew (instructions|rules)\s*:/i,
+  // "you are now DAN", "enter developer mode", "jailbreak"
+  /\b(jailbreak|dan mode|developer mode|god mode)\b/i,
+  /\byou are (now|no longer)\b.{0,40}\b(ai|assistant|bot|model|unrestricted|free|dan)\b/i,
+  /\b(pretend|act as if|imagine)\b.{0,30}\b(no|without) (rules|restrictions|limits|guidelines|filters)\b/i,
+  // Chat-template markers pasted into a message
+  /<\|?(im_start|im_end|system|endoftext)\|?>|^\s*(###\s*)?(system|assistant)\s*:/im
+];
+
+/**
+ * The message tries to override the bot's instructions or extract its prompt/KB
+ */
+function isPromptInjection(message) {
+  const text = String(message || "");
+  return INJECTION_PATTERNS.some((re) => re.test(text));
+}
+
+/**
+ * Canned reply for a prompt-injection attempt: what the bot can help with instead
+ */
+function promptInjectionReply(kb) {
+  const name = kb.business?.name || "Motiontography";
+  return `I can only help with questions about ${name}: sessions, packages, pricing and booking. What would you like to know?`;
+}
+
+module.exports = {
+  MAX_CHAT_BODY_BYTES,
+  PROMPT_INJECTION_PLACEHOLDER,
+  abuseConfigFromEnv,
+  createTokenBucket,
+  createChatLimiter,
+  createQuoteLimiter,
+  messageLengthResponse,
+  messageTooLongResponse,
+  corsAllowOrigin,
+  originResponse,
+  isPromptInjection,
+  promptInjectionReply
+};
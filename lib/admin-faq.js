@@ -0,0 +1,136 @@
+/**
+ * Admin API for the NEW_FAQ_CANDIDATES review queue (server only)
+ * - List candidates across days, deduped and clustered
+ * - Mark candidates (or a whole cluster) resolved / ignored / open
+ * - Generate an LLM draft answer for Roger to approve
+ * - Promote a candidate into a new intent with its question(s) as triggers
+ */
+
+const express = require("express");
+const { commitKBChange } = require("./kb-store");
+const { llmDraftFaqAnswer } = require("./openai");
+const { adminErrorHandler, httpError } = require("./admin-kb");
+const {
+  loadCandidates,
+  normalizeQuestion,
+  clusterCandidates,
+  withReviewState,
+  faqCandidatesResponse
+} = require("./faq-review");
+const { loadReviewState, saveReviewState } = require("./faq-review-fs");
+
+function createFaqReviewRouter({ storage, statePath, getKB, setKB, kbPath, llm }) {
+  const router = express.Router();
+
+  async function findCandidate(id) {
+    const candidates = withReviewState(await loadCandidates(storage), loadReviewState(statePath));
+    const candidate = candidates.find((c) => c.candidate_id === id);
+    if (!candidate) throw httpError(404, `FAQ candidate not found: ${id}`);
+    return { candidate, candidates };
+  }
+
+  /**
+   * The candidate alone, or every candidate in its cluster
+   */
+  function targetsFor(candidate, candidates, wholeCluster) {
+    if (!wholeCluster) return [candidate];
+    const cluster = clusterCandidates(candidates).find((cl) => cl.candidates.some((c) => c.candidate_id === candidate.candidate_id));
+    return cluster ? cluster.candidates : [candidate];
+  }
+
+  function updateReview(ids, patch) {
+    const state = loadReviewState(statePath);
+    const updated_at = new Date().toISOString();
+    for (const id of ids) {
+      state.candidates[id] = { ...(state.candidates[id] || {}), ...patch, updated_at };
+    }
+    saveReviewState(statePath, state);
+  }
+
+  router.get("/faq-candidates", async (req, res) => {
+    const { status, body } = await faqCandidatesResponse(storage, loadReviewState(statePath), req.query);
+    res.status(status).json(body);
+  });
+
+  router.get("/faq-candidates/:id", async (req, res) => {
+    const { candidate } = await findCandidate(req.params.id);
+    res.json({ ok: true, candidate });
+  });
+
+  // Body: { status: "resolved" | "ignored" | "open", note?, cluster?: true }
+  router.post("/faq-candidates/:id/status", async (req, res) => {
+    const status = req.body?.status;
+    if (!["open", "resolved", "ignored"].includes(status)) throw httpError(400, "status must be open, resolved or ignored");
+
+    const { candidate, candidates } = await findCandidate(req.params.id);
+    const targets = targetsFor(candidate, candidates, req.body.cluster === true);
+    updateReview(targets.map((c) => c.candidate_id), { status, note: req.body.note || null });
+
+    res.json({ ok: true, status, updated: targets.map((c) => c.candidate_id) });
+  });
+
+  // Store an LLM draft as recommended_next_answer_draft for Roger to approve
+  router.post("/faq-candidates/:id/draft", async (req, res) => {
+    if (!llm.enabled) throw httpError(503, "No LLM provider is configured (OPENAI_API_KEY or LLM_PROVIDER)");
+
+    const { candidate } = await findCandidate(req.params.id);
+    const draft = await llmDraftFaqAnswer(candidate.question, getKB(), llm);
+    updateReview([candidate.candidate_id], {
+      recommended_next_answer_draft: { ...draft, model: llm.model, created_at: new Date().toISOString() }
+    });
+
+    res.json({ ok: true, candidate_id: candidate.candidate_id, recommended_next_answer_draft: draft });
+  });
+
+  // Body: { intent_id, answer?, intent?, label?, triggers?, followups?, cluster?: true }
+  // answer defaults to the stored draft; the question(s) become triggers.
+  router.post("/faq-candidates/:id/promote", async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.intent_id !== "string") throw httpError(400, "intent_id (string) is required");
+
+    const { candidate, candidates } = await findCandidate(req.params.id);
+    const answer = body.answer || candidate.recommended_next_answer_draft?.draft_answer;
+    if (!answer) throw httpError(400, "answer is required (no stored draft for this candidate)");
+
+    const kb = getKB();
+    if ((kb.intents_and_answers || []).some((i) => i.id === body.intent_id)) {
+      throw httpError(409, `Intent already exists: ${body.intent_id}`);
+    }
+
+    const targets = targetsFor(candidate, candidates, body.cluster === true);
+    const triggers = [...new Set([
+      ...targets.map((c) => normalizeQuestion(c.question)),
+      ...(Array.isArray(body.triggers) ? body.triggers : [])
+    ])].filter(Boolean);
+
+    const intent = {
+      id: body.intent_id,
+      intent: body.intent || body.intent_id,
+      ...(typeof body.label === "string" && body.label ? { label: body.label } : {}),
+      triggers,
+      answer,
+      ...(Array.isArray(body.followups) && body.followups.length > 0 ? { followups: body.followups } : {})
+    };
+
+    const next = commitKBChange(kb, (draft) => {
+      draft.intents_and_answers.push(intent);
+    }, kbPath);
+    setKB(next);
+
+    updateReview(targets.map((c) => c.candidate_id), { status: "promoted", promoted_intent_id: intent.id });
+    res.status(201).json({
+      ok: true,
+      intent,
+      promoted: targets.map((c) => c.candidate_id),
+      kb_version: next.kb_version,
+      last_updated_local: next.last_updated_local
+    });
+  });
+
+  router.use(adminErrorHandler);
+  return router;
+}
+
+module.exports = {
+  createFaqReviewRouter
+};
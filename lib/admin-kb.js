@@ -0,0 +1,149 @@
+/**
+ * Admin REST API for editing the KB (server only)
+ * - intents_and_answers and packages: list / get / create / replace / patch / delete by id
+ * - official_pages: list / set / delete by key
+ *
+ * Every write goes through commitKBChange (validate -> atomic write -> version bump);
+ * the live KB is swapped only after that succeeds.
+ */
+
+const express = require("express");
+const { commitKBChange } = require("./kb-store");
+const { KBValidationError } = require("./kb-validate");
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * getKB/setKB read and hot-swap the server's in-memory KB
+ */
+function createKBAdminRouter({ getKB, setKB, kbPath }) {
+  const router = express.Router();
+
+  function commit(mutate) {
+    const next = commitKBChange(getKB(), mutate, kbPath);
+    setKB(next);
+    return next;
+  }
+
+  function versionInfo(kb) {
+    return { kb_version: kb.kb_version, last_updated_local: kb.last_updated_local };
+  }
+
+  /**
+   * CRUD routes for an array of { id, ... } records stored at kb[key]
+   */
+  function collectionRoutes(routePath, key, label) {
+    const findIndex = (kb, id) => (kb[key] || []).findIndex((item) => item.id === id);
+
+    router.get(routePath, (req, res) => {
+      res.json({ ok: true, [key]: getKB()[key] || [] });
+    });
+
+    router.get(`${routePath}/:id`, (req, res) => {
+      const kb = getKB();
+      const index = findIndex(kb, req.params.id);
+      if (index === -1) throw httpError(404, `${label} not found: ${req.params.id}`);
+      res.json({ ok: true, item: kb[key][index] });
+    });
+
+    router.post(routePath, (req, res) => {
+      const item = req.body;
+      if (!isPlainObject(item) || typeof item.id !== "string") throw httpError(400, `${label} body with an "id" string is required`);
+      if (findIndex(getKB(), item.id) !== -1) throw httpError(409, `${label} already exists: ${item.id}`);
+
+      const kb = commit((draft) => {
+        draft[key] = draft[key] || [];
+        draft[key].push(item);
+      });
+      res.status(201).json({ ok: true, item, ...versionInfo(kb) });
+    });
+
+    // PUT replaces the record; PATCH merges top-level fields
+    for (const method of ["put", "patch"]) {
+      router[method](`${routePath}/:id`, (req, res) => {
+        const { id } = req.params;
+        if (!isPlainObject(req.body)) throw httpError(400, `${label} body must be an object`);
+        if (req.body.id !== undefined && req.body.id !== id) throw httpError(400, `Body id "${req.body.id}" does not match URL id "${id}"`);
+
+        const index = findIndex(getKB(), id);
+        if (index === -1) throw httpError(404, `${label} not found: ${id}`);
+
+        let item;
+        const kb = commit((draft) => {
+          item = method === "put" ? { ...req.body, id } : { ...draft[key][index], ...req.body, id };
+          draft[key][index] = item;
+        });
+        res.json({ ok: true, item, ...versionInfo(kb) });
+      });
+    }
+
+    router.delete(`${routePath}/:id`, (req, res) => {
+      const index = findIndex(getKB(), req.params.id);
+      if (index === -1) throw httpError(404, `${label} not found: ${req.params.id}`);
+
+      const kb = commit((draft) => {
+        draft[key].splice(index, 1);
+      });
+      res.json({ ok: true, deleted: req.params.id, ...versionInfo(kb) });
+    });
+  }
+
+  collectionRoutes("/intents", "intents_and_answers", "Intent");
+  collectionRoutes("/packages", "packages", "Package");
+
+  // -------------------- official_pages --------------------
+  router.get("/official-pages", (req, res) => {
+    res.json({ ok: true, official_pages: getKB().official_pages || {} });
+  });
+
+  router.put("/official-pages/:key", (req, res) => {
+    const url = req.body?.url;
+    if (typeof url !== "string") throw httpError(400, "url (string) is required");
+
+    const kb = commit((draft) => {
+      draft.official_pages = draft.official_pages || {};
+      draft.official_pages[req.params.key] = url;
+    });
+    res.json({ ok: true, key: req.params.key, url, ...versionInfo(kb) });
+  });
+
+  router.delete("/official-pages/:key", (req, res) => {
+    if (!(req.params.key in (getKB().official_pages || {}))) {
+      throw httpError(404, `Official page not found: ${req.params.key}`);
+    }
+
+    const kb = commit((draft) => {
+      delete draft.official_pages[req.params.key];
+    });
+    res.json({ ok: true, deleted: req.params.key, ...versionInfo(kb) });
+  });
+
+  router.use(adminErrorHandler);
+  return router;
+}
+
+/**
+ * JSON errors for admin routers. KB validation failures keep the old KB
+ * live and report exact paths.
+ */
+function adminErrorHandler(err, req, res, next) {
+  if (err instanceof KBValidationError) {
+    return res.status(422).json({ ok: false, error: err.message, errors: err.errors, warnings: err.warnings });
+  }
+  if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+  return res.status(500).json({ ok: false, error: err.message });
+}
+
+module.exports = {
+  createKBAdminRouter,
+  adminErrorHandler,
+  httpError
+};
@@ -0,0 +1,30 @@
+/**
+ * Admin analytics API over the chat transcripts (server; the Worker serves the
+ * same statsResponse from worker.js)
+ * - GET /stats?from=YYYY-MM-DD&to=YYYY-MM-DD[&limit=10] -> JSON report
+ * - GET /stats?format=csv -> one row per chat, as a download
+ */
+
+const express = require("express");
+const { adminErrorHandler } = require("./admin-kb");
+const { statsResponse } = require("./stats");
+
+function createStatsRouter({ storage, timeZone }) {
+  const router = express.Router();
+
+  router.get("/stats", async (req, res) => {
+    const { status, body, contentType, filename } = await statsResponse(storage, req.query, { timeZone });
+    if (!contentType) return res.status(status).json(body);
+
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(status).send(body);
+  });
+
+  router.use(adminErrorHandler);
+  return router;
+}
+
+module.exports = {
+  createStatsRouter
+};
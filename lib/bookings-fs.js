@@ -0,0 +1,15 @@
+/**
+ * Booked-client registry persisted to one JSON file for server.js
+ * (logs/bookings.json by default; see lib/bookings.js for the store)
+ */
+
+const { createBookingStore } = require("./bookings");
+const { createJsonFileKV } = require("./storage-fs");
+
+function createFileBookingStore(filePath) {
+  return createBookingStore(createJsonFileKV(filePath));
+}
+
+module.exports = {
+  createFileBookingStore
+};
@@ -0,0 +1,177 @@
+/**
+ * Booked-client registry for Motiontography Bot
+ * - Square webhook events (lib/square.js) link a customer to their phone, email
+ *   and Instagram handle, and record their bookings and payments
+ * - A chat whose channel-verified identity (the SMS sender's number) is one of those
+ *   identities is "booked" once a payment has completed and a booking is still active
+ *   (business.studio.address_sharing_rule: booked AND paid the retainer or in full)
+ *
+ * Works over any KV-like store with async get(key) / put(key, value) / delete(key): a
+ * Cloudflare KV binding, createMemoryKV() from lib/storage.js, or the JSON file
+ * store in lib/storage-fs.js (lib/bookings-fs.js).
+ */
+
+const ACTIVE_BOOKING_STATUSES = ["PENDING", "ACCEPTED"];
+const PAID_PAYMENT_STATUSES = ["COMPLETED"];
+
+// -------------------- Identities --------------------
+/**
+ * Identity keys for a phone, email or Instagram handle ("phone:7575551234",
+ * "email:jane@example.com", "ig:jane.doe"). Phones keep their last 10 digits.
+ */
+function phoneKey(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? `phone:${digits.slice(-10)}` : null;
+}
+
+function emailKey(email) {
+  const s = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? `email:${s}` : null;
+}
+
+function instagramKey(handle) {
+  const s = String(handle || "").trim().toLowerCase().replace(/^@/, "").replace(/^https?:\/\/(www\.)?instagram\.com\//, "").replace(/\/.*$/, "");
+  return /^[a-z0-9._]{1,30}$/.test(s) ? `ig:${s}` : null;
+}
+
+/**
+ * Identity keys from a chat request's client object
+ * ({ phone, email, instagram | ig_handle | ig })
+ */
+function clientIdentities(client = {}) {
+  if (!client || typeof client !== "object") return [];
+  const keys = [
+    phoneKey(client.phone),
+    emailKey(client.email),
+    instagramKey(client.instagram || client.ig_handle || client.ig)
+  ];
+  return [...new Set(keys.filter(Boolean))];
+}
+
+// -------------------- Store --------------------
+function emptyCustomer(customerId) {
+  return { customer_id: customerId, identities: [], bookings: {}, payments: {}, updated_at: null };
+}
+
+/**
+ * Booked = at least one completed payment and, if we know of any bookings,
+ * at least one that isn't cancelled
+ */
+function isCustomerBooked(customer) {
+  if (!customer) return false;
+  const paid = Object.values(customer.payments).some((p) => PAID_PAYMENT_STATUSES.includes(p.status));
+  const bookings = Object.values(customer.bookings);
+  const active = bookings.length === 0 || bookings.some((b) => ACTIVE_BOOKING_STATUSES.includes(b.status));
+  return paid && active;
+}
+
+function createBookingStore(kv) {
+  async function readJson(key) {
+    const value = await kv.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function getCustomer(customerId) {
+    return readJson(`customer/${customerId}`);
+  }
+
+  async function saveCustomer(customer) {
+    customer.updated_at = new Date().toISOString();
+    await kv.put(`customer/${customer.customer_id}`, JSON.stringify(customer));
+    for (const identity of customer.identities) {
+      await kv.put(`identity/${identity}`, customer.customer_id);
+    }
+  }
+
+  /**
+   * Apply one normalized event from parseSquareEvent (lib/square.js).
+   * Without a Square customer id the event joins the customer already linked to
+   * its identities (e.g. a payment with only buyer_email_address), else one keyed
+   * by the identity. Records that turn out to share an identity are merged into
+   * this one and deleted.
+   * Returns the updated customer record, or null if the event carries nothing to link.
+   */
+  async function applyEvent(event) {
+    const identities = event.identities || [];
+    let customerId = event.customer_id;
+    if (!customerId) {
+      for (const identity of identities) {
+        customerId = customerId || (await kv.get(`identity/${identity}`));
+      }
+      customerId = customerId || identities[0];
+    }
+    if (!customerId) return null;
+
+    const customer = (await getCustomer(customerId)) || emptyCustomer(customerId);
+    const merged = [];
+    for (const identity of identities) {
+      const linkedId = await kv.get(`identity/${identity}`);
+      const linked = linkedId && linkedId !== customerId ? await getCustomer(linkedId) : null;
+      if (linked) {
+        customer.identities.push(...linked.identities);
+        Object.assign(customer.bookings, linked.bookings);
+        Object.assign(customer.payments, linked.payments);
+        merged.push(linkedId);
+      }
+    }
+    customer.identities = [...new Set([...customer.identities, ...identities])];
+    if (event.booking) {
+      customer.bookings[event.booking.id] = { status: event.booking.status, start_at: event.booking.start_at || null };
+    }
+    if (event.payment) {
+      customer.payments[event.payment.id] = { status: event.payment.status, amount_usd: event.payment.amount_usd };
+    }
+    await saveCustomer(customer);
+    // The merged records' identities now point here, so nothing (forget included) would find them
+    for (const id of merged) await kv.delete(`customer/${id}`);
+    return customer;
+  }
+
+  /**
+   * Customer records linked to any of these identity keys
+   */
+  async function findByIdentities(identities = []) {
+    const ids = new Set();
+    for (const identity of identities) {
+      const customerId = await kv.get(`identity/${identity}`);
+      if (customerId) ids.add(customerId);
+    }
+    const customers = [];
+    for (const id of ids) {
+      const customer = await getCustomer(id);
+      if (customer) customers.push(customer);
+    }
+    return customers;
+  }
+
+  async function isBooked(identities = []) {
+    if (identities.length === 0) return false;
+    return (await findByIdentities(identities)).some(isCustomerBooked);
+  }
+
+  /**
+   * Delete the customers linked to any of these identity keys, with all their
+   * identity links (a client's request to be forgotten). Returns how many.
+   */
+  async function forget(identities = []) {
+    const customers = await findByIdentities(identities);
+    for (const customer of customers) {
+      for (const identity of customer.identities) await kv.delete(`identity/${identity}`);
+      await kv.delete(`customer/${customer.customer_id}`);
+    }
+    return customers.length;
+  }
+
+  return { applyEvent, getCustomer, findByIdentities, isBooked, forget };
+}
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  PAID_PAYMENT_STATUSES,
+  phoneKey,
+  emailKey,
+  instagramKey,
+  clientIdentities,
+  isCustomerBooked,
+  createBookingStore
+};
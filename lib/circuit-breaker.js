@@ -0,0 +1,67 @@
+/**
+ * Minimal circuit breaker for the LLM provider
+ * - closed: calls go through; failureThreshold consecutive failures -> open
+ * - open: calls are refused until cooldownMs has passed -> half_open
+ * - half_open: one trial call; success closes, failure re-opens
+ *
+ * State is per process (server) or per isolate (Worker).
+ */
+
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 60 * 1000, now = () => Date.now() } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  /**
+   * Whether a call may be attempted now (claims the half-open trial slot)
+   */
+  function allowRequest() {
+    if (state === "open" && now() - openedAt >= cooldownMs) {
+      state = "half_open";
+      trialInFlight = false;
+    }
+    if (state === "closed") return true;
+    if (state === "half_open" && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    state = "closed";
+    failures = 0;
+    trialInFlight = false;
+  }
+
+  function recordFailure() {
+    failures++;
+    trialInFlight = false;
+    if (state === "half_open" || failures >= failureThreshold) {
+      state = "open";
+      openedAt = now();
+    }
+  }
+
+  function status() {
+    // Report the cooldown transition without claiming the trial slot
+    const current = state === "open" && now() - openedAt >= cooldownMs ? "half_open" : state;
+    return {
+      state: current,
+      consecutive_failures: failures,
+      retry_at: current === "open" ? new Date(openedAt + cooldownMs).toISOString() : null
+    };
+  }
+
+  return {
+    allowRequest,
+    recordSuccess,
+    recordFailure,
+    status
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
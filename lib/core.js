@@ -0,0 +1,708 @@
+/**
+ * Runtime-agnostic chat engine for Motiontography Bot
+ * - One chat turn: pending "did you mean" pick -> quote -> guided package recommendation
+ *   -> LLM (output verified against the KB) -> heuristic fallback, asking a clarifying
+ *   question when intents tie
+ * - Reply formatting (approved answer + pending followups + Square link) and guardrails
+ * - Streamed turns: status events and guarded reply deltas (lib/stream.js)
+ * - Human handoff: flags the session for Roger and stays quiet while he has it (lib/handoff.js)
+ * - Lead capture: what the client volunteers, within the KB's allowlist (lib/leads.js)
+ * - Prompt-injection attempts get a canned reply without routing and are kept out of the history (lib/abuse.js)
+ * - Request parsing and response bodies for /api/chat, /api/quote, /api/health and
+ *   marking a session booked
+ *
+ * No fs/path/process: server.js (Express) and worker.js (Cloudflare) are thin
+ * adapters that load the KB, hold the session store and pick a log storage adapter.
+ */
+
+const { llmRouteAndAnswer, promptTokenEstimates } = require("./openai");
+const { CircuitOpenError, BudgetExceededError } = require("./llm");
+const { historyMessages } = require("./sessions");
+const { extractSlots, pendingFollowups } = require("./slots");
+const { isRecommenderIntent, missingSlots, recommendPackage, guidedRecommendation } = require("./recommender");
+const { buildQuote, formatQuoteReply, isQuoteRequest, extractQuoteInput } = require("./quote");
+const { MIN_MATCH_SCORE, intentIdOf, findIntentById, findBestIntent, findBestIntentWithHistory, rankIntents } = require("./matcher");
+const { closeCandidates, buildClarification, resolveChoice } = require("./disambiguation");
+const { guardResponse, unlockedValues } = require("./guardrails");
+const { verifyModelOutput, resolveEvidencePath } = require("./verifier");
+const { clientIdentities } = require("./bookings");
+const { createReplyStream } = require("./stream");
+const { privacyConfigFromEnv, redactRecord } = require("./privacy");
+const { PROMPT_INJECTION_PLACEHOLDER, isPromptInjection, promptInjectionReply } = require("./abuse");
+const { ESCALATION_NOTE, isHumanRequest, handoffReply, isTakenOver, publicHandoff } = require("./handoff");
+
+// -------------------- Routes & replies --------------------
+function normalizeUrl(url) {
+  return String(url || "").replace(/([^:]\/)\/+/g, "$1");
+}
+
+function resolveRouteUrl(route, kb) {
+  if (!route || typeof route !== "object") return null;
+
+  if (route.type === "url" && route.url) return route.url;
+
+  if (route.type === "square_package" && route.package_id) {
+    const entry = kb.square_booking_links?.[route.package_id];
+    if (!entry) return null;
+
+    if (typeof entry === "string") return entry;
+
+    const mode = route.mode || "studio";
+    if (entry[mode]) return entry[mode];
+
+    const first = Object.values(entry).find((v) => typeof v === "string");
+    return first || null;
+  }
+
+  return null;
+}
+
+function packageRouteUrl(quote, kb) {
+  return resolveRouteUrl({ type: "square_package", package_id: quote.package_id, mode: quote.mode || undefined }, kb);
+}
+
+function buildEscalationReply(kb) {
+  const phone = kb.business?.primary_phone || "+1-757-759-8454";
+  const site = kb.business?.website || "https://motiontography.com";
+  const contactUrl = normalizeUrl(`${site}/contact.html`);
+  return `I don't want to guess and give you the wrong info. Please contact Roger directly at ${phone} (call/text), or use the contact page: ${contactUrl}`;
+}
+
+/**
+ * business.studio.post_booking_info as reply text for a booked client, or null
+ * if this intent doesn't get it
+ */
+function postBookingDetails(kb, intentId) {
+  const info = kb.business?.studio?.post_booking_info;
+  if (!info || !intentId || !(info.intent_ids || []).includes(intentId)) return null;
+
+  const lines = (info.items || [])
+    .map((item) => ({ label: item.label, value: resolveEvidencePath(kb, item.kb_path) }))
+    .filter((item) => typeof item.value === "string" && item.value)
+    .map((item) => `- ${item.label}: ${item.value}`);
+  if (lines.length === 0) return null;
+  return [info.intro, ...lines].filter(Boolean).join("\n");
+}
+
+function formatIntentAnswer(intent, kb, slots = {}) {
+  const answer = intent.answer;
+  const followups = pendingFollowups(intent.followups || [], slots);
+
+  // Let an earlier "studio" / "on-location" answer pick the matching Square link
+  let route = intent.route;
+  if (route?.type === "square_package" && !route.mode && slots.studio_or_location) {
+    route = { ...route, mode: slots.studio_or_location };
+  }
+  const routeUrl = resolveRouteUrl(route, kb);
+
+  let reply = "";
+  if (Array.isArray(answer)) reply = answer.filter(Boolean).join("\n\n");
+  else reply = String(answer || "").trim();
+
+  return {
+    reply,
+    followups,
+    route_url: routeUrl,
+  };
+}
+
+// -------------------- Deterministic answers --------------------
+/**
+ * Deterministic package recommendation for the recommender intents
+ * (package_confused_router, availability_check). Applies when the message asks
+ * for help picking, or answers the questions we asked on the previous turn.
+ */
+function tryGuidedRecommendation(message, kb, session, slots) {
+  const direct = findBestIntent(message, kb);
+  const directId = direct.intent ? intentIdOf(direct.intent) : null;
+  const continuing = isRecommenderIntent(session?.last_intent_id) && Object.keys(extractSlots(message)).length > 0;
+  if (!continuing && !isRecommenderIntent(directId)) return null;
+
+  const intentId = continuing ? session.last_intent_id : directId;
+  const intent = findIntentById(kb, intentId);
+  if (!intent) return null;
+
+  const result = guidedRecommendation({ intent, slots, continuing, kb, resolveRouteUrl });
+  return result ? { ...result, intent_id: intentId, score: direct.score } : null;
+}
+
+/**
+ * Itemized quote when the client asks "how much would it be for ...".
+ * Package: named in the message, else the last one recommended/quoted in this
+ * session, else the recommender's pick. Without one we ask which package and keep
+ * what the client gave us (people, rush, city...) as pending_quote; the next
+ * message naming a package, or completing the router answers, finishes the quote.
+ * Returns null when this isn't a quote turn, or the quote can't be built for the
+ * package (the normal reply follows).
+ */
+function tryQuote(message, kb, session, slots) {
+  const pending = session?.pending_quote || null;
+  const asked = isQuoteRequest(message, kb);
+  if (!asked && !pending) return null;
+
+  const input = { ...pending, ...extractQuoteInput(message, kb), edit_level: slots.edit_level };
+  if (slots.studio_or_location) input.mode = slots.studio_or_location;
+  // The last package may have been renamed or removed since (an admin KB edit)
+  if (!input.package_id && asked && (kb.packages || []).some((p) => p.id === session?.last_package_id)) {
+    input.package_id = session.last_package_id;
+  }
+  // Naming a city for the shoot implies on-location
+  const quoteSlots = input.city && !slots.studio_or_location ? { ...slots, studio_or_location: "on_location" } : slots;
+  if (!input.package_id && missingSlots(quoteSlots).length === 0) {
+    input.package_id = recommendPackage(quoteSlots, kb)?.package_id || null;
+  }
+
+  if (!input.package_id) {
+    // Still waiting for the package: the recommender questions carry on
+    if (!asked) return null;
+    const router = findIntentById(kb, "package_confused_router");
+    const { package_id, edit_level, ...details } = input;
+    return {
+      intent_id: router ? "package_confused_router" : null,
+      reply: "Happy to put together a quote! Which package are you looking at? If you're not sure, answer these quick questions and I'll recommend one.",
+      followups: pendingFollowups(router?.followups || [], quoteSlots),
+      route_url: null,
+      quote: null,
+      pending_quote: details
+    };
+  }
+
+  let quote;
+  try {
+    quote = buildQuote(input, kb);
+  } catch (err) {
+    console.warn("[Quote]", err.message);
+    return null;
+  }
+  const routeUrl = packageRouteUrl(quote, kb);
+  return {
+    intent_id: null,
+    reply: formatQuoteReply(quote, routeUrl),
+    followups: [],
+    route_url: routeUrl,
+    quote,
+    pending_quote: null
+  };
+}
+
+// -------------------- Clarifying questions --------------------
+/**
+ * Answer for the option the client picked from our last "did you mean" question
+ */
+function tryPendingChoice(message, kb, session, slots) {
+  const intentId = resolveChoice(message, session?.pending_choices);
+  const intent = findIntentById(kb, intentId);
+  if (!intent) return null;
+  return { intent_id: intentId, ...formatIntentAnswer(intent, kb, slots) };
+}
+
+/**
+ * "Did you mean" reply when the heuristic's top intents are within the margin
+ */
+function clarifyHeuristic(message, kb, config) {
+  const ranked = rankIntents(message, kb, { limit: (config.maxOptions || 3) + 1 })
+    .filter((r) => r.score >= MIN_MATCH_SCORE);
+  const close = closeCandidates(ranked, config);
+  const clarification = close && buildClarification(close, kb);
+  return clarification ? { ...clarification, candidates: close.map(({ intent_id, score }) => ({ intent_id, score })) } : null;
+}
+
+/**
+ * Same for the LLM: its pick plus any alternatives it rated within the margin
+ */
+function clarifyLLM(aiResult, kb, config) {
+  if (!aiResult.intent_id || aiResult.escalated) return null;
+  const ranked = [
+    { intent_id: aiResult.intent_id, score: aiResult.confidence },
+    ...(aiResult.alternatives || []).map((a) => ({ intent_id: a.intent_id, score: a.confidence }))
+  ]
+    .filter((c) => findIntentById(kb, c.intent_id))
+    .sort((a, b) => b.score - a.score);
+  const close = closeCandidates(ranked, config);
+  const clarification = close && buildClarification(close, kb);
+  return clarification ? { ...clarification, candidates: close } : null;
+}
+
+/**
+ * Replacement for an LLM reply that failed verification: the matched intent's
+ * canned answer if it has one, else the escalation reply.
+ * Returns { action: "canned" | "escalated", intent_id, response }.
+ */
+function verifiedFallback(aiResult, kb, slots) {
+  const intent = findIntentById(kb, aiResult.intent_id);
+  const canned = intent && formatIntentAnswer(intent, kb, slots);
+  if (canned?.reply) return { action: "canned", intent_id: intentIdOf(intent), response: canned };
+  return {
+    action: "escalated",
+    intent_id: null,
+    response: { reply: buildEscalationReply(kb), followups: [], route_url: null }
+  };
+}
+
+async function isClientBooked(bookings, client) {
+  try {
+    return await bookings.isBooked(clientIdentities(client));
+  } catch (err) {
+    // A store outage must not break the chat; the client just stays locked
+    console.error("[Bookings Error]", err.message);
+    return false;
+  }
+}
+
+// -------------------- Chat turn --------------------
+// Session ids of the SMS and Instagram channels ("sms:+17575550142", "ig:<sender id>")
+const CHANNEL_SESSION_PREFIXES = ["sms:", "ig:"];
+// Session ids are map keys and log fields, not payloads (a UUID is 36 characters)
+const MAX_SESSION_ID_LENGTH = 128;
+
+/**
+ * Validate a /api/chat body. Returns { error } or { message, session_id, client }.
+ * body.client is whatever the caller claims, so it is never used to unlock booked-only
+ * values; session ids of the verified channels are refused so a web chat can't join one.
+ */
+function parseChatRequest(body) {
+  const message = body?.message;
+  if (!message || typeof message !== "string") {
+    return { error: "message (string) is required" };
+  }
+  if (body.session_id != null && (typeof body.session_id !== "string" || body.session_id.length > MAX_SESSION_ID_LENGTH)) {
+    return { error: `session_id must be a string of at most ${MAX_SESSION_ID_LENGTH} characters` };
+  }
+  if (typeof body.session_id === "string" && CHANNEL_SESSION_PREFIXES.some((p) => body.session_id.startsWith(p))) {
+    return { error: `session_id must not start with ${CHANNEL_SESSION_PREFIXES.join(" or ")}` };
+  }
+  return {
+    message,
+    session_id: body.session_id || crypto.randomUUID(),
+    client: body.client || {}
+  };
+}
+
+/**
+ * Run one chat turn and record it in the session store.
+ * disambiguation: { margin, maxScore, maxOptions } from disambiguationConfigFromEnv (margin 0 = never ask).
+ * prompt: { mode, topK } from promptConfigFromEnv (default: whole KB in the prompt).
+ * bookings: booked-client store (lib/bookings.js). verified_client: the identity a
+ * channel has verified ({ phone } from a Twilio-signed SMS); if it matches a paid
+ * booking, protected values are unlocked and post-booking details added. `client`
+ * is only recorded: the web chat's is unverified, and Instagram's sender id isn't
+ * an identity Square knows.
+ * onEvent(event, data): streams status, delta and reset events (lib/stream.js)
+ * while the turn runs; the LLM request is streamed too.
+ * channel: where the message came from ("web", "sms", "instagram"), recorded in the transcript.
+ * handoff: createHandoffDesk (lib/handoff.js). With it, a client who asks for a
+ * person or gets escalated is flagged for Roger (who is notified), a session
+ * he has taken over gets no bot reply (reply is ""), and the exchanges of an open
+ * handoff are added to it for Roger to read.
+ * waitUntil(promise): keeps background work (Roger's notification, the lead
+ * webhook) alive after the reply, e.g. the Worker's ctx.waitUntil; the turn never
+ * waits for it.
+ * leads: createLeadCapture (lib/leads.js); records the allowed lead fields in the
+ * message (the transcript notes field names only).
+ * Returns { body, transcript, faqCandidate }: the adapter sends body and
+ * persists the transcript / FAQ candidate (null if none) however its runtime can.
+ */
+async function runChatTurn({ kb, sessions, llm, message, session_id, client = {}, verified_client = null, disambiguation = {}, prompt = {}, bookings = null, onEvent = null, channel = "web", handoff = null, leads = null, waitUntil = null }) {
+  const startedAt = new Date().toISOString();
+
+  let response;
+  let matched_intent_id = null;
+  let match_score = 0;
+  let used_openai = false;
+  let openai_error = null;
+  let llm_skipped = null; // "circuit_open" while the provider is failing, "budget_exceeded" past the daily cap
+  let llm_prompt = null; // { mode, tokens_est, sections, intent_ids } of the LLM request
+  let verification = null; // { action, violations } when the LLM output broke KB checks
+  let escalated = false;
+  let kb_evidence = [];
+  let links_shared = [];
+  let packages_recommended = [];
+  let quote = null;
+  let clarification = null; // { choices, candidates } while we ask "did you mean"
+  let faqCandidate = null; // { reason, ...details } when the question should be reviewed
+
+  const session = sessions.get(session_id);
+  const slots = { ...(session?.slots || {}), ...extractSlots(message) };
+  // Unlocks protected values (the studio address) for clients who booked and paid:
+  // marked by an admin, or a channel-verified identity matched to a paid Square booking
+  const booked = Boolean(session?.booked) || (bookings && verified_client ? await isClientBooked(bookings, verified_client) : false);
+  const guardrailState = { booked };
+
+  const emit = onEvent || (() => {});
+  const replyStream = onEvent ? createReplyStream(kb, guardrailState, onEvent) : null;
+  // Roger is answering this conversation himself; a request for him needs no routing.
+  // Open handoffs live in the desk's store, so they outlast the session.
+  const openHandoff = handoff?.enabled ? await handoff.current(session_id) : null;
+  const takenOver = isTakenOver(openHandoff);
+  const wantsHuman = Boolean(handoff?.enabled) && !takenOver && isHumanRequest(message);
+  // "Ignore previous instructions", "print the KB": never sent to the LLM
+  const prompt_injection = !takenOver && !wantsHuman && isPromptInjection(message);
+  if (takenOver) {
+    emit("status", { stage: "handoff", status: openHandoff.status });
+    response = { reply: "", followups: [], route_url: null };
+  } else if (wantsHuman) {
+    emit("status", { stage: "handoff", status: openHandoff?.status || "requested" });
+    response = { reply: handoffReply(kb, Boolean(openHandoff)), followups: [], route_url: null };
+  } else if (prompt_injection) {
+    console.warn("[Abuse] prompt injection attempt in session", session_id);
+    emit("status", { stage: "blocked", reason: "prompt_injection" });
+    response = { reply: promptInjectionReply(kb), followups: [], route_url: null };
+  } else {
+    emit("status", { stage: "routing" });
+  }
+
+  // A pick from our last "did you mean" question goes straight to that answer
+  const picked = !response && tryPendingChoice(message, kb, session, slots);
+  if (picked) {
+    matched_intent_id = picked.intent_id;
+    match_score = 1;
+    response = { reply: picked.reply, followups: picked.followups, route_url: picked.route_url };
+    if (picked.route_url) links_shared = [picked.route_url];
+  }
+
+  // Quotes and package recommendations are deterministic: handle them before OpenAI
+  const quoted = !response && tryQuote(message, kb, session, slots);
+  if (quoted) {
+    matched_intent_id = quoted.intent_id;
+    response = { reply: quoted.reply, followups: quoted.followups, route_url: quoted.route_url };
+    if (quoted.quote) {
+      quote = quoted.quote;
+      packages_recommended = [quote.package_id];
+    }
+    if (quoted.route_url) links_shared = [quoted.route_url];
+  }
+
+  const guided = !response && tryGuidedRecommendation(message, kb, session, slots);
+  if (guided) {
+    matched_intent_id = guided.intent_id;
+    match_score = guided.score;
+    response = { reply: guided.reply, followups: guided.followups, route_url: guided.route_url };
+    if (guided.recommendation) packages_recommended = [guided.recommendation.package_id];
+    if (guided.route_url) links_shared = [guided.route_url];
+  }
+
+  // Try the LLM first if configured
+  if (!response && llm?.enabled) {
+    emit("status", { stage: "llm", provider: llm.provider });
+    try {
+      const raw = await llmRouteAndAnswer(message, kb, llm, {
+        history: historyMessages(session),
+        slots,
+        lastIntentId: session?.last_intent_id || null,
+        unlocked: unlockedValues(kb, guardrailState),
+        prompt,
+        onReplyDelta: replyStream ? replyStream.push : null
+      });
+      used_openai = true;
+      llm_prompt = raw.prompt;
+
+      // Never trust the model's ids, links or prices without checking them against the KB
+      const verified = verifyModelOutput(raw, kb);
+      const aiResult = verified.result;
+      matched_intent_id = aiResult.intent_id;
+      match_score = aiResult.confidence;
+      escalated = aiResult.escalated;
+      kb_evidence = aiResult.kb_evidence || [];
+      links_shared = aiResult.links_shared || [];
+
+      response = {
+        reply: aiResult.reply,
+        followups: aiResult.followups,
+        route_url: links_shared.length > 0 ? links_shared[0] : null
+      };
+
+      const fallback = verified.fatal ? verifiedFallback(aiResult, kb, slots) : null;
+      if (verified.violations.length > 0) {
+        verification = { action: fallback ? fallback.action : "repaired", violations: verified.violations };
+        console.warn("[Verifier]", verification.action, JSON.stringify(verified.violations));
+
+        if (fallback) {
+          matched_intent_id = fallback.intent_id;
+          escalated = fallback.action === "escalated";
+          kb_evidence = [];
+          links_shared = fallback.response.route_url ? [fallback.response.route_url] : [];
+          response = fallback.response;
+        }
+      }
+
+      clarification = fallback ? null : clarifyLLM(aiResult, kb, disambiguation);
+      if (clarification) {
+        matched_intent_id = null;
+        links_shared = [];
+        response = clarification;
+      }
+
+      if (verification?.action === "escalated") {
+        faqCandidate = {
+          reason: "AI answer failed KB verification",
+          ai_intent_id: raw.intent_id,
+          violations: verification.violations
+        };
+      } else if (escalated) {
+        faqCandidate = {
+          reason: "AI escalated - not in KB",
+          ai_intent_id: matched_intent_id,
+          ai_confidence: match_score
+        };
+      }
+    } catch (err) {
+      if (err instanceof CircuitOpenError) {
+        llm_skipped = "circuit_open";
+      } else if (err instanceof BudgetExceededError) {
+        llm_skipped = "budget_exceeded";
+      } else {
+        console.error("[LLM Error]", err.message);
+        openai_error = err.message;
+      }
+      // Fall through to heuristic fallback
+    }
+  }
+
+  // Fallback to heuristic matching if the LLM wasn't used or failed
+  if (!response) {
+    emit("status", { stage: "fallback", reason: llm_skipped || (openai_error ? "llm_error" : "llm_disabled") });
+    const { intent, score, from_history } = findBestIntentWithHistory(message, kb, session);
+    match_score = score;
+    clarification = intent && !from_history ? clarifyHeuristic(message, kb, disambiguation) : null;
+
+    if (clarification) {
+      response = clarification;
+    } else if (intent) {
+      matched_intent_id = intentIdOf(intent);
+      response = formatIntentAnswer(intent, kb, slots);
+
+      if (!response.reply) {
+        response = { reply: buildEscalationReply(kb), followups: [], route_url: null };
+        escalated = true;
+        faqCandidate = { reason: "Matched intent but empty answer (heuristic)" };
+      }
+    } else {
+      response = { reply: buildEscalationReply(kb), followups: [], route_url: null };
+      escalated = true;
+      faqCandidate = { reason: "No intent match (heuristic fallback)", score };
+    }
+  }
+
+  const details = booked && !clarification ? postBookingDetails(kb, matched_intent_id) : null;
+  if (details) response = { ...response, reply: `${response.reply}\n\n${details}` };
+
+  // Final safety: protected values (KB guardrail rules) in the reply, followups, link and quick replies
+  const guarded = guardResponse(response, kb, guardrailState);
+  const guardrail_violations = guarded.violations;
+  response = guarded.response;
+  if (guarded.blocked) {
+    console.warn("[Guardrails] blocked reply", JSON.stringify(guardrail_violations));
+    response = { ...response, reply: buildEscalationReply(kb), followups: [], route_url: null };
+    escalated = true;
+    links_shared = [];
+    clarification = null;
+  }
+
+  // Hand the conversation to Roger: the client asked, or the bot couldn't answer
+  const handoffReason = !handoff?.enabled || openHandoff ? null
+    : wantsHuman ? "client_asked"
+      : escalated && handoff.onEscalation ? "escalated" : null;
+  if (handoffReason === "escalated") response = { ...response, reply: `${response.reply}\n\n${ESCALATION_NOTE}` };
+  if (replyStream) replyStream.finish(response.reply);
+
+  // Fields follow learning_and_review_workflow.new_faq_queue.required_fields
+  const faqRecord = faqCandidate && {
+    ts: startedAt,
+    session_id,
+    channel,
+    client,
+    question: message,
+    context: historyMessages(session),
+    bot_reply_used: response.reply,
+    recommended_next_answer_draft: null,
+    ...faqCandidate
+  };
+
+  const updated = sessions.recordExchange(session_id, {
+    // The history goes to the LLM on later turns: keep the injection attempt out of it
+    user: prompt_injection ? PROMPT_INJECTION_PLACEHOLDER : message,
+    bot: takenOver ? null : response.reply,
+    intent_id: matched_intent_id,
+    slots,
+    package_id: packages_recommended[0],
+    choices: clarification?.choices,
+    // Kept while the client answers the recommender questions instead of naming a package
+    pending_quote: quoted ? quoted.pending_quote : guided && !guided.recommendation ? session?.pending_quote : null,
+    channel,
+    client
+  });
+
+  let handoffState = openHandoff;
+  if (handoffReason) {
+    handoffState = await handoff.open({ session_id, channel, client, reason: handoffReason, turns: updated.turns });
+    // notify() never throws; a slow notifier must not hold the client's reply
+    const notified = handoff.notify({
+      event: "handoff_requested",
+      ts: startedAt,
+      session_id,
+      channel,
+      client,
+      reason: handoffReason,
+      message,
+      bot_reply: response.reply
+    });
+    if (waitUntil) waitUntil(notified);
+  } else if (openHandoff) {
+    // This exchange: the client's message, and the bot's reply unless Roger has the session
+    handoffState = (await handoff.addTurns(session_id, updated.turns.slice(takenOver ? -1 : -2))) || openHandoff;
+  }
+
+  const lead = leads?.enabled ? await leads.capture({ kb, session_id, channel, message, waitUntil }) : null;
+
+  const transcript = {
+    ts: startedAt,
+    session_id,
+    channel,
+    client,
+    user_message: message,
+    bot_reply: response.reply,
+    bot_followups: response.followups,
+    route_url: response.route_url,
+    matched_intent_id,
+    match_score,
+    used_openai,
+    openai_error,
+    llm_skipped,
+    llm_prompt,
+    prompt_injection,
+    verification,
+    guardrail_violations,
+    booked,
+    escalated,
+    kb_evidence,
+    links_shared,
+    packages_recommended,
+    quote,
+    disambiguation: clarification ? clarification.candidates : null,
+    handoff: handoffState ? { status: handoffState.status, reason: handoffState.reason, operator: handoffState.operator } : null,
+    lead,
+    slots
+  };
+
+  const body = {
+    ok: true,
+    session_id,
+    matched_intent_id,
+    match_score,
+    used_openai,
+    escalated,
+    kb_evidence,
+    packages_recommended,
+    quote,
+    slots,
+    quick_replies: clarification ? response.quick_replies || [] : [],
+    reply: response.reply,
+    followups: response.followups,
+    route_url: response.route_url,
+    handoff: publicHandoff(handoffState)
+  };
+
+  return { body, transcript, faqCandidate: faqRecord || null };
+}
+
+/**
+ * runChatTurn for a streamed response: send(event, data) gets the status, delta
+ * and reset events, then "done" with the body, or "error" if the turn failed.
+ * Returns the runChatTurn result (null after an error) for the adapter to log.
+ */
+async function streamChatTurn(options, send) {
+  try {
+    const result = await runChatTurn({ ...options, onEvent: send });
+    send("done", result.body);
+    return result;
+  } catch (err) {
+    console.error("[Stream Error]", err.message);
+    send("error", { ok: false, error: "Internal server error" });
+    return null;
+  }
+}
+
+/**
+ * Persist a turn's log records through a storage adapter (lib/storage.js),
+ * honoring the KB's learning_and_review_workflow switches. Records are redacted
+ * first (lib/privacy.js; privacy from privacyConfigFromEnv, PII redaction on by default).
+ */
+async function recordChatTurn(storage, kb, { transcript, faqCandidate }, privacy = privacyConfigFromEnv()) {
+  const workflow = kb.learning_and_review_workflow || {};
+  const writes = [];
+
+  if (workflow.log_every_conversation !== false) {
+    writes.push(redactRecord(transcript, kb, privacy).then((record) => storage.append("transcript", record)));
+  }
+  if (faqCandidate && workflow.new_faq_queue?.enabled !== false) {
+    writes.push(redactRecord(faqCandidate, kb, privacy).then((record) => storage.append("faq_candidate", record)));
+  }
+
+  await Promise.all(writes);
+}
+
+// -------------------- Other endpoints --------------------
+/**
+ * POST /api/quote. Returns { status, body }.
+ */
+function quoteResponse(input, kb) {
+  if (!input?.package_id || typeof input.package_id !== "string") {
+    return { status: 400, body: { ok: false, error: "package_id (string) is required" } };
+  }
+
+  try {
+    const quote = buildQuote(input, kb);
+    return { status: 200, body: { ok: true, quote, route_url: packageRouteUrl(quote, kb) } };
+  } catch (err) {
+    return { status: 400, body: { ok: false, error: err.message } };
+  }
+}
+
+/**
+ * POST /api/admin/sessions/:session_id/booked ({ "booked": false } to undo).
+ * Returns { status, body }.
+ */
+function bookedSessionResponse(sessions, sessionId, input = {}) {
+  if (!sessionId) {
+    return { status: 400, body: { ok: false, error: "session_id is required" } };
+  }
+  if (input.booked !== undefined && typeof input.booked !== "boolean") {
+    return { status: 400, body: { ok: false, error: "booked must be a boolean" } };
+  }
+  const session = sessions.setBooked(sessionId, input.booked !== false);
+  return { status: 200, body: { ok: true, session_id: sessionId, booked: session.booked } };
+}
+
+/**
+ * GET /api/health. promptConfig: { mode, topK } from promptConfigFromEnv.
+ */
+function healthInfo(kb, llm, promptConfig = {}) {
+  return {
+    ok: true,
+    kb_version: kb.kb_version,
+    last_updated_local: kb.last_updated_local,
+    openai_model: llm?.model || null,
+    openai_enabled: !!llm?.enabled,
+    llm: llm ? llm.status() : null,
+    prompt: {
+      mode: promptConfig.mode || "full",
+      top_k: promptConfig.mode === "relevant" ? promptConfig.topK : null,
+      ...promptTokenEstimates(kb)
+    }
+  };
+}
+
+module.exports = {
+  resolveRouteUrl,
+  buildEscalationReply,
+  formatIntentAnswer,
+  tryGuidedRecommendation,
+  tryQuote,
+  parseChatRequest,
+  runChatTurn,
+  streamChatTurn,
+  recordChatTurn,
+  quoteResponse,
+  bookedSessionResponse,
+  healthInfo
+};
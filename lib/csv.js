@@ -0,0 +1,28 @@
+/**
+ * CSV export helpers (RFC 4180, CRLF line endings), shared by the transcript and
+ * lead exports. Runtime-agnostic.
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = Array.isArray(value) ? value.join(" ") : String(value);
+  // Client-typed text must not run as a spreadsheet formula
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * A header row of columns, then one row per record (record[column] per cell)
+ */
+function toCsv(columns, records) {
+  const lines = [columns.join(",")];
+  for (const record of records) {
+    lines.push(columns.map((col) => csvCell(record[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  csvCell,
+  toCsv
+};
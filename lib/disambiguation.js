@@ -0,0 +1,116 @@
+/**
+ * "Did you mean…" clarification when the top intents score too close to call
+ * - Picks the candidates within a relative margin of the best score (heuristic or
+ *   LLM), unless the best score is high enough to be a confident match
+ * - Builds the clarifying reply + quick-reply options
+ * - Resolves the client's pick on the next message (option number, label or intent id)
+ *
+ * Runtime-agnostic: used by lib/core.js on both deployments.
+ */
+
+const { intentIdOf, findIntentById } = require("./matcher");
+
+const DEFAULT_MARGIN = 0.05;
+const DEFAULT_MAX_SCORE = 0.8;
+const DEFAULT_MAX_OPTIONS = 3;
+
+function numberEnv(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * DISAMBIGUATION_MARGIN=0 turns clarifying questions off.
+ */
+function disambiguationConfigFromEnv(env = {}) {
+  return {
+    margin: numberEnv(env.DISAMBIGUATION_MARGIN, DEFAULT_MARGIN),
+    maxScore: numberEnv(env.DISAMBIGUATION_MAX_SCORE, DEFAULT_MAX_SCORE),
+    maxOptions: Math.max(2, parseInt(env.DISAMBIGUATION_MAX_OPTIONS, 10) || DEFAULT_MAX_OPTIONS)
+  };
+}
+
+/**
+ * Short client-facing name: the intent's "label" from the KB, else its description
+ * ("maternity_budget_under_400" -> "Maternity budget under 400"; lint-kb warns)
+ */
+function intentLabel(intent) {
+  if (intent.label) return String(intent.label);
+  const text = String(intent.intent || intentIdOf(intent) || "").replace(/_/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Candidates ([{ intent_id, score }], best first) scoring within margin (a fraction
+ * of the best score) of the best one, or null when the best is a clear winner:
+ * far enough ahead, or at maxScore and above. Scores share one scale (0..1).
+ */
+function closeCandidates(ranked, config = {}) {
+  const margin = config.margin ?? DEFAULT_MARGIN;
+  const maxScore = config.maxScore ?? DEFAULT_MAX_SCORE;
+  const maxOptions = config.maxOptions || DEFAULT_MAX_OPTIONS;
+  if (!(margin > 0) || ranked.length < 2) return null;
+
+  const [best] = ranked;
+  if (maxScore > 0 && best.score >= maxScore) return null;
+
+  const close = [];
+  const seen = new Set();
+  for (const candidate of ranked) {
+    if (best.score - candidate.score > margin * best.score || seen.has(candidate.intent_id)) continue;
+    seen.add(candidate.intent_id);
+    close.push(candidate);
+  }
+  return close.length >= 2 ? close.slice(0, maxOptions) : null;
+}
+
+/**
+ * Clarifying reply for candidates that exist in the KB, or null if fewer than two do
+ */
+function buildClarification(candidates, kb) {
+  const choices = candidates
+    .map((c) => findIntentById(kb, c.intent_id))
+    .filter(Boolean)
+    .map((intent) => ({ intent_id: intentIdOf(intent), label: intentLabel(intent) }));
+  if (choices.length < 2) return null;
+
+  const lines = choices.map((c, i) => `${i + 1}) ${c.label}`);
+  return {
+    reply: `Just to make sure I send the right info, did you mean:\n${lines.join("\n")}`,
+    followups: [],
+    route_url: null,
+    quick_replies: choices.map((c) => ({ label: c.label, value: c.label })),
+    choices
+  };
+}
+
+function normalizeChoice(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * The intent id the client picked from pending choices, or null if the message
+ * isn't a pick ("2", "#2", "option 2", the label, or the intent id)
+ */
+function resolveChoice(message, choices) {
+  if (!Array.isArray(choices) || choices.length === 0) return null;
+  const text = normalizeChoice(message);
+
+  const numbered = text.match(/^(?:option |number )?(\d)$/);
+  if (numbered) return choices[parseInt(numbered[1], 10) - 1]?.intent_id || null;
+
+  const picked = choices.find((c) => normalizeChoice(c.label) === text || normalizeChoice(c.intent_id) === text);
+  return picked ? picked.intent_id : null;
+}
+
+module.exports = {
+  disambiguationConfigFromEnv,
+  intentLabel,
+  closeCandidates,
+  buildClarification,
+  resolveChoice
+};
@@ -0,0 +1,195 @@
+/**
+ * Offline routing evaluation for Motiontography Bot (used by scripts/eval.js)
+ * - Replays labeled cases through runChatTurn (heuristic or a recorded LLM)
+ * - Answers "did you mean" questions the way a client would (picks the expected option)
+ * - Scores intent accuracy, per-intent precision/recall, escalation and forbidden content
+ * - Compares a run against a saved baseline so KB edits can't silently regress routing
+ */
+
+const { runChatTurn } = require("./core");
+const { createSessionStore } = require("./sessions");
+
+const NO_INTENT = "(none)";
+
+/**
+ * Key for a recorded LLM response: every user message in the request, in order
+ */
+function recordingKey(input) {
+  return input
+    .filter((m) => m.role === "user")
+    .map((m) => String(m.content))
+    .join("\n");
+}
+
+function compileForbidden(patterns) {
+  return (patterns || []).map((p) => new RegExp(p, "i"));
+}
+
+/**
+ * Replay each case in a fresh session (history messages first) and collect the outcome.
+ * When the bot asks "did you mean" and offers the expected intent, the pick is sent
+ * back and the case is scored on the answer to it (counted in clarified).
+ * A case with expected_clarify: false fails if the bot asks at all.
+ * llm: client from lib/llm.js, or null for the heuristic path
+ */
+async function runEvalCases({ kb, cases, llm = null, forbiddenEverywhere = [], disambiguation = {} }) {
+  const sessions = createSessionStore();
+  const globalForbidden = compileForbidden(forbiddenEverywhere);
+  const results = [];
+
+  for (const c of cases) {
+    const session_id = `eval-${c.id}`;
+    const replies = [];
+
+    const turn = async (message) => {
+      const result = await runChatTurn({ kb, sessions, llm, message, session_id, disambiguation });
+      replies.push(result.body.reply);
+      return result;
+    };
+
+    for (const message of c.history || []) await turn(message);
+    let { body, transcript } = await turn(c.message);
+
+    const options = (transcript.disambiguation || []).map((d) => d.intent_id);
+    const pick = options.indexOf(c.expected_intent_id);
+    const clarified = options.length > 0;
+    if (pick >= 0) ({ body, transcript } = await turn(String(pick + 1)));
+
+    const expectedEscalated = c.expected_escalated ?? c.expected_intent_id == null;
+    const forbidden = [...globalForbidden, ...compileForbidden(c.forbidden)];
+    const violations = forbidden.filter((r) => replies.some((reply) => r.test(reply))).map((r) => r.source);
+
+    const intentOk = (body.matched_intent_id || null) === (c.expected_intent_id || null);
+    const escalationOk = Boolean(body.escalated) === expectedEscalated;
+    const clarifyOk = c.expected_clarify === undefined || clarified === c.expected_clarify;
+
+    results.push({
+      id: c.id,
+      message: c.message,
+      expected_intent_id: c.expected_intent_id || null,
+      actual_intent_id: body.matched_intent_id || null,
+      expected_escalated: expectedEscalated,
+      escalated: Boolean(body.escalated),
+      clarified_with: clarified ? options : null,
+      used_openai: body.used_openai,
+      openai_error: transcript.openai_error,
+      forbidden_violations: violations,
+      intent_ok: intentOk,
+      escalation_ok: escalationOk,
+      clarify_ok: clarifyOk,
+      passed: intentOk && escalationOk && clarifyOk && violations.length === 0
+    });
+  }
+
+  return results;
+}
+
+function ratio(num, den) {
+  return den > 0 ? Math.round((num / den) * 1000) / 1000 : null;
+}
+
+/**
+ * Accuracy, per-intent precision/recall/F1 and a sparse confusion matrix
+ * (confusion[expected][actual] = count; NO_INTENT stands for "escalate")
+ */
+function computeEvalMetrics(results) {
+  const confusion = {};
+  const perIntent = {};
+  const bump = (id) => (perIntent[id] ||= { tp: 0, fp: 0, fn: 0, support: 0 });
+
+  for (const r of results) {
+    const expected = r.expected_intent_id || NO_INTENT;
+    const actual = r.actual_intent_id || NO_INTENT;
+    confusion[expected] ||= {};
+    confusion[expected][actual] = (confusion[expected][actual] || 0) + 1;
+
+    bump(expected).support++;
+    if (expected === actual) {
+      bump(expected).tp++;
+    } else {
+      bump(expected).fn++;
+      bump(actual).fp++;
+    }
+  }
+
+  const per_intent = Object.keys(perIntent).sort().map((intent_id) => {
+    const { tp, fp, fn, support } = perIntent[intent_id];
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    const f1 = precision != null && recall != null && precision + recall > 0
+      ? ratio(2 * precision * recall, precision + recall)
+      : null;
+    return { intent_id, support, tp, fp, fn, precision, recall, f1 };
+  });
+
+  const confusions = [];
+  for (const [expected, row] of Object.entries(confusion)) {
+    for (const [actual, count] of Object.entries(row)) {
+      if (expected !== actual) confusions.push({ expected, actual, count });
+    }
+  }
+  confusions.sort((a, b) => b.count - a.count || a.expected.localeCompare(b.expected));
+
+  const total = results.length;
+  return {
+    total,
+    passed: results.filter((r) => r.passed).length,
+    accuracy: ratio(results.filter((r) => r.intent_ok).length, total),
+    escalation_accuracy: ratio(results.filter((r) => r.escalation_ok).length, total),
+    clarified: results.filter((r) => r.clarified_with).map((r) => r.id),
+    unexpected_clarifications: results.filter((r) => !r.clarify_ok).map((r) => r.id),
+    forbidden_violations: results.filter((r) => r.forbidden_violations.length > 0).map((r) => r.id),
+    per_intent,
+    confusions,
+    confusion
+  };
+}
+
+/**
+ * Regressions against a baseline entry ({ accuracy, escalation_accuracy, passing: [ids] }).
+ * Forbidden content and "did you mean" on an expected_clarify: false case always
+ * fail, baseline or not.
+ */
+function compareToBaseline(metrics, results, baseline) {
+  const failures = [];
+
+  if (metrics.forbidden_violations.length > 0) {
+    failures.push(`forbidden content in replies: ${metrics.forbidden_violations.join(", ")}`);
+  }
+  if (metrics.unexpected_clarifications.length > 0) {
+    failures.push(`asked "did you mean" on clear questions: ${metrics.unexpected_clarifications.join(", ")}`);
+  }
+  if (!baseline) return { failures, newly_failing: [], newly_passing: [] };
+
+  if (metrics.accuracy < baseline.accuracy) {
+    failures.push(`intent accuracy ${metrics.accuracy} < baseline ${baseline.accuracy}`);
+  }
+  if (metrics.escalation_accuracy < baseline.escalation_accuracy) {
+    failures.push(`escalation accuracy ${metrics.escalation_accuracy} < baseline ${baseline.escalation_accuracy}`);
+  }
+
+  const wasPassing = new Set(baseline.passing || []);
+  return {
+    failures,
+    newly_failing: results.filter((r) => !r.passed && wasPassing.has(r.id)).map((r) => r.id),
+    newly_passing: results.filter((r) => r.passed && !wasPassing.has(r.id)).map((r) => r.id)
+  };
+}
+
+function baselineEntry(metrics, results) {
+  return {
+    total: metrics.total,
+    accuracy: metrics.accuracy,
+    escalation_accuracy: metrics.escalation_accuracy,
+    passing: results.filter((r) => r.passed).map((r) => r.id)
+  };
+}
+
+module.exports = {
+  NO_INTENT,
+  recordingKey,
+  runEvalCases,
+  computeEvalMetrics,
+  compareToBaseline,
+  baselineEntry
+};
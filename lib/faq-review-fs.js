@@ -0,0 +1,24 @@
+/**
+ * FAQ review decisions on disk for server.js (logs/faq_review.json), kept
+ * apart from the append-only candidate logs
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./kb-store");
+
+function loadReviewState(statePath) {
+  if (!fs.existsSync(statePath)) return { candidates: {} };
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  return { candidates: {}, ...state };
+}
+
+function saveReviewState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  writeFileAtomic(statePath, JSON.stringify(state, null, 2) + "\n");
+}
+
+module.exports = {
+  loadReviewState,
+  saveReviewState
+};
@@ -0,0 +1,145 @@
+/**
+ * NEW_FAQ_CANDIDATES review queue for Motiontography Bot (shared by server.js and worker.js)
+ * - Reads the faq_candidate records back from a log storage adapter (lib/storage.js)
+ * - Dedupes identical questions and clusters similar ones across days
+ * - Review decisions (resolved / ignored / promoted + drafts) are kept apart from
+ *   the logs so they stay append-only: in logs/faq_review.json on the server
+ *   (lib/faq-review-fs.js); the Worker has none, so every candidate is open there
+ */
+
+const { dayOf } = require("./storage");
+
+const REVIEW_STATUSES = ["open", "resolved", "ignored", "promoted"];
+const CLUSTER_SIMILARITY = 0.5;
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "i", "me", "my", "we", "our", "you", "your", "is", "are", "am", "do", "does",
+  "can", "could", "would", "will", "to", "for", "of", "in", "on", "at", "it", "this", "that",
+  "and", "or", "if", "be", "with", "have", "has", "there", "what", "how", "any", "please", "hi", "hey"
+]);
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Stable id for a logged candidate (same record -> same id on every read):
+ * the first 12 hex digits of its SHA-1 (WebCrypto)
+ */
+async function candidateId(record) {
+  const data = new TextEncoder().encode(`${record.ts}|${record.session_id}|${record.question}`);
+  const digest = await crypto.subtle.digest("SHA-1", data);
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("").slice(0, 12);
+}
+
+/**
+ * All candidates in storage, oldest first, optionally limited to days [from, to] (YYYY-MM-DD)
+ */
+async function loadCandidates(storage, range = {}) {
+  const records = (await storage.list("faq_candidate", range)).filter((record) => record.question);
+  return Promise.all(records.map(async (record) => ({ candidate_id: await candidateId(record), day: dayOf(record), ...record })));
+}
+
+function normalizeQuestion(question) {
+  return String(question || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9$'\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function contentTokens(question) {
+  return new Set(normalizeQuestion(question).split(" ").filter((w) => w && !STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Greedy clustering: each candidate joins the first cluster whose representative
+ * question is similar enough (token Jaccard), else starts a new one.
+ * Identical normalized questions are deduped inside a cluster with a count.
+ */
+function clusterCandidates(candidates, threshold = CLUSTER_SIMILARITY) {
+  const clusters = [];
+
+  for (const c of candidates) {
+    const tokens = contentTokens(c.question);
+    let cluster = clusters.find((cl) => jaccard(cl.tokens, tokens) >= threshold);
+    if (!cluster) {
+      cluster = { cluster_id: c.candidate_id, tokens, questions: new Map(), candidates: [] };
+      clusters.push(cluster);
+    }
+
+    const key = normalizeQuestion(c.question);
+    const entry = cluster.questions.get(key) || { question: c.question, count: 0 };
+    entry.count++;
+    cluster.questions.set(key, entry);
+    cluster.candidates.push(c);
+  }
+
+  return clusters
+    .map((cl) => ({
+      cluster_id: cl.cluster_id,
+      size: cl.candidates.length,
+      representative: cl.candidates[0].question,
+      questions: [...cl.questions.values()].sort((a, b) => b.count - a.count),
+      first_seen: cl.candidates[0].ts,
+      last_seen: cl.candidates[cl.candidates.length - 1].ts,
+      candidates: cl.candidates
+    }))
+    .sort((a, b) => b.size - a.size || String(b.last_seen).localeCompare(String(a.last_seen)));
+}
+
+/**
+ * Attach the review decision (status, note, draft...) to each candidate
+ */
+function withReviewState(candidates, state) {
+  return candidates.map((c) => {
+    const review = state.candidates[c.candidate_id] || {};
+    return {
+      ...c,
+      status: review.status || "open",
+      review_note: review.note || null,
+      promoted_intent_id: review.promoted_intent_id || null,
+      recommended_next_answer_draft: review.recommended_next_answer_draft || c.recommended_next_answer_draft || null
+    };
+  });
+}
+
+/**
+ * GET /api/admin/faq-candidates?from&to&status&group: { status, body }.
+ * state is the review state ({ candidates: {} } when there is none).
+ */
+async function faqCandidatesResponse(storage, state, query = {}) {
+  const { from, to } = query;
+  const status = query.status || "open";
+  const group = query.group || "cluster";
+
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    return { status: 400, body: { ok: false, error: "from/to must be YYYY-MM-DD" } };
+  }
+  if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+    return { status: 400, body: { ok: false, error: `status must be one of: all, ${REVIEW_STATUSES.join(", ")}` } };
+  }
+
+  const candidates = withReviewState(await loadCandidates(storage, { from, to }), state)
+    .filter((c) => status === "all" || c.status === status);
+
+  if (group === "none") {
+    return { status: 200, body: { ok: true, total: candidates.length, candidates } };
+  }
+  const clusters = clusterCandidates(candidates);
+  return { status: 200, body: { ok: true, total: candidates.length, cluster_count: clusters.length, clusters } };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  loadCandidates,
+  normalizeQuestion,
+  clusterCandidates,
+  withReviewState,
+  faqCandidatesResponse
+};
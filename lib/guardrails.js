@@ -0,0 +1,267 @@
+/**
+ * Sensitive-data guardrails for Motiontography Bot
+ * - Protected values come from the KB (bot_guardrails.sensitive_data), or by default
+ *   the studio address, with the variants a reply might use ("109 Abbey Road",
+ *   "Abbey Rd", "109 Abbey Rd, Suffolk, VA 23434")
+ * - Each rule redacts the value, replaces it with the approved phrase, or blocks
+ *   the whole reply (the caller escalates instead)
+ * - A rule with unlock "booked" stops applying once the client has booked and paid
+ *   (business.studio.address_sharing_rule)
+ *
+ * Applied to every reply, followup, quick reply and link (OpenAI or heuristic) on both deployments,
+ * and to streamed reply text as it is sent (createStreamGuard).
+ */
+
+const ACTIONS = ["redact", "replace", "block"];
+const REDACTED = "[redacted]";
+
+// Street suffixes and their spelled-out forms, matched either way
+const STREET_SUFFIXES = [
+  ["rd", "road"], ["st", "street"], ["ave", "avenue"], ["dr", "drive"], ["ln", "lane"],
+  ["blvd", "boulevard"], ["ct", "court"], ["pl", "place"], ["pkwy", "parkway"], ["hwy", "highway"],
+  ["cir", "circle"], ["ter", "terrace"], ["trl", "trail"], ["way", "way"]
+];
+
+// -------------------- Rules (cached per KB object) --------------------
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function words(s) {
+  return String(s).trim().split(/\s+/).filter(Boolean).map(escapeRegex).join("\\s+");
+}
+
+function valueAt(kb, path) {
+  return String(path || "")
+    .split(".")
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), kb);
+}
+
+/**
+ * Regexes for a street address and the ways a reply could spell it:
+ * with or without the house number, abbreviated or spelled-out suffix, and
+ * the city/state/zip tail that usually follows
+ */
+function addressPatterns(address) {
+  const [street, ...rest] = String(address).split(",").map((s) => s.trim());
+  const m = street.match(/^(\d+[a-z]?)\s+(.+?)\s+([a-z]+)\.?$/i);
+  if (!m) return [new RegExp(words(address), "gi")];
+
+  const [, number, name, suffix] = m;
+  const forms = STREET_SUFFIXES.find((pair) => pair.includes(suffix.toLowerCase())) || [suffix.toLowerCase()];
+  const suffixRe = `(?:${forms.map(escapeRegex).join("|")})\\.?`;
+  const tail = rest.length > 0 ? `(?:,?\\s*${rest.map(words).join(",?\\s*")})?` : "";
+
+  return [
+    new RegExp(`\\b(?:${escapeRegex(number)}\\s*)?${words(name)}\\s+${suffixRe}(?![a-z])${tail}`, "gi"),
+    new RegExp(`\\b${escapeRegex(number)}\\s+${words(name)}\\b`, "gi")
+  ];
+}
+
+/**
+ * The phrase the KB approves instead of the address ("You may say: 'Studio in Suffolk, VA.'")
+ */
+function approvedPhrase(studio = {}) {
+  const quoted = String(studio.address_sharing_rule || "").match(/say:?\s*['"]([^'"]+?)\.?['"]/i);
+  if (quoted) return quoted[1];
+  return studio.city ? `Studio in ${studio.city}` : "our studio";
+}
+
+/**
+ * Rule config from the KB: bot_guardrails.sensitive_data, else the studio address default
+ */
+function ruleConfigs(kb) {
+  const configured = kb.bot_guardrails?.sensitive_data;
+  if (Array.isArray(configured)) return configured;
+  if (!kb.business?.studio?.address) return [];
+  return [{
+    id: "studio_address",
+    kb_path: "business.studio.address",
+    type: "address",
+    action: "replace",
+    replacement: approvedPhrase(kb.business.studio),
+    unlock: "booked"
+  }];
+}
+
+function compileRule(config, kb) {
+  const value = config.kb_path ? valueAt(kb, config.kb_path) : config.value;
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const patterns = config.type === "address" ? addressPatterns(value) : [new RegExp(words(value), "gi")];
+  for (const variant of config.variants || []) patterns.push(new RegExp(words(variant), "gi"));
+
+  return {
+    id: config.id || config.kb_path,
+    kb_path: config.kb_path || null,
+    value,
+    action: ACTIONS.includes(config.action) ? config.action : "redact",
+    replacement: config.replacement || REDACTED,
+    unlock: config.unlock || null,
+    patterns,
+    // Longest text the patterns are built from (streams hold back twice this)
+    max_length: Math.max(value.length, ...(config.variants || []).map((v) => String(v).length))
+  };
+}
+
+const rules = new WeakMap();
+
+/**
+ * Compiled rules for this KB: [{ id, kb_path, value, action, replacement, unlock, patterns }]
+ */
+function guardrailRules(kb) {
+  let compiled = rules.get(kb);
+  if (!compiled) {
+    compiled = ruleConfigs(kb).map((config) => compileRule(config, kb)).filter(Boolean);
+    rules.set(kb, compiled);
+  }
+  return compiled;
+}
+
+function isUnlocked(rule, state) {
+  return rule.unlock === "booked" && Boolean(state.booked);
+}
+
+/**
+ * Protected values this client may now be given ([{ id, kb_path, value }]),
+ * e.g. the studio address once state.booked is true
+ */
+function unlockedValues(kb, state = {}) {
+  return guardrailRules(kb)
+    .filter((rule) => rule.kb_path && isUnlocked(rule, state))
+    .map(({ id, kb_path, value }) => ({ id, kb_path, value }));
+}
+
+// -------------------- Applying --------------------
+/**
+ * Apply every active rule to one text.
+ * state: { booked } for unlockable rules.
+ * Returns { text, violations: [{ rule, action, count }], blocked }.
+ */
+function applyGuardrails(text, kb, state = {}) {
+  if (!text) return { text, violations: [], blocked: false };
+
+  let out = String(text);
+  const violations = [];
+  for (const rule of guardrailRules(kb)) {
+    if (isUnlocked(rule, state)) continue;
+
+    let count = 0;
+    for (const pattern of rule.patterns) {
+      out = out.replace(pattern, () => {
+        count++;
+        return rule.action === "redact" ? REDACTED : rule.replacement;
+      });
+    }
+    if (count > 0) violations.push({ rule: rule.id, action: rule.action, count });
+  }
+
+  return { text: out, violations, blocked: violations.some((v) => v.action === "block") };
+}
+
+/**
+ * Guard an outbound { reply, followups, route_url, quick_replies, ... } response.
+ * A link with a protected value in it is dropped rather than rewritten.
+ * Returns { response, violations, blocked }; when blocked the caller must not
+ * send the reply (core.js escalates instead).
+ */
+function guardResponse(response, kb, state = {}) {
+  const violations = [];
+  const guard = (text) => {
+    const result = applyGuardrails(text, kb, state);
+    for (const v of result.violations) {
+      const existing = violations.find((e) => e.rule === v.rule);
+      if (existing) existing.count += v.count;
+      else violations.push({ ...v });
+    }
+    return result.text;
+  };
+
+  const guarded = {
+    ...response,
+    reply: guard(response.reply),
+    followups: (response.followups || []).map(guard)
+  };
+  if (response.route_url) {
+    guarded.route_url = guard(response.route_url) === response.route_url ? response.route_url : null;
+  }
+  if (Array.isArray(response.quick_replies)) {
+    guarded.quick_replies = response.quick_replies.map((q) => ({ ...q, label: guard(q.label), value: guard(q.value) }));
+  }
+  return { response: guarded, violations, blocked: violations.some((v) => v.action === "block") };
+}
+
+/**
+ * Guard text that arrives in pieces (a streamed reply). push(text) returns
+ * { text, violations, blocked } for the part that is safe to send now: the end of
+ * the text is held back until no protected value could still be forming there,
+ * and it is only released at a word boundary so links and amounts arrive whole.
+ * The held-back tail is never released; the caller sends the final guarded reply.
+ */
+function createStreamGuard(kb, state = {}) {
+  const active = guardrailRules(kb).filter((rule) => !isUnlocked(rule, state));
+  const holdback = active.reduce((n, rule) => Math.max(n, rule.max_length * 2), 0);
+  let pending = "";
+
+  function safeCut() {
+    const before = pending.slice(0, Math.max(0, pending.length - holdback));
+    let cut = before.search(/\s\S*$/);
+    if (cut < 0) return 0;
+
+    // Never split a match: move the cut back to its start
+    for (let moved = true; moved && cut > 0;) {
+      moved = false;
+      for (const rule of active) {
+        for (const pattern of rule.patterns) {
+          for (const m of pending.matchAll(pattern)) {
+            if (m.index < cut && m.index + m[0].length > cut) {
+              cut = m.index;
+              moved = true;
+            }
+          }
+        }
+      }
+    }
+    return cut;
+  }
+
+  return {
+    push(text) {
+      pending += text;
+      const cut = safeCut();
+      if (cut <= 0) return { text: "", violations: [], blocked: false };
+      const released = applyGuardrails(pending.slice(0, cut), kb, state);
+      pending = pending.slice(cut);
+      return released;
+    }
+  };
+}
+
+/**
+ * Deep copy of the KB with every protected value replaced by a note for the
+ * model (it never sees them, so it can't leak them)
+ */
+function redactKB(kb) {
+  const copy = JSON.parse(JSON.stringify(kb));
+  for (const rule of guardrailRules(kb)) {
+    if (!rule.kb_path) continue;
+    const keys = rule.kb_path.split(".");
+    const parent = valueAt(copy, keys.slice(0, -1).join("."));
+    if (parent && typeof parent === "object") {
+      parent[keys[keys.length - 1]] = rule.action === "replace"
+        ? `[REDACTED - Say '${rule.replacement}']`
+        : "[REDACTED - Never share this]";
+    }
+  }
+  return copy;
+}
+
+module.exports = {
+  ACTIONS,
+  guardrailRules,
+  unlockedValues,
+  applyGuardrails,
+  guardResponse,
+  createStreamGuard,
+  redactKB
+};
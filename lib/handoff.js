@@ -0,0 +1,440 @@
+/**
+ * Human handoff for Motiontography Bot
+ * - A session is flagged "awaiting_operator" when the bot escalates or the client
+ *   asks for a person, and Roger is notified (webhook, email or the log)
+ * - Roger answers from the admin API (/api/admin/handoffs/...): his first reply
+ *   (or an explicit takeover) puts the session in "taken_over" and the bot stops
+ *   auto-answering until he releases it
+ * - His replies reach web clients through GET /api/chat/messages (the widget polls
+ *   it) and SMS / Instagram clients through the channel's send API
+ *
+ * Runtime-agnostic (fetch). Email goes through lib/smtp.js, which needs Node.
+ */
+
+const { postJsonWebhook, webhookTimeoutFromEnv } = require("./webhook");
+const { createMemoryKV } = require("./storage");
+
+const HANDOFF_AWAITING = "awaiting_operator";
+const HANDOFF_TAKEN_OVER = "taken_over";
+const NOTIFIERS = ["console", "webhook", "smtp", "none"];
+const SIGNATURE_HEADER = "x-handoff-signature";
+
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(?:talk|speak|chat)\s+(?:to|with)\s+(?:a\s+|an\s+)?(?:real\s+|live\s+|actual\s+)?(?:human|person|someone|somebody|roger|agent|representative|operator)\b/i,
+  /\b(?:real|live|actual)\s+(?:human|person|agent)\b/i,
+  /\b(?:can|could|would)\s+(?:roger|someone|somebody|a\s+person)\s+(?:call|text|contact|email|message)\s+me\b/i,
+  /^\s*(?:human|agent|operator|representative)\W*$/i
+];
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * Handoff is off unless HANDOFF_ENABLED=true. HANDOFF_NOTIFY picks the notifier;
+ * by default a webhook URL or SMTP host wins over the log.
+ */
+function handoffConfigFromEnv(env = {}) {
+  const smtpPort = parseInt(env.SMTP_PORT, 10) || 587;
+  const notify = String(env.HANDOFF_NOTIFY || (env.HANDOFF_WEBHOOK_URL ? "webhook" : env.SMTP_HOST ? "smtp" : "console")).toLowerCase();
+  return {
+    enabled: env.HANDOFF_ENABLED === "true",
+    onEscalation: env.HANDOFF_ON_ESCALATION !== "false",
+    notify: NOTIFIERS.includes(notify) ? notify : "console",
+    webhookUrl: env.HANDOFF_WEBHOOK_URL || null,
+    webhookSecret: env.HANDOFF_WEBHOOK_SECRET || null,
+    webhookTimeoutMs: webhookTimeoutFromEnv(env.HANDOFF_WEBHOOK_TIMEOUT_MS),
+    smtp: {
+      host: env.SMTP_HOST || null,
+      port: smtpPort,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : smtpPort === 465,
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.HANDOFF_EMAIL_FROM || (/@/.test(env.SMTP_USER || "") ? env.SMTP_USER : "bot@motiontography.com"),
+      to: env.HANDOFF_EMAIL_TO || null
+    }
+  };
+}
+
+function isHumanRequest(message) {
+  return HUMAN_REQUEST_PATTERNS.some((re) => re.test(String(message || "")));
+}
+
+function handoffReply(kb, alreadyRequested) {
+  const phone = kb.bot_guardrails?.escalation_contact?.phone || kb.business?.primary_phone || "+1-757-759-8454";
+  if (alreadyRequested) {
+    return `Roger already knows you're waiting and will reply right here as soon as he can. If it's urgent, call or text him at ${phone}.`;
+  }
+  return `Of course! I've let Roger know you'd like to talk with him, and he'll reply right here as soon as he can. If it's urgent, call or text him at ${phone}.`;
+}
+
+const ESCALATION_NOTE = "I've also let Roger know, so he may reply to you right here.";
+
+// -------------------- Notifiers --------------------
+/**
+ * Subject + plain-text body for a handoff event (email, logs)
+ */
+function formatHandoffEvent(event) {
+  const who = Object.entries(event.client || {}).map(([k, v]) => `${k}: ${v}`).join(", ") || "not provided";
+  const why = event.reason === "client_asked" ? "The client asked for you" : "The bot couldn't answer";
+  return {
+    subject: `Chat handoff (${event.channel}): ${why.toLowerCase()}`,
+    text: [
+      `${why}.`,
+      "",
+      `Session: ${event.session_id}`,
+      `Channel: ${event.channel}`,
+      `Client: ${who}`,
+      `Message: ${event.message}`,
+      `Bot reply: ${event.bot_reply}`,
+      "",
+      `Reply:   POST /api/admin/handoffs/${encodeURIComponent(event.session_id)}/reply { "message": "..." }`,
+      `Release: POST /api/admin/handoffs/${encodeURIComponent(event.session_id)}/release`
+    ].join("\n")
+  };
+}
+
+function createConsoleNotifier() {
+  return {
+    kind: "console",
+    async notify(event) {
+      console.log(`[Handoff] ${formatHandoffEvent(event).subject} - session ${event.session_id}`);
+    }
+  };
+}
+
+/**
+ * POSTs the event as JSON (lib/webhook.js), signed in X-Handoff-Signature when a
+ * secret is set and given up on after timeoutMs
+ */
+function createWebhookNotifier({ url, secret, timeoutMs, fetch: doFetch }) {
+  return {
+    kind: "webhook",
+    async notify(event) {
+      try {
+        await postJsonWebhook({ url, data: event, secret, signatureHeader: SIGNATURE_HEADER, timeoutMs, fetch: doFetch });
+      } catch (err) {
+        throw new Error(`Handoff webhook ${err.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * The notifier config.notify asks for. smtp(smtpConfig) builds the email notifier
+ * (lib/smtp.js createSmtpNotifier) where the runtime can open sockets; without
+ * it, or without the settings a notifier needs, handoffs go to the log.
+ */
+function createNotifier(config, { smtp = null, fetch: doFetch } = {}) {
+  if (config.notify === "none") return { kind: "none", notify: async () => {} };
+
+  if (config.notify === "webhook" && config.webhookUrl) {
+    return createWebhookNotifier({ url: config.webhookUrl, secret: config.webhookSecret, timeoutMs: config.webhookTimeoutMs, fetch: doFetch });
+  }
+  if (config.notify === "smtp" && smtp && config.smtp.host && config.smtp.to) {
+    return smtp(config.smtp);
+  }
+  if (config.notify !== "console") {
+    console.warn(`[Handoff] ${config.notify} notifier is not available or not configured; logging handoffs instead`);
+  }
+  return createConsoleNotifier();
+}
+
+/**
+ * What runChatTurn takes as its handoff option: the config switches, the store of
+ * open handoffs (createHandoffStore; per-process memory if none is given) and
+ * calls that never throw: a failed notification or store must not break the chat.
+ * runChatTurn doesn't wait for notify(event): the reply goes out while Roger is notified.
+ */
+function createHandoffDesk(config, { store = createHandoffStore(createMemoryKV()), ...options } = {}) {
+  const notifier = createNotifier(config, options);
+
+  async function safely(action, fallback) {
+    try {
+      return await action();
+    } catch (err) {
+      console.error("[Handoff Error]", err.message);
+      return fallback;
+    }
+  }
+
+  return {
+    enabled: config.enabled,
+    onEscalation: config.onEscalation,
+    notifier: notifier.kind,
+    store,
+    notify: (event) => safely(async () => {
+      await notifier.notify(event);
+      return true;
+    }, false),
+    // The session's open handoff, or null
+    current: (sessionId) => safely(() => store.get(sessionId), null),
+    open: (request) => safely(() => store.open(request), null),
+    addTurns: (sessionId, turns) => safely(() => store.addTurns(sessionId, turns), null)
+  };
+}
+
+// -------------------- Store --------------------
+const HANDOFF_PREFIX = "handoff/";
+const MAX_HANDOFF_TURNS = 50;
+
+/**
+ * Open handoffs, one KV entry each (handoff/<session_id>), kept until Roger
+ * releases them: unlike a session they survive expiry, a restart and the Worker's
+ * isolates. Each one keeps the conversation since (and just before) the request,
+ * so Roger can read it after the session is gone.
+ */
+function createHandoffStore(kv, { maxTurns = MAX_HANDOFF_TURNS } = {}) {
+  async function get(sessionId) {
+    const value = await kv.get(`${HANDOFF_PREFIX}${sessionId}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function save(handoff) {
+    handoff.updated_at = new Date().toISOString();
+    if (handoff.turns.length > maxTurns) handoff.turns = handoff.turns.slice(-maxTurns);
+    await kv.put(`${HANDOFF_PREFIX}${handoff.session_id}`, JSON.stringify(handoff));
+    return handoff;
+  }
+
+  async function remove(sessionId) {
+    await kv.delete(`${HANDOFF_PREFIX}${sessionId}`);
+  }
+
+  /**
+   * Flag a session as awaiting Roger (a handoff already open is left as it is).
+   * turns: the session's conversation so far.
+   */
+  async function open({ session_id, channel, client, reason, turns = [] }) {
+    const existing = await get(session_id);
+    if (existing) return existing;
+    return save({
+      session_id,
+      channel: channel || null,
+      client: client || {},
+      status: HANDOFF_AWAITING,
+      reason, // "client_asked" | "escalated" | "operator"
+      requested_at: new Date().toISOString(),
+      taken_over_at: null,
+      operator: null,
+      messages: [], // Roger's replies: { id, content, ts, operator }
+      turns: [...turns],
+      updated_at: null
+    });
+  }
+
+  /**
+   * Add the latest turns of the conversation. Returns the handoff, or null if none is open.
+   */
+  async function addTurns(sessionId, turns) {
+    const handoff = await get(sessionId);
+    if (!handoff) return null;
+    handoff.turns.push(...turns);
+    return save(handoff);
+  }
+
+  /**
+   * Queue one of Roger's replies for the client. Ids increase (they are the send
+   * time in ms, bumped past the last one), so they stay unique across handoffs.
+   */
+  async function addOperatorMessage(sessionId, content, operator) {
+    const handoff = await get(sessionId);
+    if (!handoff) return null;
+    const ts = new Date().toISOString();
+    const lastId = handoff.messages.length > 0 ? handoff.messages[handoff.messages.length - 1].id : 0;
+    const message = { id: Math.max(Date.now(), lastId + 1), content, ts, operator };
+    handoff.messages.push(message);
+    handoff.turns.push({ role: "assistant", content, ts, operator });
+    await save(handoff);
+    return message;
+  }
+
+  /**
+   * Every open handoff, oldest request first
+   */
+  async function list() {
+    const handoffs = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: HANDOFF_PREFIX, cursor });
+      for (const { name } of page.keys) {
+        const value = await kv.get(name);
+        if (value) handoffs.push(JSON.parse(value));
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return handoffs.sort((a, b) => a.requested_at.localeCompare(b.requested_at));
+  }
+
+  return { get, save, open, addTurns, addOperatorMessage, list, delete: remove };
+}
+
+function isTakenOver(handoff) {
+  return handoff?.status === HANDOFF_TAKEN_OVER;
+}
+
+/**
+ * The handoff fields a client sees: { status, operator } or null
+ */
+function publicHandoff(handoff) {
+  return handoff ? { status: handoff.status, operator: handoff.operator } : null;
+}
+
+function handoffSummary(handoff) {
+  const lastUser = [...handoff.turns].reverse().find((t) => t.role === "user");
+  return {
+    session_id: handoff.session_id,
+    status: handoff.status,
+    reason: handoff.reason,
+    channel: handoff.channel,
+    client: handoff.client,
+    requested_at: handoff.requested_at,
+    taken_over_at: handoff.taken_over_at,
+    operator: handoff.operator,
+    last_client_message: lastUser ? { content: lastUser.content, ts: lastUser.ts } : null,
+    updated_at: handoff.updated_at
+  };
+}
+
+// -------------------- Admin responses --------------------
+/**
+ * GET /api/admin/handoffs: handoffs awaiting or taken over, oldest request first.
+ * Returns { status, body }.
+ */
+async function handoffListResponse(store) {
+  const handoffs = (await store.list()).map(handoffSummary);
+  return { status: 200, body: { ok: true, count: handoffs.length, handoffs } };
+}
+
+/**
+ * GET /api/admin/handoffs/:session_id: the conversation so far (from the handoff
+ * if one is open, else from the live session)
+ */
+async function handoffDetailResponse(store, sessions, sessionId) {
+  const handoff = await store.get(sessionId);
+  const session = sessions.get(sessionId);
+  if (!handoff && !session) return { status: 404, body: { ok: false, error: "Session not found (or expired)" } };
+
+  const { turns, ...state } = handoff || {};
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      session_id: sessionId,
+      channel: handoff ? handoff.channel : session.channel,
+      client: handoff ? handoff.client : session.client,
+      handoff: handoff ? state : null,
+      slots: session ? session.slots : {},
+      turns: handoff ? turns : session.turns
+    }
+  };
+}
+
+/**
+ * POST /api/admin/handoffs/:session_id/takeover { "operator": "Roger" }: the bot
+ * stops answering. Works on any open handoff or live session.
+ */
+async function takeOverResponse(store, sessions, sessionId, input = {}) {
+  if (input.operator !== undefined && typeof input.operator !== "string") {
+    return { status: 400, body: { ok: false, error: "operator must be a string" } };
+  }
+  let handoff = await store.get(sessionId);
+  if (!handoff) {
+    const session = sessions.get(sessionId);
+    if (!session) return { status: 404, body: { ok: false, error: "Session not found (or expired)" } };
+    handoff = await store.open({ session_id: sessionId, channel: session.channel, client: session.client, reason: "operator", turns: session.turns });
+  }
+
+  if (handoff.status !== HANDOFF_TAKEN_OVER) {
+    handoff = await store.save({
+      ...handoff,
+      status: HANDOFF_TAKEN_OVER,
+      taken_over_at: new Date().toISOString(),
+      operator: input.operator || "Roger"
+    });
+  }
+  return { status: 200, body: { ok: true, ...handoffSummary(handoff) } };
+}
+
+/**
+ * POST /api/admin/handoffs/:session_id/reply { "message": "...", "operator"? }:
+ * takes the session over if needed and sends Roger's message. deliver maps a
+ * channel to async (handoff, text) => {} for channels that push (SMS, Instagram);
+ * other clients pick it up from GET /api/chat/messages.
+ */
+async function operatorReplyResponse({ store, sessions, sessionId, input = {}, deliver = {} }) {
+  const text = typeof input.message === "string" ? input.message.trim() : "";
+  if (!text) return { status: 400, body: { ok: false, error: "message (string) is required" } };
+
+  const takeover = await takeOverResponse(store, sessions, sessionId, input);
+  if (takeover.status !== 200) return takeover;
+
+  const handoff = takeover.body;
+  const message = await store.addOperatorMessage(sessionId, text, handoff.operator);
+  // Part of the history the LLM sees once Roger hands back, if the session is still live
+  sessions.recordOperatorMessage(sessionId, text, handoff.operator);
+
+  const send = deliver[handoff.channel];
+  if (!send) return { status: 200, body: { ok: true, session_id: sessionId, message, delivery: "queued" } };
+  try {
+    await send(handoff, text);
+    return { status: 200, body: { ok: true, session_id: sessionId, message, delivery: handoff.channel } };
+  } catch (err) {
+    console.error("[Handoff Error]", err.message);
+    return { status: 502, body: { ok: false, error: `Recorded but not delivered: ${err.message}`, session_id: sessionId, message } };
+  }
+}
+
+/**
+ * POST /api/admin/handoffs/:session_id/release: the bot answers again
+ */
+async function releaseResponse(store, sessionId) {
+  if (!(await store.get(sessionId))) return { status: 404, body: { ok: false, error: "No open handoff for this session" } };
+  await store.delete(sessionId);
+  return { status: 200, body: { ok: true, session_id: sessionId, handoff: null } };
+}
+
+/**
+ * GET /api/chat/messages?session_id=...&after=<id>: Roger's replies the client
+ * hasn't seen. There is no other auth: the web session_id (a random UUID the
+ * server issues, kept by the widget) is what proves the caller is the client.
+ * SMS and Instagram sessions (ids built from the phone number or sender id) get
+ * their replies through the channel, so they look the same as an unknown
+ * session or one without a handoff.
+ */
+async function clientMessagesResponse(store, sessionId, after) {
+  if (!sessionId) return { status: 400, body: { ok: false, error: "session_id is required" } };
+  const open = await store.get(sessionId);
+  const handoff = open?.channel === "web" ? open : null;
+  const since = parseInt(after, 10) || 0;
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      session_id: sessionId,
+      handoff: publicHandoff(handoff),
+      messages: (handoff?.messages || [])
+        .filter((m) => m.id > since)
+        .map(({ id, content, ts, operator }) => ({ id, content, ts, operator }))
+    }
+  };
+}
+
+module.exports = {
+  HANDOFF_AWAITING,
+  HANDOFF_TAKEN_OVER,
+  SIGNATURE_HEADER,
+  ESCALATION_NOTE,
+  handoffConfigFromEnv,
+  isHumanRequest,
+  handoffReply,
+  formatHandoffEvent,
+  createNotifier,
+  createHandoffDesk,
+  createHandoffStore,
+  isTakenOver,
+  publicHandoff,
+  handoffListResponse,
+  handoffDetailResponse,
+  takeOverResponse,
+  operatorReplyResponse,
+  releaseResponse,
+  clientMessagesResponse
+};
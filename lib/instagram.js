@@ -0,0 +1,249 @@
+/**
+ * Instagram DM channel for Motiontography Bot (Messenger-platform webhooks)
+ * - GET /api/webhooks/instagram: subscription check (hub.verify_token -> hub.challenge)
+ * - POST /api/webhooks/instagram: X-Hub-Signature-256 ("sha256=" + hex HMAC of the
+ *   raw body, keyed with the app secret), then one chat turn per DM
+ * - The sender's Instagram-scoped id (IGSID) is the session ("ig:<id>")
+ * - Replies go out through a Graph-API-compatible client (IG_GRAPH_API_URL), so a
+ *   local mock Graph server (scripts/mock-graph.js) can stand in for Meta
+ * - Roger's handoff replies go out through the same client
+ *
+ * Runtime-agnostic (WebCrypto + fetch). scripts/instagram-webhook.js signs and
+ * sends a test DM to a local server.
+ */
+
+const { hmacHex, constantTimeEqual } = require("./signatures");
+const { followupChoices } = require("./slots");
+
+const SIGNATURE_HEADER = "x-hub-signature-256";
+const MAX_TEXT_LENGTH = 1000; // Instagram's limit per message
+const MAX_QUICK_REPLIES = 13;
+const MAX_QUICK_REPLY_TITLE = 20;
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker)
+ */
+function instagramConfigFromEnv(env = {}) {
+  return {
+    verifyToken: env.IG_VERIFY_TOKEN || null,
+    appSecret: env.IG_APP_SECRET || null,
+    accessToken: env.IG_ACCESS_TOKEN || null,
+    graphUrl: (env.IG_GRAPH_API_URL || "https://graph.facebook.com").replace(/\/+$/, ""),
+    graphVersion: env.IG_GRAPH_API_VERSION || "v21.0",
+    accountId: env.IG_ACCOUNT_ID || "me"
+  };
+}
+
+// -------------------- Webhook --------------------
+/**
+ * GET subscription check. query: the parsed query string. Returns { status, body }
+ * with body as plain text (the challenge) on success.
+ */
+function instagramVerifyResponse(query = {}, config = {}) {
+  if (!config.verifyToken) {
+    return { status: 503, body: "Instagram webhook is not configured (IG_VERIFY_TOKEN)" };
+  }
+  if (query["hub.mode"] !== "subscribe" || !constantTimeEqual(query["hub.verify_token"], config.verifyToken)) {
+    return { status: 403, body: "Forbidden" };
+  }
+  return { status: 200, body: String(query["hub.challenge"] || "") };
+}
+
+async function signInstagramPayload(rawBody, appSecret) {
+  return `sha256=${await hmacHex("SHA-256", appSecret, rawBody)}`;
+}
+
+async function verifyInstagramSignature(rawBody, signature, appSecret) {
+  if (!signature || !appSecret) return false;
+  return constantTimeEqual(await signInstagramPayload(rawBody, appSecret), signature);
+}
+
+/**
+ * Incoming text DMs in a webhook payload: [{ sender_id, mid, text }].
+ * A tapped quick reply's payload is the text. Echoes of our own messages,
+ * reactions, reads and attachments without text are skipped.
+ */
+function parseInstagramMessages(payload) {
+  if (payload?.object !== "instagram") return [];
+  const messages = [];
+  for (const entry of payload.entry || []) {
+    for (const event of entry.messaging || []) {
+      const message = event.message;
+      if (!message || message.is_echo || message.is_deleted || !event.sender?.id) continue;
+      if (event.sender.id === entry.id) continue; // sent by our own account
+
+      const text = message.quick_reply?.payload || message.text;
+      if (typeof text !== "string" || !text.trim()) continue;
+      messages.push({ sender_id: String(event.sender.id), mid: message.mid || null, text: text.trim() });
+    }
+  }
+  return messages;
+}
+
+/**
+ * POST webhook. rawBody must be the exact bytes Meta sent.
+ * Returns { status, body, messages }: acknowledge with status/body right away
+ * (Meta retries slow webhooks), then answer messages with replyToInstagram.
+ */
+async function instagramWebhookResponse({ rawBody, signature, config = {} }) {
+  if (!config.appSecret) {
+    return { status: 503, body: { ok: false, error: "Instagram webhook is not configured (IG_APP_SECRET)" }, messages: [] };
+  }
+  if (!(await verifyInstagramSignature(rawBody, signature, config.appSecret))) {
+    return { status: 401, body: { ok: false, error: "Invalid signature" }, messages: [] };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (e) {
+    return { status: 400, body: { ok: false, error: "Invalid JSON body" }, messages: [] };
+  }
+
+  const messages = parseInstagramMessages(payload);
+  return { status: 200, body: { ok: true, received: messages.length }, messages };
+}
+
+// -------------------- Replies --------------------
+function quickReplyTitle(label) {
+  const s = String(label).trim();
+  return s.length <= MAX_QUICK_REPLY_TITLE ? s : `${s.slice(0, MAX_QUICK_REPLY_TITLE - 3).trimEnd()}...`;
+}
+
+/**
+ * Quick replies for a chat body: the "did you mean" options if it asks, else the
+ * answer choices for the first followup that has them (lib/slots.js)
+ */
+function quickRepliesFor(body) {
+  let options = (body.quick_replies || []).map((o) => ({ label: o.label, value: o.value }));
+  if (options.length === 0) {
+    const choices = (body.followups || []).map(followupChoices).find((c) => c.length > 0) || [];
+    options = choices.map((choice) => ({ label: choice, value: choice }));
+  }
+  return options.slice(0, MAX_QUICK_REPLIES).map((o) => ({
+    content_type: "text",
+    title: quickReplyTitle(o.label),
+    payload: String(o.value)
+  }));
+}
+
+/**
+ * Split text into messages of at most maxLength, at paragraph or word boundaries
+ */
+function splitText(text, maxLength = MAX_TEXT_LENGTH) {
+  const parts = [];
+  let rest = String(text || "").trim();
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength + 1);
+    let cut = window.lastIndexOf("\n\n");
+    if (cut < maxLength / 2) cut = window.lastIndexOf(" ");
+    if (cut <= 0) cut = maxLength;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+/**
+ * The /api/chat body as Graph API message objects: the reply, followups and
+ * route_url (if the reply doesn't have it) as text, split to Instagram's length
+ * limit, with the quick replies on the last message
+ */
+function instagramMessages(body) {
+  const reply = String(body.reply || "");
+  const routeLine = body.route_url && !reply.includes(body.route_url) ? body.route_url : null;
+  const text = [reply, (body.followups || []).join("\n"), routeLine].filter(Boolean).join("\n\n");
+
+  const messages = splitText(text).map((part) => ({ text: part }));
+  const quickReplies = quickRepliesFor(body);
+  if (messages.length > 0 && quickReplies.length > 0) messages[messages.length - 1].quick_replies = quickReplies;
+  return messages;
+}
+
+/**
+ * Outbound Graph API client: sendMessage(recipientId, message) posts to
+ * {graphUrl}/{graphVersion}/{accountId}/messages. config.fetch overrides fetch.
+ */
+function createGraphClient(config = {}) {
+  const doFetch = config.fetch || fetch;
+  const url = `${config.graphUrl}/${config.graphVersion}/${config.accountId || "me"}/messages`;
+
+  async function sendMessage(recipientId, message) {
+    const response = await doFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${config.accessToken}`
+      },
+      body: JSON.stringify({ recipient: { id: recipientId }, message })
+    });
+    if (!response.ok) {
+      throw new Error(`Graph API error ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  return { enabled: Boolean(config.accessToken), sendMessage };
+}
+
+/**
+ * Answer each DM from instagramWebhookResponse, in order.
+ * runChat({ message, session_id, client, channel }) runs the turn (runChatTurn with
+ * the adapter's KB, sessions, LLM...); graph is a createGraphClient. The sender is
+ * an Instagram-scoped id, not the handle Square records, so a DM never unlocks
+ * booked-only details.
+ * Returns the runChatTurn results for the adapter to log. A failed send is
+ * logged and doesn't stop the other messages.
+ */
+async function replyToInstagram(messages, { runChat, graph }) {
+  const results = [];
+  for (const dm of messages) {
+    try {
+      const result = await runChat({
+        message: dm.text,
+        session_id: `ig:${dm.sender_id}`,
+        client: { instagram_id: dm.sender_id },
+        channel: "instagram"
+      });
+      results.push(result);
+
+      if (!graph.enabled) {
+        console.warn("[Instagram] IG_ACCESS_TOKEN is not set; reply not sent");
+        continue;
+      }
+      for (const message of instagramMessages(result.body)) {
+        await graph.sendMessage(dm.sender_id, message);
+      }
+    } catch (err) {
+      console.error("[Instagram Error]", err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Sends Roger's handoff replies to Instagram sessions (lib/handoff.js operatorReplyResponse)
+ */
+function instagramHandoffDelivery(graph) {
+  return async (handoff, text) => {
+    if (!graph.enabled) throw new Error("IG_ACCESS_TOKEN is not set");
+    for (const message of instagramMessages({ reply: text })) {
+      await graph.sendMessage(handoff.client.instagram_id, message);
+    }
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  instagramConfigFromEnv,
+  instagramVerifyResponse,
+  signInstagramPayload,
+  verifyInstagramSignature,
+  parseInstagramMessages,
+  instagramWebhookResponse,
+  instagramMessages,
+  createGraphClient,
+  replyToInstagram,
+  instagramHandoffDelivery
+};
@@ -0,0 +1,50 @@
+/**
+ * Reading back the daily JSONL logs in logs/ (server only)
+ * - <prefix>YYYY-MM-DD.jsonl files, oldest first
+ * - Optional [from, to] day range (YYYY-MM-DD, inclusive)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (_) {
+      // A torn last line from a crash shouldn't hide the rest of the file
+    }
+  }
+  return records;
+}
+
+/**
+ * [{ day, record }] from every <prefix>YYYY-MM-DD.jsonl in logDir within the range
+ */
+function readDailyJsonl(logDir, prefix, { from, to } = {}) {
+  if (!fs.existsSync(logDir)) return [];
+
+  const rows = [];
+  for (const file of fs.readdirSync(logDir).sort()) {
+    if (!file.startsWith(prefix) || !file.endsWith(".jsonl")) continue;
+    const day = file.slice(prefix.length, -".jsonl".length);
+    if (!DAY_RE.test(day)) continue;
+    if ((from && day < from) || (to && day > to)) continue;
+
+    for (const record of readJsonl(path.join(logDir, file))) {
+      rows.push({ day, record });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  DAY_RE,
+  readJsonl,
+  readDailyJsonl
+};
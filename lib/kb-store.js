@@ -0,0 +1,189 @@
+/**
+ * KB persistence for Motiontography Bot (server only)
+ * - Every change is applied to a copy, validated, then written atomically
+ *   (temp file + fsync + rename) so a crash never leaves a half-written KB
+ * - kb_version (patch) and last_updated_local are bumped automatically
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { assertValidKB } = require("./kb-validate");
+
+function bumpPatchVersion(version) {
+  const m = String(version || "").match(/^(\d+)\.(\d+)\.(\d+)$/);
+  if (!m) return "1.0.0";
+  return `${m[1]}.${m[2]}.${parseInt(m[3], 10) + 1}`;
+}
+
+/**
+ * YYYY-MM-DD in server local time
+ */
+function localDate(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+const INLINE_ARRAY_MAX = 120;
+
+// -------------------- Layout --------------------
+/**
+ * Record which objects/arrays of a KB file are written on one line, by path and
+ * by content, so formatKB can write them back the same way
+ */
+function readLayout(text) {
+  const byPath = new Map();
+  const byContent = new Map();
+  const stack = []; // { start, path, isArray, index, key, expectKey }
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const top = stack[stack.length - 1];
+
+    if (ch === '"') {
+      let j = i + 1;
+      while (text[j] !== '"') j += text[j] === "\\" ? 2 : 1;
+      if (top && !top.isArray && top.expectKey) {
+        top.key = JSON.parse(text.slice(i, j + 1));
+        top.expectKey = false;
+      }
+      i = j;
+    } else if (ch === "{" || ch === "[") {
+      const path = top ? `${top.path}/${top.isArray ? top.index : JSON.stringify(top.key)}` : "";
+      stack.push({ start: i, path, isArray: ch === "[", index: 0, key: null, expectKey: ch === "{" });
+    } else if (ch === "}" || ch === "]") {
+      const node = stack.pop();
+      const source = text.slice(node.start, i + 1);
+      const inline = !source.includes("\n");
+      const content = JSON.stringify(JSON.parse(source));
+      byPath.set(node.path, inline);
+      byContent.set(content, byContent.has(content) && byContent.get(content) !== inline ? null : inline);
+    } else if (ch === "," && top) {
+      top.index++;
+      top.expectKey = !top.isArray;
+    }
+  }
+  return { byPath, byContent };
+}
+
+function isPlain(value) {
+  return value === null || typeof value !== "object";
+}
+
+function formatInline(value) {
+  if (isPlain(value)) return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(formatInline).join(", ")}]`;
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+  return `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${formatInline(v)}`).join(", ")} }`;
+}
+
+/**
+ * One line or one entry per line: the layout the file used for this content,
+ * else for this path (an edited value), else short arrays of plain values inline
+ */
+function writeInline(value, indent, path, layout) {
+  if (layout) {
+    const byContent = layout.byContent.get(JSON.stringify(value));
+    if (typeof byContent === "boolean") return byContent;
+    if (layout.byPath.has(path)) return layout.byPath.get(path);
+  }
+  return Array.isArray(value) && value.every(isPlain) && indent.length + formatInline(value).length <= INLINE_ARRAY_MAX;
+}
+
+function formatValue(value, indent, path, layout) {
+  if (isPlain(value)) return JSON.stringify(value);
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+  if (entries.length === 0) return Array.isArray(value) ? "[]" : "{}";
+  if (writeInline(value, indent, path, layout)) return formatInline(value);
+
+  const inner = indent + "  ";
+  const lines = entries.map(([k, v]) => {
+    const childPath = `${path}/${Array.isArray(value) ? k : JSON.stringify(k)}`;
+    const prefix = Array.isArray(value) ? "" : `${JSON.stringify(k)}: `;
+    return inner + prefix + formatValue(v, inner, childPath, layout);
+  });
+  return Array.isArray(value) ? `[\n${lines.join(",\n")}\n${indent}]` : `{\n${lines.join(",\n")}\n${indent}}`;
+}
+
+/**
+ * Pretty-print a KB. Given the current file's text, unchanged objects and arrays
+ * keep their one-line or multi-line layout, so a commit's diff shows only what
+ * changed (formatKB(JSON.parse(text), text) === text without the final newline).
+ */
+function formatKB(value, layoutText = null) {
+  return formatValue(value, "", "", layoutText ? readLayout(layoutText) : null);
+}
+
+function tmpPathFor(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+}
+
+function writeFileAtomic(filePath, contents) {
+  const tmpPath = tmpPathFor(filePath);
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeFileSync(fd, contents, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * writeFileAtomic without blocking the event loop (callers serialize their writes)
+ */
+async function writeFileAtomicAsync(filePath, contents) {
+  const tmpPath = tmpPathFor(filePath);
+  const handle = await fs.promises.open(tmpPath, "w");
+  try {
+    await handle.writeFile(contents, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Apply mutate(draft) to a deep copy of kb, validate, persist, and return the new KB.
+ * Throws (leaving the file and the caller's KB untouched) if mutate or validation fails.
+ */
+function commitKBChange(kb, mutate, kbPath) {
+  const draft = JSON.parse(JSON.stringify(kb));
+  mutate(draft);
+
+  draft.kb_version = bumpPatchVersion(kb.kb_version);
+  draft.last_updated_local = localDate();
+
+  assertValidKB(draft);
+  let current = null;
+  try {
+    current = fs.readFileSync(kbPath, "utf8");
+  } catch {
+    // No file yet: default layout
+  }
+  writeFileAtomic(kbPath, formatKB(draft, current) + "\n");
+  return draft;
+}
+
+module.exports = {
+  bumpPatchVersion,
+  localDate,
+  formatKB,
+  writeFileAtomic,
+  writeFileAtomicAsync,
+  commitKBChange
+};
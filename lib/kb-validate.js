@@ -0,0 +1,283 @@
+/**
+ * KB validation for Motiontography Bot
+ * - Structural checks against motiontography_kb.schema.json
+ * - Cross-reference checks the schema can't express (duplicate ids, regex
+ *   triggers that don't compile, routes pointing at missing Square links)
+ *
+ * The schema is interpreted directly (no code generation) so the same
+ * validator runs in Node and in the Cloudflare Worker.
+ */
+
+const KB_SCHEMA = require("../motiontography_kb.schema.json");
+const { isRegexTrigger, compileRegex } = require("./matcher");
+const { resolveEvidencePath } = require("./verifier");
+const { recommenderPackageIds } = require("./recommender");
+const { intentLabel } = require("./disambiguation");
+
+class KBValidationError extends Error {
+  constructor(errors, warnings = []) {
+    super(`KB validation failed (${errors.length} error${errors.length === 1 ? "" : "s"}): ${errors.slice(0, 3).map(formatIssue).join("; ")}${errors.length > 3 ? "; ..." : ""}`);
+    this.name = "KBValidationError";
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+function formatIssue(issue) {
+  return `${issue.path || "(root)"}: ${issue.message}`;
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+// -------------------- Schema interpreter --------------------
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+function describe(schema, root) {
+  if (schema.$ref) return describe(resolveRef(schema.$ref, root), root);
+  if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  if (schema.anyOf) return schema.anyOf.map((s) => describe(s, root)).join(" | ");
+  return schema.type || "value";
+}
+
+/**
+ * Validate value against a JSON Schema subset:
+ * $ref, type, enum, anyOf, required, properties, additionalProperties,
+ * minProperties, items, minItems, maxItems, minLength, minimum, pattern
+ */
+function validateSchema(value, schema, path, root, errors) {
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), path, root, errors);
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((branch) => {
+      const branchErrors = [];
+      validateSchema(value, branch, path, root, branchErrors);
+      return branchErrors.length === 0;
+    });
+    if (!matched) errors.push({ path, message: `must be one of: ${describe(schema, root)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${describe(schema, root)} (got ${JSON.stringify(value)})` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path, message: `must be ${types.join(" or ")} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match /${schema.pattern}/ (got ${JSON.stringify(value)})` });
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum != null && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum} (got ${value})` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(item, schema.items, joinPath(path, i), root, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: joinPath(path, key), message: "is required" });
+    }
+    if (schema.minProperties != null && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? "y" : "ies"}` });
+    }
+
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        validateSchema(child, props[key], joinPath(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: "is not an allowed property" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateSchema(child, schema.additionalProperties, joinPath(path, key), root, errors);
+      }
+    }
+  }
+}
+
+// -------------------- Cross-reference checks --------------------
+
+function checkCrossReferences(kb, errors, warnings) {
+  const links = kb.square_booking_links || {};
+
+  const intentIds = new Map();
+  (Array.isArray(kb.intents_and_answers) ? kb.intents_and_answers : []).forEach((intent, i) => {
+    const path = `intents_and_answers[${i}]`;
+    if (!intent || typeof intent !== "object") return;
+
+    if (typeof intent.id === "string") {
+      if (intentIds.has(intent.id)) {
+        errors.push({ path: `${path}.id`, message: `duplicate intent id "${intent.id}" (first used at intents_and_answers[${intentIds.get(intent.id)}])` });
+      } else {
+        intentIds.set(intent.id, i);
+      }
+    }
+
+    if (Array.isArray(intent.triggers)) {
+      intent.triggers.forEach((t, j) => {
+        if (!isRegexTrigger(t)) return;
+        try {
+          compileRegex(t);
+        } catch (err) {
+          errors.push({ path: `${path}.triggers[${j}]`, message: `invalid regex trigger ${t}: ${err.message}` });
+        }
+      });
+    }
+
+    if (!intent.label) {
+      warnings.push({ path: `${path}.label`, message: `is missing; "did you mean" options would show "${intentLabel(intent)}"` });
+    }
+
+    const route = intent.route;
+    if (!route || typeof route !== "object") return;
+
+    if (!route.type) {
+      warnings.push({ path: `${path}.route`, message: "has no type; resolveRouteUrl ignores it (use type \"url\" or \"square_package\")" });
+    } else if (route.type === "url" && !route.url) {
+      errors.push({ path: `${path}.route.url`, message: "is required for url routes" });
+    } else if (route.type === "square_package") {
+      if (!route.package_id) {
+        errors.push({ path: `${path}.route.package_id`, message: "is required for square_package routes" });
+      } else if (!(route.package_id in links)) {
+        errors.push({ path: `${path}.route.package_id`, message: `"${route.package_id}" is not in square_booking_links` });
+      } else if (route.mode && typeof links[route.package_id] === "object" && !(route.mode in links[route.package_id])) {
+        errors.push({ path: `${path}.route.mode`, message: `"${route.mode}" is not a link option for square_booking_links.${route.package_id}` });
+      }
+    }
+  });
+
+  // Post-booking details must point at text in the KB and at real intents
+  const postBooking = kb.business?.studio?.post_booking_info;
+  if (postBooking && typeof postBooking === "object") {
+    (Array.isArray(postBooking.items) ? postBooking.items : []).forEach((item, i) => {
+      if (item?.kb_path && typeof resolveEvidencePath(kb, item.kb_path) !== "string") {
+        errors.push({ path: `business.studio.post_booking_info.items[${i}].kb_path`, message: `"${item.kb_path}" does not point at a text value in the KB` });
+      }
+    });
+    (Array.isArray(postBooking.intent_ids) ? postBooking.intent_ids : []).forEach((id, i) => {
+      if (!intentIds.has(id)) {
+        errors.push({ path: `business.studio.post_booking_info.intent_ids[${i}]`, message: `"${id}" is not an intent id` });
+      }
+    });
+  }
+
+  // Guardrail rules must point at a value to protect
+  const sensitive = kb.bot_guardrails?.sensitive_data;
+  (Array.isArray(sensitive) ? sensitive : []).forEach((rule, i) => {
+    const path = `bot_guardrails.sensitive_data[${i}]`;
+    if (!rule || typeof rule !== "object") return;
+    if (!rule.kb_path && !rule.value) {
+      errors.push({ path, message: "needs a kb_path or a value to protect" });
+    } else if (rule.kb_path) {
+      const value = resolveEvidencePath(kb, rule.kb_path);
+      if (typeof value !== "string" || !value.trim()) {
+        errors.push({ path: `${path}.kb_path`, message: `"${rule.kb_path}" does not point at a text value in the KB` });
+      }
+    }
+    if (rule.action === "replace" && !rule.replacement) {
+      errors.push({ path: `${path}.replacement`, message: "is required for replace rules" });
+    }
+  });
+
+  const packageIds = new Map();
+  (Array.isArray(kb.packages) ? kb.packages : []).forEach((pkg, i) => {
+    const path = `packages[${i}]`;
+    if (!pkg || typeof pkg !== "object" || typeof pkg.id !== "string") return;
+
+    if (packageIds.has(pkg.id)) {
+      errors.push({ path: `${path}.id`, message: `duplicate package id "${pkg.id}" (first used at packages[${packageIds.get(pkg.id)}])` });
+    } else {
+      packageIds.set(pkg.id, i);
+    }
+
+    if (!(pkg.id in links)) {
+      warnings.push({ path: `${path}.id`, message: `"${pkg.id}" has no square_booking_links entry` });
+    }
+
+    if (pkg.price_usd && typeof pkg.price_usd === "object" && Array.isArray(pkg.location_options)) {
+      for (const mode of Object.keys(pkg.price_usd)) {
+        if (!pkg.location_options.includes(mode)) {
+          warnings.push({ path: `${path}.price_usd.${mode}`, message: `"${mode}" is not listed in location_options` });
+        }
+      }
+    }
+  });
+
+  // The recommender's session-type -> package table (lib/recommender.js) names packages by id
+  if (Array.isArray(kb.packages)) {
+    for (const id of recommenderPackageIds()) {
+      if (!packageIds.has(id)) {
+        errors.push({ path: "packages", message: `"${id}" is used by the package recommender (lib/recommender.js) but is not a package id` });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed KB. Errors make the KB unusable; warnings are advisory.
+ */
+function validateKB(kb, schema = KB_SCHEMA) {
+  const errors = [];
+  const warnings = [];
+
+  validateSchema(kb, schema, "", schema, errors);
+  if (typeOf(kb) === "object") checkCrossReferences(kb, errors, warnings);
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Throw a KBValidationError (with .errors/.warnings) if the KB is invalid
+ */
+function assertValidKB(kb) {
+  const result = validateKB(kb);
+  if (!result.valid) throw new KBValidationError(result.errors, result.warnings);
+  return result;
+}
+
+module.exports = {
+  KB_SCHEMA,
+  KBValidationError,
+  validateKB,
+  assertValidKB,
+  formatIssue
+};
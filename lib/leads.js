@@ -0,0 +1,485 @@
+/**
+ * Lead capture for Motiontography Bot
+ * - Pulls what a client volunteers in chat into a lead record per session, limited
+ *   to bot_guardrails.privacy_and_data_minimization.subtle_info_gathering_allowed_fields
+ *   (first name, session type, date preference, city, studio or location, budget,
+ *   edit level, contact method). Anything else, payment details above all, is
+ *   rejected: only the field name is noted, never the value.
+ * - A lead is "booking-ready" once it has every LEAD_READY_FIELDS field; an outbound
+ *   webhook (LEAD_WEBHOOK_URL) fires when it gets there
+ * - Admin list/export (JSON or CSV) for the CRM
+ *
+ * Works over any KV-like store with get/put/delete/list: a Cloudflare KV binding,
+ * createMemoryKV() from lib/storage.js, or createJsonFileKV() from lib/storage-fs.js.
+ * Runtime-agnostic (WebCrypto + fetch).
+ */
+
+const { extractSlots } = require("./slots");
+const { extractCity } = require("./quote");
+const { postJsonWebhook, webhookTimeoutFromEnv } = require("./webhook");
+const { toCsv } = require("./csv");
+
+const LEAD_PREFIX = "lead/";
+const SIGNATURE_HEADER = "x-lead-signature";
+const LEAD_COLLECTING = "collecting";
+const LEAD_BOOKING_READY = "booking_ready";
+const DEFAULT_READY_FIELDS = ["session_type", "session_date_preference", "contact_method"];
+const DEFAULT_CONTACT_METHODS = ["text", "phone_calls", "email", "instagram_dm"];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Lead fields that come straight from lib/slots.js
+const SLOT_FIELDS = {
+  session_type: "session_type",
+  studio_or_location: "studio_or_location",
+  edit_level: "edit_level_preference"
+};
+
+// The channel a client writes from is how they can be reached, unless they say otherwise
+const CHANNEL_CONTACT_METHODS = { sms: "text", instagram: "instagram_dm" };
+
+/**
+ * Fields the KB lets the bot collect. No list in the KB means nothing is collected.
+ */
+function allowedLeadFields(kb) {
+  const fields = kb.bot_guardrails?.privacy_and_data_minimization?.subtle_info_gathering_allowed_fields;
+  return Array.isArray(fields) ? fields.filter((f) => typeof f === "string") : [];
+}
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker)
+ */
+function leadConfigFromEnv(env = {}) {
+  const readyFields = String(env.LEAD_READY_FIELDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return {
+    enabled: env.LEADS_ENABLED !== "false",
+    readyFields: readyFields.length > 0 ? readyFields : [...DEFAULT_READY_FIELDS],
+    webhookUrl: env.LEAD_WEBHOOK_URL || null,
+    webhookSecret: env.LEAD_WEBHOOK_SECRET || null,
+    webhookTimeoutMs: webhookTimeoutFromEnv(env.LEAD_WEBHOOK_TIMEOUT_MS)
+  };
+}
+
+// -------------------- Extraction --------------------
+const NAME_STOPWORDS = new Set([
+  "a", "an", "the", "here", "just", "not", "so", "very", "also", "still", "new", "back",
+  "interested", "looking", "wondering", "curious", "trying", "planning", "hoping", "thinking",
+  "ready", "getting", "having", "going", "pregnant", "expecting", "engaged", "married",
+  "available", "free", "booked", "good", "fine", "ok", "okay", "sorry", "sure", "from",
+  "in", "at", "on", "with", "roger", "motiontography"
+]);
+
+const NAME_PATTERNS = [
+  /\bmy name(?:['’]s| is)\s+([A-Za-z][A-Za-z'’-]{1,29})\b/i,
+  /\b(?:[Nn]ame['’]s|[Cc]all me)\s+([A-Z][A-Za-z'’-]{1,29})\b/,
+  /(?:^|[.!?,]\s*|\b(?:[Hh]i|[Hh]ey|[Hh]ello)\s+)(?:I['’]?m|I am|[Tt]his is)\s+([A-Z][A-Za-z'’-]{1,29})\b/
+];
+
+const MONTHS = "january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec";
+const WEEKDAYS = "monday|tuesday|wednesday|thursday|friday|saturday|sunday";
+// "May I ...", "march in" and "Jan" (a name) only count with a day or a date word before them
+const AMBIGUOUS_MONTHS = new Set(["may", "mar", "march", "jan"]);
+
+const MONTH_DATE_RE = new RegExp(`\\b(?:(in|on|for|by|around|early|mid|late|until|before|after|of|next|this)[\\s-]+)?(${MONTHS})\\.?(?:\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b)?`, "gi");
+const NUMERIC_DATE_RE = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b(?!\s*(?:hours?|hrs?|mins?|minutes))/;
+const RELATIVE_DATE_RES = [
+  new RegExp(`\\b(?:this|next|coming)\\s+(?:week(?:end)?|month|${WEEKDAYS})\\b`, "i"),
+  /\b(?:(?:this|next|early|late)\s+|in the\s+)(?:spring|summer|fall|autumn|winter)\b/i,
+  /\b(?:tomorrow|today|tonight|asap|as soon as possible)\b/i,
+  new RegExp(`\\b(?:${WEEKDAYS})s?\\b|\\bweekends?\\b`, "i")
+];
+
+const BUDGET_RANGE_RE = /\$\s?(\d[\d,]*)\s*(?:-|–|to)\s*\$?\s?(\d[\d,]*)/;
+const BUDGET_LIMIT_RE = /\b(under|below|less than|no more than|max(?:imum)?|up to|around|about|roughly)\s+\$\s?(\d[\d,]*)/i;
+const BUDGET_STATED_RE = /\bbudget\b[^.?!$\d]{0,20}\$?\s?(\d[\d,]*)(?:\s*(?:-|–|to)\s*\$?\s?(\d[\d,]*))?/i;
+const BUDGET_LIMIT_LABELS = { below: "under", "less than": "under", "no more than": "up to", max: "up to", maximum: "up to", about: "around", roughly: "around" };
+
+// Values are communication_channels.allowed ids
+const CONTACT_METHOD_PATTERNS = [
+  ["text", [/\b(?:text|txt|sms)\s+me\b|\b(?:by|via|over)\s+(?:text|sms)\b|\bprefer\s+(?:to\s+)?text(?:ing|s)?\b|\btext(?:ing)?\s+is\s+(?:best|fine|good|great|easiest|preferred)\b|\b(?:can|could|may)\s+i\s+text\s+you\b/i]],
+  ["phone_calls", [
+    /\b[Cc]all me\b(?!\s+[A-Z][a-z])/, // but "Call me Dana" is a name
+    /\b(?:by|via|over\s+the)\s+phone\b|\bphone\s+call\b|\bgive\s+me\s+a\s+(?:call|ring)\b|\bprefer\s+(?:a\s+)?(?:phone\s+)?calls?\b|\b(?:can|could|may)\s+i\s+call\s+you\b/i
+  ]],
+  ["email", [/\be-?mail\s+me\b|\b(?:by|via|over)\s+e-?mail\b|\bprefer\s+e-?mail\b|\be-?mail\s+is\s+(?:best|fine|good|great|easiest|preferred)\b|\b(?:can|could|may)\s+i\s+e-?mail\s+you\b/i]],
+  ["instagram_dm", [/\bdm\s+me\b|\b(?:by|via|over)\s+(?:dms?|instagram|ig)\b|\bprefer\s+(?:dms?|instagram)\b|\b(?:can|could|may)\s+i\s+dm\s+you\b/i]]
+];
+
+// Payment and other sensitive data (privacy_and_data_minimization.do_not_collect_*)
+const SENSITIVE_PATTERNS = [
+  ["card_security_code", /\b(?:cvv|cvc|cvv2|security code)\b\D{0,12}\d{3,4}\b/i],
+  ["card_expiry", /\b(?:exp(?:iry|iration)?(?:\s+date)?)\b\D{0,8}\d{1,2}\s*\/\s*\d{2,4}\b/i],
+  ["bank_account_number", /\b(?:routing|account|acct)\s*(?:number|num|no\.?|#)?\D{0,10}\d{6,17}\b/i],
+  ["ssn", /\b\d{3}-\d{2}-\d{4}\b|\bsocial security\b/i]
+];
+const CARD_NUMBER_RE = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Names of the sensitive fields a message carries (["payment_card_number", ...])
+ */
+function detectSensitiveFields(text) {
+  const found = [];
+  const cards = String(text).match(CARD_NUMBER_RE) || [];
+  if (cards.some((c) => luhnValid(c.replace(/\D/g, "")))) found.push("payment_card_number");
+  for (const [field, re] of SENSITIVE_PATTERNS) {
+    if (re.test(text)) found.push(field);
+  }
+  return found;
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function extractFirstName(text) {
+  for (const re of NAME_PATTERNS) {
+    const match = text.match(re);
+    if (match && !NAME_STOPWORDS.has(match[1].toLowerCase())) return titleCase(match[1]);
+  }
+  return null;
+}
+
+function extractDatePreference(text) {
+  for (const match of text.matchAll(MONTH_DATE_RE)) {
+    const [, lead, month, day] = match;
+    if (AMBIGUOUS_MONTHS.has(month.toLowerCase()) && !lead && !day) continue;
+    if (day && (parseInt(day, 10) < 1 || parseInt(day, 10) > 31)) continue;
+    return match[0].trim().replace(/\s+/g, " ");
+  }
+
+  const numeric = text.match(NUMERIC_DATE_RE);
+  if (numeric) {
+    const month = parseInt(numeric[1], 10);
+    const day = parseInt(numeric[2], 10);
+    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) return numeric[0];
+  }
+
+  for (const re of RELATIVE_DATE_RES) {
+    const match = text.match(re);
+    if (match) return match[0].replace(/\s+/g, " ");
+  }
+  return null;
+}
+
+function amount(raw) {
+  const n = parseInt(String(raw).replace(/,/g, ""), 10);
+  return n >= 20 && n <= 50000 ? n : null;
+}
+
+function extractBudget(text) {
+  const range = text.match(BUDGET_RANGE_RE);
+  if (range && amount(range[1]) && amount(range[2]) >= amount(range[1])) return `$${amount(range[1])}-$${amount(range[2])}`;
+
+  const limit = text.match(BUDGET_LIMIT_RE);
+  if (limit && amount(limit[2])) {
+    const word = limit[1].toLowerCase();
+    return `${BUDGET_LIMIT_LABELS[word] || word} $${amount(limit[2])}`;
+  }
+
+  // "my budget is 500", "budget 300-400"
+  const stated = text.match(BUDGET_STATED_RE);
+  if (stated && amount(stated[1])) {
+    if (!stated[2]) return `$${amount(stated[1])}`;
+    if (amount(stated[2]) >= amount(stated[1])) return `$${amount(stated[1])}-$${amount(stated[2])}`;
+  }
+  return null;
+}
+
+function extractContactMethod(text, kb) {
+  const allowed = kb.business?.communication_channels?.allowed || DEFAULT_CONTACT_METHODS;
+  const match = CONTACT_METHOD_PATTERNS.find(([method, res]) => allowed.includes(method) && res.some((re) => re.test(text)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Everything a message says about the client, keyed by lead field name. Sensitive
+ * fields map to true (their values are never read out). A message carrying
+ * payment details isn't mined for anything else: card expiry dates look like
+ * session dates.
+ */
+function extractLeadCandidates(message, kb) {
+  const text = String(message || "");
+  const sensitive = detectSensitiveFields(text);
+  if (sensitive.length > 0) return Object.fromEntries(sensitive.map((field) => [field, true]));
+
+  const candidates = {};
+  const slots = extractSlots(text);
+  for (const [slot, field] of Object.entries(SLOT_FIELDS)) {
+    if (slots[slot]) candidates[field] = slots[slot];
+  }
+
+  const found = {
+    first_name: extractFirstName(text),
+    session_date_preference: extractDatePreference(text),
+    city: extractCity(text, kb),
+    budget_range: extractBudget(text),
+    contact_method: extractContactMethod(text, kb)
+  };
+  for (const [field, value] of Object.entries(found)) {
+    if (value) candidates[field] = value;
+  }
+  return candidates;
+}
+
+/**
+ * Split candidates into the allowed fields and the names of everything else
+ */
+function filterLeadFields(candidates, allowed) {
+  const fields = {};
+  const rejected = [];
+  for (const [field, value] of Object.entries(candidates)) {
+    if (allowed.includes(field)) fields[field] = value;
+    else rejected.push(field);
+  }
+  return { fields, rejected };
+}
+
+// -------------------- Lead records --------------------
+/**
+ * The lead after one message: new values replace old ones (clients change their
+ * minds), and booking_ready_at is kept from the first time it got there
+ */
+function mergeLead(existing, { session_id, channel, fields, rejected, readyFields, now = new Date().toISOString() }) {
+  const merged = { ...(existing?.fields || {}), ...fields };
+  const missing = readyFields.filter((field) => !merged[field]);
+  const ready = missing.length === 0;
+  return {
+    session_id,
+    channel: existing?.channel || channel,
+    status: ready ? LEAD_BOOKING_READY : LEAD_COLLECTING,
+    fields: merged,
+    missing,
+    rejected_fields: [...new Set([...(existing?.rejected_fields || []), ...rejected])],
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    booking_ready_at: existing?.booking_ready_at || (ready ? now : null),
+    notified_at: existing?.notified_at || null
+  };
+}
+
+/**
+ * Leads keyed "lead/<session_id>" in a KV store
+ */
+function createLeadStore(kv) {
+  async function get(sessionId) {
+    const value = await kv.get(`${LEAD_PREFIX}${sessionId}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function save(lead) {
+    await kv.put(`${LEAD_PREFIX}${lead.session_id}`, JSON.stringify(lead));
+    return lead;
+  }
+
+  async function remove(sessionId) {
+    await kv.delete(`${LEAD_PREFIX}${sessionId}`);
+  }
+
+  /**
+   * Delete leads not updated since before (YYYY-MM-DD, UTC). Returns how many.
+   */
+  async function prune(before) {
+    let removed = 0;
+    for (const lead of await list()) {
+      if (lead.updated_at.slice(0, 10) >= before) continue;
+      await remove(lead.session_id);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Every lead, oldest first. status: "collecting" | "booking_ready";
+   * from/to: YYYY-MM-DD bounds on the day the lead was created (UTC).
+   */
+  async function list({ status, from, to } = {}) {
+    const leads = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: LEAD_PREFIX, cursor });
+      for (const { name } of page.keys) {
+        const value = await kv.get(name);
+        if (value) leads.push(JSON.parse(value));
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return leads
+      .filter((lead) => !status || lead.status === status)
+      .filter((lead) => !from || lead.created_at.slice(0, 10) >= from)
+      .filter((lead) => !to || lead.created_at.slice(0, 10) <= to)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  return { get, save, delete: remove, list, prune };
+}
+
+// -------------------- Capture --------------------
+/**
+ * POSTs { event: "lead.booking_ready", ts, lead } as JSON (lib/webhook.js), signed
+ * like the handoff webhook when a secret is set and given up on after timeoutMs
+ */
+function createLeadWebhook({ url, secret, timeoutMs, fetch: doFetch }) {
+  return async (lead) => {
+    const data = { event: "lead.booking_ready", ts: new Date().toISOString(), lead };
+    try {
+      await postJsonWebhook({ url, data, secret, signatureHeader: SIGNATURE_HEADER, timeoutMs, fetch: doFetch });
+    } catch (err) {
+      throw new Error(`Lead webhook ${err.message}`);
+    }
+  };
+}
+
+/**
+ * What runChatTurn takes as its leads option. capture() never throws (a store or
+ * webhook outage must not break the chat) and doesn't wait for the webhook: it is
+ * sent in the background and the lead marked notified once it lands. A webhook
+ * that fails is retried on the client's next message; without LEAD_WEBHOOK_URL
+ * booking-ready leads are logged.
+ */
+function createLeadCapture(config, { store, fetch: doFetch } = {}) {
+  const webhook = config.webhookUrl
+    ? createLeadWebhook({ url: config.webhookUrl, secret: config.webhookSecret, timeoutMs: config.webhookTimeoutMs, fetch: doFetch })
+    : null;
+  const announcing = new Set(); // session ids whose webhook is in flight
+
+  async function announce(lead) {
+    announcing.add(lead.session_id);
+    try {
+      if (webhook) await webhook(lead);
+      else console.log(`[Leads] booking-ready lead - session ${lead.session_id}`);
+
+      // Re-read: the client may have added to the lead while the webhook ran
+      const latest = await store.get(lead.session_id);
+      if (latest && !latest.notified_at) await store.save({ ...latest, notified_at: new Date().toISOString() });
+      return true;
+    } catch (err) {
+      console.error("[Leads Error]", err.message);
+      return false;
+    } finally {
+      announcing.delete(lead.session_id);
+    }
+  }
+
+  /**
+   * Record what one client message adds to the session's lead.
+   * Returns { captured, rejected, status } (field names only) or null if the
+   * message had nothing for the lead. waitUntil(promise) keeps the webhook alive
+   * after the reply (the Worker's ctx.waitUntil).
+   */
+  async function capture({ kb, session_id, channel, message, waitUntil = null }) {
+    try {
+      const allowed = allowedLeadFields(kb);
+      const { fields, rejected } = filterLeadFields(extractLeadCandidates(message, kb), allowed);
+      if (rejected.length > 0) console.warn("[Leads] rejected fields outside the allowlist:", rejected.join(", "));
+
+      const existing = await store.get(session_id);
+      const captured = Object.keys(fields);
+      // Nothing to record: no allowed fields, and no lead to note a rejection on
+      if (captured.length === 0 && (!existing || rejected.length === 0)) {
+        return rejected.length > 0 ? { captured, rejected, status: null } : null;
+      }
+
+      const contact = CHANNEL_CONTACT_METHODS[channel];
+      if (contact && allowed.includes("contact_method") && !existing?.fields?.contact_method && !fields.contact_method) {
+        fields.contact_method = contact;
+      }
+
+      const readyFields = config.readyFields.filter((field) => allowed.includes(field));
+      const lead = mergeLead(existing, { session_id, channel, fields, rejected, readyFields });
+      await store.save(lead);
+      if (lead.status === LEAD_BOOKING_READY && !lead.notified_at && !announcing.has(session_id)) {
+        const announced = announce(lead);
+        if (waitUntil) waitUntil(announced);
+      }
+      return { captured, rejected, status: lead.status };
+    } catch (err) {
+      console.error("[Leads Error]", err.message);
+      return null;
+    }
+  }
+
+  return { enabled: config.enabled, store, capture };
+}
+
+// -------------------- Admin responses --------------------
+const CSV_META_COLUMNS = ["session_id", "channel", "status", "created_at", "updated_at", "booking_ready_at"];
+
+/**
+ * Leads as CSV rows: one column per allowed field, then what is still missing
+ */
+function leadsToCsv(leads, kb) {
+  const fields = allowedLeadFields(kb);
+  const columns = [...CSV_META_COLUMNS, ...fields, "missing", "rejected_fields"];
+  return toCsv(columns, leads.map((lead) => ({ ...lead, ...lead.fields })));
+}
+
+/**
+ * GET /api/admin/leads?status=&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv.
+ * Returns { status, body }, plus contentType and filename for CSV.
+ */
+async function leadListResponse(store, kb, query = {}) {
+  const { status, from, to } = query;
+  const format = query.format || "json";
+
+  if (status && ![LEAD_COLLECTING, LEAD_BOOKING_READY].includes(status)) {
+    return { status: 400, body: { ok: false, error: `status must be ${LEAD_COLLECTING} or ${LEAD_BOOKING_READY}` } };
+  }
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    return { status: 400, body: { ok: false, error: "from/to must be YYYY-MM-DD" } };
+  }
+  if (from && to && from > to) return { status: 400, body: { ok: false, error: "from must not be after to" } };
+  if (!["json", "csv"].includes(format)) return { status: 400, body: { ok: false, error: "format must be json or csv" } };
+
+  const leads = await store.list({ status, from, to });
+  if (format === "csv") {
+    return {
+      status: 200,
+      body: leadsToCsv(leads, kb),
+      contentType: "text/csv; charset=utf-8",
+      filename: `leads_${from || "start"}_${to || "today"}.csv`
+    };
+  }
+  return { status: 200, body: { ok: true, count: leads.length, leads } };
+}
+
+/**
+ * GET /api/admin/leads/:session_id
+ */
+async function leadDetailResponse(store, sessionId) {
+  const lead = await store.get(sessionId);
+  if (!lead) return { status: 404, body: { ok: false, error: "Lead not found" } };
+  return { status: 200, body: { ok: true, lead } };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  LEAD_COLLECTING,
+  LEAD_BOOKING_READY,
+  allowedLeadFields,
+  leadConfigFromEnv,
+  detectSensitiveFields,
+  extractLeadCandidates,
+  filterLeadFields,
+  mergeLead,
+  createLeadStore,
+  createLeadCapture,
+  leadsToCsv,
+  leadListResponse,
+  leadDetailResponse
+};
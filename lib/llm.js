@@ -0,0 +1,418 @@
+/**
+ * Provider-agnostic LLM transport for Motiontography Bot
+ * - openai-responses: OpenAI Responses API (default when OPENAI_API_KEY is set)
+ * - openai-chat: OpenAI Chat Completions
+ * - openai-compatible: Chat Completions at any base URL (Ollama, llama.cpp, vLLM...)
+ * - mock: deterministic, no network (tests, local dev)
+ * - none: LLM disabled, heuristic only
+ *
+ * Every call gets a per-provider timeout, retry with exponential backoff for
+ * transient errors, and a circuit breaker. While the breaker is open, complete()
+ * fails fast with CircuitOpenError so callers go straight to the heuristic path.
+ * Token usage is priced into a daily spend cap (lib/spend-cap.js); once
+ * LLM_DAILY_BUDGET_USD is spent, calls fail fast with BudgetExceededError the same way.
+ * stream() is the same call with the output text delivered as it is generated.
+ *
+ * Prompts and response parsing live in lib/openai.js.
+ */
+
+const { createCircuitBreaker } = require("./circuit-breaker");
+const { createSpendCap } = require("./spend-cap");
+
+const PROVIDERS = ["openai-responses", "openai-chat", "openai-compatible", "mock", "none"];
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+// gpt-4o list prices (USD per million tokens); set LLM_*_COST_PER_1M for other models
+const DEFAULT_COST_PER_1M = { input: 2.5, output: 10 };
+const DEFAULT_TIMEOUT_MS = {
+  "openai-responses": 20000,
+  "openai-chat": 20000,
+  "openai-compatible": 60000, // local models are slow to first token
+  mock: 1000
+};
+
+class LLMError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+class CircuitOpenError extends LLMError {
+  constructor(retryAt) {
+    super(`LLM circuit breaker is open (retry after ${retryAt})`);
+    this.name = "CircuitOpenError";
+  }
+}
+
+class BudgetExceededError extends LLMError {
+  constructor(spentUsd, budgetUsd) {
+    super(`LLM daily budget reached ($${spentUsd} of $${budgetUsd})`);
+    this.name = "BudgetExceededError";
+  }
+}
+
+/**
+ * o-series (o1, o3-mini, o4-mini...) and gpt-5* take a reasoning effort; gpt-4o and most local models don't
+ */
+function isReasoningModel(model) {
+  const name = String(model || "").toLowerCase().split("/").pop();
+  return /^(o\d+(-|$)|gpt-5)/.test(name);
+}
+
+function intEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function numberEnv(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * LLM settings from an env object (process.env on the server, env on the Worker)
+ */
+function llmConfigFromEnv(env = {}) {
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  const provider = env.LLM_PROVIDER
+    || (env.LLM_BASE_URL ? "openai-compatible" : apiKey ? "openai-responses" : "none");
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`LLM_PROVIDER must be one of: ${PROVIDERS.join(", ")} (got "${provider}")`);
+  }
+
+  return {
+    provider,
+    apiKey,
+    baseUrl: (env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ""),
+    model: env.LLM_MODEL || (provider === "mock" ? "mock" : env.OPENAI_MODEL || "gpt-4o"),
+    reasoning: env.LLM_REASONING || "auto", // auto | true | false
+    reasoningEffort: env.OPENAI_REASONING_EFFORT || "high",
+    textVerbosity: env.OPENAI_TEXT_VERBOSITY || "low",
+    maxOutputTokens: parseInt(env.OPENAI_MAX_OUTPUT_TOKENS, 10) || 500,
+    timeoutMs: intEnv(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS[provider] || 20000),
+    maxRetries: intEnv(env.LLM_MAX_RETRIES, 1),
+    retryBaseMs: intEnv(env.LLM_RETRY_BASE_MS, 500),
+    breakerThreshold: intEnv(env.LLM_BREAKER_THRESHOLD, 5),
+    breakerCooldownMs: intEnv(env.LLM_BREAKER_COOLDOWN_MS, 60 * 1000),
+    dailyBudgetUsd: numberEnv(env.LLM_DAILY_BUDGET_USD, 0),
+    inputCostPer1M: numberEnv(env.LLM_INPUT_COST_PER_1M, DEFAULT_COST_PER_1M.input),
+    outputCostPer1M: numberEnv(env.LLM_OUTPUT_COST_PER_1M, DEFAULT_COST_PER_1M.output),
+    mockMode: env.LLM_MOCK_MODE || "echo" // echo | error
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// -------------------- Providers --------------------
+function useReasoning(config) {
+  if (config.reasoning === "true") return true;
+  if (config.reasoning === "false") return false;
+  return isReasoningModel(config.model);
+}
+
+function authHeaders(config) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) headers["Authorization"] = `Bearer ${config.apiKey}`;
+  return headers;
+}
+
+async function post(url, body, config, signal) {
+  const doFetch = config.fetch || fetch;
+  let response;
+  try {
+    response = await doFetch(url, { method: "POST", headers: authHeaders(config), body: JSON.stringify(body), signal });
+  } catch (err) {
+    if (signal?.aborted) throw new LLMError(`LLM request timed out after ${config.timeoutMs}ms`, { retryable: true });
+    throw new LLMError(`LLM request failed: ${err.message}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new LLMError(`LLM API error ${response.status}: ${errorText}`, {
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500
+    });
+  }
+  return response;
+}
+
+async function postJson(url, body, config, signal) {
+  return (await post(url, body, config, signal)).json();
+}
+
+/**
+ * { input_tokens, output_tokens } from a Responses or Chat Completions usage
+ * object, or null if the provider didn't report one
+ */
+function usageOf(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+    output_tokens: usage.output_tokens ?? usage.completion_tokens ?? 0
+  };
+}
+
+/**
+ * Call onData with each `data:` payload of a server-sent event stream
+ */
+async function readEventData(stream, onData) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) onData(line.slice(5).trim());
+    }
+    if (done) return;
+  }
+}
+
+function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    throw new LLMError(`Malformed LLM stream event: ${data.slice(0, 100)}`);
+  }
+}
+
+function responsesRequest(input, config) {
+  const requestBody = {
+    model: config.model,
+    input,
+    max_output_tokens: config.maxOutputTokens
+  };
+  // gpt-4o does NOT support reasoning.effort
+  if (useReasoning(config)) requestBody.reasoning = { effort: config.reasoningEffort };
+  return requestBody;
+}
+
+async function responsesComplete(input, config, signal) {
+  const data = await postJson(`${config.baseUrl}/responses`, responsesRequest(input, config), config, signal);
+
+  // Responses API returns an output array of messages with content parts
+  let textContent = "";
+  for (const item of data.output || []) {
+    if (item.type === "message" && item.content) {
+      for (const content of item.content) {
+        if (content.type === "output_text" || content.type === "text") textContent += content.text || "";
+      }
+    }
+  }
+  return { text: textContent || data.choices?.[0]?.message?.content || "", usage: usageOf(data.usage) };
+}
+
+async function responsesStream(input, config, signal, onText) {
+  const requestBody = { ...responsesRequest(input, config), stream: true };
+  const response = await post(`${config.baseUrl}/responses`, requestBody, config, signal);
+
+  let text = "";
+  let usage = null;
+  await readEventData(response.body, (data) => {
+    const event = parseEventData(data);
+    if (event.type === "response.output_text.delta" && event.delta) {
+      text += event.delta;
+      onText(event.delta);
+    } else if (event.type === "response.completed") {
+      usage = usageOf(event.response?.usage);
+    } else if (event.type === "error" || event.type === "response.failed") {
+      const message = event.error?.message || event.response?.error?.message || event.message || "stream failed";
+      throw new LLMError(`LLM stream error: ${message}`, { retryable: true });
+    }
+  });
+  return { text, usage };
+}
+
+function chatRequest(input, config) {
+  const requestBody = { model: config.model, messages: input };
+  if (useReasoning(config)) {
+    requestBody.max_completion_tokens = config.maxOutputTokens;
+    requestBody.reasoning_effort = config.reasoningEffort;
+  } else {
+    requestBody.max_tokens = config.maxOutputTokens;
+  }
+  return requestBody;
+}
+
+async function chatComplete(input, config, signal) {
+  const data = await postJson(`${config.baseUrl}/chat/completions`, chatRequest(input, config), config, signal);
+  return { text: data.choices?.[0]?.message?.content || "", usage: usageOf(data.usage) };
+}
+
+async function chatStream(input, config, signal, onText) {
+  const requestBody = { ...chatRequest(input, config), stream: true };
+  // OpenAI only reports usage in a stream when asked; compatible servers may not know the option
+  if (config.provider === "openai-chat") requestBody.stream_options = { include_usage: true };
+  const response = await post(`${config.baseUrl}/chat/completions`, requestBody, config, signal);
+
+  let text = "";
+  let usage = null;
+  await readEventData(response.body, (data) => {
+    if (data === "[DONE]") return;
+    const event = parseEventData(data);
+    if (event.error) throw new LLMError(`LLM stream error: ${event.error.message || "stream failed"}`, { retryable: true });
+    if (event.usage) usage = usageOf(event.usage);
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(delta);
+    }
+  });
+  return { text, usage };
+}
+
+/**
+ * Deterministic stand-in: echoes the last user message in the router's JSON
+ * format ("echo"), or fails like an unavailable API ("error").
+ * config.mockResponder(input) overrides both.
+ */
+async function mockText(input, config) {
+  if (typeof config.mockResponder === "function") return config.mockResponder(input);
+  if (config.mockMode === "error") throw new LLMError("Mock LLM error", { status: 503, retryable: true });
+
+  const lastUser = [...input].reverse().find((m) => m.role === "user");
+  return JSON.stringify({
+    intent_id: null,
+    confidence: 0,
+    reply: `[mock] ${lastUser ? lastUser.content : ""}`,
+    followups: [],
+    links_shared: [],
+    escalated: false,
+    kb_evidence: []
+  });
+}
+
+async function mockComplete(input, config) {
+  return { text: await mockText(input, config), usage: null };
+}
+
+/**
+ * The mock's output in small chunks, like a streaming provider
+ */
+async function mockStream(input, config, signal, onText) {
+  const text = await mockText(input, config);
+  for (let i = 0; i < text.length; i += 16) onText(text.slice(i, i + 16));
+  return { text, usage: null };
+}
+
+const SENDERS = {
+  "openai-responses": responsesComplete,
+  "openai-chat": chatComplete,
+  "openai-compatible": chatComplete,
+  mock: mockComplete
+};
+
+const STREAMERS = {
+  "openai-responses": responsesStream,
+  "openai-chat": chatStream,
+  "openai-compatible": chatStream,
+  mock: mockStream
+};
+
+// -------------------- Client --------------------
+/**
+ * Usage for providers that don't report it: ~4 characters per token, as in
+ * lib/prompt-context.js estimateTokens
+ */
+function estimateUsage(input, text) {
+  const chars = input.reduce((sum, m) => sum + String(m.content || "").length, 0);
+  return { input_tokens: Math.ceil(chars / 4), output_tokens: Math.ceil(text.length / 4) };
+}
+
+/**
+ * complete(input) sends [{ role, content }] messages and resolves with the output text.
+ * stream(input, onText) resolves the same way, calling onText with each piece of
+ * text as it arrives. A stream that already delivered text is not retried.
+ * config.fetch and config.now override fetch and the clock (tests).
+ */
+function createLLMClient(config) {
+  const { provider } = config;
+  const enabled = provider !== "none"
+    && !((provider === "openai-responses" || provider === "openai-chat") && !config.apiKey);
+  const breaker = createCircuitBreaker({
+    failureThreshold: config.breakerThreshold || 5,
+    cooldownMs: config.breakerCooldownMs ?? 60 * 1000,
+    now: config.now
+  });
+  const spend = createSpendCap({
+    dailyBudgetUsd: config.dailyBudgetUsd || 0,
+    inputCostPer1M: config.inputCostPer1M ?? DEFAULT_COST_PER_1M.input,
+    outputCostPer1M: config.outputCostPer1M ?? DEFAULT_COST_PER_1M.output,
+    now: config.now
+  });
+
+  async function sendWithTimeout(input, onText) {
+    const controller = typeof AbortController === "function" ? new AbortController() : null;
+    const timer = config.timeoutMs > 0 && controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+    try {
+      const output = onText
+        ? await STREAMERS[provider](input, config, controller?.signal, onText)
+        : await SENDERS[provider](input, config, controller?.signal);
+      if (!output.text) throw new LLMError("No text content in LLM response", { retryable: false });
+      return output;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  async function request(input, onText = null) {
+    if (!enabled) throw new LLMError(`LLM provider "${provider}" is not configured`);
+    if (!spend.allowRequest()) {
+      const { spent_usd, budget_usd } = spend.status();
+      throw new BudgetExceededError(spent_usd, budget_usd);
+    }
+    if (!breaker.allowRequest()) throw new CircuitOpenError(breaker.status().retry_at);
+
+    let streamed = false;
+    const onChunk = onText && ((chunk) => {
+      streamed = true;
+      onText(chunk);
+    });
+
+    const maxRetries = config.maxRetries ?? 1;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { text, usage } = await sendWithTimeout(input, onChunk);
+        breaker.recordSuccess();
+        spend.record(usage || estimateUsage(input, text));
+        return text;
+      } catch (err) {
+        const retryable = (err instanceof LLMError ? err.retryable : true) && !streamed;
+        if (!retryable || attempt >= maxRetries) {
+          // One breaker failure per request, not per attempt
+          breaker.recordFailure();
+          throw err;
+        }
+        const base = (config.retryBaseMs ?? 500) * 2 ** attempt;
+        await sleep(base + Math.floor(Math.random() * base));
+      }
+    }
+  }
+
+  return {
+    provider,
+    model: config.model,
+    enabled,
+    complete: (input) => request(input),
+    stream: (input, onText) => request(input, onText),
+    status: () => ({ provider, model: config.model, enabled, breaker: breaker.status(), spend: spend.status() })
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  LLMError,
+  CircuitOpenError,
+  BudgetExceededError,
+  isReasoningModel,
+  llmConfigFromEnv,
+  createLLMClient
+};
@@ -0,0 +1,121 @@
+/**
+ * KB-only heuristic intent matching for Motiontography Bot
+ * - Ranks intents with the BM25 index in lib/retrieval.js (scores 0..1)
+ * - /regex/flags triggers still force a full-score match
+ * - Uses the conversation so far for followup answers and short replies
+ *
+ * Runtime-agnostic: shared by server.js and worker.js through lib/core.js.
+ */
+
+const { extractSlots, followupSlot } = require("./slots");
+const { getIntentIndex } = require("./retrieval");
+
+// Normalized retrieval score below which we escalate instead of guessing
+const MIN_MATCH_SCORE = 0.18;
+const REGEX_MATCH_SCORE = 1;
+
+function isRegexTrigger(t) {
+  return typeof t === "string" && t.startsWith("/") && t.lastIndexOf("/") > 0;
+}
+
+function compileRegex(trigger) {
+  const lastSlash = trigger.lastIndexOf("/");
+  return new RegExp(trigger.slice(1, lastSlash), trigger.slice(lastSlash + 1) || "");
+}
+
+function intentIdOf(intent) {
+  return intent.id || intent.intent_id || intent.name || null;
+}
+
+function findIntentById(kb, id) {
+  if (!id) return null;
+  return (kb.intents_and_answers || []).find((i) => intentIdOf(i) === id) || null;
+}
+
+/**
+ * Retrieval index for this KB (built once per KB object; see lib/retrieval.js)
+ */
+function intentIndexFor(kb) {
+  return getIntentIndex(kb, intentIdOf);
+}
+
+function regexTriggerHit(message, intent) {
+  return (intent.triggers || []).some((t) => {
+    if (!isRegexTrigger(t)) return false;
+    try {
+      return compileRegex(t).test(message);
+    } catch (_) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Top intents for a message: [{ intent, intent_id, score }], best first, score 0..1
+ */
+function rankIntents(message, kb, { limit = 5 } = {}) {
+  const ranked = intentIndexFor(kb)
+    .search(message, { limit: Infinity })
+    .map(({ intent, intent_id, score }) => ({ intent, intent_id, score }));
+
+  for (const intent of kb.intents_and_answers || []) {
+    if (!regexTriggerHit(message, intent)) continue;
+    const hit = ranked.find((r) => r.intent === intent);
+    if (hit) hit.score = REGEX_MATCH_SCORE;
+    else ranked.push({ intent, intent_id: intentIdOf(intent), score: REGEX_MATCH_SCORE });
+  }
+
+  // Stable sort keeps the index's tie-breaking
+  return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function scoreIntent(message, intent, kb) {
+  return rankIntents(message, kb, { limit: Infinity }).find((r) => r.intent === intent)?.score || 0;
+}
+
+function findBestIntent(message, kb) {
+  const [best] = rankIntents(message, kb, { limit: 1 });
+  if (!best || best.score < MIN_MATCH_SCORE) return { intent: null, score: best ? best.score : 0 };
+  return { intent: best.intent, score: best.score };
+}
+
+/**
+ * Heuristic matching with conversation context:
+ * 1. A reply to one of our own followups stays on the previous intent
+ * 2. Otherwise score the message on its own
+ * 3. Short answers that match weakly are re-scored with the client's previous messages;
+ *    one that shares no words with any intent is escalated, not read as the last topic
+ */
+function findBestIntentWithHistory(message, kb, session) {
+  const lastIntent = findIntentById(kb, session?.last_intent_id);
+
+  if (lastIntent) {
+    const messageSlots = extractSlots(message);
+    const answersFollowup = (lastIntent.followups || []).some((q) => messageSlots[followupSlot(q)] != null);
+    if (answersFollowup) {
+      return { intent: lastIntent, score: scoreIntent(message, lastIntent, kb), from_history: true };
+    }
+  }
+
+  const direct = findBestIntent(message, kb);
+  if (direct.intent || direct.score === 0 || !session || session.turns.length === 0) return { ...direct, from_history: false };
+
+  const priorUserMessages = session.turns.filter((t) => t.role === "user").slice(-2).map((t) => t.content);
+  const combined = findBestIntent([...priorUserMessages, message].join("\n"), kb);
+  if (combined.intent) return { ...combined, from_history: true };
+
+  return { ...direct, from_history: false };
+}
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  isRegexTrigger,
+  compileRegex,
+  intentIdOf,
+  findIntentById,
+  intentIndexFor,
+  rankIntents,
+  scoreIntent,
+  findBestIntent,
+  findBestIntentWithHistory
+};
@@ -1,23 +1,37 @@
 /**
- * OpenAI GPT-5.2 Router + Responder for Motiontography Bot
- * Uses OpenAI Responses API with reasoning/thinking capabilities
+ * LLM Router + Responder for Motiontography Bot (GPT-5.2 by default)
+ * Prompts and response parsing; the provider call itself goes through lib/llm.js
  *
  * STRICT GROUNDING: Only uses facts from the KB JSON. Never hallucinate.
  */
 
-const OPENAI_API_URL = "https://api.openai.com/v1/responses";
+const { redactKB } = require("./guardrails");
+const { staticKBContext, selectKBContext, estimateTokens } = require("./prompt-context");
+
+const RELEVANT_KB_NOTE = `The KB below holds the sections that apply to every message. The intents and any package, wedding, boudoir or on-location details relevant to the client's message are sent in a separate "RELEVANT KB" message; they are part of the KB too. If none of those intents fits, escalate.`;
+
+// -------------------- Prompts --------------------
+const systemPrompts = new WeakMap();
 
 /**
- * Build the system prompt with strict grounding rules
+ * Build the system prompt with strict grounding rules.
+ * mode "full" embeds the whole KB; "relevant" only the static sections (the
+ * per-message slice goes in buildInputMessages), so the prompt is identical
+ * for every message and providers can cache it. Cached per KB object.
  */
-function buildSystemPrompt(kb) {
-  // Sanitize KB to remove sensitive data before sending to model
-  const sanitizedKB = JSON.parse(JSON.stringify(kb));
-
-  // Remove exact studio address from KB sent to model
-  if (sanitizedKB.business?.studio?.address) {
-    sanitizedKB.business.studio.address = "[REDACTED - Say 'Studio in Suffolk, VA']";
+function buildSystemPrompt(kb, { mode = "full" } = {}) {
+  let cached = systemPrompts.get(kb);
+  if (!cached) {
+    cached = {};
+    systemPrompts.set(kb, cached);
   }
+  if (!cached[mode]) cached[mode] = renderSystemPrompt(kb, mode);
+  return cached[mode];
+}
+
+function renderSystemPrompt(kb, mode) {
+  // Protected values (the exact studio address) are redacted before anything is sent to the model
+  const sanitizedKB = mode === "full" ? redactKB(kb) : staticKBContext(kb);
 
   return `You are a friendly, professional customer support assistant for Motiontography LLC, a photography studio in Hampton Roads, VA owned by Roger Mitchell.
 
@@ -35,6 +49,8 @@ function buildSystemPrompt(kb) {
 
 6. **LINKS**: Only share URLs that exist in the KB (official_pages, square_booking_links, or explicitly in intent answers).
 
+7. **CONVERSATION CONTEXT**: Earlier messages in this conversation may be answers to your own followup questions (e.g. "on-location", "60 minutes"). Use them to stay on the same topic instead of starting over.
+
 ## YOUR TASK:
 
 Given a user message:
@@ -53,105 +69,108 @@ Given a user message:
   "followups": ["Optional followup question 1", "Optional followup question 2"],
   "links_shared": ["https://...", "https://..."],
   "escalated": false,
-  "kb_evidence": ["packages[0].name", "official_pages.booking_page_url"]
+  "kb_evidence": ["packages[0].name", "official_pages.booking_page_url"],
+  "alternatives": [{ "intent_id": "another plausible intent", "confidence": 0.0 }]
 }
 
+"alternatives" lists other intents the message could reasonably mean, with your confidence in each (empty array if the match is clear). Never repeat intent_id in it.
+
 If escalating, use this reply format:
 "I don't want to guess and give you the wrong info. Please contact Roger directly at ${kb.business?.primary_phone || '+1-757-759-8454'} (call/text), or use the contact page: ${kb.official_pages?.contact_page_url || 'https://motiontography.com/contact.html'}"
 
 ## KNOWLEDGE BASE:
-
+${mode === "full" ? "" : `\n${RELEVANT_KB_NOTE}\n`}
 ${JSON.stringify(sanitizedKB, null, 2)}
 
 Remember: Output ONLY valid JSON. No markdown, no explanation, no code blocks.`;
 }
 
 /**
- * Call OpenAI Responses API with GPT-5.2 and reasoning
+ * Build the conversation input: system prompt, prior turns, known slots, values
+ * unlocked for a booked client, the per-message KB slice (context.kbContext,
+ * relevant mode only), new message
  */
-async function callOpenAI(message, kb, config) {
-  const {
-    apiKey,
-    model = "gpt-4o",
-    reasoningEffort = "high",
-    textVerbosity = "low",
-    maxOutputTokens = 500
-  } = config;
-
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not set");
-  }
+function buildInputMessages(systemPrompt, message, context = {}) {
+  const input = [{ role: "system", content: systemPrompt }];
 
-  const systemPrompt = buildSystemPrompt(kb);
-
-  // Build request body for OpenAI Responses API
-  const requestBody = {
-    model: model,
-    input: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message }
-    ],
-    max_output_tokens: maxOutputTokens
-  };
-
-  // Add reasoning config ONLY for reasoning models (o1, o3, etc.)
-  // gpt-4o does NOT support reasoning.effort parameter
-  if (model.includes("o1") || model.includes("o3") || model.includes("gpt-5")) {
-    requestBody.reasoning = { effort: reasoningEffort };
+  for (const turn of context.history || []) {
+    if (turn && turn.content) input.push({ role: turn.role, content: String(turn.content) });
   }
 
-  const response = await fetch(OPENAI_API_URL, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error ${response.status}: ${errorText}`);
+  const slots = context.slots || {};
+  if (Object.keys(slots).length > 0) {
+    input.push({
+      role: "system",
+      content: `Details the client already gave earlier in this conversation (do not ask again): ${JSON.stringify(slots)}`
+    });
   }
 
-  const data = await response.json();
-
-  // Extract the text content from the response
-  // Responses API returns output array with content
-  let textContent = "";
-
-  if (data.output && Array.isArray(data.output)) {
-    for (const item of data.output) {
-      if (item.type === "message" && item.content) {
-        for (const content of item.content) {
-          if (content.type === "output_text" || content.type === "text") {
-            textContent += content.text || "";
-          }
-        }
-      }
-    }
+  if (context.unlocked?.length > 0) {
+    const values = context.unlocked.map((u) => `- ${u.kb_path}: ${u.value}`).join("\n");
+    input.push({
+      role: "system",
+      content: `This client has booked and paid, so you may share these details if asked:\n${values}`
+    });
   }
 
-  // Fallback for different response formats
-  if (!textContent && data.choices?.[0]?.message?.content) {
-    textContent = data.choices[0].message.content;
+  if (context.kbContext) {
+    input.push({
+      role: "system",
+      content: `## RELEVANT KB FOR THIS MESSAGE:\n\n${JSON.stringify(context.kbContext, null, 2)}`
+    });
   }
 
-  if (!textContent) {
-    throw new Error("No text content in OpenAI response");
+  input.push({ role: "user", content: message });
+  return input;
+}
+
+/**
+ * Conversation input for one message plus what went into it:
+ * { input, prompt: { mode, tokens_est, sections, intent_ids } }.
+ * context.prompt: { mode, topK } from promptConfigFromEnv (default: full KB)
+ */
+function buildRouteInput(message, kb, context = {}) {
+  const mode = context.prompt?.mode || "full";
+  const systemPrompt = buildSystemPrompt(kb, { mode });
+
+  let selection = null;
+  if (mode === "relevant") {
+    selection = selectKBContext(message, kb, {
+      history: context.history,
+      lastIntentId: context.lastIntentId,
+      topK: context.prompt.topK
+    });
   }
 
-  return textContent;
+  const input = buildInputMessages(systemPrompt, message, { ...context, kbContext: selection?.context });
+  return {
+    input,
+    prompt: {
+      mode,
+      tokens_est: estimateTokens(input.map((m) => m.content).join("\n")),
+      sections: selection ? selection.sections : null,
+      intent_ids: selection ? selection.intent_ids : null
+    }
+  };
 }
 
 /**
- * Parse the model's JSON response safely
+ * Estimated prompt sizes for /api/health: the system prompt in relevant mode
+ * (sent with every message) and with the full KB
  */
-function parseModelResponse(rawText) {
-  // Clean up potential markdown code blocks
+function promptTokenEstimates(kb) {
+  return {
+    static_tokens_est: estimateTokens(buildSystemPrompt(kb, { mode: "relevant" })),
+    full_kb_tokens_est: estimateTokens(buildSystemPrompt(kb, { mode: "full" }))
+  };
+}
+
+/**
+ * Strip markdown code block wrappers the model sometimes adds around JSON
+ */
+function stripCodeFences(rawText) {
   let cleaned = rawText.trim();
 
-  // Remove markdown code block wrappers if present
   if (cleaned.startsWith("```json")) {
     cleaned = cleaned.slice(7);
   } else if (cleaned.startsWith("```")) {
@@ -160,7 +179,14 @@ function parseModelResponse(rawText) {
   if (cleaned.endsWith("```")) {
     cleaned = cleaned.slice(0, -3);
   }
-  cleaned = cleaned.trim();
+  return cleaned.trim();
+}
+
+/**
+ * Parse the model's JSON response safely
+ */
+function parseModelResponse(rawText) {
+  const cleaned = stripCodeFences(rawText);
 
   try {
     const parsed = JSON.parse(cleaned);
@@ -173,7 +199,12 @@ function parseModelResponse(rawText) {
       followups: Array.isArray(parsed.followups) ? parsed.followups : [],
       links_shared: Array.isArray(parsed.links_shared) ? parsed.links_shared : [],
       escalated: Boolean(parsed.escalated),
-      kb_evidence: Array.isArray(parsed.kb_evidence) ? parsed.kb_evidence : []
+      kb_evidence: Array.isArray(parsed.kb_evidence) ? parsed.kb_evidence : [],
+      alternatives: Array.isArray(parsed.alternatives)
+        ? parsed.alternatives
+          .filter((a) => a && typeof a.intent_id === "string" && typeof a.confidence === "number")
+          .map((a) => ({ intent_id: a.intent_id, confidence: a.confidence }))
+        : []
     };
   } catch (e) {
     throw new Error(`Failed to parse model JSON: ${e.message}`);
@@ -181,25 +212,130 @@ function parseModelResponse(rawText) {
 }
 
 /**
- * Main function: Route and answer using OpenAI GPT-5.2
- * Returns structured response or throws error for fallback handling
+ * Pull the "reply" string out of the model's JSON while it is still streaming.
+ * push(chunk) returns the reply text decoded from that chunk ("" before the
+ * reply starts, after it ends, or mid-escape).
  */
-async function openAiRouteAndAnswer(message, kb, config) {
-  const rawResponse = await callOpenAI(message, kb, config);
-  const parsed = parseModelResponse(rawResponse);
+function createReplyExtractor() {
+  let buffer = "";
+  let pos = -1; // index in buffer of the next undecoded reply character
+  let done = false;
+
+  return {
+    push(chunk) {
+      if (done) return "";
+      buffer += chunk;
+      if (pos < 0) {
+        const start = buffer.match(/"reply"\s*:\s*"/);
+        if (!start) return "";
+        pos = start.index + start[0].length;
+      }
+
+      let out = "";
+      while (pos < buffer.length) {
+        const ch = buffer[pos];
+        if (ch === "\"") {
+          done = true;
+          break;
+        }
+        if (ch !== "\\") {
+          out += ch;
+          pos++;
+          continue;
+        }
+        // Escapes: wait until the whole sequence has arrived
+        const escape = buffer[pos + 1] === "u" ? buffer.slice(pos, pos + 6) : buffer.slice(pos, pos + 2);
+        if (escape.length < (buffer[pos + 1] === "u" ? 6 : 2)) break;
+        try {
+          out += JSON.parse(`"${escape}"`);
+        } catch (e) {
+          out += escape.slice(1);
+        }
+        pos += escape.length;
+      }
+      return out;
+    }
+  };
+}
 
-  // Double-check: scrub any leaked address from reply
-  if (parsed.reply) {
-    // Remove any potential address leaks (109 Abbey Rd pattern)
-    parsed.reply = parsed.reply.replace(/109\s*Abbey\s*R(oa)?d[^,]*/gi, "Studio in Suffolk, VA");
-    parsed.reply = parsed.reply.replace(/\d+\s+Abbey\s+R(oa)?d/gi, "Studio in Suffolk, VA");
+/**
+ * Main function: Route and answer with the configured LLM client (lib/llm.js)
+ * context: { history: [{role, content}], slots: {}, lastIntentId } from the session
+ * store, plus prompt: { mode, topK } and unlocked: [{ kb_path, value }] (protected
+ * values this client may now be given). With onReplyDelta(text) the request is
+ * streamed and the reply text is passed on as it arrives (unverified and unguarded:
+ * the caller must guard it).
+ * Returns structured response (with prompt: { mode, tokens_est, sections, intent_ids })
+ * or throws error for fallback handling
+ */
+async function llmRouteAndAnswer(message, kb, llm, context = {}) {
+  const { input, prompt } = buildRouteInput(message, kb, context);
+  let rawResponse;
+  if (context.onReplyDelta && llm.stream) {
+    const extractor = createReplyExtractor();
+    rawResponse = await llm.stream(input, (chunk) => {
+      const text = extractor.push(chunk);
+      if (text) context.onReplyDelta(text);
+    });
+  } else {
+    rawResponse = await llm.complete(input);
   }
+  const parsed = parseModelResponse(rawResponse);
+
+  // Guardrails (lib/guardrails.js) run on the final reply in lib/core.js
+  return { ...parsed, prompt };
+}
+
+/**
+ * Draft a KB-grounded answer for a NEW_FAQ_CANDIDATES question so Roger can
+ * review it before it becomes an intent. Never sent to clients directly.
+ */
+async function llmDraftFaqAnswer(question, kb, llm) {
+  const systemPrompt = `${buildSystemPrompt(kb)}
+
+## DRAFTING MODE
+
+You are NOT talking to a client. You are drafting a proposed new FAQ answer for the owner (Roger) to review.
+Write the answer the bot should give to the question below, using ONLY KB facts. If the KB doesn't cover it,
+say exactly what Roger needs to confirm instead of inventing anything.
 
-  return parsed;
+Output ONLY JSON:
+{
+  "draft_answer": "Proposed client-facing answer",
+  "suggested_intent_id": "snake_case_id",
+  "suggested_triggers": ["short phrase", "another phrase"],
+  "grounded": true,
+  "missing_info": "What Roger must confirm (empty if fully grounded)",
+  "kb_evidence": ["booking_policies.retainers"]
+}`;
+
+  const raw = await llm.complete([
+    { role: "system", content: systemPrompt },
+    { role: "user", content: question }
+  ]);
+
+  try {
+    const parsed = JSON.parse(stripCodeFences(raw));
+    return {
+      draft_answer: String(parsed.draft_answer || ""),
+      suggested_intent_id: parsed.suggested_intent_id || null,
+      suggested_triggers: Array.isArray(parsed.suggested_triggers) ? parsed.suggested_triggers : [],
+      grounded: Boolean(parsed.grounded),
+      missing_info: String(parsed.missing_info || ""),
+      kb_evidence: Array.isArray(parsed.kb_evidence) ? parsed.kb_evidence : []
+    };
+  } catch (e) {
+    throw new Error(`Failed to parse draft JSON: ${e.message}`);
+  }
 }
 
 module.exports = {
-  openAiRouteAndAnswer,
+  llmRouteAndAnswer,
+  llmDraftFaqAnswer,
   buildSystemPrompt,
+  buildInputMessages,
+  buildRouteInput,
+  createReplyExtractor,
+  promptTokenEstimates,
   parseModelResponse
 };
@@ -0,0 +1,358 @@
+/**
+ * Privacy for the chat logs (transcripts + FAQ candidates)
+ * - Redaction before anything is written: card-number-like strings become
+ *   "[card]" (bot_guardrails.privacy_and_data_minimization.do_not_collect_payment_details),
+ *   phone numbers and emails become stable pseudonyms ("[phone:3f9a0c21be]", an HMAC
+ *   keyed with LOG_HASH_SECRET) so one client's records still line up and can be found
+ *   again. Without the secret they become plain "[phone]" / "[email]": a key in the
+ *   repo would let anyone reverse them by trying every number. The `client` object
+ *   keeps only a first name. The business's own phone and emails (anything in the KB) stay.
+ * - Retention: records older than TRANSCRIPT_RETENTION_DAYS / FAQ_CANDIDATE_RETENTION_DAYS,
+ *   and leads not updated in LEAD_RETENTION_DAYS, are pruned (the server daily, the
+ *   Worker on its cron trigger)
+ * - "Forget this client": every log record, lead, session, handoff and booking link matching a
+ *   session_id, phone, email or Instagram handle/id
+ *
+ * Runtime-agnostic (WebCrypto). Works over the storage adapters in lib/storage.js.
+ */
+
+const { hmacHex } = require("./signatures");
+const { phoneKey, emailKey, instagramKey, clientIdentities } = require("./bookings");
+const { LOG_KINDS } = require("./storage");
+
+const DEFAULT_RETENTION_DAYS = { transcript: 90, faq_candidate: 365, lead: 365 };
+const PSEUDONYM_LENGTH = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CARD_RE = /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g;
+const PHONE_RE = /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\w)/g;
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Keys in a chat request's client object and how each is pseudonymized
+const CLIENT_IDENTITY_FIELDS = {
+  phone: (v) => phoneKey(v),
+  email: (v) => emailKey(v),
+  instagram: (v) => instagramKey(v),
+  ig_handle: (v) => instagramKey(v),
+  ig: (v) => instagramKey(v),
+  instagram_id: (v) => igsidKey(v)
+};
+
+function retentionDays(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * A retention of 0 keeps records forever.
+ */
+function privacyConfigFromEnv(env = {}) {
+  return {
+    redactPii: env.LOG_REDACT_PII !== "false",
+    hashKey: env.LOG_HASH_SECRET || null,
+    retentionDays: {
+      transcript: retentionDays(env.TRANSCRIPT_RETENTION_DAYS, DEFAULT_RETENTION_DAYS.transcript),
+      faq_candidate: retentionDays(env.FAQ_CANDIDATE_RETENTION_DAYS, DEFAULT_RETENTION_DAYS.faq_candidate),
+      lead: retentionDays(env.LEAD_RETENTION_DAYS, DEFAULT_RETENTION_DAYS.lead)
+    }
+  };
+}
+
+// Instagram-scoped user id (the Instagram channel's sender, lib/instagram.js)
+function igsidKey(id) {
+  const s = String(id || "").trim();
+  return /^\d{5,}$/.test(s) ? `igsid:${s}` : null;
+}
+
+/**
+ * "[phone:3f9a0c21be]" for the identity key "phone:7575550142": the same client
+ * gets the same pseudonym in every record. Just "[phone]" without config.hashKey.
+ */
+async function pseudonym(identityKey, config) {
+  const type = identityKey.split(":")[0];
+  const label = type === "ig" || type === "igsid" ? "instagram" : type;
+  if (!config.hashKey) return `[${label}]`;
+  const hash = await hmacHex("SHA-256", config.hashKey, identityKey);
+  return `[${label}:${hash.slice(0, PSEUDONYM_LENGTH)}]`;
+}
+
+// -------------------- Redaction --------------------
+const KB_CONTACTS = new WeakMap();
+
+/**
+ * Phone and email identity keys that appear anywhere in the KB (Roger's number,
+ * the studio's email): replies quote them, and they aren't a client's
+ */
+function businessContacts(kb) {
+  if (KB_CONTACTS.has(kb)) return KB_CONTACTS.get(kb);
+  const contacts = new Set();
+  const visit = (value) => {
+    if (typeof value === "string") {
+      for (const [match] of value.matchAll(PHONE_RE)) contacts.add(phoneKey(match));
+      for (const [match] of value.matchAll(EMAIL_RE)) contacts.add(emailKey(match));
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(kb);
+  contacts.delete(null);
+  KB_CONTACTS.set(kb, contacts);
+  return contacts;
+}
+
+/**
+ * What gets redacted for this KB and config: cards whenever the KB says not to
+ * collect payment details (or PII redaction is on), phones and emails with PII
+ */
+function redactionRules(kb, config) {
+  const privacy = kb.bot_guardrails?.privacy_and_data_minimization || {};
+  return {
+    cards: config.redactPii || privacy.do_not_collect_payment_details === true,
+    pii: config.redactPii,
+    exempt: businessContacts(kb)
+  };
+}
+
+async function redactText(text, rules, config) {
+  let out = rules.cards ? text.replace(CARD_RE, "[card]") : text;
+  if (!rules.pii) return out;
+
+  const found = [
+    ...[...out.matchAll(PHONE_RE)].map(([match]) => [match, phoneKey(match)]),
+    ...[...out.matchAll(EMAIL_RE)].map(([match]) => [match, emailKey(match)])
+  ].filter(([, key]) => key && !rules.exempt.has(key));
+
+  for (const [match, key] of found) {
+    out = out.split(match).join(await pseudonym(key, config));
+  }
+  return out;
+}
+
+/**
+ * Session ids carry the channel's address ("sms:+17575550142", "ig:1784...")
+ */
+async function redactSessionId(sessionId, rules, config) {
+  const [, channel, address] = String(sessionId).match(/^(sms|ig):(.+)$/) || [];
+  const key = channel === "sms" ? phoneKey(address) : channel === "ig" ? igsidKey(address) : null;
+  if (rules.pii && key) return `${channel}:${await pseudonym(key, config)}`;
+  return redactText(String(sessionId), rules, config);
+}
+
+/**
+ * The client object as logged: pseudonyms for its identities, a first name
+ * (first_name is all subtle_info_gathering_allowed_fields has), nothing else.
+ * A bare value ("client": "555-123-4567") is redacted like any text.
+ */
+async function redactClient(client, rules, config) {
+  if (client == null) return client;
+  if (typeof client !== "object") return redactText(String(client), rules, config);
+  const out = {};
+  for (const [field, value] of Object.entries(client)) {
+    const key = CLIENT_IDENTITY_FIELDS[field] ? CLIENT_IDENTITY_FIELDS[field](value) : null;
+    if (key) out[field] = await pseudonym(key, config);
+    else if (/^(first_)?name$/.test(field) && typeof value === "string") out.first_name = value.trim().split(/\s+/)[0] || null;
+  }
+  return out;
+}
+
+async function redactValue(value, rules, config) {
+  if (typeof value === "string") return redactText(value, rules, config);
+  if (Array.isArray(value)) return Promise.all(value.map((v) => redactValue(v, rules, config)));
+  if (!value || typeof value !== "object") return value;
+
+  const out = {};
+  for (const [field, v] of Object.entries(value)) {
+    out[field] = await redactValue(v, rules, config);
+  }
+  return out;
+}
+
+/**
+ * A log record with card numbers, phones and emails redacted (see above).
+ * Returns a copy; the record itself is left alone.
+ */
+async function redactRecord(record, kb, config = {}) {
+  const rules = redactionRules(kb, config);
+  if (!rules.cards && !rules.pii) return record;
+
+  const out = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (field === "session_id" && value) out[field] = await redactSessionId(value, rules, config);
+    else if (field === "client" && rules.pii) out[field] = await redactClient(value, rules, config);
+    else out[field] = await redactValue(value, rules, config);
+  }
+  return out;
+}
+
+// -------------------- Retention --------------------
+function cutoffDay(days, now) {
+  return new Date(now - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Delete records past their kind's retention window, and leads (the lead store
+ * from lib/leads.js, if given) past theirs. Returns { kind: removed, leads? }.
+ */
+async function pruneLogs(storage, config, { leads = null, now = Date.now() } = {}) {
+  const removed = {};
+  for (const kind of LOG_KINDS) {
+    const days = config.retentionDays?.[kind] || 0;
+    if (days <= 0) continue;
+    removed[kind] = await storage.prune(kind, cutoffDay(days, now));
+  }
+  const leadDays = config.retentionDays?.lead || 0;
+  if (leads && leadDays > 0) removed.leads = await leads.prune(cutoffDay(leadDays, now));
+  return removed;
+}
+
+// -------------------- Forget --------------------
+/**
+ * The session id as it was logged. Without a hash key every SMS session is logged
+ * as "sms:[phone]", which would match everyone's, so only the raw id is used.
+ */
+async function loggedSessionIds(sessionId, config) {
+  if (!config.hashKey) return [sessionId];
+  return [sessionId, await redactSessionId(sessionId, { pii: true, cards: true, exempt: new Set() }, config)];
+}
+
+/**
+ * Validate a forget request ({ session_id?, phone?, email?, instagram? }, at least
+ * one). Returns { error } or the targets to match records against.
+ */
+async function forgetTargets(input = {}, config = {}) {
+  const { session_id, phone, email, instagram } = input;
+  for (const [field, value] of Object.entries({ session_id, phone, email, instagram })) {
+    if (value !== undefined && (typeof value !== "string" || !value.trim())) return { error: `${field} must be a non-empty string` };
+  }
+  if (!session_id && !phone && !email && !instagram) {
+    return { error: "session_id, phone, email or instagram is required" };
+  }
+
+  const identities = [];
+  if (phone) {
+    if (!phoneKey(phone)) return { error: "phone must have at least 7 digits" };
+    identities.push(phoneKey(phone));
+  }
+  if (email) {
+    if (!emailKey(email)) return { error: "email is not a valid address" };
+    identities.push(emailKey(email));
+  }
+  if (instagram) {
+    // A handle ("@jane.doe") or the Instagram-scoped id the DM channel uses
+    const key = igsidKey(instagram) || instagramKey(instagram);
+    if (!key) return { error: "instagram must be a handle or an Instagram user id" };
+    identities.push(key);
+  }
+
+  const sessionIds = new Set(session_id ? await loggedSessionIds(session_id, config) : []);
+  // Plain "[phone]" / "[email]" (no hash key) name nobody in particular
+  const pseudonyms = config.hashKey ? await Promise.all(identities.map((key) => pseudonym(key, config))) : [];
+  return { identities, pseudonyms, sessionIds };
+}
+
+/**
+ * What the client typed (or was logged with) in a record, for matching records
+ * written before redaction was on
+ */
+function clientTexts(record) {
+  const context = (record.context || []).filter((m) => m.role === "user").map((m) => m.content);
+  return [record.session_id, record.user_message, record.question, ...context, ...Object.values(record.client || {})]
+    .filter((v) => typeof v === "string");
+}
+
+function matchesIdentity(texts, identity) {
+  const [type, value] = [identity.slice(0, identity.indexOf(":")), identity.slice(identity.indexOf(":") + 1)];
+  if (type === "phone") return texts.some((t) => t.replace(/\D/g, "").includes(value));
+  if (type === "email") return texts.some((t) => t.toLowerCase().includes(value));
+  if (type === "ig") return texts.some((t) => new RegExp(`@${value.replace(/\./g, "\\.")}\\b`, "i").test(t));
+  return texts.some((t) => t === `ig:${value}` || t === value);
+}
+
+/**
+ * Whether a record (log record, or { session_id, client } for a session or lead)
+ * belongs to the client being forgotten
+ */
+function recordMatches(record, targets) {
+  if (!record) return false;
+  if (targets.sessionIds.has(record.session_id)) return true;
+
+  const json = JSON.stringify(record);
+  if (targets.pseudonyms.some((p) => json.includes(p))) return true;
+
+  const known = clientIdentities(record.client);
+  const igsid = igsidKey(record.client?.instagram_id);
+  if (igsid) known.push(igsid);
+  if (targets.identities.some((identity) => known.includes(identity))) return true;
+
+  const texts = clientTexts(record);
+  return targets.identities.some((identity) => matchesIdentity(texts, identity));
+}
+
+/**
+ * POST /api/admin/forget { session_id?, phone?, email?, instagram? }: purge the
+ * client from the logs (every record of any session they were identified in),
+ * leads, live sessions, open handoffs and the booking registry. Any store may be null. Needs
+ * LOG_HASH_SECRET while PII redaction is on (503 otherwise).
+ * Returns { status, body } with what was removed.
+ */
+async function forgetResponse({ input, config = {}, storage = null, sessions = null, leads = null, bookings = null, handoffs = null }) {
+  // Redacted without a key, a phone or email is logged as "[phone]" / "[email]": nothing to match
+  if (config.redactPii && !config.hashKey) {
+    return { status: 503, body: { ok: false, error: "Forget is not configured (LOG_HASH_SECRET): without it redacted logs can't be matched to a client" } };
+  }
+  const targets = await forgetTargets(input, config);
+  if (targets.error) return { status: 400, body: { ok: false, error: targets.error } };
+
+  const removed = { transcript: 0, faq_candidate: 0, leads: 0, sessions: 0, handoffs: 0, bookings: 0 };
+
+  // Live sessions and open handoffs first: they tie a raw session id to the client
+  for (const session of sessions ? sessions.list() : []) {
+    if (recordMatches({ session_id: session.id, client: session.client }, targets)) {
+      for (const id of await loggedSessionIds(session.id, config)) targets.sessionIds.add(id);
+      sessions.delete(session.id);
+      removed.sessions++;
+    }
+  }
+  for (const handoff of handoffs ? await handoffs.list() : []) {
+    if (recordMatches(handoff, targets)) {
+      for (const id of await loggedSessionIds(handoff.session_id, config)) targets.sessionIds.add(id);
+      await handoffs.delete(handoff.session_id);
+      removed.handoffs++;
+    }
+  }
+
+  if (storage) {
+    // Records that name the client mark their whole session for removal
+    for (const kind of LOG_KINDS) {
+      for (const record of await storage.list(kind)) {
+        if (record.session_id && recordMatches(record, targets)) targets.sessionIds.add(record.session_id);
+      }
+    }
+    for (const kind of LOG_KINDS) {
+      removed[kind] = await storage.remove(kind, (record) => recordMatches(record, targets));
+    }
+  }
+
+  if (leads) {
+    for (const lead of await leads.list()) {
+      if (recordMatches({ session_id: lead.session_id }, targets)) {
+        await leads.delete(lead.session_id);
+        removed.leads++;
+      }
+    }
+  }
+
+  if (bookings && targets.identities.length > 0) removed.bookings = await bookings.forget(targets.identities);
+
+  return { status: 200, body: { ok: true, removed } };
+}
+
+module.exports = {
+  privacyConfigFromEnv,
+  redactRecord,
+  pruneLogs,
+  forgetTargets,
+  recordMatches,
+  forgetResponse
+};
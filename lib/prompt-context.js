@@ -0,0 +1,151 @@
+/**
+ * Relevance-filtered KB context for the LLM prompt
+ * - Static part (same for every message, so providers can cache the prefix):
+ *   business profile, official pages, policies, guidelines, add-ons, editing
+ *   levels, tone rules and guardrails
+ * - Per-message part: the top-K candidate intents from the local matcher, plus
+ *   the optional sections (packages, wedding, boudoir, on-location) they touch
+ *
+ * Runtime-agnostic. Token counts are estimates (~4 characters per token).
+ */
+
+const { tokenize } = require("./retrieval");
+const { redactKB } = require("./guardrails");
+const { intentIdOf, findIntentById, rankIntents } = require("./matcher");
+
+// Always sent, in this order (stable prefix for prompt caching)
+const STATIC_SECTIONS = [
+  "business",
+  "official_pages",
+  "booking_policies",
+  "client_experience_guidelines",
+  "add_ons",
+  "editing_levels",
+  "tone_and_messaging_rules",
+  "bot_guardrails"
+];
+
+// Sent only when the message or its best candidate intent uses one of the terms.
+// Package ids and names from the KB count as package terms too.
+// square_booking_links travels with packages (the booking buttons).
+const OPTIONAL_SECTIONS = {
+  packages: {
+    keys: ["packages", "square_booking_links"],
+    terms: "package price pricing cost much charge rate budget cheap afford quote hour minute images"
+  },
+  wedding_packages: {
+    keys: ["wedding_packages"],
+    terms: "wedding bride groom bridal engagement married ceremony reception elope"
+  },
+  boudoir_info: {
+    keys: ["boudoir_info"],
+    terms: "boudoir lingerie intimate sensual sexy"
+  },
+  on_location_info: {
+    keys: ["on_location_info"],
+    terms: "location outdoor outside beach park urban downtown weather rain sunset"
+  }
+};
+
+const DEFAULT_TOP_K = 8;
+const PROMPT_MODES = ["relevant", "full"];
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * PROMPT_KB_MODE=full sends the whole KB like before.
+ */
+function promptConfigFromEnv(env = {}) {
+  const mode = env.PROMPT_KB_MODE || "relevant";
+  if (!PROMPT_MODES.includes(mode)) {
+    throw new Error(`PROMPT_KB_MODE must be one of: ${PROMPT_MODES.join(", ")} (got "${mode}")`);
+  }
+  return {
+    mode,
+    topK: parseInt(env.PROMPT_TOP_K, 10) > 0 ? parseInt(env.PROMPT_TOP_K, 10) : DEFAULT_TOP_K
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// -------------------- Section terms --------------------
+function buildSectionTerms(kb) {
+  const terms = {};
+  for (const [name, section] of Object.entries(OPTIONAL_SECTIONS)) {
+    const words = [section.terms];
+    for (const key of section.keys) {
+      if (Array.isArray(kb[key])) for (const entry of kb[key]) words.push(entry?.id || "", entry?.name || "");
+    }
+    terms[name] = new Set(tokenize(words.join(" ").replace(/_/g, " ")));
+  }
+  return terms;
+}
+
+// -------------------- Prompt parts (cached per KB object) --------------------
+const parts = new WeakMap();
+
+function promptParts(kb) {
+  let cached = parts.get(kb);
+  if (!cached) {
+    const sanitized = redactKB(kb);
+    const staticKB = { kb_version: kb.kb_version, last_updated_local: kb.last_updated_local };
+    for (const key of STATIC_SECTIONS) if (sanitized[key] != null) staticKB[key] = sanitized[key];
+    cached = { sanitized, staticKB, sectionTerms: buildSectionTerms(kb) };
+    parts.set(kb, cached);
+  }
+  return cached;
+}
+
+/**
+ * Static KB sections sent with every message
+ */
+function staticKBContext(kb) {
+  return promptParts(kb).staticKB;
+}
+
+/**
+ * KB slice for one message: { intents_and_answers: top-K candidates, ...optional sections }.
+ * history: earlier { role, content } turns; lastIntentId: the session's last intent
+ * (kept as a candidate so followup answers stay on topic).
+ */
+function selectKBContext(message, kb, { history = [], lastIntentId = null, topK = DEFAULT_TOP_K } = {}) {
+  const { sanitized, sectionTerms } = promptParts(kb);
+  const priorUser = history.filter((t) => t.role === "user").slice(-2).map((t) => t.content);
+
+  const candidates = [];
+  const add = (intent) => {
+    if (intent && !candidates.includes(intent) && candidates.length < topK) candidates.push(intent);
+  };
+  add(findIntentById(kb, lastIntentId));
+  for (const r of rankIntents(message, kb, { limit: topK })) add(r.intent);
+  if (priorUser.length > 0) {
+    for (const r of rankIntents([...priorUser, message].join("\n"), kb, { limit: topK })) add(r.intent);
+  }
+
+  // Sections: words in the conversation, plus the best candidate's triggers
+  // (so "boudior" or "how much is it" still pull in the right data)
+  const best = candidates[0];
+  const hintTerms = new Set(tokenize([...priorUser, message, ...(best?.triggers || [])].join(" ")));
+
+  const sections = [];
+  const context = {};
+  for (const [name, section] of Object.entries(OPTIONAL_SECTIONS)) {
+    if (![...sectionTerms[name]].some((t) => hintTerms.has(t))) continue;
+    sections.push(name);
+    for (const key of section.keys) if (sanitized[key] != null) context[key] = sanitized[key];
+  }
+
+  const ids = new Set(candidates.map(intentIdOf));
+  context.intents_and_answers = sanitized.intents_and_answers.filter((i) => ids.has(intentIdOf(i)));
+  return { context, intent_ids: [...ids], sections };
+}
+
+module.exports = {
+  STATIC_SECTIONS,
+  OPTIONAL_SECTIONS,
+  promptConfigFromEnv,
+  estimateTokens,
+  staticKBContext,
+  selectKBContext
+};
@@ -0,0 +1,368 @@
+/**
+ * Price quote calculator for Motiontography Bot
+ * Builds an itemized quote from the KB only: packages[].price_usd, add_ons,
+ * business.service_area.outside_core_travel_fee (+ travel_distances_miles) and
+ * booking_policies.retainers. Every line cites the KB path it came from.
+ */
+
+// Everything buildQuote reads; anything else is a typo ("edits") and is rejected
+const QUOTE_INPUT_KEYS = [
+  "package_id",
+  "mode",
+  "people",
+  "extra_standard_images",
+  "extra_advanced_images",
+  "composites",
+  "rush",
+  "city",
+  "distance_miles",
+  "edit_level"
+];
+
+const MODE_LABELS = {
+  studio: "studio",
+  on_location: "on-location",
+  in_home_or_location: "in-home/on-location"
+};
+
+const TRAVEL_MODES = ["on_location", "in_home_or_location"];
+
+function money(n) {
+  const digits = Number.isInteger(n) ? 0 : 2;
+  return `$${n.toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toCount(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function findPackage(kb, packageId) {
+  const index = (kb.packages || []).findIndex((p) => p.id === packageId);
+  return index === -1 ? null : { pkg: kb.packages[index], path: `packages[${index}]` };
+}
+
+/**
+ * Pick the priced mode for a package: the requested one if offered,
+ * else on-location when a city was given, else the first option.
+ */
+function resolveQuoteMode(pkg, requested, hasCity) {
+  if (typeof pkg.price_usd !== "object") return null;
+  const modes = Object.keys(pkg.price_usd);
+  if (requested && modes.includes(requested)) return requested;
+  if (requested && TRAVEL_MODES.includes(requested)) {
+    const outside = modes.find((m) => TRAVEL_MODES.includes(m));
+    if (outside) return outside;
+  }
+  if (hasCity) {
+    const outside = modes.find((m) => TRAVEL_MODES.includes(m));
+    if (outside) return outside;
+  }
+  return modes[0];
+}
+
+/**
+ * "1.25 USD per mile (round-trip)" -> 1.25
+ */
+function parseTravelRate(text) {
+  const m = String(text || "").match(/(\d+(?:\.\d+)?)\s*USD\s*per\s*mile/i);
+  return m ? parseFloat(m[1]) : null;
+}
+
+function isCoreCity(kb, city) {
+  const core = kb.business?.service_area?.cities_core || [];
+  return core.some((c) => c.toLowerCase() === String(city).toLowerCase());
+}
+
+/**
+ * One-way miles from the studio in business.service_area.travel_distances_miles
+ * (matched case-insensitively): { miles, kb_path } or null
+ */
+function lookupDistance(kb, city) {
+  const distances = kb.business?.service_area?.travel_distances_miles || {};
+  const wanted = String(city || "").toLowerCase().trim();
+  const name = Object.keys(distances).find((c) => c.toLowerCase() === wanted);
+  return name && typeof distances[name] === "number"
+    ? { miles: distances[name], kb_path: `business.service_area.travel_distances_miles.${name}` }
+    : null;
+}
+
+/**
+ * Build an itemized quote.
+ * input: { package_id, mode, people, extra_standard_images, extra_advanced_images,
+ *          composites, rush, city, distance_miles, edit_level }
+ * distance_miles is one-way; the KB travel fee is charged on round-trip miles.
+ * Throws on an unknown package or an input key not listed above.
+ */
+function buildQuote(input, kb) {
+  const unknown = Object.keys(input || {}).filter((key) => !QUOTE_INPUT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown quote field(s): ${unknown.join(", ")} (allowed: ${QUOTE_INPUT_KEYS.join(", ")})`);
+  }
+
+  const found = findPackage(kb, input.package_id);
+  if (!found) throw new Error(`Unknown package_id: ${input.package_id}`);
+  const { pkg, path } = found;
+
+  const lines = [];
+  const notes = [];
+  const addOns = kb.add_ons || {};
+
+  // Package base price
+  const mode = resolveQuoteMode(pkg, input.mode, !!input.city);
+  const basePrice = mode ? pkg.price_usd[mode] : pkg.price_usd;
+  if (typeof basePrice !== "number") throw new Error(`Package ${pkg.id} has no price for mode ${mode}`);
+  lines.push({
+    item: mode ? `${pkg.name} (${MODE_LABELS[mode] || mode})` : pkg.name,
+    quantity: 1,
+    unit_usd: basePrice,
+    amount_usd: basePrice,
+    kb_path: mode ? `${path}.price_usd.${mode}` : `${path}.price_usd`
+  });
+
+  // Extra people beyond the included headcount
+  const people = toCount(input.people);
+  if (people > 0) {
+    const included = typeof pkg.included_people === "object" && pkg.included_people !== null
+      ? pkg.included_people[mode]
+      : pkg.included_people;
+    if (typeof included === "number") {
+      const extra = people - included;
+      if (extra > 0 && typeof addOns.extra_person_fee_usd === "number") {
+        lines.push({
+          item: "Extra person",
+          quantity: extra,
+          unit_usd: addOns.extra_person_fee_usd,
+          amount_usd: extra * addOns.extra_person_fee_usd,
+          kb_path: "add_ons.extra_person_fee_usd"
+        });
+      }
+    } else if (included) {
+      notes.push(`Headcount for ${pkg.name}: ${included}`);
+    }
+  }
+
+  const perUnitAddOns = [
+    ["extra_standard_images", "Extra Standard image", "extra_standard_image_usd"],
+    ["extra_advanced_images", "Extra Advanced image", "extra_advanced_image_usd"],
+    ["composites", "Creative Composite add-on", "creative_composite_add_on_usd"]
+  ];
+  for (const [field, item, key] of perUnitAddOns) {
+    const qty = toCount(input[field]);
+    if (!qty || typeof addOns[key] !== "number") continue;
+
+    if (field === "composites" && (pkg.notes || []).some((n) => /no composite add-ons/i.test(n))) {
+      notes.push(`${pkg.name}: ${pkg.notes.find((n) => /no composite add-ons/i.test(n))}`);
+      continue;
+    }
+    lines.push({ item, quantity: qty, unit_usd: addOns[key], amount_usd: qty * addOns[key], kb_path: `add_ons.${key}` });
+  }
+
+  if (input.edit_level === "advanced" && pkg.included_edit_level === "standard" &&
+      !toCount(input.extra_advanced_images) && typeof addOns.extra_advanced_image_usd === "number") {
+    notes.push(`${pkg.name} includes Standard editing. Extra Advanced images are ${money(addOns.extra_advanced_image_usd)} each.`);
+  }
+
+  if (input.rush && typeof addOns.rush_turnaround_usd === "number") {
+    lines.push({
+      item: "Rush turnaround",
+      quantity: 1,
+      unit_usd: addOns.rush_turnaround_usd,
+      amount_usd: addOns.rush_turnaround_usd,
+      kb_path: "add_ons.rush_turnaround_usd"
+    });
+    if (addOns.rush_turnaround_definition) notes.push(addOns.rush_turnaround_definition);
+  }
+
+  // Travel outside the core cities (on-location only; single-location packages say so in location_options)
+  let travel_pending = false;
+  const shootMode = mode || String((pkg.location_options || [])[0] || "").replace(/_only$/, "");
+  if (input.city && TRAVEL_MODES.includes(shootMode) && !isCoreCity(kb, input.city)) {
+    const rate = parseTravelRate(kb.business?.service_area?.outside_core_travel_fee);
+    const known = input.distance_miles != null ? null : lookupDistance(kb, input.city);
+    const oneWay = input.distance_miles != null ? Number(input.distance_miles) : known?.miles;
+
+    if (rate != null && Number.isFinite(oneWay) && oneWay > 0) {
+      const roundTrip = oneWay * 2;
+      lines.push({
+        item: `Travel fee to ${input.city}`,
+        quantity: roundTrip,
+        unit_usd: rate,
+        amount_usd: round2(roundTrip * rate),
+        kb_path: "business.service_area.outside_core_travel_fee",
+        distance_kb_path: known ? known.kb_path : null
+      });
+    } else {
+      travel_pending = true;
+      notes.push(`Travel to ${input.city} is outside the core service area: ${kb.business?.service_area?.outside_core_travel_fee || "travel fee applies"}. Roger will confirm the mileage.`);
+    }
+  }
+
+  const total = round2(lines.reduce((sum, l) => sum + l.amount_usd, 0));
+
+  // Retainer: events use their own retainer policy
+  const retainers = kb.booking_policies?.retainers || {};
+  const retainerKey = pkg.id === "event_coverage_photography" ? "event_retainer_usd" : "standard_sessions_retainer_usd";
+  const retainer = typeof retainers[retainerKey] === "number"
+    ? {
+        amount_usd: retainers[retainerKey],
+        refundable: retainers.retainer_refundable ?? null,
+        applies_to_total: retainers.retainer_applies_to_total ?? null,
+        kb_path: `booking_policies.retainers.${retainerKey}`
+      }
+    : null;
+
+  return {
+    package_id: pkg.id,
+    package_name: pkg.name,
+    mode,
+    lines,
+    total_usd: total,
+    retainer,
+    balance_due_usd: retainer && retainer.applies_to_total ? round2(total - retainer.amount_usd) : total,
+    travel_pending,
+    notes
+  };
+}
+
+/**
+ * Plain-text itemized quote for chat replies
+ */
+function formatQuoteReply(quote, routeUrl) {
+  const rows = quote.lines.map((l) => {
+    let detail = "";
+    if (l.kb_path === "business.service_area.outside_core_travel_fee") {
+      detail = ` (${l.quantity} mi round-trip × ${money(l.unit_usd)}/mi)`;
+    } else if (l.quantity > 1) {
+      detail = ` (${l.quantity} × ${money(l.unit_usd)})`;
+    }
+    return `- ${l.item}${detail}: ${money(l.amount_usd)}`;
+  });
+
+  let reply = `Here's your estimate:\n${rows.join("\n")}\nEstimated total: ${money(quote.total_usd)}${quote.travel_pending ? " + travel fee" : ""}.`;
+
+  if (quote.retainer) {
+    const refundable = quote.retainer.refundable === false ? "non-refundable " : "";
+    const applies = quote.retainer.applies_to_total ? " and applies to your total" : "";
+    reply += ` A ${money(quote.retainer.amount_usd)} ${refundable}retainer secures your booking${applies}.`;
+  }
+  if (quote.notes.length > 0) reply += `\n${quote.notes.join("\n")}`;
+  if (routeUrl) reply += `\nBook here: ${routeUrl}`;
+  return reply;
+}
+
+// -------------------- Chat extraction --------------------
+
+const QUOTE_REQUEST_RE = /\b(quote|estimate|how much (would|will|does) (it|that|this|the total)|total (cost|price)|what would it cost)\b/i;
+// "How much would the deluxe portrait be for 6 people?" once a package is named
+const PACKAGE_QUOTE_RE = /\bhow much (would|will|does)\b/i;
+
+/**
+ * Whether a message asks for a quote. With the KB, "how much would/will/does"
+ * counts too when the message names a package.
+ */
+function isQuoteRequest(message, kb = null) {
+  const text = String(message || "");
+  if (QUOTE_REQUEST_RE.test(text)) return true;
+  return Boolean(kb) && PACKAGE_QUOTE_RE.test(text) && Boolean(findNamedPackage(text, kb));
+}
+
+/**
+ * Aliases a client might use for a package: full name, id with spaces,
+ * first two words of the name, and a distinctive first word.
+ */
+function packageAliases(kb) {
+  const packages = kb.packages || [];
+  const firstWords = packages.map((p) => String(p.name || "").toLowerCase().split(/\s+/)[0]);
+  const aliases = [];
+
+  packages.forEach((p, i) => {
+    const name = String(p.name || "").toLowerCase();
+    const words = name.split(/\s+/);
+    const list = [name, p.id.replace(/_/g, " "), words.slice(0, 2).join(" ")];
+    const first = firstWords[i];
+    // "composite" alone means the add-on, not the Composite Creation Session
+    if (first !== "composite" && firstWords.filter((w) => w === first).length === 1) list.push(first);
+    for (const a of list) aliases.push({ alias: a, package_id: p.id });
+  });
+
+  // Longest alias first so "maternity signature" beats "signature"
+  return aliases.sort((a, b) => b.alias.length - a.alias.length);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Id of the package a message names ("the deluxe portrait", "classic"), or null
+ */
+function findNamedPackage(message, kb) {
+  const lower = String(message || "").toLowerCase();
+  const named = packageAliases(kb).find(({ alias }) => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(lower));
+  return named ? named.package_id : null;
+}
+
+/**
+ * Pull quote inputs out of a chat message. Package is only set if named explicitly.
+ */
+function extractQuoteInput(message, kb) {
+  const text = String(message || "");
+  const lower = text.toLowerCase();
+  const input = {};
+
+  const packageId = findNamedPackage(text, kb);
+  if (packageId) input.package_id = packageId;
+
+  const people = lower.match(/\b(\d+)\s*(people|persons|adults|of us|guests)\b/);
+  if (people) input.people = parseInt(people[1], 10);
+
+  const standard = lower.match(/\b(\d+)\s*(extra\s+)?standard\s*(images?|edits?|photos?)\b/);
+  if (standard) input.extra_standard_images = parseInt(standard[1], 10);
+
+  const advanced = lower.match(/\b(\d+)\s*(extra\s+)?advanced\s*(images?|edits?|photos?)\b/);
+  if (advanced) input.extra_advanced_images = parseInt(advanced[1], 10);
+
+  const composites = lower.match(/\b(\d+)\s*(extra\s+)?composites?\b/);
+  if (composites) input.composites = parseInt(composites[1], 10);
+
+  if (/\brush\b/.test(lower)) input.rush = true;
+
+  const miles = lower.match(/\b(\d+(?:\.\d+)?)\s*(mi|miles)\b/);
+  if (miles) input.distance_miles = parseFloat(miles[1]);
+
+  const city = extractCity(text, kb);
+  if (city) input.city = city;
+
+  return input;
+}
+
+/**
+ * A city the KB serves (or one we know the distance to) named in a message,
+ * title-cased ("Virginia Beach", "DC"), or null
+ */
+function extractCity(message, kb) {
+  const lower = String(message || "").toLowerCase();
+  const knownCities = [
+    ...(kb.business?.service_area?.cities_core || []),
+    ...(kb.business?.service_area?.also_serves || []),
+    ...Object.keys(kb.business?.service_area?.travel_distances_miles || {})
+  ];
+  const city = knownCities.find((c) => new RegExp(`\\b${escapeRegExp(c.toLowerCase())}\\b`).test(lower));
+  if (!city) return null;
+  return city.length <= 2 ? city.toUpperCase() : city.replace(/\b\w/g, (ch) => ch.toUpperCase());
+}
+
+module.exports = {
+  QUOTE_INPUT_KEYS,
+  buildQuote,
+  formatQuoteReply,
+  isQuoteRequest,
+  findNamedPackage,
+  extractQuoteInput,
+  extractCity
+};
@@ -0,0 +1,247 @@
+/**
+ * Deterministic package recommender for Motiontography Bot
+ * Answers the package_confused_router questions (session type, studio vs
+ * on-location, duration, edit level) by ranking the KB `packages` array.
+ *
+ * No model involved: the same answers always give the same package, and the
+ * booking link is resolved from square_booking_links like any square_package route.
+ */
+
+const { pendingFollowups } = require("./slots");
+
+// Intents that promise "answer these questions and I'll send the exact booking button"
+const RECOMMENDER_INTENT_IDS = ["package_confused_router", "availability_check"];
+
+const REQUIRED_SLOTS = ["session_type", "studio_or_location", "duration_minutes"];
+
+const PORTRAIT_PACKAGES = ["mini_studio_portrait", "classic_portrait", "deluxe_portrait", "signature_fine_art"];
+
+// Session types with a dedicated package. `exclusive` types never fall back to portrait packages.
+const SESSION_TYPE_PACKAGES = {
+  maternity: { packages: ["maternity_signature", "milk_bath_session"] },
+  milk_bath: { packages: ["milk_bath_session"], exclusive: true },
+  newborn: { packages: ["newborn_lifestyle", "newborn_fine_art"], exclusive: true },
+  kids: { packages: ["kids_little_moments_mini", "kids_playtime_portrait"] },
+  milestone: { packages: ["milestone_storybook_bundle"], exclusive: true },
+  composite: { packages: ["composite_creation_session"] },
+  event: { packages: ["event_coverage_photography"], exclusive: true },
+  wedding: { packages: [], exclusive: true }
+};
+
+const EDIT_LEVEL_RANK = {
+  standard: 1,
+  advanced: 2,
+  mixed_advanced_and_composite: 2.5,
+  creative_composite: 3
+};
+
+const EDIT_LEVEL_LABELS = {
+  standard: "Standard",
+  advanced: "Advanced",
+  mixed_advanced_and_composite: "Advanced + Composite",
+  creative_composite: "Creative Composite"
+};
+
+const MODE_LABELS = {
+  studio: "studio",
+  on_location: "on-location",
+  in_home_or_location: "in-home/on-location"
+};
+
+function isRecommenderIntent(intentId) {
+  return RECOMMENDER_INTENT_IDS.includes(intentId);
+}
+
+function missingSlots(slots) {
+  return REQUIRED_SLOTS.filter((k) => slots?.[k] == null);
+}
+
+/**
+ * Duration range in minutes, whichever way the package spells it
+ */
+function durationRange(pkg) {
+  if (typeof pkg.duration_minutes === "number") return [pkg.duration_minutes, pkg.duration_minutes];
+  const range = pkg.duration_minutes_range || pkg.duration_minutes_per_session_range;
+  if (Array.isArray(range) && range.length === 2) return range;
+  if (typeof pkg.duration_hours === "number") return [pkg.duration_hours * 60, pkg.duration_hours * 60];
+  return null;
+}
+
+/**
+ * The square_booking_links mode key this package offers for the requested location,
+ * "" for single-location packages, or null if the package can't be done there
+ */
+function resolveMode(pkg, requested) {
+  const options = pkg.location_options || [];
+  if (options.some((o) => o.endsWith("_only"))) {
+    if (!requested) return "";
+    return options.includes(`${requested}_only`) ? "" : null;
+  }
+  if (!requested) return options[0] || "";
+  if (options.includes(requested)) return requested;
+
+  // "on-location" and "in-home" are interchangeable for packages that only offer one of them
+  const outside = ["on_location", "in_home_or_location"];
+  if (outside.includes(requested)) return options.find((o) => outside.includes(o)) || null;
+  return null;
+}
+
+function priceFor(pkg, mode) {
+  if (typeof pkg.price_usd === "number") return pkg.price_usd;
+  if (pkg.price_usd && typeof pkg.price_usd === "object") return pkg.price_usd[mode] ?? null;
+  return null;
+}
+
+/**
+ * Every package id the recommender can pick. lib/kb-validate.js checks them against
+ * the KB's packages, so renaming or removing one is an error instead of a silent gap.
+ */
+function recommenderPackageIds() {
+  const ids = [...PORTRAIT_PACKAGES, ...Object.values(SESSION_TYPE_PACKAGES).flatMap((t) => t.packages)];
+  return [...new Set(ids)];
+}
+
+function candidatePackageIds(sessionType) {
+  const special = SESSION_TYPE_PACKAGES[sessionType];
+  if (!special) return { ids: PORTRAIT_PACKAGES, specialized: [] };
+  if (special.exclusive) return { ids: special.packages, specialized: special.packages };
+  return { ids: [...special.packages, ...PORTRAIT_PACKAGES], specialized: special.packages };
+}
+
+/**
+ * Lower is better: distance from the requested duration (per 30 min),
+ * edit-level mismatch, and a small nudge towards dedicated packages
+ */
+function penalty(pkg, slots, specialized) {
+  let p = 0;
+
+  const range = durationRange(pkg);
+  if (slots.duration_minutes && range) {
+    const [lo, hi] = range;
+    const d = slots.duration_minutes;
+    const distance = d < lo ? lo - d : d > hi ? d - hi : 0;
+    p += distance / 30;
+  }
+
+  const wanted = EDIT_LEVEL_RANK[slots.edit_level];
+  const included = EDIT_LEVEL_RANK[pkg.included_edit_level];
+  if (wanted && included) {
+    // Under-delivering costs more than over-delivering (add-ons needed)
+    p += wanted > included ? (wanted - included) * 1.5 : (included - wanted) * 0.5;
+  }
+
+  if (!specialized.includes(pkg.id)) p += 0.5;
+  return p;
+}
+
+/**
+ * Rank KB packages against the collected slots.
+ * Returns the best fit (plus runners-up) or null if no package fits.
+ */
+function recommendPackage(slots, kb) {
+  const { ids, specialized } = candidatePackageIds(slots.session_type);
+  const ranked = [];
+
+  for (const pkg of kb.packages || []) {
+    if (!ids.includes(pkg.id)) continue;
+    const mode = resolveMode(pkg, slots.studio_or_location);
+    if (mode === null) continue;
+
+    ranked.push({
+      package_id: pkg.id,
+      package_name: pkg.name,
+      mode,
+      price_usd: priceFor(pkg, mode),
+      duration_range: durationRange(pkg),
+      included_final_images: pkg.included_final_images ?? null,
+      included_edit_level: pkg.included_edit_level || null,
+      penalty: penalty(pkg, slots, specialized)
+    });
+  }
+
+  if (ranked.length === 0) return null;
+
+  ranked.sort((a, b) => a.penalty - b.penalty || (a.price_usd ?? Infinity) - (b.price_usd ?? Infinity));
+  const [best, ...rest] = ranked;
+
+  return {
+    ...best,
+    route: { type: "square_package", package_id: best.package_id, ...(best.mode ? { mode: best.mode } : {}) },
+    alternatives: rest.slice(0, 2).map((r) => r.package_id)
+  };
+}
+
+function formatDuration(range) {
+  if (!range) return null;
+  const [lo, hi] = range;
+  return lo === hi ? `${lo} minutes` : `${lo}-${hi} minutes`;
+}
+
+/**
+ * Client-facing reply built only from KB package fields and add_ons
+ */
+function buildRecommendationReply(rec, slots, kb, routeUrl) {
+  const where = rec.mode ? ` (${MODE_LABELS[rec.mode] || rec.mode})` : "";
+  const details = [
+    rec.price_usd != null ? `$${rec.price_usd}` : null,
+    formatDuration(rec.duration_range),
+    rec.included_final_images != null ? `${rec.included_final_images} final images` : null,
+    rec.included_edit_level ? `${EDIT_LEVEL_LABELS[rec.included_edit_level] || rec.included_edit_level} editing` : null
+  ].filter(Boolean);
+
+  let reply = `Based on your answers, the best fit is ${rec.package_name}${where}: ${details.join(", ")}.`;
+
+  const wanted = EDIT_LEVEL_RANK[slots.edit_level];
+  const included = EDIT_LEVEL_RANK[rec.included_edit_level];
+  if (wanted && included && wanted > included) {
+    const addOns = kb.add_ons || {};
+    if (slots.edit_level === "advanced" && addOns.extra_advanced_image_usd != null) {
+      reply += ` Want Advanced edits? Extra Advanced images are $${addOns.extra_advanced_image_usd} each.`;
+    } else if (slots.edit_level === "creative_composite" && addOns.creative_composite_add_on_usd != null) {
+      reply += ` Want Composites? Composite add-ons are $${addOns.creative_composite_add_on_usd} each.`;
+    }
+  }
+
+  if (routeUrl) reply += ` Book here: ${routeUrl}`;
+  return reply;
+}
+
+/**
+ * Guided flow for the recommender intents.
+ * resolveRouteUrl is the caller's square_package resolver so the link matches intent routes.
+ * Returns null if the recommender doesn't apply, otherwise { reply, followups, route_url, recommendation }.
+ */
+function guidedRecommendation({ intent, slots, continuing, kb, resolveRouteUrl }) {
+  if (missingSlots(slots).length > 0) {
+    // First ask: let the intent's own answer pose the questions
+    if (!continuing) return null;
+
+    return {
+      reply: "Got it, thanks! Just a couple more quick questions and I'll send the exact booking button.",
+      followups: pendingFollowups(intent.followups || [], slots),
+      route_url: null,
+      recommendation: null
+    };
+  }
+
+  const rec = recommendPackage(slots, kb);
+  if (!rec) return null;
+
+  const routeUrl = resolveRouteUrl(rec.route, kb);
+  return {
+    reply: buildRecommendationReply(rec, slots, kb, routeUrl),
+    followups: [],
+    route_url: routeUrl,
+    recommendation: rec
+  };
+}
+
+module.exports = {
+  RECOMMENDER_INTENT_IDS,
+  isRecommenderIntent,
+  recommenderPackageIds,
+  missingSlots,
+  recommendPackage,
+  buildRecommendationReply,
+  guidedRecommendation
+};
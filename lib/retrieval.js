@@ -0,0 +1,246 @@
+/**
+ * Ranked retrieval over KB intents for Motiontography Bot (heuristic fallback matcher)
+ * - Tokenizes and stems triggers, intent descriptions and answers
+ * - Scores with BM25 (triggers weigh most), tolerating typos via edit distance
+ * - Scores are normalized to 0..1 against what the query could score at best,
+ *   so "no good match" stays low instead of picking the least-bad intent
+ *
+ * Runtime-agnostic. The index is cached per KB object (see getIntentIndex).
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Weighted term frequency per field: triggers are written to be matched, answers only hint
+const FIELD_WEIGHTS = { triggers: 3, intent: 2, answer: 0.5 };
+const ANSWER_DF_WEIGHT = 0.25;
+// A typo-corrected term counts for less than an exact one
+const FUZZY_WEIGHT = 0.8;
+const MIN_FUZZY_LENGTH = 5; // shorter words are one typo away from too many others
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "i", "im", "ive", "id", "me", "my", "we", "us", "our", "you", "your", "youre",
+  "is", "are", "am", "was", "be", "been", "to", "of", "in", "on", "for", "and", "or", "it", "its",
+  "do", "does", "did", "can", "could", "would", "will", "should", "with", "at", "by", "from", "this",
+  "that", "these", "there", "any", "have", "has", "so", "if", "just", "please", "hi", "hey", "hello",
+  "thanks", "thank", "about", "as", "get", "want", "like", "some", "also", "up", "out", "them", "they",
+  "how", "what"
+]);
+
+// -------------------- Text --------------------
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /^\d+$/.test(w)) return w;
+
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ing", "able", "ed", "ly"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3 && /[aeiouy]/.test(w.slice(0, -suffix.length))) {
+      w = w.slice(0, -suffix.length);
+      // shooting -> shoot, planned -> plan
+      if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  // price / pricing, include / including
+  if (w.length > 4 && w.endsWith("e") && !w.endsWith("ee")) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Lowercased, accent- and punctuation-free, stemmed terms without stopwords
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) rows.push([i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+      rows[i][j] = d;
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// -------------------- Index --------------------
+function intentText(intent) {
+  return String(intent.intent || "").replace(/_/g, " ");
+}
+
+function answerText(intent) {
+  return Array.isArray(intent.answer) ? intent.answer.join(" ") : String(intent.answer || "");
+}
+
+/**
+ * BM25 index over kb.intents_and_answers
+ */
+function buildIntentIndex(kb, idOf = (intent) => intent.id) {
+  const docs = (kb.intents_and_answers || []).map((intent) => {
+    const tf = new Map();
+    const triggerTerms = new Set();
+    const topicTerms = new Set();
+    let length = 0;
+    const add = (terms, weight) => {
+      for (const t of terms) {
+        tf.set(t, (tf.get(t) || 0) + weight);
+        length += weight;
+      }
+    };
+    // "/regex/flags" triggers are matched separately in lib/matcher.js
+    const triggerTokens = (intent.triggers || [])
+      .filter((t) => typeof t === "string" && !(t.startsWith("/") && t.lastIndexOf("/") > 0))
+      .flatMap((t) => tokenize(t));
+    const intentTokens = tokenize(intentText(intent));
+    add(triggerTokens, FIELD_WEIGHTS.triggers);
+    add(intentTokens, FIELD_WEIGHTS.intent);
+    add(tokenize(answerText(intent)), FIELD_WEIGHTS.answer);
+    for (const t of triggerTokens) triggerTerms.add(t), topicTerms.add(t);
+    for (const t of intentTokens) topicTerms.add(t);
+    return { intent, id: idOf(intent), tf, triggerTerms, topicTerms, length };
+  });
+
+  const docCount = docs.length;
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docCount || 1);
+  // An intent that only mentions a term in its answer isn't about it, so it
+  // dilutes the term's weight less ("classic" is in many package answers)
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of doc.tf.keys()) {
+      df.set(term, (df.get(term) || 0) + (doc.topicTerms.has(term) ? 1 : ANSWER_DF_WEIGHT));
+    }
+  }
+  const idf = (term) => Math.log(1 + (docCount - (df.get(term) || 0) + 0.5) / ((df.get(term) || 0) + 0.5));
+  const vocabulary = [...df.keys()];
+  const fuzzyCache = new Map();
+
+  /**
+   * Closest indexed term within 1 edit (2 for long words), or null
+   */
+  function correct(term) {
+    if (fuzzyCache.has(term)) return fuzzyCache.get(term);
+    let best = null;
+    if (term.length >= MIN_FUZZY_LENGTH && !/^\d+$/.test(term)) {
+      const max = term.length >= 8 ? 2 : 1;
+      let bestDistance = max + 1;
+      for (const candidate of vocabulary) {
+        const d = editDistance(term, candidate, max);
+        if (d < bestDistance || (d === bestDistance && best && df.get(candidate) > df.get(best))) {
+          best = candidate;
+          bestDistance = d;
+        }
+      }
+    }
+    if (fuzzyCache.size < 5000) fuzzyCache.set(term, best);
+    return best;
+  }
+
+  /**
+   * Query terms mapped onto the index: [{ term, weight }]; unknown terms keep
+   * weight 0 but still count against the best possible score
+   */
+  function resolveQuery(message) {
+    const seen = new Set();
+    const resolved = [];
+    for (const raw of tokenize(message)) {
+      if (seen.has(raw)) continue;
+      seen.add(raw);
+      if (df.has(raw)) {
+        resolved.push({ term: raw, weight: 1 });
+        continue;
+      }
+      const fixed = correct(raw);
+      resolved.push(fixed ? { term: fixed, weight: FUZZY_WEIGHT } : { term: raw, weight: 0 });
+    }
+    return resolved;
+  }
+
+  function bm25(doc, term) {
+    const f = doc.tf.get(term) || 0;
+    if (!f) return 0;
+    const norm = 1 - BM25_B + BM25_B * (doc.length / avgLength);
+    return idf(term) * ((f * (BM25_K1 + 1)) / (f + BM25_K1 * norm));
+  }
+
+  /**
+   * Intents ranked by normalized score (0..1), best first. Ties go to the intent
+   * whose triggers cover more of the query, then to intent id (not KB order).
+   */
+  function search(message, { limit = 5 } = {}) {
+    const query = resolveQuery(message);
+    // Best case for each term: saturated tf in a short document
+    const ceiling = query.reduce((sum, q) => sum + idf(q.term) * (BM25_K1 + 1), 0);
+    if (ceiling === 0) return [];
+
+    const ranked = [];
+    for (const doc of docs) {
+      let raw = 0;
+      let triggerHits = 0;
+      for (const q of query) {
+        if (!q.weight) continue;
+        raw += q.weight * bm25(doc, q.term);
+        if (doc.triggerTerms.has(q.term)) triggerHits++;
+      }
+      if (raw > 0) {
+        ranked.push({
+          intent: doc.intent,
+          intent_id: doc.id,
+          score: Math.round(Math.min(1, raw / ceiling) * 1000) / 1000,
+          trigger_hits: triggerHits
+        });
+      }
+    }
+
+    ranked.sort((a, b) => b.score - a.score || b.trigger_hits - a.trigger_hits || String(a.intent_id).localeCompare(String(b.intent_id)));
+    return ranked.slice(0, limit);
+  }
+
+  return { size: docCount, terms: vocabulary.length, search };
+}
+
+// -------------------- Cache --------------------
+const indexes = new WeakMap();
+
+/**
+ * Index for this KB object: built on first use, then reused until the KB is
+ * replaced (reload or admin edit). Call it from loadKB to pay the cost up front.
+ */
+function getIntentIndex(kb, idOf) {
+  let index = indexes.get(kb);
+  if (!index) {
+    index = buildIntentIndex(kb, idOf);
+    indexes.set(kb, index);
+  }
+  return index;
+}
+
+module.exports = {
+  tokenize,
+  stem,
+  editDistance,
+  buildIntentIndex,
+  getIntentIndex
+};
@@ -0,0 +1,182 @@
+/**
+ * In-memory conversation session store for Motiontography Bot
+ * - Keeps the most recent turns per session_id (bounded by maxTurns)
+ * - Remembers the last matched intent and the slots collected so far
+ * - Marks clients who have booked and paid (unlocks the studio address, see lib/guardrails.js)
+ * - Keeps Roger's handoff replies in the history (the handoff itself is stored by lib/handoff.js)
+ * - Expires idle sessions after ttlMs
+ *
+ * Sessions live in process memory only. On the Worker that means per-isolate,
+ * which is fine for short back-and-forth conversations.
+ */
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_MAX_TURNS = 6;
+const DEFAULT_MAX_SESSIONS = 5000;
+
+function createSessionStore(options = {}) {
+  const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+  const maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+  const sessions = new Map();
+
+  function isExpired(session, now) {
+    return now - session.updated_at > ttlMs;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [id, session] of sessions) {
+      if (isExpired(session, now)) sessions.delete(id);
+    }
+  }
+
+  /**
+   * Get a live session, or null if it never existed or has expired
+   */
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (isExpired(session, Date.now())) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  function getOrCreate(id) {
+    const existing = get(id);
+    if (existing) return existing;
+
+    const now = Date.now();
+    const session = {
+      id,
+      created_at: now,
+      updated_at: now,
+      turns: [],
+      last_intent_id: null,
+      last_package_id: null,
+      pending_choices: null, // [{ intent_id, label }] while a "did you mean" question is open
+      pending_quote: null, // quote details (people, rush, city...) while we ask which package
+      booked: false, // booked + paid retainer: address_sharing_rule satisfied
+      channel: null,
+      client: {},
+      slots: {}
+    };
+    sessions.set(id, session);
+
+    if (sessions.size > maxSessions) {
+      prune(now);
+      // Still full: evict least recently used (Map keeps insertion order)
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    }
+    return session;
+  }
+
+  function pushTurn(session, turn) {
+    session.turns.push(turn);
+    if (session.turns.length > maxTurns * 2) {
+      session.turns = session.turns.slice(-maxTurns * 2);
+    }
+  }
+
+  function touch(id, session) {
+    // Re-insert so the Map order reflects recency for LRU eviction
+    session.updated_at = Date.now();
+    sessions.delete(id);
+    sessions.set(id, session);
+  }
+
+  /**
+   * Record one user/bot exchange and merge in any newly collected slots.
+   * package_id is the package recommended or quoted on this turn, if any;
+   * choices are the options offered if the bot asked "did you mean"; pending_quote
+   * what a quote request gave us while the package is still unknown.
+   * bot is null when the bot didn't answer (Roger has taken the session over).
+   */
+  function recordExchange(id, { user, bot, intent_id, slots, package_id, choices, pending_quote, channel, client }) {
+    const session = getOrCreate(id);
+    const ts = new Date().toISOString();
+
+    pushTurn(session, { role: "user", content: user, ts });
+    if (bot !== null) pushTurn(session, { role: "assistant", content: bot, ts, intent_id: intent_id || null });
+
+    if (channel) session.channel = channel;
+    if (client && Object.keys(client).length > 0) session.client = client;
+    if (intent_id) session.last_intent_id = intent_id;
+    if (package_id) session.last_package_id = package_id;
+    session.pending_choices = choices && choices.length > 0 ? choices : null;
+    session.pending_quote = pending_quote || null;
+    if (slots) Object.assign(session.slots, slots);
+
+    touch(id, session);
+    return session;
+  }
+
+  /**
+   * Mark (or unmark) the session's client as booked and paid
+   */
+  function setBooked(id, booked = true) {
+    const session = getOrCreate(id);
+    session.booked = Boolean(booked);
+    session.updated_at = Date.now();
+    return session;
+  }
+
+  /**
+   * Record a reply Roger sent from the admin API as part of the history the LLM
+   * sees. Returns the session, or null if it has expired.
+   */
+  function recordOperatorMessage(id, content, operator) {
+    const session = get(id);
+    if (!session) return null;
+    pushTurn(session, { role: "assistant", content, ts: new Date().toISOString(), operator });
+    touch(id, session);
+    return session;
+  }
+
+  /**
+   * Live sessions (expired ones are dropped first)
+   */
+  function list() {
+    prune();
+    return [...sessions.values()];
+  }
+
+  return {
+    get,
+    getOrCreate,
+    recordExchange,
+    setBooked,
+    recordOperatorMessage,
+    list,
+    prune,
+    delete: (id) => sessions.delete(id),
+    size: () => sessions.size
+  };
+}
+
+/**
+ * Store options from an env object (process.env on the server, env on the Worker)
+ */
+function sessionConfigFromEnv(env = {}) {
+  return {
+    ttlMs: (parseInt(env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000,
+    maxTurns: parseInt(env.SESSION_MAX_TURNS, 10) || 6
+  };
+}
+
+/**
+ * Turns formatted for an LLM chat input (role + content only)
+ */
+function historyMessages(session) {
+  if (!session) return [];
+  return session.turns.map(({ role, content }) => ({ role, content }));
+}
+
+module.exports = {
+  createSessionStore,
+  sessionConfigFromEnv,
+  historyMessages
+};
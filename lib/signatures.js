@@ -0,0 +1,55 @@
+/**
+ * Webhook signature helpers (WebCrypto, so they run on Node and the Worker):
+ * base64 HMAC for Square (SHA-256) and Twilio (SHA-1) request signatures, hex
+ * HMAC-SHA256 for Instagram (X-Hub-Signature-256)
+ */
+
+function toBase64(buffer) {
+  let binary = "";
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+async function hmac(hash, secret, data) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash },
+    false,
+    ["sign"]
+  );
+  return crypto.subtle.sign("HMAC", key, encoder.encode(data));
+}
+
+/**
+ * Base64 HMAC of data. hash: "SHA-256" | "SHA-1"
+ */
+async function hmacBase64(hash, secret, data) {
+  return toBase64(await hmac(hash, secret, data));
+}
+
+/**
+ * Lowercase hex HMAC of data
+ */
+async function hmacHex(hash, secret, data) {
+  return toHex(await hmac(hash, secret, data));
+}
+
+function constantTimeEqual(a, b) {
+  const x = String(a || "");
+  const y = String(b || "");
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+module.exports = {
+  hmacBase64,
+  hmacHex,
+  constantTimeEqual
+};
@@ -0,0 +1,152 @@
+/**
+ * Slot extraction for Motiontography Bot
+ * Pulls the answers to our own followup questions out of a client message:
+ * session type, studio vs on-location, duration and edit level.
+ *
+ * Values use the same vocabulary as the KB (packages[].location_options,
+ * editing_levels keys) so they can be matched against it directly.
+ */
+
+const SESSION_TYPE_PATTERNS = [
+  ["maternity", /\b(maternity|pregnan\w*|baby bump|expecting)\b/i],
+  ["milk_bath", /\bmilk\s*bath\b/i],
+  ["newborn", /\b(newborn|infant|new baby)\b/i],
+  ["kids", /\b(kids?|child(ren)?|toddler|little one)\b/i],
+  ["boudoir", /\b(boudoir|boudior|budoir|lingerie)\b/i],
+  ["wedding", /\b(wedding|bridal|elopement)\b/i],
+  ["event", /\b(event|party|corporate event)\b/i],
+  ["headshot", /\b(headshots?|linkedin|corporate photo)\b/i],
+  ["family", /\bfamily\b/i],
+  ["couples", /\b(couples?|anniversary|engagement)\b/i],
+  ["graduation", /\b(graduation|grad|senior|cap and gown)\b/i],
+  ["birthday", /\bbirthday\b/i],
+  ["composite", /\b(composites?|fantasy|digital art)\b/i],
+  ["milestone", /\bmilestone\b/i],
+  ["portrait", /\b(portrait|solo|individual)\b/i]
+];
+
+// "beach" and "park" only as places to shoot: "where do I park" is about the car
+const LOCATION_PATTERNS = {
+  in_home_or_location: /\b(in[\s-]?home|at home|my house)\b/i,
+  on_location: /\b(on[\s-]?location|outdoors?|outside|on site|(at|on|in|to) (the|a) (beach|park)|(beach|park) (session|shoot|photos?|pictures?))\b/i,
+  studio: /\b(in[\s-]?studio|studio)\b/i
+};
+
+const EDIT_LEVEL_PATTERNS = [
+  ["creative_composite", /\b(creative\s+)?composites?\b/i],
+  ["advanced", /\badvanced\b/i],
+  ["standard", /\bstandard\b/i]
+];
+
+const WORD_HOURS = { half: 0.5, an: 1, one: 1, two: 2, three: 3, four: 4 };
+const BARE_DURATIONS = [30, 60, 90, 120, 150, 180];
+
+// Followup questions the KB asks, mapped to the slot that answers them
+const SLOT_QUESTION_PATTERNS = {
+  session_type: /type of session|session type|what type/i,
+  studio_or_location: /studio or on[\s-]?location|studio or on location/i,
+  duration_minutes: /how long|minutes|mins/i,
+  edit_level: /standard, advanced|standard or advanced|composites\?/i
+};
+
+// Ready-made answers for followups with a fixed set of options (quick replies on
+// channels that have them). Each answer is one extractSlots understands.
+const FOLLOWUP_CHOICES = [
+  [/type of session|session type|maternity, (portrait|boudoir)/i, ["Maternity", "Boudoir", "Portrait", "Family", "Couples", "Newborn", "Headshots"]],
+  [/studio or (would you prefer )?(on[\s-]?location|a different setting)|on[\s-]?location or in the studio/i, ["Studio", "On-location"]],
+  [/30\s*\/\s*60/i, ["30 minutes", "60 minutes", "120 minutes", "180 minutes"]],
+  [/standard, advanced|standard or advanced/i, ["Standard", "Advanced", "Composites"]]
+];
+
+function extractSessionType(text) {
+  for (const [type, re] of SESSION_TYPE_PATTERNS) {
+    if (re.test(text)) return type;
+  }
+  return null;
+}
+
+function extractLocation(text) {
+  const hits = Object.keys(LOCATION_PATTERNS).filter((k) => LOCATION_PATTERNS[k].test(text));
+  // "studio or on-location?" style answers that mention both are ambiguous
+  if (hits.includes("in_home_or_location")) return "in_home_or_location";
+  if (hits.length === 1) return hits[0];
+  return null;
+}
+
+function extractDuration(text) {
+  const mins = text.match(/\b(\d{2,3})\s*(m|min|mins|minutes)\b/i);
+  if (mins) return parseInt(mins[1], 10);
+
+  const hrs = text.match(/\b(\d+(?:\.\d+)?)\s*(h|hr|hrs|hour|hours)\b/i);
+  if (hrs) return Math.round(parseFloat(hrs[1]) * 60);
+
+  const words = text.match(/\b(half|an|one|two|three|four)\s+(an\s+)?hours?\b/i);
+  if (words) return Math.round(WORD_HOURS[words[1].toLowerCase()] * 60);
+
+  const bare = text.trim().match(/^(\d{2,3})\b/);
+  if (bare && BARE_DURATIONS.includes(parseInt(bare[1], 10))) return parseInt(bare[1], 10);
+
+  return null;
+}
+
+function extractEditLevel(text) {
+  for (const [level, re] of EDIT_LEVEL_PATTERNS) {
+    if (re.test(text)) return level;
+  }
+  return null;
+}
+
+/**
+ * Extract any slots present in a single message.
+ * Returns only the slots that were found.
+ */
+function extractSlots(message) {
+  const text = String(message || "");
+  const slots = {};
+
+  const sessionType = extractSessionType(text);
+  if (sessionType) slots.session_type = sessionType;
+
+  const location = extractLocation(text);
+  if (location) slots.studio_or_location = location;
+
+  const duration = extractDuration(text);
+  if (duration) slots.duration_minutes = duration;
+
+  const editLevel = extractEditLevel(text);
+  if (editLevel) slots.edit_level = editLevel;
+
+  return slots;
+}
+
+/**
+ * Which slot a followup question asks for (null if it isn't one we track)
+ */
+function followupSlot(question) {
+  return Object.keys(SLOT_QUESTION_PATTERNS).find((k) => SLOT_QUESTION_PATTERNS[k].test(question)) || null;
+}
+
+/**
+ * Answer options for a followup question ([] if it is open-ended)
+ */
+function followupChoices(question) {
+  const match = FOLLOWUP_CHOICES.find(([re]) => re.test(question));
+  return match ? [...match[1]] : [];
+}
+
+/**
+ * Drop followup questions that the client has already answered
+ */
+function pendingFollowups(followups, slots) {
+  return (followups || []).filter((q) => {
+    const slot = followupSlot(q);
+    return !slot || slots?.[slot] == null;
+  });
+}
+
+module.exports = {
+  extractSlots,
+  followupSlot,
+  followupChoices,
+  pendingFollowups
+};
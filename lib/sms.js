@@ -0,0 +1,257 @@
+/**
+ * SMS channel for Motiontography Bot (POST /api/webhooks/sms, Twilio format)
+ * - Verifies X-Twilio-Signature: base64 HMAC-SHA1 of the webhook URL + the sorted
+ *   form params, keyed with the account's auth token
+ * - The sender's number is the session_id ("sms:+17575550142") and client.phone,
+ *   so a texting client keeps their conversation and can be matched to a booking
+ *   (Twilio signed the From number, so it is passed as the verified identity)
+ * - Replies in TwiML: plain text, followups and links kept, trimmed to
+ *   SMS_MAX_SEGMENTS segments (GSM-7 or UCS-2 sizes) without breaking a link
+ * - Roger's handoff replies go out through Twilio's Messages API (they aren't an
+ *   answer to a webhook request)
+ *
+ * Runtime-agnostic (WebCrypto). scripts/sms-webhook.js signs and sends a test
+ * message to a local server.
+ */
+
+const { hmacBase64, constantTimeEqual } = require("./signatures");
+
+const SIGNATURE_HEADER = "x-twilio-signature";
+const URL_RE = /https?:\/\/[^\s<>"'()\]]+/gi;
+
+// GSM 03.38: the basic set is 1 unit per character, the extension table 2
+const GSM_BASIC = "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM_EXTENDED = "^{}\\[~]|€";
+const SEGMENT_SIZES = {
+  gsm: { single: 160, multi: 153 },
+  ucs2: { single: 70, multi: 67 }
+};
+
+// Typographic characters that would force the whole message into UCS-2
+const PLAIN_REPLACEMENTS = [
+  [/[‘’ʼ]/g, "'"],
+  [/[“”]/g, "\""],
+  [/[–—]/g, "-"],
+  [/…/g, "..."],
+  [/[•●]/g, "-"],
+  [/\u00a0/g, " "]
+];
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * TWILIO_WEBHOOK_URL must be the exact URL configured on the Twilio number
+ * (defaults to the URL the request arrived on). TWILIO_ACCOUNT_SID and
+ * TWILIO_FROM_NUMBER are only needed to send Roger's handoff replies.
+ */
+function smsConfigFromEnv(env = {}) {
+  const maxSegments = parseInt(env.SMS_MAX_SEGMENTS, 10);
+  return {
+    authToken: env.TWILIO_AUTH_TOKEN || null,
+    webhookUrl: env.TWILIO_WEBHOOK_URL || null,
+    accountSid: env.TWILIO_ACCOUNT_SID || null,
+    fromNumber: env.TWILIO_FROM_NUMBER || null,
+    apiUrl: (env.TWILIO_API_URL || "https://api.twilio.com").replace(/\/+$/, ""),
+    maxSegments: maxSegments > 0 ? maxSegments : 3
+  };
+}
+
+// -------------------- Signatures --------------------
+/**
+ * Twilio's signature for a form post to url
+ */
+async function signTwilioRequest(url, params, authToken) {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return hmacBase64("SHA-1", authToken, data);
+}
+
+async function verifyTwilioSignature(url, params, signature, authToken) {
+  if (!signature || !authToken) return false;
+  return constantTimeEqual(await signTwilioRequest(url, params, authToken), signature);
+}
+
+// -------------------- Formatting --------------------
+/**
+ * { encoding: "gsm" | "ucs2", units, segments } for one SMS text
+ */
+function smsSegments(text) {
+  let units = 0;
+  let gsm = true;
+  for (const ch of text) {
+    if (GSM_BASIC.includes(ch)) units += 1;
+    else if (GSM_EXTENDED.includes(ch)) units += 2;
+    else {
+      gsm = false;
+      break;
+    }
+  }
+  if (!gsm) units = text.length; // UTF-16 code units
+
+  const sizes = SEGMENT_SIZES[gsm ? "gsm" : "ucs2"];
+  const segments = units === 0 ? 0 : units <= sizes.single ? 1 : Math.ceil(units / sizes.multi);
+  return { encoding: gsm ? "gsm" : "ucs2", units, segments };
+}
+
+function fits(text, maxSegments) {
+  return smsSegments(text).segments <= maxSegments;
+}
+
+/**
+ * Chat reply text as plain SMS text: no markdown emphasis, ASCII punctuation,
+ * at most one blank line in a row
+ */
+function plainText(text) {
+  let out = String(text || "");
+  for (const [pattern, replacement] of PLAIN_REPLACEMENTS) out = out.replace(pattern, replacement);
+  return out
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/__(.+?)__/g, "$1")
+    .replace(/^#+\s*/gm, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function linksIn(text) {
+  return (String(text).match(URL_RE) || []).map((url) => url.replace(/[.,;:!?]+$/, ""));
+}
+
+/**
+ * The /api/chat body as one SMS: reply, followups, then route_url (if the reply
+ * doesn't already have it). Over maxSegments the followups go first, then the
+ * reply is cut at a word boundary; links cut from it are added back at the end.
+ */
+function formatSmsReply(body, { maxSegments = 3 } = {}) {
+  const reply = plainText(body.reply);
+  const followups = (body.followups || []).map(plainText).filter(Boolean);
+  const routeLine = body.route_url && !reply.includes(body.route_url) ? body.route_url : null;
+
+  const full = [reply, followups.join("\n"), routeLine].filter(Boolean).join("\n\n");
+  if (fits(full, maxSegments)) return full;
+
+  const withoutFollowups = [reply, routeLine].filter(Boolean).join("\n\n");
+  if (fits(withoutFollowups, maxSegments)) return withoutFollowups;
+
+  const links = [...new Set([...linksIn(reply), ...(body.route_url ? [body.route_url] : [])])];
+  const withLinks = (prose) => {
+    const missing = links.filter((url) => !prose.includes(url));
+    return `${prose.trimEnd()}...${missing.length > 0 ? `\n${missing.join("\n")}` : ""}`;
+  };
+
+  let kept = "";
+  for (const token of reply.split(/(\s+)/)) {
+    const next = kept + token;
+    // Never keep part of a link: a token is a whole link or has none
+    if (!fits(withLinks(next), maxSegments)) break;
+    kept = next;
+  }
+  return withLinks(kept);
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function twiml(text) {
+  const message = text ? `<Message>${escapeXml(text)}</Message>` : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${message}</Response>`;
+}
+
+// -------------------- Webhook --------------------
+/**
+ * E.164-ish sender number ("+17575550142"), or null
+ */
+function normalizeSender(from) {
+  const s = String(from || "").trim();
+  const digits = s.replace(/\D/g, "");
+  if (digits.length < 7) return null;
+  return s.startsWith("+") ? `+${digits}` : digits.length === 10 ? `+1${digits}` : `+${digits}`;
+}
+
+/**
+ * POST /api/webhooks/sms. params: the parsed form fields (From, Body, ...).
+ * runChat({ message, session_id, client, verified_client, channel }) runs the turn (runChatTurn
+ * with the adapter's KB, sessions, LLM...) and resolves with its result.
+ * Returns { status, contentType, body, result }: result (null if no turn ran) is
+ * for the adapter to log.
+ */
+async function smsWebhookResponse({ params = {}, signature, url, config = {}, runChat }) {
+  const json = (status, body) => ({ status, contentType: "application/json", body: JSON.stringify(body), result: null });
+  const xml = (text, result = null) => ({ status: 200, contentType: "text/xml", body: twiml(text), result });
+
+  if (!config.authToken) {
+    return json(503, { ok: false, error: "SMS webhook is not configured (TWILIO_AUTH_TOKEN)" });
+  }
+  if (!(await verifyTwilioSignature(config.webhookUrl || url, params, signature, config.authToken))) {
+    return json(401, { ok: false, error: "Invalid signature" });
+  }
+
+  const phone = normalizeSender(params.From);
+  if (!phone) return json(400, { ok: false, error: "From (phone number) is required" });
+
+  const message = String(params.Body || "").trim();
+  if (!message) return xml("Thanks! I can only read text, so please type your question.");
+
+  const result = await runChat({
+    message,
+    session_id: `sms:${phone}`,
+    client: { phone },
+    verified_client: { phone },
+    channel: "sms"
+  });
+  return xml(formatSmsReply(result.body, { maxSegments: config.maxSegments }), result);
+}
+
+// -------------------- Outbound --------------------
+/**
+ * Twilio Messages API client: sendMessage(to, body). config.fetch overrides fetch.
+ */
+function createTwilioClient(config = {}) {
+  const doFetch = config.fetch || fetch;
+  const url = `${config.apiUrl}/2010-04-01/Accounts/${config.accountSid}/Messages.json`;
+
+  async function sendMessage(to, body) {
+    const response = await doFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${btoa(`${config.accountSid}:${config.authToken}`)}`
+      },
+      body: new URLSearchParams({ To: to, From: config.fromNumber, Body: body }).toString()
+    });
+    if (!response.ok) {
+      throw new Error(`Twilio API error ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  return { enabled: Boolean(config.accountSid && config.authToken && config.fromNumber), sendMessage };
+}
+
+/**
+ * Sends Roger's handoff replies to SMS sessions (lib/handoff.js operatorReplyResponse)
+ */
+function smsHandoffDelivery(twilio, config = {}) {
+  return async (handoff, text) => {
+    if (!twilio.enabled) throw new Error("SMS sending is not configured (TWILIO_ACCOUNT_SID, TWILIO_FROM_NUMBER)");
+    await twilio.sendMessage(handoff.client.phone, formatSmsReply({ reply: text }, { maxSegments: config.maxSegments }));
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  smsConfigFromEnv,
+  signTwilioRequest,
+  verifyTwilioSignature,
+  smsSegments,
+  plainText,
+  formatSmsReply,
+  twiml,
+  smsWebhookResponse,
+  createTwilioClient,
+  smsHandoffDelivery
+};
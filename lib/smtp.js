@@ -0,0 +1,185 @@
+/**
+ * Minimal SMTP client for handoff emails (server.js only: needs Node's net/tls)
+ * - Implicit TLS (port 465 / SMTP_SECURE=true), or STARTTLS when the server offers it
+ * - AUTH PLAIN when SMTP_USER is set
+ * - One connection per message: handoffs are rare
+ *
+ * `npm run mock-notify` runs a local SMTP server that prints what it receives.
+ */
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const { formatHandoffEvent } = require("./handoff");
+
+const TIMEOUT_MS = 15000;
+
+/**
+ * Reads SMTP replies ("250-..." continuation lines up to "250 ...") from a socket.
+ * attach() moves it to the TLS socket after STARTTLS.
+ */
+function createConnection(socket) {
+  let buffer = "";
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  function flush() {
+    if (!waiting) return;
+    const end = lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (end >= 0) {
+      const reply = lines.splice(0, end + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: parseInt(reply[0], 10), lines: reply.map((line) => line.slice(4)) });
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk;
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      lines.push(buffer.slice(0, i));
+      buffer = buffer.slice(i + 2);
+    }
+    flush();
+  }
+
+  function onError(err) {
+    failure = failure || err;
+    flush();
+  }
+
+  const onClose = () => onError(new Error("SMTP connection closed"));
+  const onTimeout = () => socket.destroy(new Error("SMTP server timed out"));
+
+  function attach(next) {
+    if (socket) {
+      socket.off("data", onData).off("error", onError).off("close", onClose);
+      socket.setTimeout(0);
+    }
+    socket = next;
+    socket.setEncoding("utf8");
+    socket.setTimeout(TIMEOUT_MS, onTimeout);
+    socket.on("data", onData);
+    socket.on("error", onError);
+    socket.on("close", onClose);
+  }
+
+  function read() {
+    return new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      flush();
+    });
+  }
+
+  async function expect(codes, what) {
+    const reply = await read();
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${what} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    return reply;
+  }
+
+  async function command(line, codes) {
+    socket.write(`${line}\r\n`);
+    return expect(codes, line.split(" ")[0]);
+  }
+
+  const first = socket;
+  socket = null;
+  attach(first);
+  return { attach, expect, command, write: (data) => socket.write(data), socket: () => socket };
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.once(config.secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+function encodeHeader(value) {
+  // RFC 2047 for anything beyond ASCII (names, emoji in subjects)
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit"
+  ];
+  // Dot-stuffing: a line starting with "." would otherwise end the DATA section early
+  const body = String(text).replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  return `${headers.join("\r\n")}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Send one plain-text email. config: { host, port, secure, user, pass, from }.
+ * to: an address or a comma-separated list.
+ */
+async function sendMail(config, { to, subject, text }) {
+  const recipients = String(to).split(",").map((s) => s.trim()).filter(Boolean);
+  const smtp = createConnection(await connect(config));
+
+  try {
+    await smtp.expect([220], "greeting");
+    let ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!config.secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await smtp.command("STARTTLS", [220]);
+      smtp.attach(await upgrade(smtp.socket(), config.host));
+      ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ""}`, "utf8").toString("base64");
+      await smtp.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await smtp.command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const rcpt of recipients) await smtp.command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await smtp.command("DATA", [354]);
+    smtp.write(buildMessage({ from: config.from, to: recipients, subject, text }));
+    await smtp.expect([250], "DATA");
+    await smtp.command("QUIT", [221]).catch(() => {});
+  } finally {
+    smtp.socket().end();
+  }
+}
+
+/**
+ * Handoff notifier for lib/handoff.js createNotifier({ smtp: createSmtpNotifier })
+ */
+function createSmtpNotifier(config) {
+  return {
+    kind: "smtp",
+    async notify(event) {
+      const { subject, text } = formatHandoffEvent(event);
+      await sendMail(config, { to: config.to, subject, text });
+    }
+  };
+}
+
+module.exports = {
+  sendMail,
+  createSmtpNotifier
+};
@@ -0,0 +1,77 @@
+/**
+ * Daily spend cap for the LLM provider
+ * - Each request's token usage is priced per million input/output tokens and
+ *   added to today's total (UTC day)
+ * - Once the total reaches dailyBudgetUsd, calls are refused until the next day,
+ *   so chats run on keyword matching only
+ * - dailyBudgetUsd 0 = no cap (usage is still counted)
+ *
+ * State is per process (server) or per isolate (Worker).
+ */
+
+function createSpendCap({ dailyBudgetUsd = 0, inputCostPer1M = 0, outputCostPer1M = 0, now = () => Date.now() } = {}) {
+  let day = null;
+  let spentUsd = 0;
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let requests = 0;
+
+  // Start a new total when the UTC day changes
+  function rollOver() {
+    const today = new Date(now()).toISOString().slice(0, 10);
+    if (today === day) return;
+    day = today;
+    spentUsd = 0;
+    inputTokens = 0;
+    outputTokens = 0;
+    requests = 0;
+  }
+
+  function exceeded() {
+    return dailyBudgetUsd > 0 && spentUsd >= dailyBudgetUsd;
+  }
+
+  /**
+   * Whether today's budget has room for another call
+   */
+  function allowRequest() {
+    rollOver();
+    return !exceeded();
+  }
+
+  /**
+   * Add one request's usage ({ input_tokens, output_tokens }). Returns its cost in USD.
+   */
+  function record({ input_tokens = 0, output_tokens = 0 } = {}) {
+    rollOver();
+    const cost = (input_tokens * inputCostPer1M + output_tokens * outputCostPer1M) / 1e6;
+    spentUsd += cost;
+    inputTokens += input_tokens;
+    outputTokens += output_tokens;
+    requests++;
+    return cost;
+  }
+
+  function status() {
+    rollOver();
+    return {
+      day,
+      budget_usd: dailyBudgetUsd > 0 ? dailyBudgetUsd : null,
+      spent_usd: Math.round(spentUsd * 1e4) / 1e4,
+      requests,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      exceeded: exceeded()
+    };
+  }
+
+  return {
+    allowRequest,
+    record,
+    status
+  };
+}
+
+module.exports = {
+  createSpendCap
+};
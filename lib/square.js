@@ -0,0 +1,137 @@
+/**
+ * Square webhook handling for Motiontography Bot (POST /api/webhooks/square)
+ * - Verifies x-square-hmacsha256-signature: base64 HMAC-SHA256 of
+ *   notification URL + raw body, keyed with the subscription's signature key
+ * - Normalizes customer.*, booking.* and payment.* events for lib/bookings.js
+ *
+ * Runtime-agnostic (WebCrypto). fixtures/square/ has sample payloads and
+ * scripts/square-webhook.js signs and sends them to a local server.
+ */
+
+const { phoneKey, emailKey, instagramKey, isCustomerBooked } = require("./bookings");
+const { hmacBase64, constantTimeEqual } = require("./signatures");
+
+const SIGNATURE_HEADER = "x-square-hmacsha256-signature";
+
+/**
+ * Options from an env object (process.env on the server, env on the Worker).
+ * SQUARE_WEBHOOK_URL must be the exact notification URL configured in Square
+ * (defaults to the URL the request arrived on).
+ */
+function squareConfigFromEnv(env = {}) {
+  return {
+    signatureKey: env.SQUARE_WEBHOOK_SIGNATURE_KEY || null,
+    notificationUrl: env.SQUARE_WEBHOOK_URL || null
+  };
+}
+
+// -------------------- Signatures --------------------
+/**
+ * Square's signature for a body sent to notificationUrl
+ */
+async function signSquarePayload(rawBody, notificationUrl, signatureKey) {
+  return hmacBase64("SHA-256", signatureKey, notificationUrl + rawBody);
+}
+
+async function verifySquareSignature(rawBody, signature, notificationUrl, signatureKey) {
+  if (!signature || !signatureKey) return false;
+  return constantTimeEqual(await signSquarePayload(rawBody, notificationUrl, signatureKey), signature);
+}
+
+// -------------------- Events --------------------
+/**
+ * Instagram handle Roger keeps on the Square customer: reference_id "@handle",
+ * or "IG: @handle" / "Instagram: handle" in the note
+ */
+function customerInstagram(customer) {
+  if (/^@/.test(customer.reference_id || "")) return customer.reference_id;
+  const m = String(customer.note || "").match(/\b(?:ig|instagram)\s*:?\s*@?([a-z0-9._]+)/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * { event_id, type, customer_id, identities, booking?, payment? } for the event
+ * types we use, or null for anything else
+ */
+function parseSquareEvent(payload) {
+  const type = String(payload?.type || "");
+  const object = payload?.data?.object || {};
+  const base = { event_id: payload?.event_id || null, type, identities: [] };
+
+  if (/^customer\.(created|updated)$/.test(type) && object.customer) {
+    const c = object.customer;
+    return {
+      ...base,
+      customer_id: c.id || null,
+      identities: [phoneKey(c.phone_number), emailKey(c.email_address), instagramKey(customerInstagram(c))].filter(Boolean)
+    };
+  }
+
+  if (/^booking\.(created|updated)$/.test(type) && object.booking) {
+    const b = object.booking;
+    return {
+      ...base,
+      customer_id: b.customer_id || null,
+      booking: { id: b.id, status: b.status || "PENDING", start_at: b.start_at || null }
+    };
+  }
+
+  if (/^payment\.(created|updated)$/.test(type) && object.payment) {
+    const p = object.payment;
+    const cents = p.amount_money?.amount;
+    return {
+      ...base,
+      customer_id: p.customer_id || null,
+      identities: [emailKey(p.buyer_email_address)].filter(Boolean),
+      payment: { id: p.id, status: p.status || "PENDING", amount_usd: typeof cents === "number" ? cents / 100 : null }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/webhooks/square. rawBody must be the exact bytes Square sent.
+ * Returns { status, body }. Unused event types are acknowledged (200) so Square
+ * doesn't retry them.
+ */
+async function squareWebhookResponse({ rawBody, signature, url, config = {}, bookings }) {
+  if (!config.signatureKey || !bookings) {
+    return { status: 503, body: { ok: false, error: "Square webhook is not configured (SQUARE_WEBHOOK_SIGNATURE_KEY)" } };
+  }
+  if (!(await verifySquareSignature(rawBody, signature, config.notificationUrl || url, config.signatureKey))) {
+    return { status: 401, body: { ok: false, error: "Invalid signature" } };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (e) {
+    return { status: 400, body: { ok: false, error: "Invalid JSON body" } };
+  }
+
+  const event = parseSquareEvent(payload);
+  if (!event) return { status: 200, body: { ok: true, ignored: true, type: payload?.type || null } };
+
+  const customer = await bookings.applyEvent(event);
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      event_id: event.event_id,
+      type: event.type,
+      customer_id: customer ? customer.customer_id : null,
+      linked: customer ? customer.identities.length > 0 : false,
+      booked: isCustomerBooked(customer)
+    }
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  squareConfigFromEnv,
+  signSquarePayload,
+  verifySquareSignature,
+  parseSquareEvent,
+  squareWebhookResponse
+};
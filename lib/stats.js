@@ -0,0 +1,182 @@
+/**
+ * Transcript analytics for Motiontography Bot (shared by server.js and worker.js)
+ * - Aggregates the transcripts in a log storage adapter (lib/storage.js) over a day range
+ * - Top intents, escalation rate, OpenAI vs heuristic share, OpenAI failures,
+ *   guardrail violations, most-shared links, busiest hours (in the studio's time zone)
+ * - CSV export of the underlying chats
+ */
+
+const { dayOf } = require("./storage");
+const { toCsv } = require("./csv");
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Transcripts for days [from, to] (YYYY-MM-DD, UTC), oldest first, each with its day
+ */
+async function loadTranscripts(storage, range = {}) {
+  return (await storage.list("transcript", range)).map((record) => ({ day: dayOf(record), ...record }));
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+function countBy(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function topEntries(map, limit, keyName, total) {
+  return [...map.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit)
+    .map(([key, count]) => ({ [keyName]: key, count, share: rate(count, total) }));
+}
+
+/**
+ * Hour of day (0-23) of an ISO timestamp in the given IANA time zone
+ */
+function hourIn(ts, timeZone) {
+  const d = new Date(ts);
+  if (Number.isNaN(d.getTime())) return null;
+  const hour = new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", hourCycle: "h23" }).format(d);
+  return parseInt(hour, 10);
+}
+
+/**
+ * Aggregate transcript records (as returned by loadTranscripts)
+ */
+function computeStats(transcripts, { timeZone = "America/New_York", limit = 10 } = {}) {
+  const total = transcripts.length;
+  const intents = new Map();
+  const links = new Map();
+  const hours = new Array(24).fill(0);
+  const days = new Map();
+  const sessions = new Set();
+  const guardrailRules = new Map();
+
+  let escalated = 0;
+  let usedOpenAI = 0;
+  let openAIFailures = 0;
+  let circuitOpen = 0;
+  let budgetExceeded = 0;
+  let promptInjections = 0;
+  let guardedChats = 0;
+  let blockedChats = 0;
+
+  for (const t of transcripts) {
+    if (t.session_id) sessions.add(t.session_id);
+    countBy(intents, t.matched_intent_id || "(none)");
+    if (t.escalated) escalated++;
+    if (t.used_openai) usedOpenAI++;
+    if (t.openai_error) openAIFailures++;
+    if (t.llm_skipped === "circuit_open") circuitOpen++;
+    if (t.llm_skipped === "budget_exceeded") budgetExceeded++;
+    if (t.prompt_injection) promptInjections++;
+    for (const url of t.links_shared || []) countBy(links, url);
+
+    const violations = t.guardrail_violations || [];
+    if (violations.length > 0) guardedChats++;
+    if (violations.some((v) => v.action === "block")) blockedChats++;
+    for (const v of violations) guardrailRules.set(v.rule, (guardrailRules.get(v.rule) || 0) + (v.count || 1));
+
+    const hour = hourIn(t.ts, timeZone);
+    if (hour !== null) hours[hour]++;
+
+    const day = days.get(t.day) || { day: t.day, chats: 0, escalated: 0, used_openai: 0 };
+    day.chats++;
+    if (t.escalated) day.escalated++;
+    if (t.used_openai) day.used_openai++;
+    days.set(t.day, day);
+  }
+
+  // A failed OpenAI call falls back to the heuristic, so attempts = successes + failures
+  const openAIAttempts = usedOpenAI + openAIFailures;
+  const linksShared = [...links.values()].reduce((sum, n) => sum + n, 0);
+
+  return {
+    total_chats: total,
+    unique_sessions: sessions.size,
+    first_ts: total > 0 ? transcripts[0].ts : null,
+    last_ts: total > 0 ? transcripts[total - 1].ts : null,
+    top_intents: topEntries(intents, limit, "intent_id", total),
+    escalation: { count: escalated, rate: rate(escalated, total) },
+    routing: {
+      openai: usedOpenAI,
+      heuristic: total - usedOpenAI,
+      openai_share: rate(usedOpenAI, total)
+    },
+    openai_failures: {
+      attempts: openAIAttempts,
+      failures: openAIFailures,
+      failure_rate: rate(openAIFailures, openAIAttempts),
+      skipped_circuit_open: circuitOpen,
+      skipped_budget_exceeded: budgetExceeded
+    },
+    prompt_injections: promptInjections,
+    guardrail_violations: {
+      chats: guardedChats,
+      blocked: blockedChats,
+      by_rule: Object.fromEntries(guardrailRules)
+    },
+    top_links: topEntries(links, limit, "url", linksShared),
+    busiest_hours: hours
+      .map((chats, hour) => ({ hour, chats }))
+      .filter((h) => h.chats > 0)
+      .sort((a, b) => b.chats - a.chats || a.hour - b.hour)
+      .slice(0, limit),
+    by_hour: hours,
+    by_day: [...days.values()],
+    time_zone: timeZone
+  };
+}
+
+const CSV_COLUMNS = [
+  "ts", "day", "session_id", "user_message", "matched_intent_id", "match_score",
+  "used_openai", "openai_error", "escalated", "links_shared", "packages_recommended", "bot_reply"
+];
+
+/**
+ * One row per chat message, for spreadsheets
+ */
+function transcriptsToCsv(transcripts) {
+  return toCsv(CSV_COLUMNS, transcripts);
+}
+
+/**
+ * GET /api/admin/stats?from&to&limit&format: { status, body }, plus contentType
+ * and filename for format=csv
+ */
+async function statsResponse(storage, query = {}, { timeZone } = {}) {
+  const { from, to } = query;
+  const format = query.format || "json";
+  const limit = query.limit === undefined ? 10 : parseInt(query.limit, 10);
+
+  if ((from && !DAY_RE.test(from)) || (to && !DAY_RE.test(to))) {
+    return { status: 400, body: { ok: false, error: "from/to must be YYYY-MM-DD" } };
+  }
+  if (from && to && from > to) return { status: 400, body: { ok: false, error: "from must not be after to" } };
+  if (!Number.isInteger(limit) || limit < 1) return { status: 400, body: { ok: false, error: "limit must be a positive integer" } };
+  if (!["json", "csv"].includes(format)) return { status: 400, body: { ok: false, error: "format must be json or csv" } };
+
+  const transcripts = await loadTranscripts(storage, { from, to });
+  if (format === "csv") {
+    return {
+      status: 200,
+      body: transcriptsToCsv(transcripts),
+      contentType: "text/csv; charset=utf-8",
+      filename: `transcripts_${from || "start"}_${to || "today"}.csv`
+    };
+  }
+  return {
+    status: 200,
+    body: { ok: true, from: from || null, to: to || null, ...computeStats(transcripts, { timeZone, limit }) }
+  };
+}
+
+module.exports = {
+  loadTranscripts,
+  computeStats,
+  transcriptsToCsv,
+  statsResponse
+};
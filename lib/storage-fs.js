@@ -0,0 +1,137 @@
+/**
+ * Filesystem storage for server.js
+ * - JSONL log storage (see lib/storage.js for the interface):
+ *   transcript    -> logs/transcripts_YYYY-MM-DD.jsonl
+ *   faq_candidate -> logs/NEW_FAQ_CANDIDATES_YYYY-MM-DD.jsonl
+ *   Pruning deletes whole daily files; removing records rewrites the files they were in.
+ * - A KV store over one JSON file, for the booking registry, leads and open handoffs
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { LOG_KINDS, dayOf } = require("./storage");
+const { DAY_RE, readJsonl, readDailyJsonl } = require("./jsonl");
+const { writeFileAtomic, writeFileAtomicAsync } = require("./kb-store");
+
+const FILE_PREFIXES = {
+  transcript: "transcripts_",
+  faq_candidate: "NEW_FAQ_CANDIDATES_"
+};
+
+function createFileStorage(logDir) {
+  function prefixFor(kind) {
+    if (!LOG_KINDS.includes(kind)) throw new Error(`Unknown log kind: ${kind}`);
+    return FILE_PREFIXES[kind];
+  }
+
+  function dailyFiles(prefix) {
+    if (!fs.existsSync(logDir)) return [];
+    return fs.readdirSync(logDir)
+      .filter((file) => file.startsWith(prefix) && file.endsWith(".jsonl"))
+      .map((file) => ({ filePath: path.join(logDir, file), day: file.slice(prefix.length, -".jsonl".length) }))
+      .filter(({ day }) => DAY_RE.test(day));
+  }
+
+  return {
+    name: "file",
+    async append(kind, record) {
+      const filePath = path.join(logDir, `${prefixFor(kind)}${dayOf(record)}.jsonl`);
+      fs.mkdirSync(logDir, { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(record) + "\n", "utf8");
+    },
+    async list(kind, range = {}) {
+      return readDailyJsonl(logDir, prefixFor(kind), range).map(({ record }) => record);
+    },
+    async prune(kind, before) {
+      let removed = 0;
+      for (const { filePath, day } of dailyFiles(prefixFor(kind))) {
+        if (day >= before) continue;
+        removed += readJsonl(filePath).length;
+        fs.unlinkSync(filePath);
+      }
+      return removed;
+    },
+    async remove(kind, match) {
+      let removed = 0;
+      for (const { filePath } of dailyFiles(prefixFor(kind))) {
+        const lines = fs.readFileSync(filePath, "utf8").split("\n").filter((line) => line.trim());
+        // Lines that don't parse (a torn write) are kept as they are
+        const kept = lines.filter((line) => !matchesLine(line, match));
+        if (kept.length === lines.length) continue;
+
+        removed += lines.length - kept.length;
+        if (kept.length === 0) fs.unlinkSync(filePath);
+        else writeFileAtomic(filePath, kept.join("\n") + "\n");
+      }
+      return removed;
+    }
+  };
+}
+
+function matchesLine(line, match) {
+  try {
+    return Boolean(match(JSON.parse(line)));
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * KV-like get/put/delete/list over a JSON object on disk (the same interface as
+ * createMemoryKV). The file is read once; entries are served from memory and
+ * every change is written in the background, one write at a time (temp file +
+ * rename). Changes made while a write runs go out together in the next one; a
+ * put or delete resolves once the file has it.
+ */
+function createJsonFileKV(filePath) {
+  let entries = {};
+  if (fs.existsSync(filePath)) {
+    entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  let writing = null; // the running write loop
+  let dirty = false; // entries changed since the last write started
+
+  async function writeLoop() {
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      while (dirty) {
+        dirty = false;
+        await writeFileAtomicAsync(filePath, JSON.stringify(entries) + "\n");
+      }
+    } finally {
+      writing = null;
+    }
+  }
+
+  function save() {
+    dirty = true;
+    if (!writing) writing = writeLoop();
+    return writing;
+  }
+
+  return {
+    async get(key) {
+      return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null;
+    },
+    async put(key, value) {
+      entries[key] = String(value);
+      await save();
+    },
+    async delete(key) {
+      if (!Object.prototype.hasOwnProperty.call(entries, key)) return;
+      delete entries[key];
+      await save();
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = Object.keys(entries).filter((k) => k.startsWith(prefix)).sort().map((name) => ({ name }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+module.exports = {
+  FILE_PREFIXES,
+  createFileStorage,
+  createJsonFileKV
+};
@@ -0,0 +1,254 @@
+/**
+ * Log storage adapters for Motiontography Bot (transcripts + FAQ candidates)
+ *
+ * Every adapter has the same async interface:
+ *   append(kind, record)          -> store one record (kind: "transcript" | "faq_candidate")
+ *   list(kind, { from, to })      -> records for days [from, to] (YYYY-MM-DD, UTC), oldest first
+ *   prune(kind, before)           -> delete records from days before `before` (YYYY-MM-DD); returns the count
+ *   remove(kind, match)           -> delete records for which match(record) is true; returns the count
+ *
+ * Runtime-agnostic adapters live here (memory, console, Cloudflare KV, Cloudflare D1).
+ * The JSONL filesystem writer used by server.js is in lib/storage-fs.js.
+ */
+
+const LOG_KINDS = ["transcript", "faq_candidate"];
+
+function assertKind(kind) {
+  if (!LOG_KINDS.includes(kind)) throw new Error(`Unknown log kind: ${kind}`);
+}
+
+/**
+ * UTC day of a record, matching the server's daily file names
+ */
+function dayOf(record) {
+  const ts = record?.ts ? new Date(record.ts) : new Date();
+  return (Number.isNaN(ts.getTime()) ? new Date() : ts).toISOString().slice(0, 10);
+}
+
+function inRange(day, { from, to } = {}) {
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// -------------------- Memory (tests, local dev) --------------------
+function createMemoryStorage() {
+  const rows = [];
+
+  function remove(kind, match) {
+    assertKind(kind);
+    let removed = 0;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i].kind === kind && match(rows[i].record)) {
+        rows.splice(i, 1);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    name: "memory",
+    async append(kind, record) {
+      assertKind(kind);
+      rows.push({ kind, day: dayOf(record), record });
+    },
+    async list(kind, range = {}) {
+      assertKind(kind);
+      return rows.filter((r) => r.kind === kind && inRange(r.day, range)).map((r) => r.record);
+    },
+    async prune(kind, before) {
+      return remove(kind, (record) => dayOf(record) < before);
+    },
+    async remove(kind, match) {
+      return remove(kind, match);
+    }
+  };
+}
+
+// -------------------- Console (Worker without bindings) --------------------
+/**
+ * Writes to the runtime log (wrangler tail / Logpush) and keeps nothing to list
+ */
+function createConsoleStorage() {
+  return {
+    name: "console",
+    async append(kind, record) {
+      assertKind(kind);
+      console.log(`[${kind}] ${JSON.stringify(record)}`);
+    },
+    async list(kind) {
+      assertKind(kind);
+      return [];
+    },
+    async prune(kind) {
+      assertKind(kind);
+      return 0;
+    },
+    async remove(kind) {
+      assertKind(kind);
+      return 0;
+    }
+  };
+}
+
+// -------------------- Cloudflare KV --------------------
+/**
+ * One KV entry per record, keyed <kind>/<day>/<ts>/<random> so list() can
+ * walk a day range by prefix. ttlSeconds (optional) expires old records.
+ */
+function createKVStorage(kv, { ttlSeconds } = {}) {
+  async function keysFor(kind, range = {}) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: `${kind}/`, cursor });
+      for (const { name } of page.keys) {
+        if (inRange(name.split("/")[1], range)) keys.push(name);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys.sort();
+  }
+
+  return {
+    name: "kv",
+    async append(kind, record) {
+      assertKind(kind);
+      const key = `${kind}/${dayOf(record)}/${record.ts || new Date().toISOString()}/${crypto.randomUUID().slice(0, 8)}`;
+      await kv.put(key, JSON.stringify(record), ttlSeconds ? { expirationTtl: ttlSeconds } : undefined);
+    },
+    async list(kind, range = {}) {
+      assertKind(kind);
+      const records = [];
+      for (const key of await keysFor(kind, range)) {
+        const value = await kv.get(key);
+        if (value) records.push(JSON.parse(value));
+      }
+      return records;
+    },
+    async prune(kind, before) {
+      assertKind(kind);
+      const keys = (await keysFor(kind)).filter((key) => key.split("/")[1] < before);
+      for (const key of keys) await kv.delete(key);
+      return keys.length;
+    },
+    async remove(kind, match) {
+      assertKind(kind);
+      let removed = 0;
+      for (const key of await keysFor(kind)) {
+        const value = await kv.get(key);
+        if (value && match(JSON.parse(value))) {
+          await kv.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * Stand-in for a KV namespace binding (put / get / delete / list with prefix + cursor),
+ * so the KV adapter can be exercised locally without wrangler
+ */
+function createMemoryKV({ pageSize = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    async put(key, value) {
+      entries.set(key, String(value));
+    },
+    async get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "", cursor } = {}) {
+      const names = [...entries.keys()].filter((k) => k.startsWith(prefix)).sort();
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const keys = names.slice(start, start + pageSize).map((name) => ({ name }));
+      const end = start + keys.length;
+      return end < names.length
+        ? { keys, list_complete: false, cursor: String(end) }
+        : { keys, list_complete: true };
+    }
+  };
+}
+
+// -------------------- Cloudflare D1 --------------------
+const D1_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS bot_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    day TEXT NOT NULL,
+    ts TEXT,
+    session_id TEXT,
+    record TEXT NOT NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS bot_logs_kind_day ON bot_logs (kind, day)"
+];
+
+/**
+ * One row per record in a bot_logs table (created on first use). Only uses
+ * prepare().bind().run()/all(), so any SQLite wrapper with that shape can stand in.
+ */
+function createD1Storage(db) {
+  let ready = null;
+
+  function ensureSchema() {
+    if (!ready) {
+      ready = (async () => {
+        for (const sql of D1_SCHEMA) await db.prepare(sql).run();
+      })().catch((err) => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  }
+
+  return {
+    name: "d1",
+    async append(kind, record) {
+      assertKind(kind);
+      await ensureSchema();
+      await db
+        .prepare("INSERT INTO bot_logs (kind, day, ts, session_id, record) VALUES (?1, ?2, ?3, ?4, ?5)")
+        .bind(kind, dayOf(record), record.ts || null, record.session_id || null, JSON.stringify(record))
+        .run();
+    },
+    async list(kind, { from, to } = {}) {
+      assertKind(kind);
+      await ensureSchema();
+      const { results } = await db
+        .prepare("SELECT record FROM bot_logs WHERE kind = ?1 AND day >= ?2 AND day <= ?3 ORDER BY id")
+        .bind(kind, from || "0000-00-00", to || "9999-99-99")
+        .all();
+      return (results || []).map((row) => JSON.parse(row.record));
+    },
+    async prune(kind, before) {
+      assertKind(kind);
+      await ensureSchema();
+      const result = await db.prepare("DELETE FROM bot_logs WHERE kind = ?1 AND day < ?2").bind(kind, before).run();
+      return result?.meta?.changes || 0;
+    },
+    async remove(kind, match) {
+      assertKind(kind);
+      await ensureSchema();
+      const { results } = await db.prepare("SELECT id, record FROM bot_logs WHERE kind = ?1").bind(kind).all();
+      const ids = (results || []).filter((row) => match(JSON.parse(row.record))).map((row) => row.id);
+      for (const id of ids) await db.prepare("DELETE FROM bot_logs WHERE id = ?1").bind(id).run();
+      return ids.length;
+    }
+  };
+}
+
+module.exports = {
+  LOG_KINDS,
+  dayOf,
+  createMemoryStorage,
+  createConsoleStorage,
+  createKVStorage,
+  createMemoryKV,
+  createD1Storage
+};
@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events for streamed chats (POST /api/chat/stream, or /api/chat
+ * with Accept: text/event-stream). Events, in order:
+ * - status { stage: "routing" | "llm" | "fallback" | "handoff", ... }: what the bot is doing
+ * - delta { text }: reply text to append to what is shown
+ * - reset {}: discard the reply text shown so far (the deltas after it replace it)
+ * - done: the same body /api/chat returns (the reply in it is authoritative)
+ * - error { ok: false, error }
+ *
+ * Runtime-agnostic: the adapters write sseEvent() strings to their response.
+ */
+
+const { createStreamGuard } = require("./guardrails");
+const { verifyReplyText } = require("./verifier");
+
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream; charset=utf-8",
+  "Cache-Control": "no-cache, no-transform",
+  "X-Accel-Buffering": "no" // don't let proxies buffer the stream
+};
+
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function wantsEventStream(accept) {
+  return /\btext\/event-stream\b/i.test(String(accept || ""));
+}
+
+/**
+ * Reply deltas for one chat turn, sent through emit(event, data).
+ * push(text) takes LLM reply text as it is generated: it goes out once the
+ * guardrails have passed it (lib/guardrails.js createStreamGuard) and it carries
+ * no link or price missing from the KB. After a blocked value or a failed check
+ * nothing more is streamed. finish(reply) sends the rest of the final, guarded
+ * reply, or a reset and the whole reply if the streamed text doesn't lead into it
+ * (a verifier fallback, a clarifying question, a failed LLM call).
+ */
+function createReplyStream(kb, state, emit) {
+  const guard = createStreamGuard(kb, state);
+  let sent = "";
+  let halted = false;
+
+  return {
+    push(text) {
+      if (halted) return;
+      const released = guard.push(text);
+      if (!released.text) return;
+      if (released.blocked || verifyReplyText(released.text, kb).length > 0) {
+        halted = true;
+        return;
+      }
+      sent += released.text;
+      emit("delta", { text: released.text });
+    },
+
+    finish(reply) {
+      halted = true;
+      if (sent && !reply.startsWith(sent)) {
+        emit("reset", {});
+        sent = "";
+      }
+      if (reply.length > sent.length) emit("delta", { text: reply.slice(sent.length) });
+      sent = reply;
+    }
+  };
+}
+
+module.exports = {
+  SSE_HEADERS,
+  sseEvent,
+  wantsEventStream,
+  createReplyStream
+};
@@ -0,0 +1,183 @@
+/**
+ * Post-generation verification of LLM output against the KB
+ * - intent_id must exist in intents_and_answers (case/spacing slips are repaired)
+ * - links_shared and URLs in the reply must appear somewhere in the KB
+ * - kb_evidence paths ("packages[0].name", "packages.classic_portrait.price_usd") must resolve
+ * - every dollar amount in the reply must appear in the KB
+ *
+ * Runtime-agnostic. lib/core.js decides what to do with the verdict: keep the
+ * (repaired) output, fall back to the intent's canned answer, or escalate.
+ */
+
+const { intentIdOf, findIntentById } = require("./matcher");
+
+const URL_RE = /https?:\/\/[^\s<>"'()\]]+/gi;
+const DOLLAR_RE = /\$\s?(\d[\d,]*(?:\.\d+)?)/g;
+
+// Violations that make the reply itself untrustworthy (the rest are repaired in place)
+const FATAL_VIOLATIONS = new Set(["unknown_intent", "unknown_link_in_reply", "unknown_amount"]);
+
+// -------------------- KB facts (cached per KB object) --------------------
+function normalizeUrl(url) {
+  return String(url || "")
+    .trim()
+    .replace(/[.,;:!?]+$/, "")
+    .replace(/^http:\/\//i, "https://")
+    .replace(/\/+$/, "")
+    .toLowerCase();
+}
+
+function amountKey(text) {
+  const n = parseFloat(String(text).replace(/,/g, ""));
+  return Number.isFinite(n) ? String(n) : null;
+}
+
+function collectFacts(kb) {
+  const urls = new Set();
+  const amounts = new Set();
+
+  const walk = (value) => {
+    if (typeof value === "number") {
+      amounts.add(String(value));
+    } else if (typeof value === "string") {
+      for (const url of value.match(URL_RE) || []) urls.add(normalizeUrl(url));
+      // "$3,500", "40 per person", "1.25/mile": any number the KB states can be quoted
+      for (const num of value.match(/\d[\d,]*(?:\.\d+)?/g) || []) {
+        const key = amountKey(num);
+        if (key) amounts.add(key);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(kb);
+
+  return { urls, amounts };
+}
+
+const facts = new WeakMap();
+
+function kbFacts(kb) {
+  let cached = facts.get(kb);
+  if (!cached) {
+    cached = collectFacts(kb);
+    facts.set(kb, cached);
+  }
+  return cached;
+}
+
+// -------------------- Checks --------------------
+function isKnownUrl(url, kb) {
+  return kbFacts(kb).urls.has(normalizeUrl(url));
+}
+
+/**
+ * Value at a kb_evidence path, or undefined. Segments are keys or [index];
+ * on arrays a segment may also be an entry's id ("packages.classic_portrait").
+ */
+function resolveEvidencePath(kb, path) {
+  const segments = String(path || "")
+    .replace(/\[(\w+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+  if (segments.length === 0) return undefined;
+
+  let node = kb;
+  for (const segment of segments) {
+    if (node == null || typeof node !== "object") return undefined;
+    if (Array.isArray(node)) {
+      node = /^\d+$/.test(segment) ? node[parseInt(segment, 10)] : node.find((e) => e && intentIdOf(e) === segment);
+    } else {
+      node = Object.prototype.hasOwnProperty.call(node, segment) ? node[segment] : undefined;
+    }
+  }
+  return node;
+}
+
+function intentKey(id) {
+  return String(id || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * The KB intent id for a model-supplied id: exact, else the one that matches
+ * ignoring case/spacing ("Gift Cards" -> gift_cards), else null
+ */
+function repairIntentId(id, kb) {
+  if (findIntentById(kb, id)) return id;
+  const key = intentKey(id);
+  const match = (kb.intents_and_answers || []).find((i) => intentKey(intentIdOf(i)) === key);
+  return match ? intentIdOf(match) : null;
+}
+
+/**
+ * Links and dollar amounts in reply text that don't appear in the KB:
+ * [{ type: "unknown_link_in_reply" | "unknown_amount", value }]
+ */
+function verifyReplyText(reply, kb) {
+  const violations = [];
+  for (const match of String(reply || "").match(URL_RE) || []) {
+    const url = match.replace(/[.,;:!?]+$/, "");
+    if (!isKnownUrl(url, kb)) violations.push({ type: "unknown_link_in_reply", value: url });
+  }
+  const { amounts } = kbFacts(kb);
+  for (const [text, num] of String(reply || "").matchAll(DOLLAR_RE)) {
+    if (!amounts.has(amountKey(num))) violations.push({ type: "unknown_amount", value: text.replace(/\s/g, "") });
+  }
+  return violations;
+}
+
+/**
+ * Check a parsed model response (lib/openai.js) against the KB.
+ * Returns { result, violations: [{ type, value }], fatal }: result is a copy with
+ * the repairable problems fixed (intent id, unknown links, unresolved evidence);
+ * fatal is true when the reply can't be sent as written.
+ */
+function verifyModelOutput(aiResult, kb) {
+  const violations = [];
+  const result = { ...aiResult };
+
+  if (aiResult.intent_id) {
+    const repaired = repairIntentId(aiResult.intent_id, kb);
+    if (!repaired) {
+      violations.push({ type: "unknown_intent", value: aiResult.intent_id });
+      result.intent_id = null;
+    } else if (repaired !== aiResult.intent_id) {
+      violations.push({ type: "repaired_intent", value: `${aiResult.intent_id} -> ${repaired}` });
+      result.intent_id = repaired;
+    }
+  }
+
+  result.links_shared = (aiResult.links_shared || []).filter((url) => {
+    if (typeof url === "string" && isKnownUrl(url, kb)) return true;
+    violations.push({ type: "unknown_link", value: String(url) });
+    return false;
+  });
+
+  result.kb_evidence = (aiResult.kb_evidence || []).filter((path) => {
+    if (resolveEvidencePath(kb, path) !== undefined) return true;
+    violations.push({ type: "unresolved_evidence", value: String(path) });
+    return false;
+  });
+
+  violations.push(...verifyReplyText(aiResult.reply, kb));
+
+  return {
+    result,
+    violations,
+    fatal: violations.some((v) => FATAL_VIOLATIONS.has(v.type))
+  };
+}
+
+module.exports = {
+  FATAL_VIOLATIONS,
+  resolveEvidencePath,
+  repairIntentId,
+  isKnownUrl,
+  verifyReplyText,
+  verifyModelOutput
+};
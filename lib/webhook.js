@@ -0,0 +1,45 @@
+/**
+ * Outgoing JSON webhooks (handoff and lead notifications)
+ * - Signed like Meta's webhooks when a secret is set: "sha256=" + hex HMAC of the body
+ * - Aborted after timeoutMs, so a slow or hung receiver can't hold a chat turn
+ *   (or a Worker isolate) open
+ *
+ * Runtime-agnostic (WebCrypto + fetch).
+ */
+
+const { hmacHex } = require("./signatures");
+
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * POST data as JSON to url. Throws if the receiver answers with an error status
+ * or doesn't answer within timeoutMs (0 = no timeout).
+ */
+async function postJsonWebhook({ url, data, secret = null, signatureHeader, timeoutMs = DEFAULT_WEBHOOK_TIMEOUT_MS, fetch: doFetch = fetch }) {
+  const body = JSON.stringify(data);
+  const headers = { "Content-Type": "application/json" };
+  if (secret) headers[signatureHeader] = `sha256=${await hmacHex("SHA-256", secret, body)}`;
+
+  const controller = typeof AbortController === "function" ? new AbortController() : null;
+  const timer = timeoutMs > 0 && controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    const response = await doFetch(url, { method: "POST", headers, body, signal: controller?.signal });
+    if (!response.ok) throw new Error(`returned ${response.status}`);
+  } catch (err) {
+    if (controller?.signal.aborted) throw new Error(`timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+function webhookTimeoutFromEnv(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_WEBHOOK_TIMEOUT_MS;
+}
+
+module.exports = {
+  DEFAULT_WEBHOOK_TIMEOUT_MS,
+  postJsonWebhook,
+  webhookTimeoutFromEnv
+};
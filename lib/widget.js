@@ -0,0 +1,361 @@
+/**
+ * Embeddable website chat widget (GET /widget.js on server.js and the Worker)
+ *
+ *   <script src="https://your-bot.example.com/widget.js" async
+ *     data-title="Motiontography" data-accent="#1f1f1f"></script>
+ *
+ * - Chat bubble + panel in a shadow root, so host page styles don't leak in
+ * - session_id kept in localStorage, replies streamed from /api/chat/stream
+ * - followups and "did you mean" options as quick-reply buttons, route_url as a
+ *   "Book now" button
+ * - During a human handoff, polls /api/chat/messages for Roger's replies
+ * - Themed with --mtc-* CSS custom properties on #motiontography-chat, or the
+ *   data-accent / data-font / ... attributes
+ *
+ * widget() runs in the browser: it is served as its own source, so it must not
+ * use anything outside its body. Runtime-agnostic (no fs), like lib/core.js.
+ */
+
+function widget(script) {
+  if (!script || window.__motiontographyChat) return;
+  window.__motiontographyChat = true;
+
+  const opts = script.dataset;
+  const apiBase = (opts.api || new URL(script.src).origin).replace(/\/+$/, "");
+  const storageKey = opts.storageKey || "motiontography_chat_session";
+  const title = opts.title || "Motiontography";
+  const greeting = opts.greeting || "Hi! Ask me about sessions, pricing or booking.";
+  const bookLabel = opts.bookLabel || "Book now";
+  const useStream = opts.stream !== "false";
+
+  // data-* theme attributes -> CSS custom properties (host page CSS can set them too)
+  const THEME_ATTRS = {
+    accent: "--mtc-accent",
+    accentText: "--mtc-accent-text",
+    book: "--mtc-book",
+    bookText: "--mtc-book-text",
+    background: "--mtc-bg",
+    text: "--mtc-text",
+    botBackground: "--mtc-bot-bg",
+    font: "--mtc-font",
+    radius: "--mtc-radius",
+    zIndex: "--mtc-z"
+  };
+
+  // -------------------- Session --------------------
+  function newSessionId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  function loadSessionId() {
+    try {
+      const saved = localStorage.getItem(storageKey);
+      if (saved) return saved;
+      const id = newSessionId();
+      localStorage.setItem(storageKey, id);
+      return id;
+    } catch (e) {
+      return newSessionId(); // storage blocked: this page view only
+    }
+  }
+
+  function saveSessionId(id) {
+    try {
+      localStorage.setItem(storageKey, id);
+    } catch (e) {
+      // storage blocked
+    }
+  }
+
+  let sessionId = loadSessionId();
+
+  // -------------------- DOM --------------------
+  const host = document.createElement("div");
+  host.id = "motiontography-chat";
+  for (const [attr, prop] of Object.entries(THEME_ATTRS)) {
+    if (opts[attr]) host.style.setProperty(prop, opts[attr]);
+  }
+  const root = host.attachShadow({ mode: "open" });
+
+  root.innerHTML = `
+    <style>
+      :host {
+        --mtc-accent: #1f1f1f;
+        --mtc-accent-text: #ffffff;
+        --mtc-book: #b8894a;
+        --mtc-book-text: #ffffff;
+        --mtc-bg: #ffffff;
+        --mtc-text: #1f1f1f;
+        --mtc-bot-bg: #f2f2f2;
+        --mtc-font: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+        --mtc-radius: 14px;
+        --mtc-z: 2147483000;
+        all: initial;
+      }
+      * { box-sizing: border-box; font-family: var(--mtc-font); }
+      .bubble {
+        position: fixed; bottom: 20px; ${opts.position === "left" ? "left" : "right"}: 20px; z-index: var(--mtc-z);
+        width: 56px; height: 56px; border-radius: 50%; border: 0; cursor: pointer;
+        background: var(--mtc-accent); color: var(--mtc-accent-text);
+        box-shadow: 0 4px 14px rgba(0, 0, 0, 0.25); font-size: 24px; line-height: 56px;
+      }
+      .panel {
+        position: fixed; bottom: 88px; ${opts.position === "left" ? "left" : "right"}: 20px; z-index: var(--mtc-z);
+        width: 360px; max-width: calc(100vw - 40px); height: 520px; max-height: calc(100vh - 120px);
+        display: flex; flex-direction: column; overflow: hidden;
+        background: var(--mtc-bg); color: var(--mtc-text); border-radius: var(--mtc-radius);
+        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.25); font-size: 14px;
+      }
+      .panel[hidden] { display: none; }
+      header {
+        display: flex; align-items: center; justify-content: space-between; padding: 12px 16px;
+        background: var(--mtc-accent); color: var(--mtc-accent-text); font-weight: 600;
+      }
+      header button { background: none; border: 0; color: inherit; font-size: 20px; cursor: pointer; }
+      .log { flex: 1; overflow-y: auto; padding: 12px; display: flex; flex-direction: column; gap: 8px; }
+      .msg { max-width: 85%; padding: 8px 12px; border-radius: var(--mtc-radius); white-space: pre-wrap; word-wrap: break-word; line-height: 1.4; }
+      .msg a { color: inherit; }
+      .bot { align-self: flex-start; background: var(--mtc-bot-bg); }
+      .user { align-self: flex-end; background: var(--mtc-accent); color: var(--mtc-accent-text); }
+      .operator::before { content: attr(data-from); display: block; font-size: 11px; font-weight: 600; opacity: 0.7; }
+      .typing:empty::after { content: "…"; }
+      .book {
+        display: block; margin-top: 8px; padding: 10px 14px; text-align: center; text-decoration: none; font-weight: 600;
+        background: var(--mtc-book); color: var(--mtc-book-text); border-radius: var(--mtc-radius);
+      }
+      .chips { display: flex; flex-wrap: wrap; gap: 6px; padding: 0 12px 8px; }
+      .chips button {
+        padding: 6px 10px; border: 1px solid var(--mtc-accent); border-radius: 999px; cursor: pointer;
+        background: var(--mtc-bg); color: var(--mtc-text); font-size: 13px; text-align: left;
+      }
+      form { display: flex; gap: 8px; padding: 10px 12px; border-top: 1px solid rgba(0, 0, 0, 0.08); }
+      input { flex: 1; padding: 8px 10px; border: 1px solid rgba(0, 0, 0, 0.2); border-radius: var(--mtc-radius); font-size: 14px; color: var(--mtc-text); background: var(--mtc-bg); }
+      form button { padding: 8px 14px; border: 0; border-radius: var(--mtc-radius); cursor: pointer; background: var(--mtc-accent); color: var(--mtc-accent-text); }
+      form button:disabled { opacity: 0.5; cursor: default; }
+    </style>
+    <button class="bubble" type="button" aria-label="Open chat">&#128172;</button>
+    <div class="panel" role="dialog" hidden>
+      <header><span class="title"></span><button class="close" type="button" aria-label="Close chat">&times;</button></header>
+      <div class="log" aria-live="polite"></div>
+      <div class="chips"></div>
+      <form><input type="text" placeholder="Type a message…" aria-label="Message" autocomplete="off"><button type="submit">Send</button></form>
+    </div>
+  `;
+
+  const bubble = root.querySelector(".bubble");
+  const panel = root.querySelector(".panel");
+  const log = root.querySelector(".log");
+  const chips = root.querySelector(".chips");
+  const form = root.querySelector("form");
+  const input = root.querySelector("input");
+  const sendButton = root.querySelector("form button");
+  root.querySelector(".title").textContent = title;
+
+  // Plain text with clickable links (never innerHTML: replies are untrusted text)
+  function renderText(el, text) {
+    el.textContent = "";
+    const parts = String(text || "").split(/(https?:\/\/[^\s<>"')\]]+)/);
+    parts.forEach((part, i) => {
+      if (i % 2 === 0) {
+        if (part) el.appendChild(document.createTextNode(part));
+        return;
+      }
+      const url = part.replace(/[.,;:!?]+$/, "");
+      const a = document.createElement("a");
+      a.href = url;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.textContent = url;
+      el.appendChild(a);
+      if (url.length < part.length) el.appendChild(document.createTextNode(part.slice(url.length)));
+    });
+  }
+
+  function addMessage(role, text) {
+    const el = document.createElement("div");
+    el.className = `msg ${role}`;
+    renderText(el, text);
+    log.appendChild(el);
+    log.scrollTop = log.scrollHeight;
+    return el;
+  }
+
+  function showChips(options) {
+    chips.textContent = "";
+    for (const option of options) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = option.label;
+      button.addEventListener("click", () => send(option.value));
+      chips.appendChild(button);
+    }
+  }
+
+  function showBookButton(el, url) {
+    const a = document.createElement("a");
+    a.className = "book";
+    a.href = url;
+    a.target = "_blank";
+    a.rel = "noopener";
+    a.textContent = bookLabel;
+    el.appendChild(a);
+  }
+
+  // -------------------- API --------------------
+  async function postChat(message) {
+    const res = await fetch(`${apiBase}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message, session_id: sessionId })
+    });
+    return res.json();
+  }
+
+  // Server-Sent Events from /api/chat/stream; resolves with the "done" body
+  async function streamChat(message, el) {
+    const res = await fetch(`${apiBase}/api/chat/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+      body: JSON.stringify({ message, session_id: sessionId })
+    });
+    if (!res.ok || !res.body) return res.json();
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+    let result = null;
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let end;
+      while ((end = buffer.indexOf("\n\n")) >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || "{}");
+
+        if (event === "delta") text += data.text;
+        else if (event === "reset") text = "";
+        else if (event === "done" || event === "error") result = data;
+        if (event === "delta" || event === "reset") {
+          renderText(el, text);
+          log.scrollTop = log.scrollHeight;
+        }
+      }
+    }
+    return result;
+  }
+
+  // -------------------- Handoff --------------------
+  // While Roger has the conversation, his replies arrive through /api/chat/messages
+  const POLL_MS = 4000;
+  let lastOperatorId = 0;
+  let pollTimer = null;
+
+  function watchHandoff(handoff) {
+    if (handoff && !pollTimer) pollTimer = setTimeout(pollOperator, POLL_MS);
+  }
+
+  async function pollOperator() {
+    let handoff = true; // keep trying through network errors
+    try {
+      const query = `session_id=${encodeURIComponent(sessionId)}&after=${lastOperatorId}`;
+      const body = await (await fetch(`${apiBase}/api/chat/messages?${query}`)).json();
+      for (const message of body.messages || []) {
+        const el = addMessage("bot operator", message.content);
+        el.dataset.from = message.operator || "Roger";
+        lastOperatorId = Math.max(lastOperatorId, message.id);
+      }
+      handoff = body.handoff;
+    } catch (e) {
+      // offline or server restarting: try again next tick
+    }
+    pollTimer = null;
+    watchHandoff(handoff);
+  }
+
+  let busy = false;
+
+  async function send(message) {
+    message = String(message || "").trim();
+    if (!message || busy) return;
+    busy = true;
+    sendButton.disabled = true;
+    chips.textContent = "";
+    addMessage("user", message);
+    const el = addMessage("bot typing", "");
+
+    try {
+      const body = useStream ? await streamChat(message, el) : await postChat(message);
+      if (!body || !body.ok) throw new Error((body && body.error) || "No reply");
+
+      if (body.session_id && body.session_id !== sessionId) {
+        sessionId = body.session_id;
+        saveSessionId(sessionId);
+      }
+      // No reply while Roger has the conversation: his answer comes through the poll
+      if (body.reply) renderText(el, body.reply);
+      else el.remove();
+      if (body.route_url) showBookButton(el, body.route_url);
+      watchHandoff(body.handoff);
+
+      const quickReplies = body.quick_replies && body.quick_replies.length > 0
+        ? body.quick_replies
+        : (body.followups || []).map((f) => ({ label: f, value: f }));
+      showChips(quickReplies);
+    } catch (e) {
+      renderText(el, "Sorry, something went wrong. Please try again in a moment.");
+    } finally {
+      el.classList.remove("typing");
+      log.scrollTop = log.scrollHeight;
+      busy = false;
+      sendButton.disabled = false;
+    }
+  }
+
+  // -------------------- Events --------------------
+  let greeted = false;
+  function toggle(open) {
+    panel.hidden = !open;
+    bubble.setAttribute("aria-label", open ? "Close chat" : "Open chat");
+    if (open && !greeted) {
+      addMessage("bot", greeting);
+      greeted = true;
+      pollOperator(); // picks up a handoff from an earlier page view
+    }
+    if (open) input.focus();
+  }
+
+  bubble.addEventListener("click", () => toggle(panel.hidden));
+  root.querySelector(".close").addEventListener("click", () => toggle(false));
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const message = input.value;
+    input.value = "";
+    send(message);
+  });
+
+  if (document.body) document.body.appendChild(host);
+  else document.addEventListener("DOMContentLoaded", () => document.body.appendChild(host));
+}
+
+// Served as-is: an IIFE handed the <script> tag that loaded it
+const WIDGET_SCRIPT = `/* Motiontography chat widget */\n(${widget.toString()})(document.currentScript);\n`;
+
+const WIDGET_HEADERS = {
+  "Content-Type": "application/javascript; charset=utf-8",
+  "Cache-Control": "public, max-age=300"
+};
+
+function widgetScript() {
+  return WIDGET_SCRIPT;
+}
+
+module.exports = {
+  WIDGET_HEADERS,
+  widgetScript
+};
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Offline routing evaluation against eval/dataset.json
+ *
+ * Usage: npm run eval [-- options]
+ *   --mode heuristic|llm|all   which path to score (default: all)
+ *   --kb path/to/kb.json       evaluate another KB (default: motiontography_kb.json)
+ *   --record                   call the configured LLM (LLM_* / OPENAI_* env) and save
+ *                              its raw responses to eval/recordings.json
+ *   --update-baseline          write this run's scores to eval/baseline.json
+ *   --verbose                  print every per-intent row, not just the imperfect ones
+ *   --json                     print the full report as JSON
+ *
+ * The llm mode replays eval/recordings.json through the mock provider, so it needs no
+ * network; cases without a recording are skipped. Exits 1 when accuracy drops below
+ * the baseline or a reply contains forbidden content (e.g. the studio address).
+ */
+
+require("dotenv").config({ quiet: true });
+
+const fs = require("fs");
+const path = require("path");
+const { llmConfigFromEnv, createLLMClient, LLMError } = require("../lib/llm");
+const { recordingKey, runEvalCases, computeEvalMetrics, compareToBaseline, baselineEntry } = require("../lib/eval");
+
+const ROOT = path.join(__dirname, "..");
+const EVAL_DIR = path.join(ROOT, "eval");
+const DATASET_PATH = path.join(EVAL_DIR, "dataset.json");
+const RECORDINGS_PATH = path.join(EVAL_DIR, "recordings.json");
+const BASELINE_PATH = path.join(EVAL_DIR, "baseline.json");
+
+function parseArgs(argv) {
+  const args = { mode: "all", kb: path.join(ROOT, "motiontography_kb.json") };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--mode") args.mode = argv[++i];
+    else if (arg === "--kb") args.kb = path.resolve(argv[++i]);
+    else if (arg === "--record") args.record = true;
+    else if (arg === "--update-baseline") args.updateBaseline = true;
+    else if (arg === "--verbose") args.verbose = true;
+    else if (arg === "--json") args.json = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!["heuristic", "llm", "all"].includes(args.mode)) throw new Error(`--mode must be heuristic, llm or all`);
+  return args;
+}
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+// -------------------- LLM clients --------------------
+/**
+ * Mock provider that answers from saved recordings (no network, deterministic)
+ */
+function createRecordedLLM(recordings) {
+  return createLLMClient({
+    ...llmConfigFromEnv({ LLM_PROVIDER: "mock" }),
+    maxRetries: 0,
+    breakerThreshold: Infinity,
+    mockResponder(input) {
+      const text = recordings[recordingKey(input)];
+      if (text == null) throw new LLMError("No recorded response for this conversation");
+      return text;
+    }
+  });
+}
+
+/**
+ * The configured provider, saving every raw response it returns
+ */
+function createRecordingLLM(recordings) {
+  const llm = createLLMClient(llmConfigFromEnv(process.env));
+  if (!llm.enabled) throw new Error("--record needs a configured LLM (LLM_PROVIDER / OPENAI_API_KEY)");
+
+  return {
+    ...llm,
+    async complete(input) {
+      const text = await llm.complete(input);
+      recordings[recordingKey(input)] = text;
+      return text;
+    }
+  };
+}
+
+/**
+ * Only replay cases whose every turn was recorded; otherwise the heuristic
+ * fallback would be scored as the LLM
+ */
+function isRecorded(c, recordings) {
+  const userMessages = [...(c.history || []), c.message];
+  return userMessages.every((_, i) => recordings[userMessages.slice(0, i + 1).join("\n")] != null);
+}
+
+// -------------------- Report --------------------
+function pct(x) {
+  return x == null ? "-" : `${(x * 100).toFixed(1)}%`;
+}
+
+function printReport(mode, report, verbose) {
+  const { metrics, comparison, skipped } = report;
+  console.log(`\n== ${mode} ==`);
+  console.log(`cases: ${metrics.total}${skipped ? ` (${skipped} without recordings skipped)` : ""}, passed: ${metrics.passed}`);
+  console.log(`intent accuracy: ${pct(metrics.accuracy)}, escalation accuracy: ${pct(metrics.escalation_accuracy)}`);
+  if (metrics.clarified.length > 0) console.log(`asked "did you mean": ${metrics.clarified.join(", ")}`);
+
+  const rows = metrics.per_intent.filter((r) => verbose || r.precision !== 1 || r.recall !== 1);
+  if (rows.length > 0) {
+    console.log("\nintent                           support  precision  recall     f1");
+    for (const r of rows) {
+      console.log(
+        `${r.intent_id.padEnd(32)} ${String(r.support).padStart(7)}  ${pct(r.precision).padStart(9)}  ${pct(r.recall).padStart(6)}  ${pct(r.f1).padStart(6)}`
+      );
+    }
+  }
+
+  if (metrics.confusions.length > 0) {
+    console.log("\nconfusions (expected -> actual):");
+    for (const { expected, actual, count } of metrics.confusions) console.log(`  ${expected} -> ${actual} x${count}`);
+  }
+
+  const failed = report.results.filter((r) => !r.passed);
+  if (failed.length > 0) {
+    console.log("\nfailing cases:");
+    for (const r of failed) {
+      const notes = [];
+      if (!r.intent_ok) notes.push(`intent ${r.actual_intent_id} (expected ${r.expected_intent_id})`);
+      if (r.clarified_with) notes.push(`asked "did you mean" ${r.clarified_with.join(" / ")}`);
+      if (!r.escalation_ok) notes.push(`escalated=${r.escalated} (expected ${r.expected_escalated})`);
+      if (r.forbidden_violations.length > 0) notes.push(`forbidden ${r.forbidden_violations.join(", ")}`);
+      console.log(`  ${r.id}: "${r.message}" -> ${notes.join("; ")}`);
+    }
+  }
+
+  if (comparison.newly_failing.length > 0) console.log(`\nnewly failing vs baseline: ${comparison.newly_failing.join(", ")}`);
+  if (comparison.newly_passing.length > 0) console.log(`newly passing vs baseline: ${comparison.newly_passing.join(", ")}`);
+  for (const f of comparison.failures) console.error(`FAIL ${mode}: ${f}`);
+}
+
+// -------------------- Main --------------------
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const kb = JSON.parse(fs.readFileSync(args.kb, "utf8"));
+  const dataset = readJson(DATASET_PATH);
+  const recordings = readJson(RECORDINGS_PATH, {});
+  const baseline = readJson(BASELINE_PATH, {});
+  const forbiddenEverywhere = dataset.forbidden_everywhere || [];
+
+  const runs = {};
+
+  if (args.mode !== "llm") {
+    runs.heuristic = { cases: dataset.cases, llm: null };
+  }
+  if (args.mode !== "heuristic") {
+    if (args.record) {
+      runs.llm = { cases: dataset.cases, llm: createRecordingLLM(recordings) };
+    } else {
+      const cases = dataset.cases.filter((c) => isRecorded(c, recordings));
+      if (cases.length > 0) {
+        runs.llm = { cases, llm: createRecordedLLM(recordings), skipped: dataset.cases.length - cases.length };
+      } else if (!args.json) {
+        console.log("llm: no recordings in eval/recordings.json, skipping (run with --record to create them)");
+      }
+    }
+  }
+
+  const reports = {};
+  for (const [mode, run] of Object.entries(runs)) {
+    const results = await runEvalCases({ kb, cases: run.cases, llm: run.llm, forbiddenEverywhere });
+    const metrics = computeEvalMetrics(results);
+    const comparison = compareToBaseline(metrics, results, args.updateBaseline ? null : baseline[mode]);
+    reports[mode] = { metrics, comparison, results, skipped: run.skipped || 0 };
+  }
+
+  if (args.record) writeJson(RECORDINGS_PATH, recordings);
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    for (const [mode, report] of Object.entries(reports)) printReport(mode, report, args.verbose);
+  }
+
+  if (args.updateBaseline) {
+    for (const [mode, report] of Object.entries(reports)) baseline[mode] = baselineEntry(report.metrics, report.results);
+    writeJson(BASELINE_PATH, baseline);
+    if (!args.json) console.log(`\nbaseline written to ${path.relative(ROOT, BASELINE_PATH)}`);
+  }
+
+  const failed = Object.values(reports).some((r) => r.comparison.failures.length > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(`ERROR ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * DM the bot like Instagram would: a signed Messenger-platform webhook event
+ *
+ * Usage: npm run instagram-webhook -- <sender_id> "Do you offer gift cards?"
+ *   --quick-reply PAYLOAD   send as a tapped quick reply
+ *   --verify                run the GET subscription check instead (IG_VERIFY_TOKEN)
+ *   --url http://localhost:5050/api/webhooks/instagram   where to send (default: localhost:PORT)
+ *
+ * Signs with IG_APP_SECRET. The bot replies through the Graph API client, so run
+ * `npm run mock-graph` and point IG_GRAPH_API_URL at it to see the replies.
+ */
+
+require("dotenv").config({ quiet: true });
+
+const { signInstagramPayload, SIGNATURE_HEADER } = require("../lib/instagram");
+
+function parseArgs(argv) {
+  const args = { positional: [], url: null, quickReply: null, verify: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--url") args.url = argv[++i];
+    else if (argv[i] === "--quick-reply") args.quickReply = argv[++i];
+    else if (argv[i] === "--verify") args.verify = true;
+    else args.positional.push(argv[i]);
+  }
+  [args.senderId, args.text] = args.positional;
+  if (!args.verify && (!args.senderId || (args.text === undefined && !args.quickReply))) {
+    throw new Error("Pass the sender id and the message text (or --verify)");
+  }
+  return args;
+}
+
+async function verify(url) {
+  const token = process.env.IG_VERIFY_TOKEN;
+  if (!token) throw new Error("IG_VERIFY_TOKEN is not set");
+  const challenge = String(Date.now());
+  const query = new URLSearchParams({ "hub.mode": "subscribe", "hub.verify_token": token, "hub.challenge": challenge });
+  const resp = await fetch(`${url}?${query}`);
+  const text = await resp.text();
+  console.log(`${resp.status} ${text}${text === challenge ? " (challenge echoed)" : ""}`);
+  return resp.ok && text === challenge;
+}
+
+async function send(url, args) {
+  const appSecret = process.env.IG_APP_SECRET;
+  if (!appSecret) throw new Error("IG_APP_SECRET is not set");
+
+  const accountId = process.env.IG_ACCOUNT_ID || "17841400000000000";
+  const message = { mid: `mid.test.${Date.now()}`, text: args.text ?? args.quickReply };
+  if (args.quickReply) message.quick_reply = { payload: args.quickReply };
+
+  const rawBody = JSON.stringify({
+    object: "instagram",
+    entry: [{
+      id: accountId,
+      time: Date.now(),
+      messaging: [{ sender: { id: args.senderId }, recipient: { id: accountId }, timestamp: Date.now(), message }]
+    }]
+  });
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", [SIGNATURE_HEADER]: await signInstagramPayload(rawBody, appSecret) },
+    body: rawBody
+  });
+  console.log(`${resp.status} ${await resp.text()}`);
+  return resp.ok;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const url = args.url || `http://localhost:${process.env.PORT || 5050}/api/webhooks/instagram`;
+  const ok = args.verify ? await verify(url) : await send(url, args);
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(`ERROR ${err.message}`);
+  process.exit(1);
+});
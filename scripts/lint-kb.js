@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Lint the knowledge base against motiontography_kb.schema.json + cross-reference checks
+ *
+ * Usage: npm run lint-kb [-- path/to/kb.json]
+ * Exits 1 if there are errors (warnings alone don't fail).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validateKB, formatIssue } = require("../lib/kb-validate");
+const { formatKB } = require("../lib/kb-store");
+
+const kbPath = path.resolve(process.argv[2] || path.join(__dirname, "..", "motiontography_kb.json"));
+
+let text;
+let kb;
+try {
+  text = fs.readFileSync(kbPath, "utf8");
+  kb = JSON.parse(text);
+} catch (err) {
+  console.error(`ERROR ${path.basename(kbPath)}: ${err.message}`);
+  process.exit(1);
+}
+
+const { errors, warnings } = validateKB(kb);
+
+// The admin endpoints write the KB with formatKB (lib/kb-store.js); a file it can't
+// reproduce would be reformatted by the first admin edit
+const formatted = formatKB(kb, text) + "\n";
+if (formatted !== text) {
+  const lines = text.split("\n");
+  const diff = formatted.split("\n").findIndex((l, i) => l !== lines[i]);
+  errors.push({ path: `line ${diff >= 0 ? diff + 1 : lines.length}`, message: 'the admin KB writer would reformat this line (use 2-space indents, ": " and ", " separators, no trailing spaces, one final newline)' });
+}
+
+for (const e of errors) console.error(`ERROR   ${formatIssue(e)}`);
+for (const w of warnings) console.warn(`WARNING ${formatIssue(w)}`);
+
+const summary = `${path.basename(kbPath)} v${kb.kb_version || "?"}: ${errors.length} error(s), ${warnings.length} warning(s)`;
+if (errors.length > 0) {
+  console.error(summary);
+  process.exit(1);
+}
+console.log(summary);
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Graph API send endpoint, for testing Instagram replies
+ *
+ * Usage: npm run mock-graph -- [--port 5055]
+ *   then run the bot with IG_GRAPH_API_URL=http://localhost:5055 and any IG_ACCESS_TOKEN
+ *
+ * POST /<version>/<account>/messages   prints and stores the message, answers like Graph
+ * GET  /messages                       every message received so far (JSON)
+ */
+
+const http = require("http");
+
+function parseArgs(argv) {
+  const args = { port: parseInt(process.env.GRAPH_MOCK_PORT, 10) || 5055 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = parseInt(argv[++i], 10);
+  }
+  return args;
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+function main() {
+  const { port } = parseArgs(process.argv.slice(2));
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method === "GET" && req.url === "/messages") return send(res, 200, received);
+
+    if (req.method !== "POST" || !/^\/[^/]+\/[^/]+\/messages(\?|$)/.test(req.url)) {
+      return send(res, 404, { error: { message: `Unknown path ${req.url}`, type: "GraphMethodException", code: 100 } });
+    }
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+      return send(res, 401, { error: { message: "Missing access token", type: "OAuthException", code: 190 } });
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (e) {
+        return send(res, 400, { error: { message: "Invalid JSON", type: "GraphMethodException", code: 100 } });
+      }
+      const recipientId = body.recipient?.id;
+      if (!recipientId || !body.message?.text) {
+        return send(res, 400, { error: { message: "recipient.id and message.text are required", code: 100 } });
+      }
+
+      const messageId = `mid.mock.${received.length + 1}`;
+      received.push({ ...body, message_id: messageId, path: req.url });
+      const quick = (body.message.quick_replies || []).map((q) => `[${q.title}]`).join(" ");
+      console.log(`-> ${recipientId}: ${body.message.text}${quick ? `\n   ${quick}` : ""}`);
+      send(res, 200, { recipient_id: recipientId, message_id: messageId });
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`[mock-graph] listening on http://localhost:${port}`);
+  });
+}
+
+main();
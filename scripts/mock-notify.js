@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Local stand-ins for the handoff notifiers and the lead webhook: prints every
+ * notification it gets
+ *
+ * Usage: npm run mock-notify -- [--http-port 5056] [--smtp-port 2525]
+ *   webhook: HANDOFF_WEBHOOK_URL=http://localhost:5056/handoff
+ *   leads:   LEAD_WEBHOOK_URL=http://localhost:5056/lead
+ *   email:   HANDOFF_NOTIFY=smtp SMTP_HOST=localhost SMTP_PORT=2525 HANDOFF_EMAIL_TO=roger@example.com
+ *
+ * The SMTP server accepts any login and any recipient, without TLS.
+ */
+
+const http = require("http");
+const net = require("net");
+
+function parseArgs(argv) {
+  const args = { httpPort: 5056, smtpPort: 2525 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--http-port") args.httpPort = parseInt(argv[++i], 10);
+    else if (argv[i] === "--smtp-port") args.smtpPort = parseInt(argv[++i], 10);
+  }
+  return args;
+}
+
+function startWebhook(port) {
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      const signature = req.headers["x-handoff-signature"] || req.headers["x-lead-signature"];
+      console.log(`\n[webhook] ${req.method} ${req.url}${signature ? ` (${signature})` : ""}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(raw), null, 2));
+      } catch (e) {
+        console.log(raw);
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  server.listen(port, () => console.log(`[mock-notify] webhook on http://localhost:${port}`));
+}
+
+function startSmtp(port) {
+  const server = net.createServer((socket) => {
+    socket.setEncoding("utf8");
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buffer = "";
+    let data = null; // message lines while in DATA
+    let authStep = 0; // AUTH LOGIN prompts left
+    let envelope = { from: null, to: [] };
+
+    reply("220 mock-notify ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+
+        if (data) {
+          if (line === ".") {
+            console.log(`\n[smtp] ${envelope.from} -> ${envelope.to.join(", ")}\n${data.join("\n")}`);
+            data = null;
+            envelope = { from: null, to: [] };
+            reply("250 OK: queued");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+        if (authStep > 0) {
+          authStep--;
+          reply(authStep > 0 ? "334 UGFzc3dvcmQ6" : "235 Authentication successful");
+          continue;
+        }
+
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO" || verb === "HELO") {
+          socket.write("250-mock-notify\r\n250 AUTH PLAIN LOGIN\r\n");
+        } else if (verb === "AUTH") {
+          if (/^AUTH LOGIN/i.test(line)) {
+            authStep = 2;
+            reply("334 VXNlcm5hbWU6");
+          } else {
+            reply("235 Authentication successful");
+          }
+        } else if (verb === "MAIL") {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || "";
+          reply("250 OK");
+        } else if (verb === "RCPT") {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || "");
+          reply("250 OK");
+        } else if (verb === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else if (verb === "RSET" || verb === "NOOP") {
+          reply("250 OK");
+        } else {
+          reply("502 Command not implemented");
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+  server.listen(port, () => console.log(`[mock-notify] SMTP on localhost:${port}`));
+}
+
+function main() {
+  const { httpPort, smtpPort } = parseArgs(process.argv.slice(2));
+  startWebhook(httpPort);
+  startSmtp(smtpPort);
+}
+
+main();
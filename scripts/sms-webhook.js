@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Text the bot like Twilio would: a signed form post to /api/webhooks/sms
+ *
+ * Usage: npm run sms-webhook -- "+17575550142" "Where is the studio?"
+ *   --url http://localhost:5050/api/webhooks/sms   where to POST (default: TWILIO_WEBHOOK_URL,
+ *                                                  else localhost:PORT)
+ *
+ * Signs with TWILIO_AUTH_TOKEN over TWILIO_WEBHOOK_URL (or --url) + params, so the
+ * bot verifies it exactly as it would a real message. Prints the TwiML reply and
+ * its SMS segment count. Exits 1 on any non-2xx.
+ */
+
+require("dotenv").config({ quiet: true });
+
+const { signTwilioRequest, smsSegments, SIGNATURE_HEADER } = require("../lib/sms");
+
+function parseArgs(argv) {
+  const args = { positional: [], url: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--url") args.url = argv[++i];
+    else args.positional.push(argv[i]);
+  }
+  const [from, body] = args.positional;
+  if (!from || body === undefined) throw new Error("Pass the sender number and the message text");
+  return { from, body, url: args.url };
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) throw new Error("TWILIO_AUTH_TOKEN is not set");
+
+  const url = args.url || process.env.TWILIO_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5050}/api/webhooks/sms`;
+  // Twilio signs the URL configured on the number, which is what the bot checks against
+  const signedUrl = process.env.TWILIO_WEBHOOK_URL || url;
+
+  const params = {
+    MessageSid: `SM${Date.now()}`,
+    AccountSid: "ACtest",
+    From: args.from,
+    To: "+17577598454",
+    Body: args.body,
+    NumMedia: "0"
+  };
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      [SIGNATURE_HEADER]: await signTwilioRequest(signedUrl, params, authToken)
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const text = await resp.text();
+  console.log(`${resp.status} ${text}`);
+  const message = text.match(/<Message>([\s\S]*)<\/Message>/);
+  if (message) {
+    const { encoding, units, segments } = smsSegments(decodeXml(message[1]));
+    console.log(`-- ${segments} segment(s), ${units} ${encoding} units`);
+  }
+  process.exit(resp.ok ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(`ERROR ${err.message}`);
+  process.exit(1);
+});
@@ -1,11 +1,24 @@
 /**
- * Motiontography KB-Only Bot API
+ * Motiontography KB-Only Bot API (Express adapter over lib/core.js, shared with worker.js)
  * - Loads ./motiontography_kb.json as the ONLY source of truth
- * - Uses OpenAI GPT-5.2 (or configured model) for intelligent intent routing
- * - Falls back to keyword matching if OpenAI fails
+ * - Uses OpenAI GPT-5.2 (or any configured LLM provider) for intelligent intent routing
+ * - Falls back to keyword matching if the LLM fails (or its circuit breaker is open)
  * - Returns the approved answer + optional followups + optional Square link
  * - If no match: escalates to Roger and logs to NEW_FAQ_CANDIDATES
  * - Logs every interaction with client identifiers (if provided)
+ * - Remembers recent turns + collected slots per session_id
+ * - Recommends a package deterministically once the router questions are answered
+ * - Builds itemized, KB-grounded price quotes (POST /api/quote or in chat)
+ * - Streams replies as Server-Sent Events (POST /api/chat/stream)
+ * - Serves the embeddable website chat widget (GET /widget.js)
+ * - Answers text messages through a Twilio webhook (POST /api/webhooks/sms)
+ * - Answers Instagram DMs through a Messenger-platform webhook (/api/webhooks/instagram)
+ * - Hands conversations to Roger (notified by webhook/email) and relays his replies (/api/admin/handoffs)
+ * - Captures leads from what clients volunteer (KB allowlist only) for CRM export (/api/admin/leads)
+ * - Redacts phones, emails and card numbers before logging, prunes old logs and leads daily and
+ *   forgets a client on request (POST /api/admin/forget)
+ * - Rate limits /api/chat per IP and per session (/api/quote per IP), caps message length and the daily
+ *   LLM spend, restricts CORS to CORS_ORIGINS and deflects prompt-injection attempts
  */
 
 require("dotenv").config();
@@ -14,22 +27,99 @@ const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
-const { openAiRouteAndAnswer } = require("./lib/openai");
+const { llmConfigFromEnv, createLLMClient } = require("./lib/llm");
+const { createSessionStore, sessionConfigFromEnv } = require("./lib/sessions");
+const { disambiguationConfigFromEnv } = require("./lib/disambiguation");
+const { promptConfigFromEnv } = require("./lib/prompt-context");
+const { squareConfigFromEnv, squareWebhookResponse, SIGNATURE_HEADER } = require("./lib/square");
+const { createFileBookingStore } = require("./lib/bookings-fs");
+const {
+  smsConfigFromEnv,
+  smsWebhookResponse,
+  createTwilioClient,
+  smsHandoffDelivery,
+  SIGNATURE_HEADER: TWILIO_SIGNATURE_HEADER
+} = require("./lib/sms");
+const {
+  instagramConfigFromEnv,
+  instagramVerifyResponse,
+  instagramWebhookResponse,
+  createGraphClient,
+  replyToInstagram,
+  instagramHandoffDelivery,
+  SIGNATURE_HEADER: INSTAGRAM_SIGNATURE_HEADER
+} = require("./lib/instagram");
+const {
+  handoffConfigFromEnv,
+  createHandoffDesk,
+  createHandoffStore,
+  handoffListResponse,
+  handoffDetailResponse,
+  takeOverResponse,
+  operatorReplyResponse,
+  releaseResponse,
+  clientMessagesResponse
+} = require("./lib/handoff");
+const { createSmtpNotifier } = require("./lib/smtp");
+const {
+  MAX_CHAT_BODY_BYTES,
+  abuseConfigFromEnv,
+  createChatLimiter,
+  createQuoteLimiter,
+  messageLengthResponse,
+  messageTooLongResponse,
+  originResponse
+} = require("./lib/abuse");
+const { privacyConfigFromEnv, pruneLogs, forgetResponse } = require("./lib/privacy");
+const { leadConfigFromEnv, createLeadStore, createLeadCapture, leadListResponse, leadDetailResponse } = require("./lib/leads");
+const { parseChatRequest, runChatTurn, streamChatTurn, recordChatTurn, quoteResponse, bookedSessionResponse, healthInfo } = require("./lib/core");
+const { SSE_HEADERS, sseEvent, wantsEventStream } = require("./lib/stream");
+const { WIDGET_HEADERS, widgetScript } = require("./lib/widget");
+const { createFileStorage, createJsonFileKV } = require("./lib/storage-fs");
+const { assertValidKB, KBValidationError, formatIssue } = require("./lib/kb-validate");
+const { intentIndexFor } = require("./lib/matcher");
+const { createKBAdminRouter } = require("./lib/admin-kb");
+const { createFaqReviewRouter } = require("./lib/admin-faq");
+const { createStatsRouter } = require("./lib/admin-stats");
 
 // -------------------- Config --------------------
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
-const OPENAI_CONFIG = {
-  apiKey: process.env.OPENAI_API_KEY,
-  model: process.env.OPENAI_MODEL || "gpt-4o",
-  reasoningEffort: process.env.OPENAI_REASONING_EFFORT || "high",
-  textVerbosity: process.env.OPENAI_TEXT_VERBOSITY || "low",
-  maxOutputTokens: parseInt(process.env.OPENAI_MAX_OUTPUT_TOKENS, 10) || 500
-};
+const LLM_CONFIG = llmConfigFromEnv(process.env);
+const SESSION_CONFIG = sessionConfigFromEnv(process.env);
+const DISAMBIGUATION_CONFIG = disambiguationConfigFromEnv(process.env);
+const PROMPT_CONFIG = promptConfigFromEnv(process.env);
+const SQUARE_CONFIG = squareConfigFromEnv(process.env);
+const SMS_CONFIG = smsConfigFromEnv(process.env);
+const INSTAGRAM_CONFIG = instagramConfigFromEnv(process.env);
+const HANDOFF_CONFIG = handoffConfigFromEnv(process.env);
+const LEAD_CONFIG = leadConfigFromEnv(process.env);
+const PRIVACY_CONFIG = privacyConfigFromEnv(process.env);
+const ABUSE_CONFIG = abuseConfigFromEnv(process.env);
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || "America/New_York";
+
+const sessions = createSessionStore(SESSION_CONFIG);
+const llm = createLLMClient(LLM_CONFIG);
+const chatLimiter = createChatLimiter(ABUSE_CONFIG);
+const quoteLimiter = createQuoteLimiter(ABUSE_CONFIG);
+const instagramGraph = createGraphClient(INSTAGRAM_CONFIG);
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
+// Behind a proxy (nginx, a load balancer), req.ip needs TRUST_PROXY for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trust) ? parseInt(trust, 10) : trust === "true" ? true : trust);
+}
+// Without CORS_ORIGINS any site may call the API
+app.use(cors({ origin: ABUSE_CONFIG.corsOrigins || "*" }));
+// Chat bodies are small (MAX_MESSAGE_LENGTH); admin KB edits send the whole KB.
+// A bigger chat body gets the same JSON 413 as a message over the limit.
+app.use("/api/chat", express.json({ limit: MAX_CHAT_BODY_BYTES }), (err, req, res, next) => {
+  if (err.type !== "entity.too.large") return next(err);
+  const { status, body } = messageTooLongResponse(ABUSE_CONFIG);
+  return res.status(status).json(body);
+});
+// Keep the exact bytes too: Square signs the raw body
+app.use(express.json({ limit: "1mb", verify: (req, res, buf) => { req.rawBody = buf.toString("utf8"); } }));
 
 // -------------------- Load KB --------------------
 const KB_PATH = path.join(__dirname, "motiontography_kb.json");
@@ -38,21 +128,12 @@ function loadKB() {
   const raw = fs.readFileSync(KB_PATH, "utf8");
   const kb = JSON.parse(raw);
 
-  // Minimal sanity checks so we fail fast instead of hallucinating
-  const requiredTopKeys = [
-    "business",
-    "square_booking_links",
-    "packages",
-    "booking_policies",
-    "intents_and_answers",
-    "bot_guardrails",
-    "learning_and_review_workflow"
-  ];
-  for (const k of requiredTopKeys) {
-    if (!(k in kb)) throw new Error(`KB missing required key: ${k}`);
-  }
-  if (!Array.isArray(kb.intents_and_answers)) throw new Error("KB intents_and_answers must be an array");
-  if (!Array.isArray(kb.packages)) throw new Error("KB packages must be an array");
+  // Full schema + cross-reference validation so we fail fast instead of hallucinating
+  const { warnings } = assertValidKB(kb);
+  for (const w of warnings) console.warn(`[KB warning] ${formatIssue(w)}`);
+
+  // Build the retrieval index once per load, not on every chat
+  intentIndexFor(kb);
   return kb;
 }
 
@@ -68,279 +149,294 @@ function requireAdmin(req, res, next) {
 }
 
 // Optional: reload KB without restarting server (admin only)
+// An invalid KB is rejected and the previously loaded KB stays live.
 app.post("/api/reload-kb", requireAdmin, (req, res) => {
   try {
     KB = loadKB();
     return res.json({ ok: true, kb_version: KB.kb_version, last_updated_local: KB.last_updated_local });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err.message });
+    if (err instanceof KBValidationError) {
+      return res.status(422).json({
+        ok: false,
+        error: err.message,
+        errors: err.errors,
+        warnings: err.warnings,
+        kb_version: KB.kb_version
+      });
+    }
+    return res.status(500).json({ ok: false, error: err.message, kb_version: KB.kb_version });
   }
 });
 
+// Admin KB editing: intents, packages, official pages (validated + atomically persisted)
+app.use("/api/admin", requireAdmin, createKBAdminRouter({
+  getKB: () => KB,
+  setKB: (kb) => { KB = kb; },
+  kbPath: KB_PATH
+}));
+
 // -------------------- Logging --------------------
 const LOG_DIR = path.join(__dirname, "logs");
-const TRANSCRIPTS_PATH = () => path.join(LOG_DIR, `transcripts_${new Date().toISOString().slice(0, 10)}.jsonl`);
-const FAQ_CANDIDATES_PATH = () => path.join(LOG_DIR, `NEW_FAQ_CANDIDATES_${new Date().toISOString().slice(0, 10)}.jsonl`);
+// transcripts_YYYY-MM-DD.jsonl + NEW_FAQ_CANDIDATES_YYYY-MM-DD.jsonl
+const logStorage = createFileStorage(LOG_DIR);
 
-function ensureLogDir() {
-  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
-}
+// Clients with a paid Square booking (linked by phone/email/IG), see POST /api/webhooks/square
+const bookings = createFileBookingStore(path.join(LOG_DIR, "bookings.json"));
 
-function appendJsonl(filePath, obj) {
-  ensureLogDir();
-  fs.appendFileSync(filePath, JSON.stringify(obj) + "\n", "utf8");
-}
-
-// -------------------- Fallback Heuristic Matching (KB-only) --------------------
-function norm(s) {
-  return String(s || "")
-    .toLowerCase()
-    .replace(/\s+/g, " ")
-    .trim();
-}
+// One lead per session, limited to the KB's subtle_info_gathering_allowed_fields
+const leads = createLeadCapture(LEAD_CONFIG, { store: createLeadStore(createJsonFileKV(path.join(LOG_DIR, "leads.json"))) });
 
-function isRegexTrigger(t) {
-  return typeof t === "string" && t.startsWith("/") && t.lastIndexOf("/") > 0;
-}
+// Open handoffs (logs/handoffs.json) outlive the in-memory sessions and restarts
+const handoff = createHandoffDesk(HANDOFF_CONFIG, {
+  store: createHandoffStore(createJsonFileKV(path.join(LOG_DIR, "handoffs.json"))),
+  smtp: createSmtpNotifier
+});
+// Channels where Roger's replies are pushed; web clients poll GET /api/chat/messages
+const handoffDelivery = {
+  sms: smsHandoffDelivery(createTwilioClient(SMS_CONFIG), SMS_CONFIG),
+  instagram: instagramHandoffDelivery(instagramGraph)
+};
 
-function compileRegex(trigger) {
-  const lastSlash = trigger.lastIndexOf("/");
-  const pattern = trigger.slice(1, lastSlash);
-  const flags = trigger.slice(lastSlash + 1) || "";
-  return new RegExp(pattern, flags);
+// Retention: drop daily log files past TRANSCRIPT_RETENTION_DAYS / FAQ_CANDIDATE_RETENTION_DAYS
+// and leads past LEAD_RETENTION_DAYS
+function pruneOldLogs() {
+  pruneLogs(logStorage, PRIVACY_CONFIG, { leads: leads.store })
+    .then((removed) => {
+      const total = Object.values(removed).reduce((sum, n) => sum + n, 0);
+      if (total > 0) console.log("[Retention] pruned", JSON.stringify(removed));
+    })
+    .catch((err) => console.error("[Retention Error]", err.message));
 }
+pruneOldLogs();
+setInterval(pruneOldLogs, 24 * 60 * 60 * 1000).unref();
+
+// Admin review queue for NEW_FAQ_CANDIDATES (decisions live in logs/faq_review.json)
+app.use("/api/admin", requireAdmin, createFaqReviewRouter({
+  storage: logStorage,
+  statePath: path.join(LOG_DIR, "faq_review.json"),
+  getKB: () => KB,
+  setKB: (kb) => { KB = kb; },
+  kbPath: KB_PATH,
+  llm
+}));
+
+// Admin transcript analytics (JSON report or CSV export)
+app.use("/api/admin", requireAdmin, createStatsRouter({ storage: logStorage, timeZone: STATS_TIMEZONE }));
+
+// Mark a client as booked + paid so the studio address may be shared with them
+app.post("/api/admin/sessions/:session_id/booked", requireAdmin, (req, res) => {
+  const { status, body } = bookedSessionResponse(sessions, req.params.session_id, req.body || {});
+  return res.status(status).json(body);
+});
 
-function scoreIntent(message, intent) {
-  const msg = norm(message);
-  const triggers = intent.triggers || [];
-  let score = 0;
+// Human handoff: conversations waiting for Roger, his replies, and handing back to the bot
+app.get("/api/admin/handoffs", requireAdmin, async (req, res) => {
+  const { status, body } = await handoffListResponse(handoff.store);
+  return res.status(status).json(body);
+});
 
-  for (const t of triggers) {
-    if (!t) continue;
+app.get("/api/admin/handoffs/:session_id", requireAdmin, async (req, res) => {
+  const { status, body } = await handoffDetailResponse(handoff.store, sessions, req.params.session_id);
+  return res.status(status).json(body);
+});
 
-    if (isRegexTrigger(t)) {
-      try {
-        const r = compileRegex(t);
-        if (r.test(message)) score += 3;
-      } catch (_) {}
-      continue;
-    }
+app.post("/api/admin/handoffs/:session_id/takeover", requireAdmin, async (req, res) => {
+  const { status, body } = await takeOverResponse(handoff.store, sessions, req.params.session_id, req.body || {});
+  return res.status(status).json(body);
+});
 
-    const trig = norm(t);
-    if (!trig) continue;
+app.post("/api/admin/handoffs/:session_id/reply", requireAdmin, async (req, res) => {
+  const { status, body } = await operatorReplyResponse({
+    store: handoff.store,
+    sessions,
+    sessionId: req.params.session_id,
+    input: req.body || {},
+    deliver: handoffDelivery
+  });
+  return res.status(status).json(body);
+});
 
-    if (msg.includes(trig)) score += 2;
+app.post("/api/admin/handoffs/:session_id/release", requireAdmin, async (req, res) => {
+  const { status, body } = await releaseResponse(handoff.store, req.params.session_id);
+  return res.status(status).json(body);
+});
 
-    const words = trig.split(" ").filter(Boolean);
-    if (words.length >= 2) {
-      let hits = 0;
-      for (const w of words) if (msg.includes(w)) hits++;
-      if (hits >= Math.ceil(words.length * 0.7)) score += 1;
-    }
+// Leads for the CRM: JSON, or ?format=csv as a download
+app.get("/api/admin/leads", requireAdmin, async (req, res) => {
+  const { status, body, contentType, filename } = await leadListResponse(leads.store, KB, req.query);
+  if (contentType) {
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(status).send(body);
   }
+  return res.status(status).json(body);
+});
 
-  return score;
-}
-
-function normalizeUrl(url) {
-  return String(url || "").replace(/([^:]\/)\/+/g, "$1");
-}
-
-function resolveRouteUrl(route, kb) {
-  if (!route || typeof route !== "object") return null;
+app.get("/api/admin/leads/:session_id", requireAdmin, async (req, res) => {
+  const { status, body } = await leadDetailResponse(leads.store, req.params.session_id);
+  return res.status(status).json(body);
+});
 
-  if (route.type === "url" && route.url) return route.url;
+// Forget a client: logs, leads, live sessions and booking links
+app.post("/api/admin/forget", requireAdmin, async (req, res) => {
+  const { status, body } = await forgetResponse({
+    input: req.body || {},
+    config: PRIVACY_CONFIG,
+    storage: logStorage,
+    sessions,
+    leads: leads.store,
+    bookings,
+    handoffs: handoff.store
+  });
+  return res.status(status).json(body);
+});
 
-  if (route.type === "square_package" && route.package_id) {
-    const entry = kb.square_booking_links?.[route.package_id];
-    if (!entry) return null;
+// -------------------- API --------------------
+app.get("/api/health", (req, res) => {
+  res.json(healthInfo(KB, llm, PROMPT_CONFIG));
+});
 
-    if (typeof entry === "string") return entry;
+// <script src="https://<this server>/widget.js" async></script> on any page
+app.get("/widget.js", (req, res) => {
+  res.set(WIDGET_HEADERS).send(widgetScript());
+});
 
-    const mode = route.mode || "studio";
-    if (entry[mode]) return entry[mode];
+// Roger's replies for a web client in a handoff (the widget polls this)
+app.get("/api/chat/messages", async (req, res) => {
+  const { status, body } = await clientMessagesResponse(handoff.store, req.query.session_id, req.query.after);
+  return res.status(status).json(body);
+});
 
-    const first = Object.values(entry).find((v) => typeof v === "string");
-    return first || null;
+app.post("/api/quote", (req, res) => {
+  const rejected = quoteLimiter.check({ ip: req.ip });
+  if (rejected) {
+    res.set("Retry-After", String(rejected.retryAfter));
+    return res.status(rejected.status).json(rejected.body);
   }
 
-  return null;
-}
-
-function buildEscalationReply(kb) {
-  const phone = kb.business?.primary_phone || "+1-757-759-8454";
-  const site = kb.business?.website || "https://motiontography.com";
-  const contactUrl = normalizeUrl(`${site}/contact.html`);
-  return `I don't want to guess and give you the wrong info. Please contact Roger directly at ${phone} (call/text), or use the contact page: ${contactUrl}`;
-}
-
-function findBestIntent(message, kb) {
-  const intents = kb.intents_and_answers;
-  let best = null;
-  let bestScore = 0;
+  const { status, body } = quoteResponse(req.body || {}, KB);
+  return res.status(status).json(body);
+});
 
-  for (const intent of intents) {
-    const s = scoreIntent(message, intent);
-    if (s > bestScore) {
-      bestScore = s;
-      best = intent;
-    }
+// /api/chat/stream (or Accept: text/event-stream) answers with Server-Sent Events
+app.post(["/api/chat", "/api/chat/stream"], async (req, res) => {
+  const rejected = originResponse(req.get("origin"), ABUSE_CONFIG)
+    || chatLimiter.check({ ip: req.ip, session_id: req.body?.session_id })
+    || messageLengthResponse(req.body?.message, ABUSE_CONFIG);
+  if (rejected) {
+    if (rejected.retryAfter) res.set("Retry-After", String(rejected.retryAfter));
+    return res.status(rejected.status).json(rejected.body);
   }
 
-  if (!best || bestScore < 2) return { intent: null, score: bestScore };
-  return { intent: best, score: bestScore };
-}
+  const request = parseChatRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ ok: false, error: request.error });
+  }
 
-function formatIntentAnswer(intent, kb) {
-  const answer = intent.answer;
-  const followups = intent.followups || [];
-  const routeUrl = resolveRouteUrl(intent.route, kb);
+  const turn = {
+    kb: KB,
+    sessions,
+    llm,
+    disambiguation: DISAMBIGUATION_CONFIG,
+    prompt: PROMPT_CONFIG,
+    bookings,
+    handoff,
+    leads,
+    ...request
+  };
 
-  let reply = "";
-  if (Array.isArray(answer)) reply = answer.filter(Boolean).join("\n\n");
-  else reply = String(answer || "").trim();
+  let result;
+  if (req.path === "/api/chat/stream" || wantsEventStream(req.get("accept"))) {
+    res.set(SSE_HEADERS);
+    res.flushHeaders();
+    result = await streamChatTurn(turn, (event, data) => res.write(sseEvent(event, data)));
+    res.end();
+  } else {
+    result = await runChatTurn(turn);
+    res.json(result.body);
+  }
 
-  return {
-    reply,
-    followups,
-    route_url: routeUrl,
-  };
-}
+  if (result) {
+    recordChatTurn(logStorage, KB, result, PRIVACY_CONFIG).catch((err) => {
+      console.error("[Log Error]", err.message);
+    });
+  }
+});
 
-// -------------------- API --------------------
-app.get("/api/health", (req, res) => {
-  res.json({
-    ok: true,
-    kb_version: KB.kb_version,
-    last_updated_local: KB.last_updated_local,
-    openai_model: OPENAI_CONFIG.model,
-    openai_enabled: !!OPENAI_CONFIG.apiKey
+// Square booking/payment events (signed with SQUARE_WEBHOOK_SIGNATURE_KEY)
+app.post("/api/webhooks/square", async (req, res) => {
+  const { status, body } = await squareWebhookResponse({
+    rawBody: req.rawBody || "",
+    signature: req.get(SIGNATURE_HEADER),
+    url: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+    config: SQUARE_CONFIG,
+    bookings
   });
+  return res.status(status).json(body);
 });
 
-app.post("/api/chat", async (req, res) => {
-  const startedAt = new Date().toISOString();
-
-  const message = req.body?.message;
-  const client = req.body?.client || {};
-  const session_id = req.body?.session_id || crypto.randomUUID();
-
-  if (!message || typeof message !== "string") {
-    return res.status(400).json({ ok: false, error: "message (string) is required" });
-  }
+// Inbound text messages (Twilio form posts signed with TWILIO_AUTH_TOKEN), answered in TwiML
+app.post("/api/webhooks/sms", express.urlencoded({ extended: false }), async (req, res) => {
+  const { status, contentType, body, result } = await smsWebhookResponse({
+    params: req.body || {},
+    signature: req.get(TWILIO_SIGNATURE_HEADER),
+    url: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+    config: SMS_CONFIG,
+    runChat: (request) => runChatTurn({
+      kb: KB,
+      sessions,
+      llm,
+      disambiguation: DISAMBIGUATION_CONFIG,
+      prompt: PROMPT_CONFIG,
+      bookings,
+      handoff,
+      leads,
+      ...request
+    })
+  });
 
-  let response;
-  let matched_intent_id = null;
-  let match_score = 0;
-  let used_openai = false;
-  let escalated = false;
-  let kb_evidence = [];
-  let links_shared = [];
-
-  // Try OpenAI first if configured
-  if (OPENAI_CONFIG.apiKey) {
-    try {
-      const aiResult = await openAiRouteAndAnswer(message, KB, OPENAI_CONFIG);
-      used_openai = true;
-      matched_intent_id = aiResult.intent_id;
-      match_score = aiResult.confidence;
-      escalated = aiResult.escalated;
-      kb_evidence = aiResult.kb_evidence || [];
-      links_shared = aiResult.links_shared || [];
-
-      response = {
-        reply: aiResult.reply,
-        followups: aiResult.followups,
-        route_url: links_shared.length > 0 ? links_shared[0] : null
-      };
-
-      // If AI escalated, log to FAQ candidates
-      if (escalated) {
-        appendJsonl(FAQ_CANDIDATES_PATH(), {
-          ts: startedAt,
-          session_id,
-          client,
-          question: message,
-          reason: "AI escalated - not in KB",
-          ai_intent_id: matched_intent_id,
-          ai_confidence: match_score
-        });
-      }
-
-    } catch (err) {
-      console.error("[OpenAI Error]", err.message);
-      // Fall through to heuristic fallback
-    }
-  }
-
-  // Fallback to heuristic matching if OpenAI wasn't used or failed
-  if (!response) {
-    const { intent, score } = findBestIntent(message, KB);
-    match_score = score;
-
-    if (intent) {
-      matched_intent_id = intent.id || intent.intent_id || intent.name || null;
-      response = formatIntentAnswer(intent, KB);
-
-      if (!response.reply) {
-        response = { reply: buildEscalationReply(KB), followups: [], route_url: null };
-        escalated = true;
-        appendJsonl(FAQ_CANDIDATES_PATH(), {
-          ts: startedAt,
-          session_id,
-          client,
-          question: message,
-          reason: "Matched intent but empty answer (heuristic)",
-        });
-      }
-    } else {
-      response = { reply: buildEscalationReply(KB), followups: [], route_url: null };
-      escalated = true;
-
-      appendJsonl(FAQ_CANDIDATES_PATH(), {
-        ts: startedAt,
-        session_id,
-        client,
-        question: message,
-        reason: "No intent match (heuristic fallback)",
-        score,
-      });
-    }
+  if (result) {
+    recordChatTurn(logStorage, KB, result, PRIVACY_CONFIG).catch((err) => {
+      console.error("[Log Error]", err.message);
+    });
   }
+  return res.status(status).type(contentType).send(body);
+});
 
-  // Final safety: scrub any address leak from reply
-  if (response.reply) {
-    response.reply = response.reply.replace(/109\s*Abbey\s*R(oa)?d[^,]*/gi, "Studio in Suffolk, VA");
-    response.reply = response.reply.replace(/\d+\s+Abbey\s+R(oa)?d/gi, "Studio in Suffolk, VA");
-  }
+// Instagram DMs: Meta's subscription check, then signed message events
+app.get("/api/webhooks/instagram", (req, res) => {
+  const { status, body } = instagramVerifyResponse(req.query, INSTAGRAM_CONFIG);
+  return res.status(status).type("text/plain").send(body);
+});
 
-  // Always log the transcript
-  appendJsonl(TRANSCRIPTS_PATH(), {
-    ts: startedAt,
-    session_id,
-    client,
-    user_message: message,
-    bot_reply: response.reply,
-    bot_followups: response.followups,
-    route_url: response.route_url,
-    matched_intent_id,
-    match_score,
-    used_openai,
-    escalated,
-    kb_evidence,
-    links_shared
+app.post("/api/webhooks/instagram", async (req, res) => {
+  const { status, body, messages } = await instagramWebhookResponse({
+    rawBody: req.rawBody || "",
+    signature: req.get(INSTAGRAM_SIGNATURE_HEADER),
+    config: INSTAGRAM_CONFIG
   });
-
-  return res.json({
-    ok: true,
-    session_id,
-    matched_intent_id,
-    match_score,
-    used_openai,
-    escalated,
-    kb_evidence,
-    ...response,
+  // Acknowledge first: Meta retries webhooks that take too long
+  res.status(status).json(body);
+
+  const results = await replyToInstagram(messages, {
+    graph: instagramGraph,
+    runChat: (request) => runChatTurn({
+      kb: KB,
+      sessions,
+      llm,
+      disambiguation: DISAMBIGUATION_CONFIG,
+      prompt: PROMPT_CONFIG,
+      bookings,
+      handoff,
+      leads,
+      ...request
+    })
   });
+  for (const result of results) {
+    recordChatTurn(logStorage, KB, result, PRIVACY_CONFIG).catch((err) => {
+      console.error("[Log Error]", err.message);
+    });
+  }
 });
 
 // -------------------- Start --------------------
@@ -348,5 +444,8 @@ const PORT = process.env.PORT || 5050;
 app.listen(PORT, () => {
   console.log(`[motiontography-bot] running on http://localhost:${PORT}`);
   console.log(`[motiontography-bot] KB: ${path.basename(KB_PATH)} v${KB.kb_version} (${KB.last_updated_local})`);
-  console.log(`[motiontography-bot] OpenAI: ${OPENAI_CONFIG.apiKey ? `enabled (${OPENAI_CONFIG.model}, reasoning=${OPENAI_CONFIG.reasoningEffort})` : "disabled (using heuristic only)"}`);
+  console.log(`[motiontography-bot] LLM: ${llm.enabled ? `${LLM_CONFIG.provider} (${LLM_CONFIG.model}, reasoning=${LLM_CONFIG.reasoningEffort})` : "disabled (using heuristic only)"}`);
+  if (PRIVACY_CONFIG.redactPii && !PRIVACY_CONFIG.hashKey) {
+    console.warn("[Privacy] LOG_HASH_SECRET is not set: phones and emails are logged as [phone] / [email] and POST /api/admin/forget is off");
+  }
 });
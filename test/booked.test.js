@@ -0,0 +1,95 @@
+/**
+ * Booked-client unlock (lib/core.js): only a channel-verified identity or an
+ * admin-marked session unlocks the studio address, never the /api/chat body's client
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const kb = require("../motiontography_kb.json");
+const { parseChatRequest, runChatTurn } = require("../lib/core");
+const { createSessionStore } = require("../lib/sessions");
+const { createBookingStore } = require("../lib/bookings");
+const { createMemoryKV } = require("../lib/storage");
+const { parseSquareEvent } = require("../lib/square");
+const { smsConfigFromEnv, signTwilioRequest, smsWebhookResponse } = require("../lib/sms");
+
+const ADDRESS = /109 Abbey/i;
+const FIXTURES = path.join(__dirname, "..", "fixtures", "square");
+
+/**
+ * A booking store with the Square fixtures applied: jane.doe@example.com,
+ * (757) 555-0142, booked and paid
+ */
+async function bookedJane() {
+  const bookings = createBookingStore(createMemoryKV());
+  for (const file of ["customer.created.json", "booking.created.json", "payment.updated.json"]) {
+    await bookings.applyEvent(parseSquareEvent(JSON.parse(fs.readFileSync(path.join(FIXTURES, file), "utf8"))));
+  }
+  return bookings;
+}
+
+function chat(turn) {
+  return runChatTurn({ kb, sessions: createSessionStore(), llm: null, message: "what is the address", ...turn });
+}
+
+test("the fixtures book jane.doe@example.com", async () => {
+  const bookings = await bookedJane();
+  assert.equal(await bookings.isBooked(["email:jane.doe@example.com", "phone:7575550142"]), true);
+});
+
+test("a web chat claiming a booked client's email or phone keeps the address hidden", async () => {
+  const bookings = await bookedJane();
+  for (const client of [{ email: "jane.doe@example.com" }, { phone: "(757) 555-0142" }]) {
+    const request = parseChatRequest({ message: "what is the address", client });
+    const { body, transcript } = await chat({ ...request, bookings });
+    assert.doesNotMatch(body.reply, ADDRESS);
+    assert.equal(transcript.booked, false);
+  }
+});
+
+test("a web chat can't take over an SMS or Instagram session id", () => {
+  assert.match(parseChatRequest({ message: "hi", session_id: "sms:+17575550142" }).error, /session_id/);
+  assert.match(parseChatRequest({ message: "hi", session_id: "ig:1234567890" }).error, /session_id/);
+  assert.equal(parseChatRequest({ message: "hi", session_id: "web-123" }).session_id, "web-123");
+});
+
+test("a text from the booked client's number unlocks the address", async () => {
+  const bookings = await bookedJane();
+  const config = smsConfigFromEnv({ TWILIO_AUTH_TOKEN: "test-token" });
+  const url = "https://bot.test/api/webhooks/sms";
+  const params = { From: "+17575550142", Body: "what is the address" };
+  const { result } = await smsWebhookResponse({
+    params,
+    signature: await signTwilioRequest(url, params, config.authToken),
+    url,
+    config,
+    runChat: (request) => chat({ ...request, bookings })
+  });
+  assert.ok(result, "the SMS turn ran");
+  assert.match(result.body.reply, ADDRESS);
+  assert.equal(result.transcript.booked, true);
+});
+
+test("a session an admin marked booked unlocks the address", async () => {
+  const sessions = createSessionStore();
+  sessions.setBooked("web-booked", true);
+  const { body } = await runChatTurn({ kb, sessions, llm: null, message: "what is the address", session_id: "web-booked" });
+  assert.match(body.reply, ADDRESS);
+});
+
+test("merged customer records leave nothing behind for forget to miss", async () => {
+  const kv = createMemoryKV();
+  const bookings = createBookingStore(kv);
+  // A payment that only knows the email, then the Square customer with that email
+  await bookings.applyEvent({ identities: ["email:jane.doe@example.com"], payment: { id: "p1", status: "COMPLETED", amount_usd: 100 } });
+  const customer = await bookings.applyEvent({ customer_id: "C1", identities: ["email:jane.doe@example.com", "phone:7575550142"] });
+
+  assert.deepEqual(Object.keys(customer.payments), ["p1"]);
+  assert.equal(await kv.get("customer/email:jane.doe@example.com"), null);
+
+  assert.equal(await bookings.forget(["phone:7575550142"]), 1);
+  assert.equal(await kv.get("customer/C1"), null);
+  assert.equal(await kv.get("identity/email:jane.doe@example.com"), null);
+});
@@ -0,0 +1,22 @@
+/**
+ * /api/chat request parsing (parseChatRequest in lib/core.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseChatRequest } = require("../lib/core");
+
+test("a chat request needs a message", () => {
+  assert.deepEqual(parseChatRequest({}), { error: "message (string) is required" });
+  assert.deepEqual(parseChatRequest({ message: 42 }), { error: "message (string) is required" });
+});
+
+test("session_id is a short string, or left out for a new one", () => {
+  const error = { error: "session_id must be a string of at most 128 characters" };
+  assert.deepEqual(parseChatRequest({ message: "hi", session_id: { $ne: null } }), error);
+  assert.deepEqual(parseChatRequest({ message: "hi", session_id: 12345 }), error);
+  assert.deepEqual(parseChatRequest({ message: "hi", session_id: "x".repeat(129) }), error);
+
+  assert.equal(parseChatRequest({ message: "hi", session_id: "test-001" }).session_id, "test-001");
+  assert.match(parseChatRequest({ message: "hi", session_id: null }).session_id, /^[0-9a-f-]{36}$/);
+});
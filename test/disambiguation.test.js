@@ -0,0 +1,53 @@
+/**
+ * "Did you mean" (lib/disambiguation.js): when the bot asks, what it offers, and
+ * answering the client's pick on the next message
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { disambiguationConfigFromEnv, closeCandidates, buildClarification, resolveChoice } = require("../lib/disambiguation");
+const { runChatTurn } = require("../lib/core");
+const { createSessionStore } = require("../lib/sessions");
+
+const config = disambiguationConfigFromEnv({});
+
+test("only a runner-up within the margin of an uncertain best match is offered", () => {
+  const close = [{ intent_id: "boudoir_info", score: 0.5 }, { intent_id: "general_pricing", score: 0.49 }, { intent_id: "gift_cards", score: 0.3 }];
+  assert.deepEqual(closeCandidates(close, config).map((c) => c.intent_id), ["boudoir_info", "general_pricing"]);
+
+  assert.equal(closeCandidates([{ intent_id: "a", score: 0.5 }, { intent_id: "b", score: 0.4 }], config), null);
+  assert.equal(closeCandidates([{ intent_id: "a", score: 0.9 }, { intent_id: "b", score: 0.89 }], config), null);
+  assert.equal(closeCandidates(close, disambiguationConfigFromEnv({ DISAMBIGUATION_MARGIN: "0" })), null);
+});
+
+test("options use the KB labels and become quick replies", () => {
+  const clarification = buildClarification([{ intent_id: "boudoir_info" }, { intent_id: "general_pricing" }, { intent_id: "no_such_intent" }], kb);
+  const labels = clarification.choices.map((c) => c.label);
+
+  assert.deepEqual(clarification.choices.map((c) => c.intent_id), ["boudoir_info", "general_pricing"]);
+  assert.match(clarification.reply, /did you mean:\n1\) .+\n2\) .+$/);
+  assert.deepEqual(clarification.quick_replies.map((q) => q.value), labels);
+});
+
+test("a pick is an option number, a label or an intent id", () => {
+  const choices = [{ intent_id: "boudoir_info", label: "Boudoir sessions" }, { intent_id: "general_pricing", label: "Pricing overview" }];
+  assert.equal(resolveChoice("2", choices), "general_pricing");
+  assert.equal(resolveChoice("option 1", choices), "boudoir_info");
+  assert.equal(resolveChoice("Pricing overview!", choices), "general_pricing");
+  assert.equal(resolveChoice("what about parking?", choices), null);
+});
+
+test("the bot asks on a close call and answers the pick next turn", async () => {
+  const sessions = createSessionStore();
+  const chat = (message) => runChatTurn({ kb, sessions, llm: null, message, session_id: "d-1", disambiguation: config });
+
+  const asked = (await chat("What's your boudoir pricing?")).body;
+  assert.equal(asked.matched_intent_id, null);
+  assert.ok(asked.quick_replies.length >= 2);
+
+  const [first] = sessions.get("d-1").pending_choices;
+  const picked = (await chat(asked.quick_replies[0].value)).body;
+  assert.equal(picked.matched_intent_id, first.intent_id);
+  assert.equal(picked.quick_replies.length, 0);
+});
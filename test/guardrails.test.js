@@ -0,0 +1,60 @@
+/**
+ * Sensitive-data guardrails (lib/guardrails.js): the studio address is replaced
+ * everywhere a response can carry it until the client has booked
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { applyGuardrails, guardResponse, createStreamGuard, redactKB } = require("../lib/guardrails");
+
+const ADDRESS = /109 Abbey|Abbey R(oa)?d/i;
+
+test("the address is replaced in the ways a reply could spell it", () => {
+  for (const text of ["We're at 109 Abbey Rd, Suffolk, VA 23434.", "Head to 109 Abbey Road", "It's on abbey rd."]) {
+    const { text: out, violations } = applyGuardrails(text, kb);
+    assert.doesNotMatch(out, ADDRESS);
+    assert.match(out, /Studio in Suffolk, VA/);
+    assert.equal(violations[0].rule, "studio_address");
+  }
+});
+
+test("a booked client sees the address", () => {
+  const { text, violations } = applyGuardrails("109 Abbey Rd, Suffolk, VA 23434", kb, { booked: true });
+  assert.match(text, ADDRESS);
+  assert.deepEqual(violations, []);
+});
+
+test("followups, quick replies and the link are guarded too", () => {
+  const { response, violations } = guardResponse({
+    reply: "Happy to help!",
+    followups: ["Want directions to 109 Abbey Rd?"],
+    route_url: "https://maps.google.com/?q=109 Abbey Rd, Suffolk",
+    quick_replies: [{ label: "Meet at 109 Abbey Rd", value: "109 Abbey Rd" }]
+  }, kb);
+
+  assert.doesNotMatch(JSON.stringify(response), ADDRESS);
+  assert.equal(response.route_url, null);
+  assert.equal(violations[0].count, 4);
+
+  const kept = guardResponse({ reply: "Book here", followups: [], route_url: "https://motiontography.com/booking.html" }, kb);
+  assert.equal(kept.response.route_url, "https://motiontography.com/booking.html");
+});
+
+test("a block rule blocks the whole response", () => {
+  const strict = structuredClone(kb);
+  strict.bot_guardrails.sensitive_data[0].action = "block";
+  assert.equal(guardResponse({ reply: "109 Abbey Rd", followups: [] }, strict).blocked, true);
+});
+
+test("streamed text never releases part of the address", () => {
+  const guard = createStreamGuard(kb);
+  const sent = ["Our studio is at 109 Ab", "bey Rd, Suffolk, VA 23434 and parking ", "is easy. See you soon!"]
+    .map((chunk) => guard.push(chunk).text)
+    .join("");
+  assert.doesNotMatch(sent, /109|Abbey/i);
+});
+
+test("the model's copy of the KB has no address in it", () => {
+  assert.doesNotMatch(JSON.stringify(redactKB(kb)), ADDRESS);
+});
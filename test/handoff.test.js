@@ -0,0 +1,122 @@
+/**
+ * Human handoff (lib/handoff.js): opt-in config, a notifier that can't hold the
+ * chat reply, Roger's replies only for web sessions, and open handoffs kept
+ * apart from the sessions
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { runChatTurn } = require("../lib/core");
+const { createSessionStore } = require("../lib/sessions");
+const { createMemoryKV } = require("../lib/storage");
+const {
+  handoffConfigFromEnv,
+  createHandoffDesk,
+  createHandoffStore,
+  handoffDetailResponse,
+  operatorReplyResponse,
+  releaseResponse,
+  clientMessagesResponse
+} = require("../lib/handoff");
+
+// A webhook receiver that never answers; it only gives up when the request is aborted
+function hungFetch() {
+  const calls = [];
+  const doFetch = (url, init) => {
+    calls.push({ url, init });
+    return new Promise((resolve, reject) => {
+      init.signal?.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+  };
+  return { calls, fetch: doFetch };
+}
+
+test("handoff is off unless HANDOFF_ENABLED=true", () => {
+  assert.equal(handoffConfigFromEnv({}).enabled, false);
+  assert.equal(handoffConfigFromEnv({ HANDOFF_ENABLED: "yes" }).enabled, false);
+  assert.equal(handoffConfigFromEnv({ HANDOFF_ENABLED: "true" }).enabled, true);
+});
+
+test("a webhook that doesn't answer is given up on after the timeout", async () => {
+  const { calls, fetch } = hungFetch();
+  const config = handoffConfigFromEnv({ HANDOFF_ENABLED: "true", HANDOFF_WEBHOOK_URL: "https://hooks.example.com/handoff", HANDOFF_WEBHOOK_TIMEOUT_MS: "20" });
+  const desk = createHandoffDesk(config, { fetch });
+
+  const started = Date.now();
+  assert.equal(await desk.notify({ event: "handoff_requested", session_id: "s1" }), false);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(calls.length, 1);
+});
+
+test("the chat reply doesn't wait for Roger's notification", async () => {
+  const { calls, fetch } = hungFetch();
+  const config = handoffConfigFromEnv({ HANDOFF_ENABLED: "true", HANDOFF_WEBHOOK_URL: "https://hooks.example.com/handoff", HANDOFF_WEBHOOK_TIMEOUT_MS: "50" });
+  const pending = [];
+
+  const { body } = await runChatTurn({
+    kb,
+    sessions: createSessionStore(),
+    llm: null,
+    message: "can I talk to a real person?",
+    session_id: "web-1",
+    handoff: createHandoffDesk(config, { fetch }),
+    waitUntil: (promise) => pending.push(promise)
+  });
+
+  assert.equal(body.handoff.status, "awaiting_operator");
+  assert.equal(calls.length, 1);
+  assert.equal(pending.length, 1);
+  // The webhook is still hanging; the timeout ends it later without failing the turn
+  assert.deepEqual(await Promise.all(pending), [false]);
+});
+
+test("Roger's replies are readable for web sessions only", async () => {
+  const sessions = createSessionStore();
+  const store = createHandoffStore(createMemoryKV());
+  for (const [session_id, channel] of [["web-1", "web"], ["sms:+17575550142", "sms"]]) {
+    sessions.recordExchange(session_id, { user: "hi", bot: "hello", channel });
+    await operatorReplyResponse({ store, sessions, sessionId: session_id, input: { message: "Roger here" }, deliver: { sms: async () => {} } });
+  }
+
+  const web = (await clientMessagesResponse(store, "web-1", 0)).body;
+  assert.equal(web.handoff.status, "taken_over");
+  assert.deepEqual(web.messages.map((m) => m.content), ["Roger here"]);
+
+  const sms = (await clientMessagesResponse(store, "sms:+17575550142", 0)).body;
+  assert.equal(sms.handoff, null);
+  assert.deepEqual(sms.messages, []);
+});
+
+test("an open handoff outlives the session and a restart", async () => {
+  const config = handoffConfigFromEnv({ HANDOFF_ENABLED: "true", HANDOFF_NOTIFY: "none" });
+  const kv = createMemoryKV();
+  const chat = (sessions, message) => runChatTurn({
+    kb,
+    sessions,
+    llm: null,
+    message,
+    session_id: "web-2",
+    handoff: createHandoffDesk(config, { store: createHandoffStore(kv) })
+  });
+
+  const before = createSessionStore();
+  await chat(before, "can I talk to a real person?");
+  before.delete("web-2"); // expired
+  const store = createHandoffStore(kv);
+  const reply = await operatorReplyResponse({ store, sessions: before, sessionId: "web-2", input: { message: "Roger here" } });
+  assert.equal(reply.status, 200);
+
+  // A new process: no sessions, same store
+  const { body } = await chat(createSessionStore(), "thanks, what time works?");
+  assert.equal(body.reply, "");
+  assert.equal(body.handoff.status, "taken_over");
+
+  const messages = (await clientMessagesResponse(store, "web-2", 0)).body.messages;
+  assert.deepEqual(messages.map((m) => m.content), ["Roger here"]);
+  const detail = (await handoffDetailResponse(store, createSessionStore(), "web-2")).body;
+  assert.deepEqual(detail.turns.filter((t) => t.role === "user").map((t) => t.content), ["can I talk to a real person?", "thanks, what time works?"]);
+
+  assert.equal((await releaseResponse(store, "web-2")).status, 200);
+  assert.equal((await chat(createSessionStore(), "what are your prices?")).body.handoff, null);
+});
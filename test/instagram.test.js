@@ -0,0 +1,54 @@
+/**
+ * Instagram webhook (lib/instagram.js): only payloads signed with the app secret
+ * are read, and a DM is answered without a verified identity
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { instagramConfigFromEnv, instagramVerifyResponse, signInstagramPayload, instagramWebhookResponse, replyToInstagram } = require("../lib/instagram");
+
+const config = instagramConfigFromEnv({ IG_APP_SECRET: "app-secret", IG_VERIFY_TOKEN: "verify-me" });
+const rawBody = JSON.stringify({
+  object: "instagram",
+  entry: [{ id: "1784", messaging: [{ sender: { id: "9001" }, recipient: { id: "1784" }, message: { mid: "m1", text: "What are your prices?" } }] }]
+});
+
+test("a payload without a valid signature is rejected", async () => {
+  const forged = await signInstagramPayload(rawBody, "some-other-secret");
+  const tampered = await signInstagramPayload(rawBody.replace("prices", "hours"), config.appSecret);
+
+  for (const signature of [undefined, "", "sha256=00", forged, tampered]) {
+    const response = await instagramWebhookResponse({ rawBody, signature, config });
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.messages, []);
+  }
+  assert.equal((await instagramWebhookResponse({ rawBody, signature: "x", config: instagramConfigFromEnv({}) })).status, 503);
+});
+
+test("the subscription check needs the verify token", () => {
+  const query = { "hub.mode": "subscribe", "hub.verify_token": "verify-me", "hub.challenge": "42" };
+  assert.deepEqual(instagramVerifyResponse(query, config), { status: 200, body: "42" });
+  assert.equal(instagramVerifyResponse({ ...query, "hub.verify_token": "guess" }, config).status, 403);
+});
+
+test("a signed DM is answered, with no verified identity", async () => {
+  const signature = await signInstagramPayload(rawBody, config.appSecret);
+  const { status, messages } = await instagramWebhookResponse({ rawBody, signature, config });
+  assert.equal(status, 200);
+  assert.deepEqual(messages, [{ sender_id: "9001", mid: "m1", text: "What are your prices?" }]);
+
+  const turns = [];
+  const sent = [];
+  await replyToInstagram(messages, {
+    runChat: async (turn) => {
+      turns.push(turn);
+      return { body: { reply: "Sessions start at $150.", followups: [], quick_replies: [], route_url: null } };
+    },
+    graph: { enabled: true, sendMessage: async (to, message) => sent.push({ to, message }) }
+  });
+
+  assert.equal(turns.length, 1);
+  assert.equal(turns[0].session_id, "ig:9001");
+  assert.equal("verified_client" in turns[0], false);
+  assert.deepEqual(sent.map((s) => s.to), ["9001"]);
+});
@@ -0,0 +1,57 @@
+/**
+ * KB validation (lib/kb-validate.js): the schema, and the cross-references it
+ * can't express, on copies of the real KB with one thing broken
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { validateKB, assertValidKB, KBValidationError, formatIssue } = require("../lib/kb-validate");
+
+function broken(edit) {
+  const copy = structuredClone(kb);
+  edit(copy);
+  return validateKB(copy);
+}
+
+function messages(result) {
+  return result.errors.map(formatIssue);
+}
+
+test("the shipped KB is valid", () => {
+  const result = validateKB(kb);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+});
+
+test("missing sections and wrong types are errors with their path", () => {
+  const result = broken((copy) => {
+    delete copy.booking_policies;
+    copy.packages[0].price_usd = "cheap";
+  });
+  assert.equal(result.valid, false);
+  assert.ok(messages(result).includes("booking_policies: is required"));
+  assert.ok(messages(result).some((m) => m.startsWith("packages[0].price_usd: must be")));
+});
+
+test("duplicate intent ids and regex triggers that don't compile are errors", () => {
+  const result = broken((copy) => {
+    copy.intents_and_answers[1].id = copy.intents_and_answers[0].id;
+    copy.intents_and_answers[0].triggers.push("/([a/");
+  });
+  assert.ok(messages(result).some((m) => m.startsWith("intents_and_answers[1].id: duplicate intent id")));
+  assert.ok(messages(result).some((m) => /^intents_and_answers\[0\]\.triggers\[\d+\]: invalid regex trigger/.test(m)));
+});
+
+test("a square_package route must name a booking link", () => {
+  const result = broken((copy) => {
+    copy.intents_and_answers[0].route = { type: "square_package", package_id: "no_such_package" };
+  });
+  assert.ok(messages(result).includes("intents_and_answers[0].route.package_id: \"no_such_package\" is not in square_booking_links"));
+});
+
+test("assertValidKB throws with the errors attached", () => {
+  const copy = structuredClone(kb);
+  delete copy.packages;
+  assert.throws(() => assertValidKB(copy), (err) => err instanceof KBValidationError && err.errors.some((e) => e.path === "packages"));
+});
@@ -0,0 +1,80 @@
+/**
+ * Lead capture (lib/leads.js): the booking-ready webhook can't hold the chat reply,
+ * and leads are covered by retention and "forget this client" (lib/privacy.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { leadConfigFromEnv, createLeadStore, createLeadCapture } = require("../lib/leads");
+const { createMemoryKV, createMemoryStorage } = require("../lib/storage");
+const { createSessionStore } = require("../lib/sessions");
+const { privacyConfigFromEnv, pruneLogs, forgetResponse } = require("../lib/privacy");
+
+const READY_MESSAGE = "I'd like a maternity session in June, text me";
+
+// A webhook receiver that answers only when release() is called
+function heldFetch() {
+  const calls = [];
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  const doFetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    await released;
+    return { ok: true, status: 200 };
+  };
+  return { calls, release, fetch: doFetch };
+}
+
+function lead(session_id, updated_at) {
+  return { session_id, channel: "web", status: "collecting", fields: {}, created_at: updated_at, updated_at };
+}
+
+test("a booking-ready lead is saved without waiting for the webhook, then marked notified", async () => {
+  const { calls, release, fetch } = heldFetch();
+  const store = createLeadStore(createMemoryKV());
+  const leads = createLeadCapture(leadConfigFromEnv({ LEAD_WEBHOOK_URL: "https://crm.example.com/lead" }), { store, fetch });
+  const pending = [];
+
+  const result = await leads.capture({ kb, session_id: "s1", channel: "web", message: READY_MESSAGE, waitUntil: (p) => pending.push(p) });
+  assert.equal(result.status, "booking_ready");
+  assert.equal(calls.length, 1);
+  assert.equal((await store.get("s1")).notified_at, null);
+
+  // A second message while the webhook is in flight doesn't send it again
+  await leads.capture({ kb, session_id: "s1", channel: "web", message: "my name is Jane", waitUntil: (p) => pending.push(p) });
+  assert.equal(calls.length, 1);
+
+  release();
+  assert.deepEqual(await Promise.all(pending), [true]);
+  const saved = await store.get("s1");
+  assert.ok(saved.notified_at);
+  assert.equal(saved.fields.first_name, "Jane");
+});
+
+test("leads past LEAD_RETENTION_DAYS are pruned with the logs", async () => {
+  const store = createLeadStore(createMemoryKV());
+  await store.save(lead("old", "2025-01-01T12:00:00.000Z"));
+  await store.save(lead("recent", "2025-06-01T12:00:00.000Z"));
+
+  const config = privacyConfigFromEnv({ LEAD_RETENTION_DAYS: "30" });
+  const removed = await pruneLogs(createMemoryStorage(), config, { leads: store, now: Date.parse("2025-06-10T00:00:00Z") });
+  assert.equal(removed.leads, 1);
+  assert.deepEqual((await store.list()).map((l) => l.session_id), ["recent"]);
+
+  const kept = await pruneLogs(createMemoryStorage(), privacyConfigFromEnv({ LEAD_RETENTION_DAYS: "0" }), { leads: store });
+  assert.equal(kept.leads, undefined);
+});
+
+test("forgetting a client deletes their leads", async () => {
+  const store = createLeadStore(createMemoryKV());
+  await store.save(lead("sms:+17575550142", "2025-06-01T12:00:00.000Z"));
+  await store.save(lead("web-1", "2025-06-01T12:00:00.000Z"));
+  await store.save(lead("web-2", "2025-06-01T12:00:00.000Z"));
+
+  const { body } = await forgetResponse({ input: { phone: "(757) 555-0142" }, sessions: createSessionStore(), leads: store });
+  assert.equal(body.removed.leads, 1);
+  const bySession = await forgetResponse({ input: { session_id: "web-1" }, leads: store });
+  assert.equal(bySession.body.removed.leads, 1);
+  assert.deepEqual((await store.list()).map((l) => l.session_id), ["web-2"]);
+});
@@ -0,0 +1,117 @@
+/**
+ * LLM client: retry, circuit breaker and daily spend cap (lib/llm.js), with a
+ * stub fetch standing in for the provider
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLLMClient, LLMError, CircuitOpenError, BudgetExceededError } = require("../lib/llm");
+
+const INPUT = [{ role: "user", content: "hello" }];
+
+function chatResponse(text, usage = { prompt_tokens: 100, completion_tokens: 20 }) {
+  return new Response(JSON.stringify({ choices: [{ message: { content: text } }], usage }), { status: 200 });
+}
+
+/**
+ * fetch that answers with the given responses in order (a number is an error
+ * status) and counts its calls
+ */
+function stubFetch(...responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    return typeof next === "number" ? new Response("upstream error", { status: next }) : next();
+  };
+  return { fetch, calls };
+}
+
+function client(fetch, overrides = {}) {
+  return createLLMClient({
+    provider: "openai-chat",
+    apiKey: "test",
+    baseUrl: "https://llm.test/v1",
+    model: "gpt-4o",
+    timeoutMs: 0,
+    maxRetries: 2,
+    retryBaseMs: 0,
+    breakerThreshold: 2,
+    breakerCooldownMs: 60000,
+    fetch,
+    ...overrides
+  });
+}
+
+// -------------------- Retry --------------------
+test("retries 429 and 5xx responses, then returns the text", async () => {
+  const { fetch, calls } = stubFetch(429, 503, () => chatResponse("hi there"));
+  assert.equal(await client(fetch).complete(INPUT), "hi there");
+  assert.equal(calls.length, 3);
+});
+
+test("gives up after maxRetries with the last error", async () => {
+  const { fetch, calls } = stubFetch(500);
+  await assert.rejects(client(fetch, { maxRetries: 1 }).complete(INPUT), (err) => err instanceof LLMError && err.status === 500);
+  assert.equal(calls.length, 2);
+});
+
+test("does not retry other client errors", async () => {
+  const { fetch, calls } = stubFetch(400);
+  await assert.rejects(client(fetch).complete(INPUT), (err) => err.status === 400 && err.retryable === false);
+  assert.equal(calls.length, 1);
+});
+
+// -------------------- Circuit breaker --------------------
+test("breaker opens after failed requests, half-opens after the cooldown and closes on success", async () => {
+  let now = Date.parse("2025-06-01T12:00:00Z");
+  const { fetch, calls } = stubFetch(503, 503, 503, () => chatResponse("back"));
+  const llm = client(fetch, { maxRetries: 0, now: () => now });
+
+  await assert.rejects(llm.complete(INPUT), LLMError);
+  assert.equal(llm.status().breaker.state, "closed");
+  await assert.rejects(llm.complete(INPUT), LLMError);
+  assert.equal(llm.status().breaker.state, "open");
+
+  // Open: refused without calling the provider
+  await assert.rejects(llm.complete(INPUT), CircuitOpenError);
+  assert.equal(calls.length, 2);
+
+  // Cooldown over: the trial call fails and re-opens the breaker
+  now += 60000;
+  assert.equal(llm.status().breaker.state, "half_open");
+  await assert.rejects(llm.complete(INPUT), (err) => err.status === 503);
+  assert.equal(llm.status().breaker.state, "open");
+
+  // Next trial succeeds and closes it
+  now += 60000;
+  assert.equal(await llm.complete(INPUT), "back");
+  assert.deepEqual(llm.status().breaker, { state: "closed", consecutive_failures: 0, retry_at: null });
+  assert.equal(calls.length, 4);
+});
+
+// -------------------- Spend cap --------------------
+test("refuses calls once the daily budget is spent, until the next UTC day", async () => {
+  let now = Date.parse("2025-06-01T23:00:00Z");
+  const { fetch, calls } = stubFetch(() => chatResponse("ok", { prompt_tokens: 1000000, completion_tokens: 0 }));
+  const llm = client(fetch, { dailyBudgetUsd: 5, inputCostPer1M: 2.5, outputCostPer1M: 10, now: () => now });
+
+  await llm.complete(INPUT); // $2.50
+  await llm.complete(INPUT); // $5.00: budget reached
+  await assert.rejects(llm.complete(INPUT), BudgetExceededError);
+  assert.equal(calls.length, 2);
+  assert.equal(llm.status().spend.spent_usd, 5);
+  assert.equal(llm.status().spend.exceeded, true);
+
+  now += 60 * 60 * 1000;
+  assert.equal(await llm.complete(INPUT), "ok");
+  assert.equal(llm.status().spend.day, "2025-06-02");
+});
+
+test("estimates usage the provider doesn't report from the text length", async () => {
+  const { fetch } = stubFetch(() => chatResponse("x".repeat(400), null));
+  const llm = client(fetch, { inputCostPer1M: 0, outputCostPer1M: 1e6 });
+  await llm.complete(INPUT);
+  assert.equal(llm.status().spend.output_tokens, 100);
+  assert.equal(llm.status().spend.spent_usd, 100);
+});
@@ -0,0 +1,63 @@
+/**
+ * Heuristic matching (lib/matcher.js over the BM25 index in lib/retrieval.js):
+ * ranking, the escalation threshold and the conversation-history fallbacks
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { tokenize, buildIntentIndex } = require("../lib/retrieval");
+const { MIN_MATCH_SCORE, rankIntents, findBestIntent, findBestIntentWithHistory } = require("../lib/matcher");
+const { createSessionStore } = require("../lib/sessions");
+
+function top(message) {
+  return rankIntents(message, kb, { limit: 1 })[0];
+}
+
+test("messages are stemmed and stripped of filler words", () => {
+  assert.deepEqual(tokenize("What are the prices for photos?"), tokenize("pricing photo"));
+  assert.deepEqual(tokenize("Shooting at the beaches"), ["shoot", "beach"]);
+});
+
+test("the intent whose triggers use the words wins, with a 0..1 score", () => {
+  const best = top("Do you sell gift cards?");
+  assert.equal(best.intent_id, "gift_cards");
+  assert.ok(best.score > 0.5 && best.score <= 1);
+
+  assert.equal(top("where do I park").intent_id, "studio_parking");
+  assert.equal(top("can we shoot at a park?").intent_id, "location_suggestions");
+});
+
+test("a trigger word counts for more than the same word in an answer", () => {
+  const index = buildIntentIndex({
+    intents_and_answers: [
+      { id: "in_answer", intent: "other", triggers: ["something else"], answer: "We love a sunset shoot." },
+      { id: "in_trigger", intent: "golden_hour", triggers: ["sunset"], answer: "Golden hour is best." }
+    ]
+  });
+  assert.deepEqual(index.search("sunset").map((r) => r.intent_id), ["in_trigger", "in_answer"]);
+});
+
+test("typos still match, and unrelated words stay under the threshold", () => {
+  assert.equal(top("do you do boudior sessions").intent_id, "boudoir_info");
+  assert.equal(findBestIntent("xyzzy quux", kb).intent, null);
+  assert.ok(findBestIntent("Do you shoot underwater photos in a pool?", kb).score < MIN_MATCH_SCORE);
+});
+
+test("an answer to our followup stays on the previous intent", () => {
+  const sessions = createSessionStore();
+  const session = sessions.recordExchange("m-1", { user: "What are your prices?", bot: "...", intent_id: "general_pricing" });
+
+  const match = findBestIntentWithHistory("on-location", kb, session);
+  assert.equal(match.intent.id, "general_pricing");
+  assert.equal(match.from_history, true);
+});
+
+test("a message sharing no words with any intent isn't read as the last topic", () => {
+  const sessions = createSessionStore();
+  const session = sessions.recordExchange("m-2", { user: "What are your prices?", bot: "...", intent_id: "general_pricing" });
+
+  const match = findBestIntentWithHistory("xyzzy quux", kb, session);
+  assert.equal(match.intent, null);
+  assert.equal(match.score, 0);
+});
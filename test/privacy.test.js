@@ -0,0 +1,74 @@
+/**
+ * Log redaction (lib/privacy.js): pseudonyms only with LOG_HASH_SECRET, plain
+ * [phone] / [email] without it, no client value logged in clear text, and forget
+ * only with the secret that makes records matchable
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { privacyConfigFromEnv, redactRecord, forgetResponse } = require("../lib/privacy");
+const { createMemoryStorage } = require("../lib/storage");
+
+const RECORD = {
+  ts: "2025-06-01T14:00:00.000Z",
+  session_id: "sms:+17575550142",
+  user_message: "text me at 757-555-0142 or jane.doe@example.com",
+  client: { phone: "757-555-0142", email: "jane.doe@example.com", first_name: "Jane Doe" }
+};
+
+test("without LOG_HASH_SECRET phones and emails are fully redacted, not hashed", async () => {
+  const config = privacyConfigFromEnv({});
+  assert.equal(config.hashKey, null);
+
+  const out = await redactRecord(RECORD, kb, config);
+  assert.equal(out.session_id, "sms:[phone]");
+  assert.equal(out.user_message, "text me at [phone] or [email]");
+  assert.deepEqual(out.client, { phone: "[phone]", email: "[email]", first_name: "Jane" });
+});
+
+test("with LOG_HASH_SECRET the same client gets the same pseudonym", async () => {
+  const config = privacyConfigFromEnv({ LOG_HASH_SECRET: "test-secret" });
+  const out = await redactRecord(RECORD, kb, config);
+
+  const [pseudonym] = out.user_message.match(/\[phone:[0-9a-f]{10}\]/);
+  assert.equal(out.session_id, `sms:${pseudonym}`);
+  assert.equal(out.client.phone, pseudonym);
+  assert.match(out.client.email, /^\[email:[0-9a-f]{10}\]$/);
+
+  const other = await redactRecord(RECORD, kb, privacyConfigFromEnv({ LOG_HASH_SECRET: "another-secret" }));
+  assert.notEqual(other.client.phone, pseudonym);
+});
+
+test("a client sent as a bare string is redacted like the message", async () => {
+  for (const config of [privacyConfigFromEnv({}), privacyConfigFromEnv({ LOG_HASH_SECRET: "test-secret" })]) {
+    const out = await redactRecord({ ...RECORD, client: "555-123-4567, jane.doe@example.com" }, kb, config);
+    assert.doesNotMatch(out.client, /555|jane/);
+    assert.match(out.client, /^\[phone(:[0-9a-f]+)?\], \[email(:[0-9a-f]+)?\]$/);
+  }
+});
+
+test("without LOG_HASH_SECRET forget refuses instead of removing nothing", async () => {
+  const config = privacyConfigFromEnv({});
+  const storage = createMemoryStorage();
+  await storage.append("transcript", await redactRecord(RECORD, kb, config));
+
+  const { status, body } = await forgetResponse({ input: { phone: "757-555-0142" }, config, storage });
+  assert.equal(status, 503);
+  assert.match(body.error, /LOG_HASH_SECRET/);
+  assert.equal((await storage.list("transcript")).length, 1);
+});
+
+test("with LOG_HASH_SECRET forgetting one phone removes only that client's records", async () => {
+  const config = privacyConfigFromEnv({ LOG_HASH_SECRET: "test-secret" });
+  const storage = createMemoryStorage();
+  await storage.append("transcript", await redactRecord(RECORD, kb, config));
+  await storage.append("transcript", await redactRecord({ ...RECORD, session_id: "sms:+17575559999", user_message: "hi", client: { phone: "757-555-9999" } }, kb, config));
+
+  const { status, body } = await forgetResponse({ input: { phone: "757-555-0142" }, config, storage });
+  assert.equal(status, 200);
+  assert.equal(body.removed.transcript, 1);
+  const kept = await storage.list("transcript");
+  assert.equal(kept.length, 1);
+  assert.equal(kept[0].user_message, "hi");
+});
@@ -0,0 +1,99 @@
+/**
+ * Price quotes (lib/quote.js): itemized KB math, what counts as a quote request,
+ * and finishing a quote in chat once the client names the package
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { buildQuote, isQuoteRequest, extractQuoteInput } = require("../lib/quote");
+const { runChatTurn } = require("../lib/core");
+const { createSessionStore } = require("../lib/sessions");
+
+function pkg(id) {
+  return kb.packages.find((p) => p.id === id);
+}
+
+test("extra people, rush and the retainer come from the KB", () => {
+  const classic = pkg("classic_portrait");
+  const quote = buildQuote({ package_id: "classic_portrait", mode: "studio", people: 3, rush: true }, kb);
+  const extra = 3 - classic.included_people;
+
+  assert.deepEqual(quote.lines.map((l) => l.kb_path), [
+    `packages[${kb.packages.indexOf(classic)}].price_usd.studio`,
+    "add_ons.extra_person_fee_usd",
+    "add_ons.rush_turnaround_usd"
+  ]);
+  const total = classic.price_usd.studio + extra * kb.add_ons.extra_person_fee_usd + kb.add_ons.rush_turnaround_usd;
+  assert.equal(quote.total_usd, total);
+  assert.equal(quote.retainer.amount_usd, kb.booking_policies.retainers.standard_sessions_retainer_usd);
+  assert.equal(quote.balance_due_usd, total - quote.retainer.amount_usd);
+});
+
+test("travel outside the core cities is charged on round-trip miles", () => {
+  const quote = buildQuote({ package_id: "classic_portrait", city: "Richmond" }, kb);
+  const travel = quote.lines.find((l) => l.kb_path === "business.service_area.outside_core_travel_fee");
+  const miles = kb.business.service_area.travel_distances_miles.Richmond;
+
+  assert.equal(quote.mode, "on_location");
+  assert.equal(travel.quantity, miles * 2);
+  assert.equal(travel.amount_usd, miles * 2 * 1.25);
+  assert.equal(quote.travel_pending, false);
+
+  const core = buildQuote({ package_id: "classic_portrait", city: "Norfolk" }, kb);
+  assert.equal(core.lines.some((l) => l.kb_path === "business.service_area.outside_core_travel_fee"), false);
+
+  const unknown = buildQuote({ package_id: "classic_portrait", city: "Boston" }, kb);
+  assert.equal(unknown.travel_pending, true);
+});
+
+test("unknown packages and misspelled fields are rejected", () => {
+  assert.throws(() => buildQuote({ package_id: "platinum" }, kb), /Unknown package_id/);
+  assert.throws(() => buildQuote({ package_id: "classic_portrait", edits: 3 }, kb), /Unknown quote field\(s\): edits/);
+});
+
+test("naming a package makes \"how much would\" a quote request", () => {
+  assert.equal(isQuoteRequest("how much would the deluxe portrait be for 6 people", kb), true);
+  assert.equal(isQuoteRequest("can I get an estimate?"), true);
+  assert.equal(isQuoteRequest("how much would you charge?", kb), false);
+  assert.equal(isQuoteRequest("How much is the classic portrait package?", kb), false);
+
+  assert.deepEqual(extractQuoteInput("how much would the deluxe portrait be for 6 people, rush", kb), {
+    package_id: "deluxe_portrait",
+    people: 6,
+    rush: true
+  });
+});
+
+test("a quote waiting on the package is finished by the package answer", async () => {
+  const sessions = createSessionStore();
+  const chat = (message) => runChatTurn({ kb, sessions, llm: null, message, session_id: "q-1" });
+
+  const asked = (await chat("how much would it be for 6 people with rush?")).body;
+  assert.equal(asked.quote, null);
+  assert.match(asked.reply, /Which package/);
+
+  const answered = (await chat("classic portrait")).body;
+  assert.equal(answered.quote.package_id, "classic_portrait");
+  assert.deepEqual(answered.quote.lines.map((l) => l.item), ["Classic Portrait (studio)", "Extra person", "Rush turnaround"]);
+  assert.equal(sessions.get("q-1").pending_quote, null);
+});
+
+test("a package that left the KB isn't quoted from the session", async () => {
+  const sessions = createSessionStore();
+  sessions.recordExchange("q-2", { user: "hi", bot: "hello", package_id: "retired_package" });
+
+  const { body } = await runChatTurn({ kb, sessions, llm: null, message: "how much would it be for 3 people?", session_id: "q-2" });
+  assert.equal(body.quote, null);
+  assert.match(body.reply, /Which package/);
+});
+
+test("a package without a price for the mode gets the normal reply, not an error", async () => {
+  const unpriced = structuredClone(kb);
+  unpriced.packages.find((p) => p.id === "deluxe_portrait").price_usd = { studio: null };
+
+  const { body } = await runChatTurn({ kb: unpriced, sessions: createSessionStore(), llm: null, message: "how much would the deluxe portrait be?", session_id: "q-3" });
+  assert.equal(body.ok, true);
+  assert.equal(body.quote, null);
+  assert.ok(body.reply);
+});
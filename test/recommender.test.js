@@ -0,0 +1,48 @@
+/**
+ * Package recommender (lib/recommender.js): ranking KB packages against the
+ * router answers, and the reply built from package fields only
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { missingSlots, recommendPackage, buildRecommendationReply, recommenderPackageIds } = require("../lib/recommender");
+
+test("session type, studio or location and duration are needed first", () => {
+  assert.deepEqual(missingSlots({ session_type: "kids" }), ["studio_or_location", "duration_minutes"]);
+  assert.deepEqual(missingSlots({ session_type: "kids", studio_or_location: "studio", duration_minutes: 30 }), []);
+});
+
+test("the package closest to the answers wins, priced for the mode", () => {
+  const rec = recommendPackage({ session_type: "portrait", studio_or_location: "studio", duration_minutes: 60 }, kb);
+  const classic = kb.packages.find((p) => p.id === "classic_portrait");
+
+  assert.equal(rec.package_id, "classic_portrait");
+  assert.equal(rec.price_usd, classic.price_usd.studio);
+  assert.deepEqual(rec.route, { type: "square_package", package_id: "classic_portrait", mode: "studio" });
+  assert.equal(rec.alternatives.length, 2);
+});
+
+test("session types with their own packages never fall back to portraits", () => {
+  const rec = recommendPackage({ session_type: "newborn", studio_or_location: "studio", duration_minutes: 30 }, kb);
+  assert.ok(["newborn_lifestyle", "newborn_fine_art"].includes(rec.package_id));
+
+  const withoutNewborn = { ...kb, packages: kb.packages.filter((p) => !p.id.startsWith("newborn_")) };
+  assert.equal(recommendPackage({ session_type: "newborn", studio_or_location: "studio", duration_minutes: 30 }, withoutNewborn), null);
+  assert.equal(recommendPackage({ session_type: "wedding", studio_or_location: "on_location", duration_minutes: 240 }, kb), null);
+});
+
+test("the reply quotes the KB and points to the add-on for missing edits", () => {
+  const slots = { session_type: "portrait", studio_or_location: "studio", duration_minutes: 60, edit_level: "advanced" };
+  const rec = recommendPackage(slots, kb);
+  const reply = buildRecommendationReply(rec, slots, kb, "https://book.example.com/classic");
+
+  assert.match(reply, new RegExp(`^Based on your answers, the best fit is ${rec.package_name} \\(studio\\): \\$${rec.price_usd}`));
+  assert.ok(reply.includes(`Extra Advanced images are $${kb.add_ons.extra_advanced_image_usd} each`));
+  assert.ok(reply.endsWith("Book here: https://book.example.com/classic"));
+});
+
+test("every package the recommender can pick is in the KB", () => {
+  const ids = new Set(kb.packages.map((p) => p.id));
+  assert.deepEqual(recommenderPackageIds().filter((id) => !ids.has(id)), []);
+});
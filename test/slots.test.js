@@ -0,0 +1,34 @@
+/**
+ * Slot extraction (lib/slots.js): answers to our followups, and words that only
+ * look like one
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractSlots, pendingFollowups } = require("../lib/slots");
+
+test("followup answers fill their slots", () => {
+  assert.deepEqual(extractSlots("on-location please"), { studio_or_location: "on_location" });
+  assert.deepEqual(extractSlots("in studio, about 90 minutes"), { studio_or_location: "studio", duration_minutes: 90 });
+  assert.deepEqual(extractSlots("maternity, two hours, advanced edits"), {
+    session_type: "maternity",
+    duration_minutes: 120,
+    edit_level: "advanced"
+  });
+});
+
+test("a park or beach is on-location only as a place to shoot", () => {
+  assert.equal(extractSlots("can we do it at the park?").studio_or_location, "on_location");
+  assert.equal(extractSlots("a beach session").studio_or_location, "on_location");
+  assert.deepEqual(extractSlots("where do I park"), {});
+  assert.deepEqual(extractSlots("is parking free?"), {});
+});
+
+test("a studio-or-location answer naming both is left open", () => {
+  assert.equal(extractSlots("studio or on location, not sure").studio_or_location, undefined);
+});
+
+test("answered followups aren't asked again", () => {
+  const followups = ["Studio or on-location?", "How many people will be in the photos?"];
+  assert.deepEqual(pendingFollowups(followups, { studio_or_location: "studio" }), ["How many people will be in the photos?"]);
+});
@@ -0,0 +1,60 @@
+/**
+ * SMS webhook (lib/sms.js): only Twilio-signed requests run a chat turn, and the
+ * reply goes back as TwiML
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { smsConfigFromEnv, signTwilioRequest, smsWebhookResponse } = require("../lib/sms");
+
+const URL = "https://bot.example.com/api/webhooks/sms";
+const config = smsConfigFromEnv({ TWILIO_AUTH_TOKEN: "twilio-token" });
+const params = { From: "+17575550142", Body: "Do you sell gift cards?", MessageSid: "SM1" };
+
+// runChat stand-in that records its calls
+function chatSpy() {
+  const calls = [];
+  const runChat = async (turn) => {
+    calls.push(turn);
+    return { body: { reply: "Yes, we do!", followups: [], route_url: null } };
+  };
+  return { calls, runChat };
+}
+
+test("a request without a valid Twilio signature is rejected before the chat runs", async () => {
+  const { calls, runChat } = chatSpy();
+  const forged = await signTwilioRequest(URL, params, "some-other-token");
+  const tampered = await signTwilioRequest(URL, { ...params, Body: "hi" }, config.authToken);
+
+  for (const signature of [undefined, "", forged, tampered]) {
+    const response = await smsWebhookResponse({ params, signature, url: URL, config, runChat });
+    assert.equal(response.status, 401);
+    assert.deepEqual(JSON.parse(response.body), { ok: false, error: "Invalid signature" });
+  }
+  assert.equal(calls.length, 0);
+});
+
+test("without TWILIO_AUTH_TOKEN the webhook is off", async () => {
+  const { calls, runChat } = chatSpy();
+  const response = await smsWebhookResponse({ params, signature: "x", url: URL, config: smsConfigFromEnv({}), runChat });
+  assert.equal(response.status, 503);
+  assert.equal(calls.length, 0);
+});
+
+test("the signature covers TWILIO_WEBHOOK_URL, not the URL behind a proxy", async () => {
+  const { calls, runChat } = chatSpy();
+  const proxied = smsConfigFromEnv({ TWILIO_AUTH_TOKEN: "twilio-token", TWILIO_WEBHOOK_URL: URL });
+  const signature = await signTwilioRequest(URL, params, proxied.authToken);
+
+  const response = await smsWebhookResponse({ params, signature, url: "http://127.0.0.1:5050/api/webhooks/sms", config: proxied, runChat });
+  assert.equal(response.status, 200);
+  assert.equal(response.contentType, "text/xml");
+  assert.match(response.body, /<Message>Yes, we do!<\/Message>/);
+  assert.deepEqual(calls, [{
+    message: "Do you sell gift cards?",
+    session_id: "sms:+17575550142",
+    client: { phone: "+17575550142" },
+    verified_client: { phone: "+17575550142" },
+    channel: "sms"
+  }]);
+});
@@ -0,0 +1,115 @@
+/**
+ * Log storage adapters (lib/storage.js, lib/storage-fs.js) against the same
+ * contract, the JSON file KV, and the stats / FAQ review readers on top of the
+ * in-memory adapter
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryStorage, createKVStorage, createMemoryKV } = require("../lib/storage");
+const { createFileStorage, createJsonFileKV } = require("../lib/storage-fs");
+const { loadTranscripts, computeStats, statsResponse } = require("../lib/stats");
+const { loadCandidates, faqCandidatesResponse } = require("../lib/faq-review");
+
+const TRANSCRIPTS = [
+  { ts: "2025-06-01T14:00:00.000Z", session_id: "s1", matched_intent_id: "gift_cards", escalated: false },
+  { ts: "2025-06-02T15:30:00.000Z", session_id: "s2", matched_intent_id: null, escalated: true },
+  { ts: "2025-06-03T16:45:00.000Z", session_id: "s1", matched_intent_id: "gift_cards", escalated: false }
+];
+
+const ADAPTERS = {
+  memory: () => createMemoryStorage(),
+  "kv (memory KV, 2 keys per page)": () => createKVStorage(createMemoryKV({ pageSize: 2 })),
+  file: (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "motiontography-logs-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return createFileStorage(dir);
+  }
+};
+
+async function seeded(create, t) {
+  const storage = create(t);
+  for (const record of TRANSCRIPTS) await storage.append("transcript", record);
+  await storage.append("faq_candidate", { ts: "2025-06-02T15:30:00.000Z", session_id: "s2", question: "Is parking free?" });
+  return storage;
+}
+
+for (const [name, create] of Object.entries(ADAPTERS)) {
+  test(`${name}: list filters by kind and day range, oldest first`, async (t) => {
+    const storage = await seeded(create, t);
+    assert.deepEqual(await storage.list("transcript"), TRANSCRIPTS);
+    assert.deepEqual(await storage.list("transcript", { from: "2025-06-02", to: "2025-06-02" }), [TRANSCRIPTS[1]]);
+    assert.deepEqual(await storage.list("transcript", { from: "2025-06-02" }), TRANSCRIPTS.slice(1));
+    assert.equal((await storage.list("faq_candidate")).length, 1);
+  });
+
+  test(`${name}: prune deletes days before the cutoff`, async (t) => {
+    const storage = await seeded(create, t);
+    assert.equal(await storage.prune("transcript", "2025-06-03"), 2);
+    assert.deepEqual(await storage.list("transcript"), [TRANSCRIPTS[2]]);
+    assert.equal((await storage.list("faq_candidate")).length, 1);
+  });
+
+  test(`${name}: remove deletes matching records only`, async (t) => {
+    const storage = await seeded(create, t);
+    assert.equal(await storage.remove("transcript", (r) => r.session_id === "s1"), 2);
+    assert.deepEqual(await storage.list("transcript"), [TRANSCRIPTS[1]]);
+  });
+
+  test(`${name}: rejects unknown kinds`, async (t) => {
+    const storage = create(t);
+    await assert.rejects(storage.append("lead", {}), /Unknown log kind/);
+  });
+}
+
+// -------------------- Readers --------------------
+test("stats read transcripts through the storage adapter", async () => {
+  const storage = await seeded(ADAPTERS.memory);
+  const transcripts = await loadTranscripts(storage, { to: "2025-06-02" });
+  assert.deepEqual(transcripts.map((t) => t.day), ["2025-06-01", "2025-06-02"]);
+
+  const stats = computeStats(await loadTranscripts(storage), { timeZone: "UTC" });
+  assert.equal(stats.total_chats, 3);
+  assert.equal(stats.unique_sessions, 2);
+  assert.deepEqual(stats.top_intents[0], { intent_id: "gift_cards", count: 2, share: 0.667 });
+  assert.deepEqual(stats.escalation, { count: 1, rate: 0.333 });
+
+  const csv = await statsResponse(storage, { format: "csv" });
+  assert.equal(csv.contentType, "text/csv; charset=utf-8");
+  assert.equal(csv.body.trim().split("\n").length, 4);
+  assert.equal((await statsResponse(storage, { from: "June 1" })).status, 400);
+});
+
+test("FAQ candidates read through the storage adapter with stable ids", async () => {
+  const storage = await seeded(ADAPTERS.memory);
+  const [candidate] = await loadCandidates(storage);
+  assert.equal(candidate.day, "2025-06-02");
+  assert.match(candidate.candidate_id, /^[0-9a-f]{12}$/);
+  assert.equal((await loadCandidates(storage))[0].candidate_id, candidate.candidate_id);
+
+  const state = { candidates: { [candidate.candidate_id]: { status: "resolved" } } };
+  const open = await faqCandidatesResponse(storage, state, {});
+  assert.equal(open.body.total, 0);
+  const all = await faqCandidatesResponse(storage, state, { status: "all", group: "none" });
+  assert.equal(all.body.candidates[0].status, "resolved");
+});
+
+test("JSON file KV keeps every concurrent put and reloads from disk", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "motiontography-kv-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "leads.json");
+
+  const kv = createJsonFileKV(filePath);
+  await Promise.all(Array.from({ length: 20 }, (_, i) => kv.put(`lead/s${i}`, JSON.stringify({ i }))));
+  await kv.delete("lead/s0");
+
+  const reloaded = createJsonFileKV(filePath);
+  const { keys } = await reloaded.list({ prefix: "lead/" });
+  assert.equal(keys.length, 19);
+  assert.equal(await reloaded.get("lead/s19"), JSON.stringify({ i: 19 }));
+  assert.equal(await reloaded.get("lead/s0"), null);
+  assert.deepEqual(fs.readdirSync(dir), ["leads.json"]);
+});
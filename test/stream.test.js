@@ -0,0 +1,89 @@
+/**
+ * Streamed chats (lib/stream.js, streamChatTurn in lib/core.js): SSE framing and
+ * the event order, with a stub LLM that streams its JSON in pieces
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { sseEvent, wantsEventStream } = require("../lib/stream");
+const { streamChatTurn } = require("../lib/core");
+const { createSessionStore } = require("../lib/sessions");
+
+// Longer than what the stream guard holds back, so part of it streams before the end
+const REPLY = "Yes! Gift cards are available for any session, in any amount you like. They make a great present for birthdays, " +
+  "anniversaries and holidays. Just tell us who it is for and we will help you pick the right session for them.";
+const OUTPUT = JSON.stringify({ intent_id: "gift_cards", confidence: 0.9, reply: REPLY, followups: [], escalated: false });
+
+/**
+ * LLM client whose stream() sends the output in small chunks, or throws after
+ * failAfter chunks
+ */
+function streamingLLM(output, { failAfter = Infinity } = {}) {
+  return {
+    enabled: true,
+    provider: "test",
+    async complete() {
+      return output;
+    },
+    async stream(input, onChunk) {
+      for (let i = 0, n = 0; i < output.length; i += 7, n++) {
+        if (n >= failAfter) throw new Error("connection reset");
+        onChunk(output.slice(i, i + 7));
+      }
+      return output;
+    }
+  };
+}
+
+async function collect(options) {
+  const events = [];
+  await streamChatTurn({ kb, sessions: createSessionStore(), session_id: "st-1", ...options }, (event, data) => events.push({ event, data }));
+  return events;
+}
+
+function streamedText(events) {
+  let text = "";
+  for (const { event, data } of events) {
+    if (event === "reset") text = "";
+    if (event === "delta") text += data.text;
+  }
+  return text;
+}
+
+test("an event is an event line, a JSON data line and a blank line", () => {
+  assert.equal(sseEvent("delta", { text: "Hi\nthere" }), "event: delta\ndata: {\"text\":\"Hi\\nthere\"}\n\n");
+  assert.equal(wantsEventStream("text/html, text/event-stream;q=0.9"), true);
+  assert.equal(wantsEventStream("application/json"), false);
+  assert.equal(wantsEventStream(undefined), false);
+});
+
+test("the reply streams as deltas and ends with the done body", async () => {
+  const events = await collect({ llm: streamingLLM(OUTPUT), message: "Do you sell gift cards?" });
+  const names = events.map((e) => e.event);
+
+  assert.deepEqual(names.slice(0, 2), ["status", "status"]);
+  assert.deepEqual(events[1].data, { stage: "llm", provider: "test" });
+  assert.ok(names.filter((n) => n === "delta").length > 1);
+  assert.equal(names[names.length - 1], "done");
+  assert.equal(streamedText(events), REPLY);
+  assert.equal(events[events.length - 1].data.reply, REPLY);
+});
+
+test("a stream that breaks off is reset and replaced by the fallback reply", async () => {
+  // Breaks off after about 180 characters of the reply
+  const failAfter = Math.ceil((OUTPUT.indexOf(REPLY) + 180) / 7);
+  const events = await collect({ llm: streamingLLM(OUTPUT, { failAfter }), message: "Do you sell gift cards?" });
+  const done = events[events.length - 1];
+
+  const reset = events.findIndex((e) => e.event === "reset");
+  assert.ok(reset > 0 && events.slice(0, reset).some((e) => e.event === "delta"));
+  assert.ok(events.some((e) => e.event === "status" && e.data.stage === "fallback" && e.data.reason === "llm_error"));
+  assert.equal(done.event, "done");
+  assert.equal(streamedText(events), done.data.reply);
+});
+
+test("a turn that throws ends with an error event", async () => {
+  const events = await collect({ kb: null, llm: null, message: "hi" });
+  assert.deepEqual(events[events.length - 1], { event: "error", data: { ok: false, error: "Internal server error" } });
+});
@@ -0,0 +1,59 @@
+/**
+ * LLM output verification (lib/verifier.js): ids, links, evidence paths and
+ * prices must come from the KB
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const kb = require("../motiontography_kb.json");
+const { resolveEvidencePath, verifyModelOutput } = require("../lib/verifier");
+
+function output(fields) {
+  return { intent_id: "gift_cards", reply: "Yes, we offer gift cards!", links_shared: [], kb_evidence: [], ...fields };
+}
+
+test("a reply built from the KB passes", () => {
+  const classic = kb.packages.find((p) => p.id === "classic_portrait");
+  const { violations, fatal } = verifyModelOutput(output({
+    reply: `The Classic Portrait is $${classic.price_usd.studio}. Book here: https://motiontography.com/booking.html`,
+    kb_evidence: ["packages.classic_portrait.price_usd"]
+  }), kb);
+  assert.deepEqual(violations, []);
+  assert.equal(fatal, false);
+});
+
+test("case and spacing slips in the intent id are repaired", () => {
+  const { result, violations, fatal } = verifyModelOutput(output({ intent_id: "Gift Cards" }), kb);
+  assert.equal(result.intent_id, "gift_cards");
+  assert.equal(violations[0].type, "repaired_intent");
+  assert.equal(fatal, false);
+});
+
+test("made-up links and evidence are dropped from the metadata", () => {
+  const { result, violations, fatal } = verifyModelOutput(output({
+    links_shared: ["https://motiontography.com/booking.html", "https://example.com/deal"],
+    kb_evidence: ["packages[0].name", "packages.platinum.price_usd"]
+  }), kb);
+  assert.deepEqual(result.links_shared, ["https://motiontography.com/booking.html"]);
+  assert.deepEqual(result.kb_evidence, ["packages[0].name"]);
+  assert.deepEqual(violations.map((v) => v.type), ["unknown_link", "unresolved_evidence"]);
+  assert.equal(fatal, false);
+});
+
+test("an unknown intent, link or price in the reply can't be sent", () => {
+  for (const [fields, type] of [
+    [{ intent_id: "free_sessions" }, "unknown_intent"],
+    [{ reply: "Book at https://example.com/cheap" }, "unknown_link_in_reply"],
+    [{ reply: "Gift cards start at $7.77" }, "unknown_amount"]
+  ]) {
+    const { violations, fatal } = verifyModelOutput(output(fields), kb);
+    assert.equal(fatal, true);
+    assert.ok(violations.some((v) => v.type === type), type);
+  }
+});
+
+test("evidence paths take indexes or entry ids", () => {
+  assert.equal(resolveEvidencePath(kb, "packages[0].id"), kb.packages[0].id);
+  assert.equal(resolveEvidencePath(kb, "intents_and_answers.gift_cards.id"), "gift_cards");
+  assert.equal(resolveEvidencePath(kb, "packages.nope"), undefined);
+});
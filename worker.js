@@ -1,20 +1,170 @@
 /**
- * Motiontography KB-Only Bot - Cloudflare Worker
+ * Motiontography KB-Only Bot - Cloudflare Worker (adapter over lib/core.js, shared with server.js)
  * With OpenAI GPT-powered intelligent routing
  * Falls back to keyword matching if OpenAI fails
+ * Remembers recent turns + collected slots per session_id (per isolate)
+ * Streams replies as Server-Sent Events (POST /api/chat/stream)
+ * Serves the embeddable website chat widget (GET /widget.js)
+ * Answers text messages through a Twilio webhook (POST /api/webhooks/sms)
+ * Answers Instagram DMs through a Messenger-platform webhook (/api/webhooks/instagram)
+ * Hands conversations to Roger (notified by webhook) and relays his replies (/api/admin/handoffs)
+ * Captures leads from what clients volunteer (KB allowlist only) for CRM export (/api/admin/leads)
+ * Reports transcript stats (/api/admin/stats) and lists FAQ candidates (/api/admin/faq-candidates)
+ * from the log storage
+ * Redacts phones, emails and card numbers before logging, prunes old logs and leads on a cron
+ * trigger and forgets a client on request (POST /api/admin/forget)
+ * Rate limits /api/chat per IP and per session and /api/quote per IP (per isolate), caps message length and
+ * the daily LLM spend, restricts CORS to CORS_ORIGINS and deflects prompt-injection attempts
  */
 
+import { llmConfigFromEnv, createLLMClient } from "./lib/llm.js";
+import { createSessionStore, sessionConfigFromEnv } from "./lib/sessions.js";
+import { disambiguationConfigFromEnv } from "./lib/disambiguation.js";
+import { promptConfigFromEnv } from "./lib/prompt-context.js";
+import { squareConfigFromEnv, squareWebhookResponse, SIGNATURE_HEADER } from "./lib/square.js";
+import { createBookingStore } from "./lib/bookings.js";
+import {
+  smsConfigFromEnv,
+  smsWebhookResponse,
+  createTwilioClient,
+  smsHandoffDelivery,
+  SIGNATURE_HEADER as TWILIO_SIGNATURE_HEADER
+} from "./lib/sms.js";
+import {
+  instagramConfigFromEnv,
+  instagramVerifyResponse,
+  instagramWebhookResponse,
+  createGraphClient,
+  replyToInstagram,
+  instagramHandoffDelivery,
+  SIGNATURE_HEADER as INSTAGRAM_SIGNATURE_HEADER
+} from "./lib/instagram.js";
+import {
+  handoffConfigFromEnv,
+  createHandoffDesk,
+  createHandoffStore,
+  handoffListResponse,
+  handoffDetailResponse,
+  takeOverResponse,
+  operatorReplyResponse,
+  releaseResponse,
+  clientMessagesResponse
+} from "./lib/handoff.js";
+import {
+  MAX_CHAT_BODY_BYTES,
+  abuseConfigFromEnv,
+  createChatLimiter,
+  createQuoteLimiter,
+  messageLengthResponse,
+  messageTooLongResponse,
+  originResponse,
+  corsAllowOrigin
+} from "./lib/abuse.js";
+import { privacyConfigFromEnv, pruneLogs, forgetResponse } from "./lib/privacy.js";
+import { leadConfigFromEnv, createLeadStore, createLeadCapture, leadListResponse, leadDetailResponse } from "./lib/leads.js";
+import { statsResponse } from "./lib/stats.js";
+import { faqCandidatesResponse } from "./lib/faq-review.js";
+import { parseChatRequest, runChatTurn, streamChatTurn, recordChatTurn, quoteResponse, bookedSessionResponse, healthInfo } from "./lib/core.js";
+import { SSE_HEADERS, sseEvent, wantsEventStream } from "./lib/stream.js";
+import { WIDGET_HEADERS, widgetScript } from "./lib/widget.js";
+import { createD1Storage, createKVStorage, createConsoleStorage, createMemoryKV } from "./lib/storage.js";
+import { validateKB, formatIssue, KBValidationError } from "./lib/kb-validate.js";
+import { intentIndexFor } from "./lib/matcher.js";
+
 // KB will be fetched from GitHub
 const KB_URL = "https://raw.githubusercontent.com/Motiontography/motiontography-bot/main/motiontography_kb.json";
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
 
 let KB_CACHE = null;
 let KB_CACHE_TIME = 0;
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-async function loadKB() {
+let SESSIONS = null;
+let LOG_STORAGE = null;
+let LLM = null;
+let BOOKINGS = null;
+let HANDOFF = null;
+let LEADS = null;
+let CHAT_LIMITER = null;
+let QUOTE_LIMITER = null;
+
+function getSessionStore(env) {
+  if (!SESSIONS) SESSIONS = createSessionStore(sessionConfigFromEnv(env));
+  return SESSIONS;
+}
+
+/**
+ * Booked clients: KV (BOOKINGS_KV) if bound, else per-isolate memory (local dev only:
+ * the webhook and the chat may land on different isolates)
+ */
+function getBookingStore(env) {
+  if (!BOOKINGS) BOOKINGS = createBookingStore(env.BOOKINGS_KV || createMemoryKV());
+  return BOOKINGS;
+}
+
+/**
+ * Handoff notifications: webhook or the Worker logs (Workers can't send SMTP mail).
+ * Open handoffs: KV (HANDOFFS_KV) if bound, else per-isolate memory (local dev only)
+ */
+function getHandoffDesk(env) {
+  if (!HANDOFF) {
+    HANDOFF = createHandoffDesk(handoffConfigFromEnv(env), { store: createHandoffStore(env.HANDOFFS_KV || createMemoryKV()) });
+  }
+  return HANDOFF;
+}
+
+/**
+ * Leads: KV (LEADS_KV) if bound, else per-isolate memory (local dev only)
+ */
+function getLeadCapture(env) {
+  if (!LEADS) LEADS = createLeadCapture(leadConfigFromEnv(env), { store: createLeadStore(env.LEADS_KV || createMemoryKV()) });
+  return LEADS;
+}
+
+/**
+ * /api/chat rate limits: buckets are per isolate, so a client spread over several
+ * isolates gets more; Cloudflare's own rate limiting rules can back this up
+ */
+function getChatLimiter(env) {
+  if (!CHAT_LIMITER) CHAT_LIMITER = createChatLimiter(abuseConfigFromEnv(env));
+  return CHAT_LIMITER;
+}
+
+function getQuoteLimiter(env) {
+  if (!QUOTE_LIMITER) QUOTE_LIMITER = createQuoteLimiter(abuseConfigFromEnv(env));
+  return QUOTE_LIMITER;
+}
+
+/**
+ * One client per isolate so the circuit breaker and the spend cap see every call
+ */
+function getLLM(env) {
+  if (!LLM) LLM = createLLMClient(llmConfigFromEnv(env));
+  return LLM;
+}
+
+/**
+ * Transcripts + FAQ candidates: D1 (LOGS_DB) if bound, else KV (LOGS_KV), else the Worker logs
+ */
+function getLogStorage(env) {
+  if (!LOG_STORAGE) {
+    if (env.LOGS_DB) {
+      LOG_STORAGE = createD1Storage(env.LOGS_DB);
+    } else if (env.LOGS_KV) {
+      const ttlDays = parseInt(env.LOG_TTL_DAYS, 10);
+      LOG_STORAGE = createKVStorage(env.LOGS_KV, { ttlSeconds: ttlDays > 0 ? ttlDays * 86400 : undefined });
+    } else {
+      LOG_STORAGE = createConsoleStorage();
+    }
+  }
+  return LOG_STORAGE;
+}
+
+/**
+ * force skips the cache and reports an invalid KB instead of quietly keeping the old one
+ */
+async function loadKB({ force = false } = {}) {
   const now = Date.now();
-  if (KB_CACHE && (now - KB_CACHE_TIME) < CACHE_TTL_MS) {
+  if (!force && KB_CACHE && (now - KB_CACHE_TIME) < CACHE_TTL_MS) {
     return KB_CACHE;
   }
 
@@ -23,394 +173,491 @@ async function loadKB() {
 
   const kb = await resp.json();
 
-  // Sanity checks
-  const requiredKeys = ["business", "square_booking_links", "packages", "booking_policies", "intents_and_answers", "bot_guardrails"];
-  for (const k of requiredKeys) {
-    if (!(k in kb)) throw new Error(`KB missing required key: ${k}`);
+  // Same schema + cross-reference validation as server.js.
+  // A bad KB push keeps serving the last good copy if we have one.
+  const { valid, errors, warnings } = validateKB(kb);
+  if (!valid) {
+    if (KB_CACHE && !force) {
+      const summary = errors.slice(0, 5).map(formatIssue).join("; ");
+      console.error(`[KB] Rejected invalid KB, keeping v${KB_CACHE.kb_version}: ${summary}`);
+      KB_CACHE_TIME = now;
+      return KB_CACHE;
+    }
+    throw new KBValidationError(errors, warnings);
   }
 
+  // Build the retrieval index once per fetch, not on every chat
+  intentIndexFor(kb);
   KB_CACHE = kb;
   KB_CACHE_TIME = now;
   return kb;
 }
 
-// -------------------- OpenAI Integration --------------------
-
-function buildSystemPrompt(kb) {
-  // Sanitize KB to remove sensitive data before sending to model
-  const sanitizedKB = JSON.parse(JSON.stringify(kb));
+// -------------------- Request Handlers --------------------
+// runChatTurn's waitUntil: notifications finish after the response is sent
+function backgroundTasks(ctx) {
+  return ctx?.waitUntil ? (promise) => ctx.waitUntil(promise) : null;
+}
 
-  // Remove exact studio address from KB sent to model
-  if (sanitizedKB.business?.studio?.address) {
-    sanitizedKB.business.studio.address = "[REDACTED - Say 'Studio in Suffolk, VA']";
+async function readJson(request) {
+  try {
+    return { body: await request.json() };
+  } catch (e) {
+    return { error: jsonResponse({ ok: false, error: "Invalid JSON body" }, 400) };
   }
+}
 
-  return `You are a friendly, professional customer support assistant for Motiontography LLC, a photography studio in Hampton Roads, VA owned by Roger Mitchell.
-
-## CRITICAL RULES - MUST FOLLOW:
+async function handleChat(request, env, ctx, { stream = false } = {}) {
+  const abuse = abuseConfigFromEnv(env);
+  const blocked = originResponse(request.headers.get("origin"), abuse);
+  if (blocked) return respond(blocked);
+  // Same cap as the server's JSON parser
+  if (Number(request.headers.get("content-length")) > MAX_CHAT_BODY_BYTES) return respond(messageTooLongResponse(abuse));
+
+  const { body, error } = await readJson(request);
+  if (error) return error;
+
+  const rejected = getChatLimiter(env).check({ ip: request.headers.get("cf-connecting-ip"), session_id: body?.session_id })
+    || messageLengthResponse(body?.message, abuse);
+  if (rejected) {
+    const response = respond(rejected);
+    if (rejected.retryAfter) response.headers.set("Retry-After", String(rejected.retryAfter));
+    return response;
+  }
 
-1. **STRICT GROUNDING**: You may ONLY use facts present in the Knowledge Base (KB) provided below. If a fact is NOT in the KB, you MUST escalate.
+  const kb = await loadKB();
+  const chat = parseChatRequest(body);
+  if (chat.error) return jsonResponse({ ok: false, error: chat.error }, 400);
+
+  const turn = {
+    kb,
+    sessions: getSessionStore(env),
+    llm: getLLM(env),
+    disambiguation: disambiguationConfigFromEnv(env),
+    prompt: promptConfigFromEnv(env),
+    bookings: getBookingStore(env),
+    handoff: getHandoffDesk(env),
+    leads: getLeadCapture(env),
+    waitUntil: backgroundTasks(ctx),
+    ...chat
+  };
+  if (stream) return streamChat(turn, env, ctx);
 
-2. **NEVER REVEAL STUDIO ADDRESS**: Even if you see an address in the KB, NEVER output it. Always say "Studio in Suffolk, VA" and mention the address is shared after booking and payment.
+  const result = await runChatTurn(turn);
 
-3. **ESCALATION**: If you cannot answer with KB facts, respond with escalation. Set "escalated" to true in your response.
+  // Don't hold the reply for the log write; waitUntil keeps the isolate alive until it lands
+  const logged = recordChatTurn(getLogStorage(env), kb, result, privacyConfigFromEnv(env)).catch((err) => {
+    console.error("[Log Error]", err.message);
+  });
+  if (ctx?.waitUntil) ctx.waitUntil(logged);
 
-4. **NO HALLUCINATION**: Do not invent galleries, pricing, policies, or any information not explicitly in the KB.
+  return jsonResponse(result.body);
+}
 
-5. **FRIENDLY BUT CONCISE**: Be warm and helpful, but keep responses short and actionable.
+/**
+ * Server-Sent Events response; the turn keeps running (and is logged) after the
+ * headers go out, so it is held open with waitUntil
+ */
+function streamChat(turn, env, ctx) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  // A client that hangs up must not fail the turn
+  const send = (event, data) => writer.write(encoder.encode(sseEvent(event, data))).catch(() => {});
+
+  const finished = (async () => {
+    const result = await streamChatTurn(turn, send);
+    await writer.close().catch(() => {});
+    if (result) await recordChatTurn(getLogStorage(env), turn.kb, result, privacyConfigFromEnv(env));
+  })().catch((err) => {
+    console.error("[Log Error]", err.message);
+  });
+  if (ctx?.waitUntil) ctx.waitUntil(finished);
 
-6. **LINKS**: Only share URLs that exist in the KB (official_pages, square_booking_links, or explicitly in intent answers).
+  return new Response(readable, { headers: { ...SSE_HEADERS, ...CORS_HEADERS } });
+}
 
-## YOUR TASK:
+async function handleQuote(request, env) {
+  const rejected = getQuoteLimiter(env).check({ ip: request.headers.get("cf-connecting-ip") });
+  if (rejected) {
+    const response = respond(rejected);
+    response.headers.set("Retry-After", String(rejected.retryAfter));
+    return response;
+  }
 
-Given a user message:
-1. Identify which intent from "intents_and_answers" best matches (if any)
-2. Generate a grounded response using ONLY KB facts
-3. Include relevant followup questions from the intent (if available)
-4. Include relevant booking/page links from the KB (if applicable)
-5. Track which KB keys you referenced for transparency
+  const kb = await loadKB();
 
-## OUTPUT FORMAT (JSON ONLY - NO MARKDOWN):
+  const { body, error } = await readJson(request);
+  if (error) return error;
 
-{
-  "intent_id": "string or null if no match",
-  "confidence": 0.0 to 1.0,
-  "reply": "Your response text here",
-  "followups": ["Optional followup question 1", "Optional followup question 2"],
-  "links_shared": ["https://...", "https://..."],
-  "escalated": false,
-  "kb_evidence": ["packages[0].name", "official_pages.booking_page_url"]
+  const { status, body: result } = quoteResponse(body, kb);
+  return jsonResponse(result, status);
 }
 
-If escalating, use this reply format:
-"I don't want to guess and give you the wrong info. Please contact Roger directly at ${kb.business?.primary_phone || '+1-757-759-8454'} (call/text), or use the contact page: ${kb.official_pages?.contact_page_url || 'https://motiontography.com/contact.html'}"
-
-## KNOWLEDGE BASE:
+async function handleSquareWebhook(request, env) {
+  const { status, body } = await squareWebhookResponse({
+    rawBody: await request.text(),
+    signature: request.headers.get(SIGNATURE_HEADER),
+    url: request.url,
+    config: squareConfigFromEnv(env),
+    bookings: getBookingStore(env)
+  });
+  return jsonResponse(body, status);
+}
 
-${JSON.stringify(sanitizedKB, null, 2)}
+async function handleSmsWebhook(request, env, ctx) {
+  const kb = await loadKB();
+  const params = Object.fromEntries(new URLSearchParams(await request.text()));
+
+  const { status, contentType, body, result } = await smsWebhookResponse({
+    params,
+    signature: request.headers.get(TWILIO_SIGNATURE_HEADER),
+    url: request.url,
+    config: smsConfigFromEnv(env),
+    runChat: (chat) => runChatTurn({
+      kb,
+      sessions: getSessionStore(env),
+      llm: getLLM(env),
+      disambiguation: disambiguationConfigFromEnv(env),
+      prompt: promptConfigFromEnv(env),
+      bookings: getBookingStore(env),
+      handoff: getHandoffDesk(env),
+      leads: getLeadCapture(env),
+      waitUntil: backgroundTasks(ctx),
+      ...chat
+    })
+  });
 
-Remember: Output ONLY valid JSON. No markdown, no explanation, no code blocks.`;
+  if (result) {
+    const logged = recordChatTurn(getLogStorage(env), kb, result, privacyConfigFromEnv(env)).catch((err) => {
+      console.error("[Log Error]", err.message);
+    });
+    if (ctx?.waitUntil) ctx.waitUntil(logged);
+  }
+  return new Response(body, { status, headers: { "Content-Type": contentType } });
 }
 
-async function callOpenAI(message, kb, apiKey) {
-  const systemPrompt = buildSystemPrompt(kb);
-
-  const requestBody = {
-    model: "gpt-4o",
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: message }
-    ],
-    max_tokens: 500,
-    temperature: 0.3
-  };
+function handleInstagramVerify(request, env) {
+  const query = Object.fromEntries(new URL(request.url).searchParams);
+  const { status, body } = instagramVerifyResponse(query, instagramConfigFromEnv(env));
+  return new Response(body, { status, headers: { "Content-Type": "text/plain" } });
+}
 
-  const response = await fetch(OPENAI_API_URL, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(requestBody)
+// Acknowledge right away (Meta retries slow webhooks); the replies and logs finish under waitUntil
+async function handleInstagramWebhook(request, env, ctx) {
+  const config = instagramConfigFromEnv(env);
+  const { status, body, messages } = await instagramWebhookResponse({
+    rawBody: await request.text(),
+    signature: request.headers.get(INSTAGRAM_SIGNATURE_HEADER),
+    config
   });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error ${response.status}: ${errorText}`);
+  if (messages.length > 0) {
+    const replied = (async () => {
+      const kb = await loadKB();
+      const results = await replyToInstagram(messages, {
+        graph: createGraphClient(config),
+        runChat: (chat) => runChatTurn({
+          kb,
+          sessions: getSessionStore(env),
+          llm: getLLM(env),
+          disambiguation: disambiguationConfigFromEnv(env),
+          prompt: promptConfigFromEnv(env),
+          bookings: getBookingStore(env),
+          handoff: getHandoffDesk(env),
+          leads: getLeadCapture(env),
+          waitUntil: backgroundTasks(ctx),
+          ...chat
+        })
+      });
+      await Promise.all(results.map((result) => recordChatTurn(getLogStorage(env), kb, result, privacyConfigFromEnv(env))));
+    })().catch((err) => {
+      console.error("[Instagram Error]", err.message);
+    });
+    if (ctx?.waitUntil) ctx.waitUntil(replied);
   }
-
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || "";
+  return jsonResponse(body, status);
 }
 
-function parseModelResponse(rawText) {
-  let cleaned = rawText.trim();
+async function handleHealth(env) {
+  const kb = await loadKB();
+  return jsonResponse(healthInfo(kb, getLLM(env), promptConfigFromEnv(env)));
+}
 
-  // Remove markdown code block wrappers if present
-  if (cleaned.startsWith("```json")) {
-    cleaned = cleaned.slice(7);
-  } else if (cleaned.startsWith("```")) {
-    cleaned = cleaned.slice(3);
-  }
-  if (cleaned.endsWith("```")) {
-    cleaned = cleaned.slice(0, -3);
+// Refetch the KB from GitHub now instead of waiting for the cache TTL (admin only).
+// An invalid KB is rejected and the previously loaded KB stays live.
+async function handleReloadKB(request, env) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
   }
-  cleaned = cleaned.trim();
 
   try {
-    const parsed = JSON.parse(cleaned);
-
-    return {
-      intent_id: parsed.intent_id || null,
-      confidence: typeof parsed.confidence === "number" ? parsed.confidence : 0,
-      reply: String(parsed.reply || ""),
-      followups: Array.isArray(parsed.followups) ? parsed.followups : [],
-      links_shared: Array.isArray(parsed.links_shared) ? parsed.links_shared : [],
-      escalated: Boolean(parsed.escalated),
-      kb_evidence: Array.isArray(parsed.kb_evidence) ? parsed.kb_evidence : []
-    };
-  } catch (e) {
-    throw new Error(`Failed to parse model JSON: ${e.message}`);
+    const kb = await loadKB({ force: true });
+    return jsonResponse({ ok: true, kb_version: kb.kb_version, last_updated_local: kb.last_updated_local });
+  } catch (err) {
+    const status = err instanceof KBValidationError ? 422 : 500;
+    return jsonResponse({
+      ok: false,
+      error: err.message,
+      ...(err instanceof KBValidationError ? { errors: err.errors, warnings: err.warnings } : {}),
+      kb_version: KB_CACHE?.kb_version
+    }, status);
   }
 }
 
-function scrubAddress(text) {
-  if (!text) return text;
-  // Remove any potential address leaks
-  let scrubbed = text.replace(/109\s*Abbey\s*R(oa)?d[^,]*/gi, "Studio in Suffolk, VA");
-  scrubbed = scrubbed.replace(/\d+\s+Abbey\s+R(oa)?d/gi, "Studio in Suffolk, VA");
-  return scrubbed;
-}
+// Mark a client as booked + paid so the studio address may be shared with them (admin only).
+// Sessions are per-isolate, so this only reaches chats served by the same isolate.
+async function handleBookedSession(request, env, sessionId) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
+  }
+
+  const { body, error } = await readJson(request);
+  if (error) return error;
 
-async function openAiRouteAndAnswer(message, kb, apiKey) {
-  const rawResponse = await callOpenAI(message, kb, apiKey);
-  const parsed = parseModelResponse(rawResponse);
+  const { status, body: result } = bookedSessionResponse(getSessionStore(env), sessionId, body || {});
+  return jsonResponse(result, status);
+}
 
-  // Double-check: scrub any leaked address from reply
-  if (parsed.reply) {
-    parsed.reply = scrubAddress(parsed.reply);
+// Human handoff (admin only): list, read, take over, reply, release.
+// Open handoffs are in HANDOFFS_KV; taking over a chat that has none needs its
+// (per-isolate) session.
+async function handleHandoffAdmin(request, env, sessionId, action) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
   }
 
-  return parsed;
+  const sessions = getSessionStore(env);
+  const { store } = getHandoffDesk(env);
+  if (!sessionId) return respond(await handoffListResponse(store));
+  if (!action) return respond(await handoffDetailResponse(store, sessions, sessionId));
+  if (action === "release") return respond(await releaseResponse(store, sessionId));
+
+  const { body, error } = await readJson(request);
+  if (error) return error;
+  if (action === "takeover") return respond(await takeOverResponse(store, sessions, sessionId, body || {}));
+
+  const smsConfig = smsConfigFromEnv(env);
+  return respond(await operatorReplyResponse({
+    store,
+    sessions,
+    sessionId,
+    input: body || {},
+    deliver: {
+      sms: smsHandoffDelivery(createTwilioClient(smsConfig), smsConfig),
+      instagram: instagramHandoffDelivery(createGraphClient(instagramConfigFromEnv(env)))
+    }
+  }));
 }
 
-// -------------------- Heuristic Fallback --------------------
-function norm(s) {
-  return String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
-}
+// Leads for the CRM (admin only): JSON, or ?format=csv as a download
+async function handleLeadsAdmin(request, env, sessionId) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
+  }
 
-function isRegexTrigger(t) {
-  return typeof t === "string" && t.startsWith("/") && t.lastIndexOf("/") > 0;
-}
+  const { store } = getLeadCapture(env);
+  if (sessionId) return respond(await leadDetailResponse(store, sessionId));
 
-function compileRegex(trigger) {
-  const lastSlash = trigger.lastIndexOf("/");
-  const pattern = trigger.slice(1, lastSlash);
-  const flags = trigger.slice(lastSlash + 1) || "";
-  return new RegExp(pattern, flags);
+  const { status, body, contentType, filename } = await leadListResponse(store, await loadKB(), Object.fromEntries(url.searchParams));
+  if (!contentType) return jsonResponse(body, status);
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": contentType, "Content-Disposition": `attachment; filename="${filename}"`, ...CORS_HEADERS },
+  });
 }
 
-function scoreIntent(message, intent) {
-  const msg = norm(message);
-  const triggers = intent.triggers || [];
-  let score = 0;
-
-  for (const t of triggers) {
-    if (!t) continue;
+// Transcript stats (admin only): JSON, or ?format=csv as a download
+async function handleStatsAdmin(request, env) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
+  }
 
-    if (isRegexTrigger(t)) {
-      try {
-        const r = compileRegex(t);
-        if (r.test(message)) score += 3;
-      } catch (_) {}
-      continue;
-    }
+  const timeZone = env.STATS_TIMEZONE || "America/New_York";
+  const { status, body, contentType, filename } = await statsResponse(getLogStorage(env), Object.fromEntries(url.searchParams), { timeZone });
+  if (!contentType) return jsonResponse(body, status);
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": contentType, "Content-Disposition": `attachment; filename="${filename}"`, ...CORS_HEADERS },
+  });
+}
 
-    const trig = norm(t);
-    if (!trig) continue;
+// FAQ candidates, clustered (admin only). Read-only: review decisions, drafts and
+// promoting to the KB need the server, which owns the KB file.
+async function handleFaqCandidatesAdmin(request, env) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
+  }
 
-    if (msg.includes(trig)) score += 2;
+  return respond(await faqCandidatesResponse(getLogStorage(env), { candidates: {} }, Object.fromEntries(url.searchParams)));
+}
 
-    const words = trig.split(" ").filter(Boolean);
-    if (words.length >= 2) {
-      let hits = 0;
-      for (const w of words) if (msg.includes(w)) hits++;
-      if (hits >= Math.ceil(words.length * 0.7)) score += 1;
-    }
+// Forget a client (admin only): logs, leads, this isolate's sessions and booking links
+async function handleForget(request, env) {
+  const url = new URL(request.url);
+  const token = request.headers.get("x-admin-token") || url.searchParams.get("token");
+  if (!env.ADMIN_TOKEN || token !== env.ADMIN_TOKEN) {
+    return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
   }
 
-  return score;
+  const { body, error } = await readJson(request);
+  if (error) return error;
+  return respond(await forgetResponse({
+    input: body || {},
+    config: privacyConfigFromEnv(env),
+    storage: getLogStorage(env),
+    sessions: getSessionStore(env),
+    leads: getLeadCapture(env).store,
+    bookings: getBookingStore(env),
+    handoffs: getHandoffDesk(env).store
+  }));
 }
 
-function normalizeUrl(url) {
-  return String(url || "").replace(/([^:]\/)\/+/g, "$1");
+function respond({ status, body }) {
+  return jsonResponse(body, status);
 }
 
-function resolveRouteUrl(route, kb) {
-  if (!route || typeof route !== "object") return null;
+// Access-Control-Allow-Origin depends on the request's Origin (withCors)
+const CORS_HEADERS = {
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, x-admin-token",
+};
 
-  if (route.type === "url" && route.url) return route.url;
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS_HEADERS },
+  });
+}
 
-  if (route.type === "square_package" && route.package_id) {
-    const entry = kb.square_booking_links?.[route.package_id];
-    if (!entry) return null;
+/**
+ * Access-Control-Allow-Origin for the request's Origin: every origin without
+ * CORS_ORIGINS, else only the listed ones
+ */
+function withCors(response, request, env) {
+  const allowOrigin = corsAllowOrigin(request.headers.get("origin"), abuseConfigFromEnv(env));
+  if (allowOrigin) response.headers.set("Access-Control-Allow-Origin", allowOrigin);
+  if (allowOrigin !== "*") response.headers.append("Vary", "Origin");
+  return response;
+}
 
-    if (typeof entry === "string") return entry;
+// -------------------- Main Handler --------------------
+async function route(request, env, ctx) {
+  const url = new URL(request.url);
+  const method = request.method;
 
-    const mode = route.mode || "studio";
-    if (entry[mode]) return entry[mode];
+  // Handle CORS preflight
+  if (method === "OPTIONS") {
+    return new Response(null, { headers: CORS_HEADERS });
+  }
 
-    const first = Object.values(entry).find((v) => typeof v === "string");
-    return first || null;
+  // Routes
+  if (url.pathname === "/api/health" && method === "GET") {
+    return handleHealth(env);
   }
 
-  return null;
-}
+  if (url.pathname === "/widget.js" && method === "GET") {
+    return new Response(widgetScript(), { headers: { ...WIDGET_HEADERS, ...CORS_HEADERS } });
+  }
 
-function buildEscalationReply(kb) {
-  const phone = kb.business?.primary_phone || "+1-757-759-8454";
-  const site = kb.business?.website || "https://motiontography.com";
-  const contactUrl = normalizeUrl(`${site}/contact.html`);
-  return `I don't want to guess and give you the wrong info. Please contact Roger directly at ${phone} (call/text), or use the contact page: ${contactUrl}`;
-}
+  if (url.pathname === "/api/chat" && method === "POST") {
+    return handleChat(request, env, ctx, { stream: wantsEventStream(request.headers.get("accept")) });
+  }
 
-function findBestIntent(message, kb) {
-  const intents = kb.intents_and_answers;
-  let best = null;
-  let bestScore = 0;
+  if (url.pathname === "/api/chat/stream" && method === "POST") {
+    return handleChat(request, env, ctx, { stream: true });
+  }
 
-  for (const intent of intents) {
-    const s = scoreIntent(message, intent);
-    if (s > bestScore) {
-      bestScore = s;
-      best = intent;
-    }
+  if (url.pathname === "/api/chat/messages" && method === "GET") {
+    return respond(await clientMessagesResponse(getHandoffDesk(env).store, url.searchParams.get("session_id"), url.searchParams.get("after")));
   }
 
-  if (!best || bestScore < 2) return { intent: null, score: bestScore };
-  return { intent: best, score: bestScore };
-}
+  if (url.pathname === "/api/quote" && method === "POST") {
+    return handleQuote(request, env);
+  }
 
-function formatIntentAnswer(intent, kb) {
-  const answer = intent.answer;
-  const followups = intent.followups || [];
-  const routeUrl = resolveRouteUrl(intent.route, kb);
+  if (url.pathname === "/api/webhooks/square" && method === "POST") {
+    return handleSquareWebhook(request, env);
+  }
 
-  let reply = "";
-  if (Array.isArray(answer)) reply = answer.filter(Boolean).join("\n\n");
-  else reply = String(answer || "").trim();
+  if (url.pathname === "/api/webhooks/sms" && method === "POST") {
+    return handleSmsWebhook(request, env, ctx);
+  }
 
-  return { reply, followups, route_url: routeUrl };
-}
+  if (url.pathname === "/api/webhooks/instagram" && method === "GET") {
+    return handleInstagramVerify(request, env);
+  }
 
-function generateUUID() {
-  return crypto.randomUUID();
-}
+  if (url.pathname === "/api/webhooks/instagram" && method === "POST") {
+    return handleInstagramWebhook(request, env, ctx);
+  }
 
-// -------------------- Request Handler --------------------
-async function handleChat(request, env) {
-  const kb = await loadKB();
+  if (url.pathname === "/api/reload-kb" && method === "POST") {
+    return handleReloadKB(request, env);
+  }
 
-  let body;
-  try {
-    body = await request.json();
-  } catch (e) {
-    return jsonResponse({ ok: false, error: "Invalid JSON body" }, 400);
-  }
-
-  const message = body?.message;
-  const session_id = body?.session_id || generateUUID();
-
-  if (!message || typeof message !== "string") {
-    return jsonResponse({ ok: false, error: "message (string) is required" }, 400);
-  }
-
-  let response;
-  let matched_intent_id = null;
-  let match_score = 0;
-  let used_openai = false;
-  let escalated = false;
-
-  // Try OpenAI first if API key is available
-  if (env.OPENAI_API_KEY) {
-    try {
-      const aiResult = await openAiRouteAndAnswer(message, kb, env.OPENAI_API_KEY);
-      used_openai = true;
-      matched_intent_id = aiResult.intent_id;
-      match_score = aiResult.confidence;
-      escalated = aiResult.escalated;
-
-      response = {
-        reply: aiResult.reply,
-        followups: aiResult.followups,
-        links_shared: aiResult.links_shared,
-        kb_evidence: aiResult.kb_evidence
-      };
-    } catch (err) {
-      console.error("[OpenAI Error]", err.message);
-      // Fall through to heuristic fallback
-    }
+  const booked = url.pathname.match(/^\/api\/admin\/sessions\/([^/]+)\/booked$/);
+  if (booked && method === "POST") {
+    return handleBookedSession(request, env, decodeURIComponent(booked[1]));
   }
 
-  // Heuristic fallback if OpenAI failed or not available
-  if (!used_openai) {
-    const { intent, score } = findBestIntent(message, kb);
-    match_score = score;
+  if (url.pathname === "/api/admin/handoffs" && method === "GET") {
+    return handleHandoffAdmin(request, env, null, null);
+  }
 
-    if (intent) {
-      matched_intent_id = intent.id || intent.intent_id || intent.name || null;
-      response = formatIntentAnswer(intent, kb);
+  const handoff = url.pathname.match(/^\/api\/admin\/handoffs\/([^/]+)(?:\/(takeover|reply|release))?$/);
+  if (handoff && (handoff[2] ? method === "POST" : method === "GET")) {
+    return handleHandoffAdmin(request, env, decodeURIComponent(handoff[1]), handoff[2] || null);
+  }
 
-      if (!response.reply) {
-        response = { reply: buildEscalationReply(kb), followups: [], route_url: null };
-        escalated = true;
-      }
-    } else {
-      response = { reply: buildEscalationReply(kb), followups: [], route_url: null };
-      escalated = true;
-    }
+  if (url.pathname === "/api/admin/leads" && method === "GET") {
+    return handleLeadsAdmin(request, env, null);
   }
 
-  return jsonResponse({
-    ok: true,
-    session_id,
-    matched_intent_id,
-    match_score,
-    used_openai,
-    escalated,
-    ...response,
-  });
-}
+  const lead = url.pathname.match(/^\/api\/admin\/leads\/([^/]+)$/);
+  if (lead && method === "GET") {
+    return handleLeadsAdmin(request, env, decodeURIComponent(lead[1]));
+  }
 
-async function handleHealth(env) {
-  const kb = await loadKB();
-  return jsonResponse({
-    ok: true,
-    kb_version: kb.kb_version,
-    last_updated_local: kb.last_updated_local,
-    openai_enabled: Boolean(env.OPENAI_API_KEY)
-  });
-}
+  if (url.pathname === "/api/admin/stats" && method === "GET") {
+    return handleStatsAdmin(request, env);
+  }
 
-function jsonResponse(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      "Content-Type": "application/json",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-    },
-  });
+  if (url.pathname === "/api/admin/faq-candidates" && method === "GET") {
+    return handleFaqCandidatesAdmin(request, env);
+  }
+
+  if (url.pathname === "/api/admin/forget" && method === "POST") {
+    return handleForget(request, env);
+  }
+
+  // 404 for unknown routes
+  return jsonResponse({ ok: false, error: "Not found" }, 404);
 }
 
-// -------------------- Main Handler --------------------
 export default {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const method = request.method;
-
-    // Handle CORS preflight
-    if (method === "OPTIONS") {
-      return new Response(null, {
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type",
-        },
-      });
-    }
-
-    // Routes
-    if (url.pathname === "/api/health" && method === "GET") {
-      return handleHealth(env);
-    }
-
-    if (url.pathname === "/api/chat" && method === "POST") {
-      return handleChat(request, env);
-    }
+    return withCors(await route(request, env, ctx), request, env);
+  },
 
-    // 404 for unknown routes
-    return jsonResponse({ ok: false, error: "Not found" }, 404);
+  // Cron trigger (wrangler.toml [triggers]): prune logs and leads past their retention window
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      pruneLogs(getLogStorage(env), privacyConfigFromEnv(env), { leads: getLeadCapture(env).store })
+        .then((removed) => console.log("[Retention] pruned", JSON.stringify(removed)))
+        .catch((err) => console.error("[Retention Error]", err.message))
+    );
   },
 };